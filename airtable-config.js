@@ -1,21 +1,71 @@
 /**
  * Airtable Configuration
  * 
- * Replace the placeholder values with your actual Airtable credentials
+ * The Personal Access Token is NOT stored here. It lives in the
+ * AIRTABLE_API_KEY environment variable of the /api serverless functions,
+ * which proxy every Airtable call for the kiosk.
  */
 
 const AIRTABLE_CONFIG = {
-  // Your Airtable API Key (Personal Access Token)
-  API_KEY: 'patHb13wyxpdBcPfW.a1257789486a04bc623f21adad378d9479fa2a00a15bc09234d575dd8d1984ff',
-  
-  // Airtable Base IDs
-  BASES: {
-    HUMAN_RESOURCES: 'appvVsrarWP9A8lnZ'
-  },
-  
-  // Table Names
-  TABLES: {
-    ATTENDANCES: 'Attendances',
-    EMPLOYEE_DIRECTORY: 'Employee Directory'
-  }
+  // Base path of the serverless API proxy
+  API_BASE: '/api',
+
+  // Where attendance is stored:
+  // 'api'   - through the /api proxy (the server picks Airtable or a JSON file)
+  // 'local' - IndexedDB in this browser only, for branches without Airtable
+  //           seats and test environments. Salary data is then kept in the browser.
+  STORAGE_BACKEND: 'api',
+
+  // Local mode only: JSON file (same layout as dev/fixtures/base.json)
+  // loaded into an empty local database
+  LOCAL_SEED_URL: null,
+
+  // Business timezone (IANA name). "Today", batch dates and month filters on the
+  // kiosk and the admin page are worked out in this zone, whatever zone the
+  // device is set to. Keep it the same as BUSINESS_TIMEZONE on the server;
+  // when the server reports its zone, the kiosk follows the server.
+  TIMEZONE: 'Asia/Manila',
+
+  // Warn on the kiosk when the device clock is off from the server by more than this
+  CLOCK_SKEW_WARNING_SECONDS: 120,
+
+  // Kiosk punch buttons:
+  // 'buttons' - the four Morning/Afternoon In/Out buttons
+  // 'single'  - one PUNCH button; after the scan the kiosk suggests the next
+  //             punch from the day's record and the employee's schedule and
+  //             asks for confirmation. The four buttons stay for corrections.
+  PUNCH_MODE: 'buttons',
+
+  // Rounding of punches for payable hours, by Department ('default' for the
+  // rest; leave empty to pay the exact minutes). The punches stay as clocked.
+  //   increment         - minutes to round to (15 with 'nearest' is the 7-minute rule)
+  //   in / out          - 'nearest', 'up' or 'down' (default 'nearest')
+  //   inToScheduleStart - an early first In counts from the CoreWorkingHours start
+  // e.g. { default: { increment: 15 }, Warehouse: { increment: 15, in: 'up', out: 'down' } }
+  // Keep it the same as ROUNDING_POLICIES on the server, which stores the hours.
+  ROUNDING_POLICIES: {},
+
+  // Pay for work on a holiday, as a multiple of the ordinary rate, by type.
+  // Types left out keep the defaults: Regular Holiday 2, Special Non-Working
+  // Day 1.3, Company Holiday 2. e.g. { 'Company Holiday': 1.5 }
+  // Keep it the same as HOLIDAY_PREMIUMS on the server.
+  HOLIDAY_PREMIUMS: {},
+
+  // Take a still from the kiosk camera with every punch, stored with the
+  // punch and shown as thumbnails next to it. Kiosks without a camera (or
+  // where access is refused) punch without one.
+  PUNCH_PHOTOS: true,
+
+  // Work sites punches may come from, for the page used on personal phones:
+  // { name, lat, lng, radius } (radius in meters) or { name, polygon: [[lat, lng], ...] }
+  // e.g. [{ name: 'Main Office', lat: 14.5995, lng: 120.9842, radius: 150 }]
+  // GEOFENCE_POLICY:
+  // 'off'   - location is not asked for
+  // 'flag'  - punches away from every site (or without location) are
+  //           recorded and the day is marked Off-site
+  // 'block' - such punches are refused
+  // Punches from phones (phone.html) always ask for it and are refused off site.
+  // Keep both the same as GEOFENCES and GEOFENCE_POLICY on the server.
+  GEOFENCES: [],
+  GEOFENCE_POLICY: 'off'
 };
@@ -0,0 +1,176 @@
+/**
+ * airtable.js
+ *
+ * Minimal server-side Airtable REST client.
+ * This is the only place the Personal Access Token is used.
+ * Requests go through request-client.js, which keeps us under Airtable's
+ * 5 requests/second limit and retries 429/5xx responses.
+ */
+
+const { getConfig } = require('./config');
+const {
+  createRequestClient,
+  RequestError,
+  TimeoutError,
+  RateLimitError
+} = require('../../request-client');
+
+// One client per function instance, so pagination loops share the throttle.
+// Retries are kept short: the kiosk retries our own 5xx responses too.
+const client = createRequestClient({
+  requestsPerSecond: 5,
+  maxRetries: 2,
+  timeoutMs: 8000,
+  baseDelayMs: 500,
+  label: '[Airtable]'
+});
+
+// Records per create request
+const MAX_BATCH_RECORDS = 10;
+
+function tableUrl(table) {
+  const config = getConfig();
+  return `${config.API_URL}/${config.BASE_ID}/${encodeURIComponent(table)}`;
+}
+
+function headers() {
+  return {
+    'Authorization': `Bearer ${getConfig().API_KEY}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+/**
+ * Turn a request-client failure into an error the API routes can return
+ * Upstream details stay in the server log; the client gets a safe message.
+ */
+function toUpstreamError(err) {
+  let status = 502;
+  let code = 'UPSTREAM_ERROR';
+  let message = 'Attendance storage is unavailable. Please try again.';
+
+  if (err instanceof TimeoutError) {
+    status = 504;
+    code = 'UPSTREAM_TIMEOUT';
+    message = 'Attendance storage did not respond in time. Please try again.';
+  } else if (err instanceof RateLimitError) {
+    status = 503;
+    code = 'UPSTREAM_RATE_LIMITED';
+    message = 'Attendance storage is busy. Please try again in a moment.';
+  }
+
+  const wrapped = new Error(message);
+  wrapped.status = status;
+  wrapped.code = code;
+  wrapped.expose = true;
+  wrapped.upstreamStatus = err.status;
+  wrapped.cause = err;
+  return wrapped;
+}
+
+/**
+ * Perform a request and parse the JSON response
+ * Non-2xx responses are thrown with the upstream status attached.
+ */
+async function request(url, options = {}) {
+  try {
+    return await client.request(url, { ...options, headers: headers() });
+  } catch (err) {
+    if (!(err instanceof RequestError)) throw err;
+    console.error(`[Airtable] ${options.method || 'GET'} ${url} failed:`, err.message);
+    throw toUpstreamError(err);
+  }
+}
+
+/**
+ * List all records of a table, following `offset` pages
+ * Any failed page fails the whole list rather than returning a partial one.
+ * @param {string} table - Table name
+ * @param {object} params - filterByFormula, sort, view, maxRecords, fields
+ */
+async function listRecords(table, params = {}) {
+  let records = [];
+  let offset = undefined;
+
+  do {
+    const url = new URL(tableUrl(table));
+    url.searchParams.set('pageSize', '100');
+    if (params.view) url.searchParams.set('view', params.view);
+    if (params.filterByFormula) url.searchParams.set('filterByFormula', params.filterByFormula);
+    if (params.maxRecords) url.searchParams.set('maxRecords', String(params.maxRecords));
+    (params.sort || []).forEach((s, i) => {
+      url.searchParams.set(`sort[${i}][field]`, s.field);
+      url.searchParams.set(`sort[${i}][direction]`, s.direction || 'asc');
+    });
+    (params.fields || []).forEach(f => url.searchParams.append('fields[]', f));
+    if (offset) url.searchParams.set('offset', offset);
+
+    const data = await request(url);
+
+    if (data.records) {
+      records = records.concat(data.records);
+    }
+    offset = data.offset;
+  } while (offset);
+
+  return records;
+}
+
+/**
+ * Get a single record by its Airtable record ID
+ */
+async function getRecord(table, recordId) {
+  return request(`${tableUrl(table)}/${encodeURIComponent(recordId)}`);
+}
+
+/**
+ * Create a record
+ */
+async function createRecord(table, fields) {
+  return request(tableUrl(table), {
+    method: 'POST',
+    body: JSON.stringify({ fields })
+  });
+}
+
+/**
+ * Create records, ten per request (Airtable's batch limit)
+ * @returns {Array} - The created records, in order
+ */
+async function createRecords(table, list) {
+  let created = [];
+  for (let i = 0; i < list.length; i += MAX_BATCH_RECORDS) {
+    const data = await request(tableUrl(table), {
+      method: 'POST',
+      body: JSON.stringify({ records: list.slice(i, i + MAX_BATCH_RECORDS).map(fields => ({ fields })) })
+    });
+    created = created.concat(data.records || []);
+  }
+  return created;
+}
+
+/**
+ * Patch a record (only the given fields change)
+ */
+async function updateRecord(table, recordId, fields) {
+  return request(`${tableUrl(table)}/${encodeURIComponent(recordId)}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ fields })
+  });
+}
+
+/**
+ * Delete a record
+ */
+async function deleteRecord(table, recordId) {
+  return request(`${tableUrl(table)}/${encodeURIComponent(recordId)}`, { method: 'DELETE' });
+}
+
+module.exports = {
+  listRecords,
+  getRecord,
+  createRecord,
+  createRecords,
+  updateRecord,
+  deleteRecord
+};
@@ -0,0 +1,84 @@
+/**
+ * attendance.js
+ *
+ * Server-side attendance operations behind the /api routes.
+ * The logic lives in clock-in-core.js; this module binds it to the
+ * storage adapter selected by STORAGE_BACKEND. Overtime is calculated
+ * here because it needs salary data that the kiosk must never see.
+ */
+
+const core = require('../../clock-in-core');
+const AttendanceRules = require('../../attendance-rules');
+const { getStore } = require('./storage');
+const { getConfig } = require('./config');
+
+let service = null;
+
+function getService() {
+  if (!service) {
+    const config = getConfig();
+    AttendanceRules.setRoundingPolicies(config.ROUNDING_POLICIES);
+    AttendanceRules.setHolidayPremiums(config.HOLIDAY_PREMIUMS);
+    service = core.createAttendanceService(getStore(), {
+      timeZone: config.BUSINESS_TIMEZONE,
+      geofences: config.GEOFENCES,
+      geofencePolicy: config.GEOFENCE_POLICY,
+      deviceEnrollment: config.KIOSK_ENROLLMENT,
+      signingSecret: config.PHONE_PUNCH_SECRET
+    });
+  }
+  return service;
+}
+
+module.exports = {
+  TIME_SLOTS: core.TIME_SLOTS,
+  CORRECTION_STATUS: core.CORRECTION_STATUS,
+  ROSTER_STATUS: core.ROSTER_STATUS,
+  DEVICE_STATUS: core.DEVICE_STATUS,
+  HOLIDAY_TYPES: AttendanceRules.HOLIDAY_TYPES,
+  DATE_PATTERN: core.DATE_PATTERN,
+  toPublicAttendance: core.toPublicAttendance,
+  parseTimeToMinutes: core.parseTimeToMinutes,
+  calculateTotalHours: core.calculateTotalHours,
+  isFixedRate: core.isFixedRate,
+  calculateHourlyRate: core.calculateHourlyRate,
+  listEmployees: (...args) => getService().listEmployees(...args),
+  listAttendanceByEmployee: (...args) => getService().listAttendanceByEmployee(...args),
+  listAttendanceByDate: (...args) => getService().listAttendanceByDate(...args),
+  findDayRecord: (...args) => getService().findDayRecord(...args),
+  calculateOvertimeFields: (...args) => getService().calculateOvertimeFields(...args),
+  recordPunch: (...args) => getService().recordPunch(...args),
+  listPunchPhotos: (...args) => getService().listPunchPhotos(...args),
+  requestDeviceEnrollment: (...args) => getService().requestDeviceEnrollment(...args),
+  listDevices: (...args) => getService().listDevices(...args),
+  updateDevice: (...args) => getService().updateDevice(...args),
+  getDeviceStatus: (...args) => getService().getDeviceStatus(...args),
+  authenticateDevice: (...args) => getService().authenticateDevice(...args),
+  getKioskCode: (...args) => getService().getKioskCode(...args),
+  signInPhone: (...args) => getService().signInPhone(...args),
+  recordPhonePunch: (...args) => getService().recordPhonePunch(...args),
+  closeOpenShifts: (...args) => getService().closeOpenShifts(...args),
+  listReviewQueue: (...args) => getService().listReviewQueue(...args),
+  markReviewed: (...args) => getService().markReviewed(...args),
+  requestCorrection: (...args) => getService().requestCorrection(...args),
+  listCorrections: (...args) => getService().listCorrections(...args),
+  decideCorrection: (...args) => getService().decideCorrection(...args),
+  listShiftTemplates: (...args) => getService().listShiftTemplates(...args),
+  saveShiftTemplate: (...args) => getService().saveShiftTemplate(...args),
+  listRoster: (...args) => getService().listRoster(...args),
+  saveRosterAssignment: (...args) => getService().saveRosterAssignment(...args),
+  cancelRosterAssignment: (...args) => getService().cancelRosterAssignment(...args),
+  listHolidays: (...args) => getService().listHolidays(...args),
+  saveHoliday: (...args) => getService().saveHoliday(...args),
+  removeHoliday: (...args) => getService().removeHoliday(...args),
+  importHolidays: (...args) => getService().importHolidays(...args),
+  getPinStatus: (...args) => getService().getPinStatus(...args),
+  setEmployeePin: (...args) => getService().setEmployeePin(...args),
+  unlockEmployeePin: (...args) => getService().unlockEmployeePin(...args),
+  listAdminAttendance: (...args) => getService().listAdminAttendance(...args),
+  getAdminAttendance: (...args) => getService().getAdminAttendance(...args),
+  createAttendance: (...args) => getService().createAttendance(...args),
+  updateAttendance: (...args) => getService().updateAttendance(...args),
+  deleteAttendance: (...args) => getService().deleteAttendance(...args),
+  listAudit: (...args) => getService().listAudit(...args)
+};
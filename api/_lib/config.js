@@ -0,0 +1,69 @@
+/**
+ * Server-side storage configuration
+ *
+ * The Personal Access Token is read from the environment so it never
+ * reaches the browser. AIRTABLE_API_URL can point at a local mock.
+ * STORAGE_BACKEND=json keeps data in STORAGE_FILE instead of Airtable.
+ * BUSINESS_TIMEZONE is the zone punches are stamped in.
+ * AUTO_CLOSE_POLICY ('close' or 'flag') and AUTO_CLOSE_LOOKBACK_DAYS drive
+ * the end-of-day job; CRON_SECRET is the bearer token Vercel Cron sends it.
+ * ROUNDING_POLICIES is JSON of the per-department rounding policies for
+ * payable hours (see ROUNDING_POLICIES in airtable-config.js), and
+ * HOLIDAY_PREMIUMS JSON of premiums by holiday type (see HOLIDAY_PREMIUMS
+ * there). GEOFENCES is JSON of the work sites punches may come from and
+ * GEOFENCE_POLICY ('off', 'flag' or 'block') what happens to the others
+ * (see GEOFENCES in airtable-config.js). KIOSK_ENROLLMENT=required
+ * accepts punches only from kiosks an admin has approved.
+ * PHONE_PUNCH_SECRET signs the kiosk's rotating QR codes and phone
+ * sign-ins; phone punching is off without it, and also without
+ * KIOSK_ENROLLMENT=required and GEOFENCES.
+ * ADMIN_API_TOKENS is JSON of { name: token } for the people allowed to
+ * use the admin routes (ADMIN_API_TOKEN is a single token named "Admin");
+ * the name is recorded as the actor of their changes.
+ */
+
+const path = require('path');
+
+function parseJsonEnv(name) {
+  const text = process.env[name];
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${name} is not valid JSON: ${err.message}`);
+  }
+}
+
+const getConfig = () => ({
+  BUSINESS_TIMEZONE: process.env.BUSINESS_TIMEZONE || 'Asia/Manila',
+  STORAGE_BACKEND: (process.env.STORAGE_BACKEND || 'airtable').toLowerCase(),
+  STORAGE_FILE: path.resolve(process.env.STORAGE_FILE || path.join('.data', 'clock-in.json')),
+  STORAGE_SEED_FILE: process.env.STORAGE_SEED_FILE ? path.resolve(process.env.STORAGE_SEED_FILE) : '',
+  API_KEY: process.env.AIRTABLE_API_KEY || '',
+  API_URL: (process.env.AIRTABLE_API_URL || 'https://api.airtable.com/v0').replace(/\/+$/, ''),
+  BASE_ID: process.env.AIRTABLE_BASE_ID || 'appvVsrarWP9A8lnZ',
+  ATTENDANCE_TABLE: process.env.AIRTABLE_ATTENDANCE_TABLE || 'Attendances',
+  EMPLOYEE_TABLE: process.env.AIRTABLE_EMPLOYEE_TABLE || 'Employee Directory',
+  PUNCH_TABLE: process.env.AIRTABLE_PUNCH_TABLE || 'Punches',
+  CORRECTION_TABLE: process.env.AIRTABLE_CORRECTION_TABLE || 'Punch Corrections',
+  AUDIT_TABLE: process.env.AIRTABLE_AUDIT_TABLE || 'Attendance Audit',
+  SHIFT_TABLE: process.env.AIRTABLE_SHIFT_TABLE || 'Shift Templates',
+  ROSTER_TABLE: process.env.AIRTABLE_ROSTER_TABLE || 'Roster',
+  HOLIDAY_TABLE: process.env.AIRTABLE_HOLIDAY_TABLE || 'Holidays',
+  DEVICE_TABLE: process.env.AIRTABLE_DEVICE_TABLE || 'Kiosk Devices',
+  AUTO_CLOSE_POLICY: (process.env.AUTO_CLOSE_POLICY || 'close').toLowerCase(),
+  AUTO_CLOSE_LOOKBACK_DAYS: Number(process.env.AUTO_CLOSE_LOOKBACK_DAYS) || 7,
+  CRON_SECRET: process.env.CRON_SECRET || '',
+  ROUNDING_POLICIES: parseJsonEnv('ROUNDING_POLICIES'),
+  HOLIDAY_PREMIUMS: parseJsonEnv('HOLIDAY_PREMIUMS'),
+  GEOFENCES: process.env.GEOFENCES ? parseJsonEnv('GEOFENCES') : [],
+  GEOFENCE_POLICY: (process.env.GEOFENCE_POLICY || 'off').toLowerCase(),
+  KIOSK_ENROLLMENT: (process.env.KIOSK_ENROLLMENT || 'off').toLowerCase(),
+  PHONE_PUNCH_SECRET: process.env.PHONE_PUNCH_SECRET || '',
+  ADMIN_API_TOKENS: {
+    ...(process.env.ADMIN_API_TOKEN ? { Admin: process.env.ADMIN_API_TOKEN } : {}),
+    ...parseJsonEnv('ADMIN_API_TOKENS')
+  }
+});
+
+module.exports = { getConfig };
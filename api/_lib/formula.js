@@ -0,0 +1,127 @@
+/**
+ * formula.js
+ *
+ * Builds Airtable filterByFormula expressions from values without string
+ * interpolation, so scanned or typed input (quotes, backslashes, braces)
+ * can never change the meaning of a query.
+ *
+ *   and(eq('EmployeeId', id), dateEq('Date', '2025-01-06'))
+ *   => AND({EmployeeId}='EMP-001', DATETIME_FORMAT({Date}, 'YYYY-MM-DD')='2025-01-06')
+ *
+ * Every builder returns a formula string; combine them with and/or/not.
+ */
+
+const { parseDateKey } = require('../../date-utils');
+
+function formulaError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.expose = true;
+  return err;
+}
+
+/**
+ * Quote a value as a formula string literal
+ * Backslashes, single quotes and line breaks are escaped; numbers and
+ * booleans are passed through as literals.
+ */
+function literal(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw formulaError('Formula numbers must be finite');
+    return String(value);
+  }
+  if (typeof value === 'boolean') return value ? 'TRUE()' : 'FALSE()';
+  if (value === null || value === undefined) return 'BLANK()';
+  const text = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `'${text}'`;
+}
+
+/**
+ * Reference a field by name
+ * Airtable has no escape for "}" inside {...}, so such names are rejected.
+ */
+function field(name) {
+  if (typeof name !== 'string' || !name || /[{}]/.test(name)) {
+    throw formulaError(`Invalid field name: ${name}`);
+  }
+  return `{${name}}`;
+}
+
+/**
+ * Quote a YYYY-MM-DD date, rejecting anything else (2025-02-30 included)
+ */
+function dateLiteral(date) {
+  if (!parseDateKey(date)) {
+    throw formulaError('Dates must be YYYY-MM-DD');
+  }
+  return literal(date);
+}
+
+/**
+ * {name} = value
+ */
+function eq(name, value) {
+  return `${field(name)}=${literal(value)}`;
+}
+
+/**
+ * {name} != value
+ */
+function neq(name, value) {
+  return `${field(name)}!=${literal(value)}`;
+}
+
+/**
+ * Date field falls on the given day (YYYY-MM-DD)
+ */
+function dateEq(name, date) {
+  return `DATETIME_FORMAT(${field(name)}, 'YYYY-MM-DD')=${dateLiteral(date)}`;
+}
+
+/**
+ * Date field falls between two days, both inclusive; either bound may be omitted
+ * @returns {string} - Formula, or '' when neither bound is given
+ */
+function dateBetween(name, fromDate, toDate) {
+  const parts = [];
+  if (fromDate) parts.push(`IS_AFTER(${field(name)}, DATEADD(${dateLiteral(fromDate)}, -1, 'days'))`);
+  if (toDate) parts.push(`IS_BEFORE(${field(name)}, DATEADD(${dateLiteral(toDate)}, 1, 'days'))`);
+  return and(...parts);
+}
+
+/**
+ * Combine conditions; empty conditions are dropped
+ * A single condition is returned as-is, none gives ''.
+ */
+function and(...conditions) {
+  const parts = conditions.filter(Boolean);
+  if (parts.length <= 1) return parts[0] || '';
+  return `AND(${parts.join(', ')})`;
+}
+
+function or(...conditions) {
+  const parts = conditions.filter(Boolean);
+  if (parts.length <= 1) return parts[0] || '';
+  return `OR(${parts.join(', ')})`;
+}
+
+function not(condition) {
+  return `NOT(${condition})`;
+}
+
+module.exports = {
+  literal,
+  field,
+  eq,
+  neq,
+  dateEq,
+  dateBetween,
+  and,
+  or,
+  not
+};
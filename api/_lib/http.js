@@ -0,0 +1,147 @@
+/**
+ * Small request/response helpers shared by the API routes.
+ *
+ * Only plain Node http APIs are used so the same handlers run on Vercel
+ * and under dev/server.js.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, payload) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Send a JSON error response
+ */
+function sendError(res, status, message, extra = {}) {
+  sendJson(res, status, { error: message, ...extra });
+}
+
+/**
+ * Parse the query string of the request URL
+ * @returns {object} - Plain object of query parameters
+ */
+function getQuery(req) {
+  const url = new URL(req.url, 'http://localhost');
+  return Object.fromEntries(url.searchParams.entries());
+}
+
+/**
+ * Kiosk device token sent with the request (X-Device-Token), or ''
+ */
+function getDeviceToken(req) {
+  const value = req.headers['x-device-token'];
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Phone punch session sent with the request (X-Phone-Session), or ''
+ */
+function getPhoneSession(req) {
+  const value = req.headers['x-phone-session'];
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Hashing first gives equal lengths, so the comparison takes the same time
+function tokensMatch(given, expected) {
+  const a = crypto.createHash('sha256').update(String(given)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check the admin token sent with the request (Authorization: Bearer ...)
+ * against ADMIN_API_TOKENS. Without any configured token the admin routes
+ * are open outside Vercel (dev/server.js) and refused on it.
+ * @returns {object} - { name } of the admin, used as the actor of changes
+ */
+function requireAdmin(req) {
+  const tokens = Object.entries(getConfig().ADMIN_API_TOKENS).filter(([, token]) => token);
+  if (!tokens.length) {
+    if (process.env.VERCEL) throw httpError(503, 'ADMIN_API_TOKEN is not configured');
+    return { name: 'Admin' };
+  }
+
+  const header = typeof req.headers.authorization === 'string' ? req.headers.authorization : '';
+  const given = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  const match = given && tokens.find(([, token]) => tokensMatch(given, token));
+  if (!match) {
+    const err = httpError(401, 'Admin sign-in required');
+    err.code = 'ADMIN_REQUIRED';
+    throw err;
+  }
+  return { name: match[0] };
+}
+
+/**
+ * Read and parse a JSON request body
+ * Vercel pre-parses req.body; a plain Node server leaves the stream unread.
+ */
+async function readJsonBody(req) {
+  if (req.body !== undefined) {
+    return typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+  }
+
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Reject methods the route does not support
+ * @returns {boolean} - True if the request may continue
+ */
+function allowMethods(req, res, methods) {
+  if (methods.includes(req.method)) return true;
+  res.setHeader('Allow', methods.join(', '));
+  sendError(res, 405, `Method ${req.method} not allowed`);
+  return false;
+}
+
+/**
+ * Wrap a route handler so thrown errors become JSON responses
+ */
+function handle(fn) {
+  return async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      const status = err.status && err.status >= 400 && err.status < 600 ? err.status : 500;
+      if (status >= 500 && !err.expose) console.error('[API] Unhandled error:', err);
+      sendError(res, status, err.expose ? err.message : 'Internal server error', err.code ? { code: err.code } : {});
+    }
+  };
+}
+
+/**
+ * Create an error whose message is safe to return to the client
+ */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.expose = true;
+  return err;
+}
+
+module.exports = {
+  sendJson,
+  sendError,
+  getQuery,
+  getDeviceToken,
+  getPhoneSession,
+  tokensMatch,
+  requireAdmin,
+  readJsonBody,
+  allowMethods,
+  handle,
+  httpError
+};
@@ -0,0 +1,76 @@
+/**
+ * Airtable storage adapter
+ *
+ * Translates storage adapter queries into filterByFormula/sort params
+ * for the REST client in ../airtable.js.
+ */
+
+const airtable = require('../airtable');
+const formula = require('../formula');
+const { tableName } = require('./tables');
+const { TABLES, DATE_FIELDS } = require('../../../clock-in-core');
+
+/**
+ * Build a filterByFormula expression from a query's where/range clauses
+ * Values go through formula.js so they are always escaped.
+ * @returns {string} - Formula, or '' when the query has no filters
+ */
+function toFormula(query) {
+  const conditions = Object.entries(query.where || {}).map(([name, value]) => {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0) return 'FALSE()';
+    return formula.or(...values.map(item => (DATE_FIELDS.includes(name) ? formula.dateEq(name, item) : formula.eq(name, item))));
+  });
+
+  if (query.range) {
+    conditions.push(formula.dateBetween(query.range.field, query.range.from, query.range.to));
+  }
+
+  return formula.and(...conditions);
+}
+
+async function list(table, query = {}) {
+  return airtable.listRecords(tableName(table), {
+    view: table === TABLES.EMPLOYEES ? 'Grid view' : undefined,
+    filterByFormula: toFormula(query),
+    maxRecords: query.limit,
+    sort: query.sort,
+    fields: query.fields
+  });
+}
+
+async function get(table, id) {
+  try {
+    return await airtable.getRecord(tableName(table), id);
+  } catch (err) {
+    if (err.upstreamStatus === 404) return null;
+    throw err;
+  }
+}
+
+async function create(table, fields) {
+  return airtable.createRecord(tableName(table), fields);
+}
+
+async function createMany(table, list) {
+  return airtable.createRecords(tableName(table), list);
+}
+
+async function update(table, id, fields) {
+  return airtable.updateRecord(tableName(table), id, fields);
+}
+
+async function remove(table, id) {
+  return airtable.deleteRecord(tableName(table), id);
+}
+
+module.exports = {
+  name: 'airtable',
+  toFormula,
+  list,
+  get,
+  create,
+  createMany,
+  update,
+  remove
+};
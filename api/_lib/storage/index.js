@@ -0,0 +1,27 @@
+/**
+ * Storage adapter selection
+ *
+ * STORAGE_BACKEND=airtable (default) or json. See clock-in-core.js for
+ * the adapter interface.
+ */
+
+const { getConfig } = require('../config');
+
+const ADAPTERS = {
+  airtable: () => require('./airtable'),
+  json: () => require('./json-file')
+};
+
+/**
+ * Get the storage adapter selected by the environment
+ */
+function getStore() {
+  const backend = getConfig().STORAGE_BACKEND;
+  const load = ADAPTERS[backend];
+  if (!load) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected ${Object.keys(ADAPTERS).join(' or ')})`);
+  }
+  return load();
+}
+
+module.exports = { getStore };
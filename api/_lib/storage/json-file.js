@@ -0,0 +1,112 @@
+/**
+ * JSON file storage adapter
+ *
+ * Keeps every table in one JSON file so a branch without Airtable seats
+ * (or a test environment) can run the kiosk against local data.
+ * The file is re-read on every call and replaced atomically on write,
+ * so several function instances on one machine see the same data.
+ *
+ * File layout matches dev/fixtures/base.json: records keyed by the
+ * Airtable table names, e.g. { "Employee Directory": [...], "Attendances": [...] }.
+ * If the file does not exist it is created from STORAGE_SEED_FILE, if set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig } = require('../config');
+const { tableName } = require('./tables');
+const { applyQuery } = require('../../../clock-in-core');
+
+function load() {
+  const { STORAGE_FILE, STORAGE_SEED_FILE } = getConfig();
+  const source = fs.existsSync(STORAGE_FILE) ? STORAGE_FILE : STORAGE_SEED_FILE;
+  if (!source || !fs.existsSync(source)) return {};
+  return JSON.parse(fs.readFileSync(source, 'utf8'));
+}
+
+function save(data) {
+  const file = getConfig().STORAGE_FILE;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function tableRecords(data, table) {
+  const name = tableName(table);
+  if (!data[name]) data[name] = [];
+  return data[name];
+}
+
+async function list(table, query = {}) {
+  return applyQuery(tableRecords(load(), table), query);
+}
+
+async function get(table, id) {
+  const record = tableRecords(load(), table).find(r => r.id === id);
+  return record ? applyQuery([record])[0] : null;
+}
+
+async function create(table, fields) {
+  const data = load();
+  const record = {
+    id: `rec${crypto.randomBytes(7).toString('hex')}`,
+    createdTime: new Date().toISOString(),
+    fields: { ...fields }
+  };
+  tableRecords(data, table).push(record);
+  save(data);
+  return applyQuery([record])[0];
+}
+
+async function createMany(table, list) {
+  const data = load();
+  const records = list.map(fields => ({
+    id: `rec${crypto.randomBytes(7).toString('hex')}`,
+    createdTime: new Date().toISOString(),
+    fields: { ...fields }
+  }));
+  tableRecords(data, table).push(...records);
+  save(data);
+  return applyQuery(records);
+}
+
+async function update(table, id, fields) {
+  const data = load();
+  const record = tableRecords(data, table).find(r => r.id === id);
+  if (!record) {
+    const err = new Error('Record not found');
+    err.status = 404;
+    err.expose = true;
+    throw err;
+  }
+  Object.assign(record.fields, fields);
+  save(data);
+  return applyQuery([record])[0];
+}
+
+async function remove(table, id) {
+  const data = load();
+  const records = tableRecords(data, table);
+  const index = records.findIndex(r => r.id === id);
+  if (index === -1) {
+    const err = new Error('Record not found');
+    err.status = 404;
+    err.expose = true;
+    throw err;
+  }
+  const [record] = records.splice(index, 1);
+  save(data);
+  return { id: record.id, deleted: true };
+}
+
+module.exports = {
+  name: 'json',
+  list,
+  get,
+  create,
+  createMany,
+  update,
+  remove
+};
@@ -0,0 +1,23 @@
+/**
+ * Map the logical table names used by clock-in-core.js to the
+ * configured Airtable table names
+ */
+
+const { getConfig } = require('../config');
+const { TABLES } = require('../../../clock-in-core');
+
+function tableName(table) {
+  const config = getConfig();
+  if (table === TABLES.EMPLOYEES) return config.EMPLOYEE_TABLE;
+  if (table === TABLES.ATTENDANCES) return config.ATTENDANCE_TABLE;
+  if (table === TABLES.PUNCHES) return config.PUNCH_TABLE;
+  if (table === TABLES.CORRECTIONS) return config.CORRECTION_TABLE;
+  if (table === TABLES.AUDIT) return config.AUDIT_TABLE;
+  if (table === TABLES.SHIFTS) return config.SHIFT_TABLE;
+  if (table === TABLES.ROSTER) return config.ROSTER_TABLE;
+  if (table === TABLES.HOLIDAYS) return config.HOLIDAY_TABLE;
+  if (table === TABLES.DEVICES) return config.DEVICE_TABLE;
+  throw new Error(`Unknown table: ${table}`);
+}
+
+module.exports = { tableName };
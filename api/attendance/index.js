@@ -0,0 +1,88 @@
+/**
+ * GET    /api/attendance?employeeId=...&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * GET    /api/attendance?employeeId=...&date=YYYY-MM-DD
+ * GET    /api/attendance?view=admin&employeeId=...&from=...&to=...
+ * GET    /api/attendance?view=admin&id=...
+ * POST   /api/attendance
+ * PATCH  /api/attendance
+ * DELETE /api/attendance?id=...&reason=...
+ *
+ * Attendance history for one employee, or that employee's record for a single day.
+ *
+ * The admin screens read, add, edit and delete day records here. With
+ * view=admin, GET responds { records } with the pay fields as well, for
+ * one employee or (without employeeId) everyone, or { record } for one id.
+ * POST body
+ * { fields, reason? } responds 201 with { record }; PATCH body
+ * { id, fields, reason? } responds with { record }; DELETE responds with
+ * { id, deleted: true }. fields are Airtable field names (see
+ * ADMIN_ATTENDANCE_FIELDS in clock-in-core.js). Each change is audited
+ * with the signed-in admin as actor, so these, like the admin view, need
+ * an admin token (see requireAdmin in _lib/http.js).
+ */
+
+const { handle, allowMethods, sendJson, getQuery, requireAdmin, readJsonBody, httpError } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET', 'POST', 'PATCH', 'DELETE'])) return;
+
+  const query = getQuery(req);
+
+  if (req.method === 'GET') {
+    const { employeeId, from, to, date } = query;
+    [from, to, date].forEach(value => {
+      if (value && !attendance.DATE_PATTERN.test(value)) throw httpError(400, 'Dates must be YYYY-MM-DD');
+    });
+
+    if (query.view === 'admin') {
+      requireAdmin(req);
+      if (query.id) {
+        sendJson(res, 200, { record: await attendance.getAdminAttendance(query.id) });
+        return;
+      }
+      const records = await attendance.listAdminAttendance({ employeeId: employeeId || null, from: from || null, to: to || null });
+      sendJson(res, 200, { records });
+      return;
+    }
+
+    if (!employeeId) throw httpError(400, 'employeeId is required');
+
+    if (date) {
+      const record = await attendance.findDayRecord(employeeId, date);
+      sendJson(res, 200, { records: record ? [attendance.toPublicAttendance(record)] : [] });
+      return;
+    }
+
+    const records = await attendance.listAttendanceByEmployee(employeeId, from || null, to || null);
+    sendJson(res, 200, { records });
+    return;
+  }
+
+  const admin = requireAdmin(req);
+
+  if (req.method === 'DELETE') {
+    if (!query.id) throw httpError(400, 'id is required');
+    const result = await attendance.deleteAttendance(query.id, { actor: admin.name, reason: query.reason });
+    console.log(`[Attendance] ${admin.name} deleted ${query.id}`);
+    sendJson(res, 200, result);
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  if (req.method === 'POST') {
+    const record = await attendance.createAttendance(body.fields, { actor: admin.name, reason: body.reason });
+    sendJson(res, 201, { record });
+    return;
+  }
+
+  if (!body.id) throw httpError(400, 'id is required');
+  const record = await attendance.updateAttendance(body.id, body.fields, { actor: admin.name, reason: body.reason });
+  sendJson(res, 200, { record });
+});
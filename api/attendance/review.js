@@ -0,0 +1,48 @@
+/**
+ * GET   /api/attendance/review?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * PATCH /api/attendance/review
+ *
+ * Days waiting for a supervisor: auto-closed or flagged Incomplete by the
+ * end-of-day job, or holding an offline punch with Unverified time.
+ * GET lists them oldest first (without from, the last 31 days).
+ * PATCH body { recordId, note? } marks one Reviewed, with the signed-in
+ * admin in the note and the audit trail, and responds with { item };
+ * 409 when the day is not waiting for review or is still missing its
+ * clock-out. Both need an admin token (see requireAdmin in _lib/http.js).
+ */
+
+const { handle, allowMethods, sendJson, getQuery, requireAdmin, readJsonBody, httpError } = require('../_lib/http');
+const { getConfig } = require('../_lib/config');
+const attendance = require('../_lib/attendance');
+const { today, addDays } = require('../../date-utils');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET', 'PATCH'])) return;
+  const admin = requireAdmin(req);
+
+  if (req.method === 'GET') {
+    const { from, to } = getQuery(req);
+    [from, to].forEach(value => {
+      if (value && !attendance.DATE_PATTERN.test(value)) throw httpError(400, 'Dates must be YYYY-MM-DD');
+    });
+
+    const records = await attendance.listReviewQueue(
+      from || addDays(today(new Date(), getConfig().BUSINESS_TIMEZONE), -31),
+      to || null
+    );
+    sendJson(res, 200, { records });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+  if (!body.recordId) throw httpError(400, 'recordId is required');
+
+  const item = await attendance.markReviewed(body.recordId, { actor: admin.name, note: body.note });
+  console.log(`[Review] ${item.employeeId} ${item.date} reviewed by ${admin.name}`);
+  sendJson(res, 200, { item });
+});
@@ -0,0 +1,20 @@
+/**
+ * GET /api/attendance/today?date=YYYY-MM-DD
+ *
+ * All attendance records for the kiosk's current day.
+ */
+
+const { handle, allowMethods, sendJson, getQuery, httpError } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET'])) return;
+
+  const { date } = getQuery(req);
+  if (!date || !attendance.DATE_PATTERN.test(date)) {
+    throw httpError(400, 'date must be YYYY-MM-DD');
+  }
+
+  const records = await attendance.listAttendanceByDate(date);
+  sendJson(res, 200, { records });
+});
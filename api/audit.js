@@ -0,0 +1,22 @@
+/**
+ * GET /api/audit?recordId=...
+ *
+ * Append-only audit trail of attendance records: responds { records }
+ * with the history of one record, oldest first. Entries are written by
+ * the changes themselves (punches, the end-of-day job and the admin
+ * routes of /api/attendance), so there is no route to add, edit or
+ * remove them. Needs an admin token (see requireAdmin in _lib/http.js).
+ */
+
+const { handle, allowMethods, sendJson, getQuery, requireAdmin, httpError } = require('./_lib/http');
+const attendance = require('./_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET'])) return;
+  requireAdmin(req);
+
+  const { recordId } = getQuery(req);
+  if (!recordId) throw httpError(400, 'recordId is required');
+  const records = await attendance.listAudit(recordId);
+  sendJson(res, 200, { records });
+});
@@ -0,0 +1,66 @@
+/**
+ * GET   /api/corrections?status=Pending|Approved|Rejected|all
+ * POST  /api/corrections
+ * PATCH /api/corrections
+ *
+ * Punch correction requests.
+ * GET lists them oldest first (Pending when status is omitted).
+ * POST body { recordId?, employeeId, date, slot, proposedTime, reason }
+ * files one from the kiosk's duplicate-punch warning and responds 201
+ * with { correction }; 409 if that punch already has a pending one. Like
+ * punches, requests need an approved kiosk when KIOSK_ENROLLMENT=required.
+ * PATCH body { id, status: Approved|Rejected, note? } records the admin's
+ * decision, with the signed-in admin as reviewer, and responds with
+ * { correction }. An approval first puts the proposed time on the day
+ * record (punch log, hours, audit entry); 404 when that record is gone,
+ * 409 when the time would make a double punch or the request was already
+ * decided. GET and PATCH need an admin token (see requireAdmin in
+ * _lib/http.js).
+ */
+
+const { handle, allowMethods, sendJson, getQuery, getDeviceToken, requireAdmin, readJsonBody, httpError } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+async function readBody(req) {
+  try {
+    return await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+}
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET', 'POST', 'PATCH'])) return;
+
+  if (req.method === 'GET') {
+    requireAdmin(req);
+    const { status } = getQuery(req);
+    const statuses = Object.values(attendance.CORRECTION_STATUS);
+    if (status && status !== 'all' && !statuses.includes(status)) {
+      throw httpError(400, `status must be one of ${statuses.join(', ')} or all`);
+    }
+    const records = await attendance.listCorrections(status === 'all' ? null : status || attendance.CORRECTION_STATUS.PENDING);
+    sendJson(res, 200, { records });
+    return;
+  }
+
+  const body = await readBody(req);
+
+  if (req.method === 'POST') {
+    await attendance.authenticateDevice(getDeviceToken(req));
+    const { recordId, employeeId, date, slot, proposedTime, reason } = body;
+    const correction = await attendance.requestCorrection({ recordId, employeeId, date, slot, proposedTime, reason });
+    console.log(`[Corrections] ${employeeId} asked to change ${slot} on ${date} to ${correction.proposedTime}`);
+    sendJson(res, 201, { correction });
+    return;
+  }
+
+  const admin = requireAdmin(req);
+  if (!body.id) throw httpError(400, 'id is required');
+  const correction = await attendance.decideCorrection(body.id, {
+    status: body.status,
+    reviewedBy: admin.name,
+    note: body.note
+  });
+  sendJson(res, 200, { correction });
+});
@@ -0,0 +1,19 @@
+/**
+ * GET /api/devices/code
+ *
+ * The code the calling kiosk (X-Device-Token) shows as a QR code for
+ * phones to punch with: { code, period, expiresAt }. It changes every
+ * `period` seconds and the kiosk fetches the next one when it expires.
+ * Only approved kiosks get one; 503 (code PHONE_PUNCH_DISABLED) unless
+ * PHONE_PUNCH_SECRET and GEOFENCES are set and KIOSK_ENROLLMENT=required.
+ */
+
+const { handle, allowMethods, sendJson, getDeviceToken } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET'])) return;
+
+  const device = await attendance.authenticateDevice(getDeviceToken(req));
+  sendJson(res, 200, await attendance.getKioskCode(device));
+});
@@ -0,0 +1,56 @@
+/**
+ * GET   /api/devices?status=Pending|Approved|Revoked
+ * POST  /api/devices
+ * PATCH /api/devices
+ *
+ * Kiosk devices.
+ * GET lists them, newest request first (every status when omitted).
+ * POST body { name } is sent by a browser asking to be enrolled; responds
+ * 201 with { device, token }. The kiosk keeps the token and sends it as
+ * X-Device-Token; it is not accepted until an admin approves the device.
+ * PATCH body { deviceId, status?: Approved|Revoked, name? } approves,
+ * revokes or renames a device, with the signed-in admin as reviewer, and
+ * responds with { device }. GET and PATCH need an admin token (see
+ * requireAdmin in _lib/http.js).
+ */
+
+const { handle, allowMethods, sendJson, getQuery, requireAdmin, readJsonBody, httpError } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET', 'POST', 'PATCH'])) return;
+
+  if (req.method === 'GET') {
+    requireAdmin(req);
+    const { status } = getQuery(req);
+    const statuses = Object.values(attendance.DEVICE_STATUS);
+    if (status && !statuses.includes(status)) throw httpError(400, `status must be one of ${statuses.join(', ')}`);
+    const records = await attendance.listDevices(status || null);
+    sendJson(res, 200, { records });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  if (req.method === 'POST') {
+    const { device, token } = await attendance.requestDeviceEnrollment({ name: body.name });
+    console.log(`[Devices] ${device.deviceId} (${device.name}) asked to be enrolled`);
+    sendJson(res, 201, { device, token });
+    return;
+  }
+
+  const admin = requireAdmin(req);
+  if (!body.deviceId) throw httpError(400, 'deviceId is required');
+  const device = await attendance.updateDevice(body.deviceId, {
+    status: body.status,
+    name: body.name,
+    reviewedBy: admin.name
+  });
+  console.log(`[Devices] ${device.deviceId} (${device.name}) is ${device.status} (by ${admin.name})`);
+  sendJson(res, 200, { device });
+});
@@ -0,0 +1,17 @@
+/**
+ * GET /api/devices/me
+ *
+ * Enrollment state of the calling browser (by its X-Device-Token header).
+ * Responds { enrollment: 'off'|'required', device } with device null when
+ * the token is missing or unknown. The kiosk uses it to decide whether
+ * the clock buttons are open.
+ */
+
+const { handle, allowMethods, sendJson, getDeviceToken } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET'])) return;
+
+  sendJson(res, 200, await attendance.getDeviceStatus(getDeviceToken(req)));
+});
@@ -0,0 +1,15 @@
+/**
+ * GET /api/employees
+ *
+ * Employee directory for the kiosk search (public fields only).
+ */
+
+const { handle, allowMethods, sendJson } = require('./_lib/http');
+const attendance = require('./_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET'])) return;
+
+  const records = await attendance.listEmployees();
+  sendJson(res, 200, { records });
+});
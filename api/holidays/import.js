@@ -0,0 +1,37 @@
+/**
+ * POST /api/holidays/import
+ *
+ * Add the events of an iCalendar file to the holiday calendar.
+ * Body { ics, type? }: ics is the text of the .ics file, type the holiday
+ * type given to every imported entry (Regular Holiday when omitted).
+ * Responds with { imported: [holidays], skipped: [{ date, name, reason }],
+ * recordsUpdated }; dates already on the calendar, or taken off it, are
+ * skipped, not overwritten. Needs an admin token (see requireAdmin in
+ * _lib/http.js).
+ */
+
+const { handle, allowMethods, sendJson, requireAdmin, readJsonBody, httpError } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+// Large enough for several years of a country's holidays
+const MAX_ICS_LENGTH = 1024 * 1024;
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['POST'])) return;
+  requireAdmin(req);
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  const { ics, type } = body;
+  if (typeof ics !== 'string' || !ics.trim()) throw httpError(400, 'ics is required');
+  if (ics.length > MAX_ICS_LENGTH) throw httpError(413, 'The calendar file is too large');
+
+  const result = await attendance.importHolidays({ ics, type });
+  console.log(`[Holidays] Imported ${result.imported.length}, skipped ${result.skipped.length}; ${result.recordsUpdated} record(s) updated`);
+  sendJson(res, 200, result);
+});
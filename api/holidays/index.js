@@ -0,0 +1,57 @@
+/**
+ * GET    /api/holidays?from=YYYY-MM-DD&to=YYYY-MM-DD&all=1
+ * POST   /api/holidays
+ * DELETE /api/holidays?id=...
+ *
+ * The holiday calendar.
+ * GET responds { records } by date, the active entries between from and
+ * to (every date when omitted; inactive ones too with all=1).
+ * POST body { id?, date, name, type?, active? } adds a holiday (201) or
+ * changes the one with that id (200) and responds with { holiday }. type
+ * is Regular Holiday (default), Special Non-Working Day or Company
+ * Holiday. Day records already on the date are re-flagged;
+ * holiday.recordsUpdated says how many.
+ * DELETE takes the holiday off the calendar and responds with { holiday }.
+ * POST and DELETE need an admin token (see requireAdmin in _lib/http.js).
+ */
+
+const { handle, allowMethods, sendJson, getQuery, requireAdmin, readJsonBody, httpError } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET', 'POST', 'DELETE'])) return;
+
+  const query = getQuery(req);
+
+  if (req.method === 'GET') {
+    const { from, to } = query;
+    if ((from && !attendance.DATE_PATTERN.test(from)) || (to && !attendance.DATE_PATTERN.test(to))) {
+      throw httpError(400, 'from and to must be YYYY-MM-DD');
+    }
+    const records = await attendance.listHolidays({ from, to, all: query.all === '1' || query.all === 'true' });
+    sendJson(res, 200, { records });
+    return;
+  }
+
+  requireAdmin(req);
+
+  if (req.method === 'DELETE') {
+    if (!query.id) throw httpError(400, 'id is required');
+    const holiday = await attendance.removeHoliday(query.id);
+    console.log(`[Holidays] Removed ${holiday.name} on ${holiday.date}; ${holiday.recordsUpdated} record(s) updated`);
+    sendJson(res, 200, { holiday });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  const { id, date, name, type, active } = body;
+  const holiday = await attendance.saveHoliday({ id, date, name, type, active });
+  console.log(`[Holidays] ${holiday.date}: ${holiday.name} (${holiday.type}); ${holiday.recordsUpdated} record(s) updated`);
+  sendJson(res, id ? 200 : 201, { holiday });
+});
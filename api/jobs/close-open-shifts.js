@@ -0,0 +1,35 @@
+/**
+ * GET|POST /api/jobs/close-open-shifts
+ *
+ * End-of-day job, run daily by Vercel Cron (see vercel.json; cron times
+ * are UTC, 18:00 is 2 AM in Asia/Manila). Shifts left clocked in are
+ * closed at the scheduled end or flagged Incomplete, according to
+ * AUTO_CLOSE_POLICY, and returned as the review list:
+ * { date, time, policy, autoClosed, incomplete, review: [...] }.
+ *
+ * Needs "Authorization: Bearer <CRON_SECRET>". Without CRON_SECRET the job
+ * only runs outside Vercel (dev/server.js). Locally it can also be run
+ * without a server: node dev/close-open-shifts.js
+ */
+
+const { handle, allowMethods, sendJson, tokensMatch, httpError } = require('../_lib/http');
+const { getConfig } = require('../_lib/config');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+  const config = getConfig();
+  if (config.CRON_SECRET) {
+    if (!tokensMatch(req.headers.authorization || '', `Bearer ${config.CRON_SECRET}`)) throw httpError(401, 'Unauthorized');
+  } else if (process.env.VERCEL) {
+    throw httpError(503, 'CRON_SECRET is not configured');
+  }
+
+  const result = await attendance.closeOpenShifts({
+    policy: config.AUTO_CLOSE_POLICY,
+    lookbackDays: config.AUTO_CLOSE_LOOKBACK_DAYS
+  });
+  console.log(`[Auto-close] Closed ${result.autoClosed} and flagged ${result.incomplete} open shift(s)`);
+  sendJson(res, 200, result);
+});
@@ -0,0 +1,48 @@
+/**
+ * POST /api/phone/punch
+ *
+ * Body: { code, location? }
+ * Punches the signed-in employee (X-Phone-Session, see
+ * /api/phone/session) with the code scanned off a kiosk screen
+ * (/api/devices/code). The slot is picked as the kiosk's one-button
+ * punch would; responds { record, punch, actionType }, or 409 on a
+ * double punch as /api/punch does.
+ *
+ * 401 (code PHONE_SIGNED_OUT) without a valid session, 403
+ * (KIOSK_CODE_EXPIRED) for a code no longer on the kiosk screen, 403
+ * (KIOSK_CODE_INVALID) for anything else. location is required and must
+ * be inside a geofence whatever GEOFENCE_POLICY says (403
+ * LOCATION_REQUIRED / OFF_SITE); 503 (PHONE_PUNCH_DISABLED) as for
+ * /api/devices/code.
+ */
+
+const { handle, allowMethods, sendJson, sendError, getPhoneSession, readJsonBody, httpError } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['POST'])) return;
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  if (!body.code || typeof body.code !== 'string') {
+    throw httpError(400, 'code is required');
+  }
+
+  const result = await attendance.recordPhonePunch({
+    session: getPhoneSession(req),
+    code: body.code.trim(),
+    location: body.location
+  });
+
+  if (result.duplicate) {
+    sendError(res, 409, 'Punch already recorded', { record: result.duplicate, punch: result.punch });
+    return;
+  }
+
+  sendJson(res, 200, { record: result.record, punch: result.punch, actionType: result.actionType });
+});
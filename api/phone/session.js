@@ -0,0 +1,32 @@
+/**
+ * POST /api/phone/session
+ *
+ * Body: { employeeId, pin }
+ * Signs an employee in on their phone and responds
+ * { token, employee: { employeeId, name }, expiresAt }. The phone sends
+ * the token as X-Phone-Session with its punches (/api/phone/punch).
+ *
+ * Only employees with a kiosk PIN can sign in: 403 (code PIN_NOT_SET)
+ * otherwise. A wrong PIN is answered as at the kiosk (401 PIN_INCORRECT,
+ * 423 PIN_LOCKED). 503 (PHONE_PUNCH_DISABLED) as for /api/devices/code.
+ */
+
+const { handle, allowMethods, sendJson, readJsonBody, httpError } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['POST'])) return;
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  if (!body.employeeId || typeof body.employeeId !== 'string') {
+    throw httpError(400, 'employeeId is required');
+  }
+
+  sendJson(res, 200, await attendance.signInPhone({ employeeId: body.employeeId.trim(), pin: body.pin }));
+});
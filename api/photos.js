@@ -0,0 +1,34 @@
+/**
+ * GET /api/photos?employeeId=...&from=YYYY-MM-DD&to=YYYY-MM-DD
+ *
+ * Camera stills taken by the kiosk with punches, for supervisors to
+ * spot-check. Responds { records: [{ recordId, employeeId, date, time,
+ * direction, slot, photo }] } oldest first; recordId is the day record
+ * the punch went to. from and to are required so a request never reads
+ * the whole punch log. Needs an admin token (see requireAdmin in
+ * _lib/http.js); the kiosk sends one once a supervisor has signed in.
+ */
+
+const { handle, allowMethods, sendJson, getQuery, requireAdmin, httpError } = require('./_lib/http');
+const attendance = require('./_lib/attendance');
+const { parseDateKey, addDays } = require('../date-utils');
+
+// Longest range one request may cover
+const MAX_RANGE_DAYS = 62;
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET'])) return;
+  requireAdmin(req);
+
+  const { employeeId, from, to } = getQuery(req);
+  if (!parseDateKey(from) || !parseDateKey(to)) {
+    throw httpError(400, 'from and to must be YYYY-MM-DD');
+  }
+  if (from > to) throw httpError(400, 'from must not be after to');
+  if (addDays(from, MAX_RANGE_DAYS - 1) < to) {
+    throw httpError(400, `At most ${MAX_RANGE_DAYS} days of photos at a time`);
+  }
+
+  const records = await attendance.listPunchPhotos({ employeeId, from, to });
+  sendJson(res, 200, { records });
+});
@@ -0,0 +1,44 @@
+/**
+ * GET /api/pin?employeeId=...
+ * PUT /api/pin
+ *
+ * An employee's kiosk PIN.
+ * GET responds { pin: { employeeId, pinRequired, failedAttempts, lockouts,
+ * lockedUntil, adminUnlockRequired } } (never the PIN or its hash);
+ * adminUnlockRequired is set after repeated lockouts, which only an admin
+ * can lift.
+ * PUT body { employeeId, pin } sets or changes the PIN (4 to 8 digits);
+ * pin null or '' removes it. Either way a lockout is lifted. Responds
+ * with the new { pin } status.
+ * Both need an admin token (see requireAdmin in _lib/http.js); the kiosk
+ * learns who has a PIN from /api/employees.
+ */
+
+const { handle, allowMethods, sendJson, getQuery, requireAdmin, readJsonBody, httpError } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET', 'PUT'])) return;
+  const admin = requireAdmin(req);
+
+  if (req.method === 'GET') {
+    const { employeeId } = getQuery(req);
+    if (!employeeId) throw httpError(400, 'employeeId is required');
+    sendJson(res, 200, { pin: await attendance.getPinStatus(employeeId) });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  const { employeeId, pin } = body;
+  if (!employeeId) throw httpError(400, 'employeeId is required');
+
+  const status = await attendance.setEmployeePin(employeeId, pin);
+  console.log(`[PIN] ${admin.name} ${status.pinRequired ? 'set' : 'removed'} the PIN for ${employeeId}`);
+  sendJson(res, 200, { pin: status });
+});
@@ -0,0 +1,29 @@
+/**
+ * POST /api/pin/unlock
+ *
+ * Body: { employeeId }
+ * Lifts a PIN lockout (and clears the wrong-PIN count) without changing
+ * the PIN. Responds with the { pin } status. Needs an admin token (see
+ * requireAdmin in _lib/http.js).
+ */
+
+const { handle, allowMethods, sendJson, requireAdmin, readJsonBody, httpError } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['POST'])) return;
+  const admin = requireAdmin(req);
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  if (!body.employeeId) throw httpError(400, 'employeeId is required');
+
+  const status = await attendance.unlockEmployeePin(body.employeeId);
+  console.log(`[PIN] ${admin.name} unlocked ${body.employeeId}`);
+  sendJson(res, 200, { pin: status });
+});
@@ -0,0 +1,80 @@
+/**
+ * POST /api/punch
+ *
+ * Body: { employeeId, actionType, recordId?, date?, timeValue?, deviceTimestamp?,
+ *   clockOffsetMs?, pin?, photo?, location? }
+ * Adds an in or out punch (by the direction of actionType) to the day's
+ * attendance record and responds with { record, punch }. Responds 409
+ * with the existing record and the conflicting punch on a double punch
+ * (in after in, out after out).
+ *
+ * Live punches omit date/timeValue and are stamped with the server clock
+ * in BUSINESS_TIMEZONE. Punches replayed from the kiosk's offline queue
+ * carry the (offset-corrected) time they were captured at, plus the raw
+ * device clock at capture (deviceTimestamp) and the offset the kiosk had
+ * measured (clockOffsetMs); a date/timeValue without them is refused
+ * with 400. A replay that does not match them, or that arrives more than
+ * a few minutes after it was captured, is recorded with the day flagged
+ * Unverified time for review.
+ *
+ * Employees with a PIN must send it: 401 (code PIN_REQUIRED or
+ * PIN_INCORRECT) without it or with a wrong one, 423 (PIN_LOCKED) after
+ * too many wrong ones.
+ *
+ * photo is an optional JPEG data URL taken by the kiosk camera, stored
+ * with the punch (see /api/photos).
+ *
+ * location is the device's { latitude, longitude, accuracy } (meters).
+ * With GEOFENCE_POLICY=block a punch from outside every site is refused
+ * with 403 (code OFF_SITE, or LOCATION_REQUIRED without a usable fix);
+ * with flag it is recorded and the day marked OffSite.
+ *
+ * The kiosk's X-Device-Token header tags the punch with the enrolled
+ * device. With KIOSK_ENROLLMENT=required other browsers get 401 (code
+ * DEVICE_NOT_ENROLLED) or 403 (DEVICE_PENDING, DEVICE_REVOKED).
+ */
+
+const { handle, allowMethods, sendJson, sendError, getDeviceToken, readJsonBody, httpError } = require('./_lib/http');
+const attendance = require('./_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['POST'])) return;
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  const { employeeId, date, actionType, timeValue, recordId, deviceTimestamp, clockOffsetMs, pin, photo, location } = body;
+  const device = await attendance.authenticateDevice(getDeviceToken(req));
+
+  if (!attendance.TIME_SLOTS.includes(actionType)) {
+    throw httpError(400, `actionType must be one of ${attendance.TIME_SLOTS.join(', ')}`);
+  }
+  if (timeValue && attendance.parseTimeToMinutes(timeValue) === null) {
+    throw httpError(400, 'timeValue must be HH:MM or HH:MM AM/PM');
+  }
+  if (!recordId && !employeeId) {
+    throw httpError(400, 'employeeId is required');
+  }
+  if (date && !attendance.DATE_PATTERN.test(date)) {
+    throw httpError(400, 'date must be YYYY-MM-DD');
+  }
+
+  if (timeValue && deviceTimestamp) {
+    console.log(`[Punch] ${actionType} for ${employeeId || recordId} replayed from device time ${deviceTimestamp} (offset ${clockOffsetMs || 0} ms)${device ? ` (${device.name})` : ''}`);
+  }
+
+  const result = await attendance.recordPunch({
+    employeeId, date, actionType, timeValue, recordId, deviceTimestamp, clockOffsetMs, pin, photo, location, device
+  });
+
+  if (result.duplicate) {
+    sendError(res, 409, 'Punch already recorded', { record: result.duplicate, punch: result.punch });
+    return;
+  }
+
+  sendJson(res, 200, { record: result.record, punch: result.punch });
+});
@@ -0,0 +1,57 @@
+/**
+ * GET    /api/roster?from=YYYY-MM-DD&to=YYYY-MM-DD&employeeId=...
+ * POST   /api/roster
+ * DELETE /api/roster?id=...
+ *
+ * Shift roster assignments.
+ * GET responds { templates, assignments } with every assignment in force
+ * at some point between from and to (all of them when omitted), for one
+ * employee when employeeId is given.
+ * POST body { id?, employeeId, from, to?, shifts, rotationDays? } adds an
+ * assignment (201) or replaces the one with that id (200), assigned by
+ * the signed-in admin, and responds with { assignment }. shifts are
+ * template names, or "Off", taken in turn every rotationDays days (7 when
+ * omitted) from `from`.
+ * DELETE cancels an assignment and responds with { assignment }.
+ * POST and DELETE need an admin token (see requireAdmin in _lib/http.js).
+ */
+
+const { handle, allowMethods, sendJson, getQuery, requireAdmin, readJsonBody, httpError } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET', 'POST', 'DELETE'])) return;
+
+  const query = getQuery(req);
+
+  if (req.method === 'GET') {
+    const { from, to, employeeId } = query;
+    if ((from && !attendance.DATE_PATTERN.test(from)) || (to && !attendance.DATE_PATTERN.test(to))) {
+      throw httpError(400, 'from and to must be YYYY-MM-DD');
+    }
+    sendJson(res, 200, await attendance.listRoster({ from, to, employeeId }));
+    return;
+  }
+
+  const admin = requireAdmin(req);
+
+  if (req.method === 'DELETE') {
+    if (!query.id) throw httpError(400, 'id is required');
+    const assignment = await attendance.cancelRosterAssignment(query.id);
+    console.log(`[Roster] Cancelled ${assignment.shifts.join(', ')} for ${assignment.employeeId} from ${assignment.from}`);
+    sendJson(res, 200, { assignment });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  const { id, employeeId, from, to, shifts, rotationDays } = body;
+  const assignment = await attendance.saveRosterAssignment({ id, employeeId, from, to, shifts, rotationDays, assignedBy: admin.name });
+  console.log(`[Roster] ${assignment.employeeId}: ${assignment.shifts.join(', ')} from ${assignment.from}${assignment.to ? ` to ${assignment.to}` : ''}`);
+  sendJson(res, id ? 200 : 201, { assignment });
+});
@@ -0,0 +1,38 @@
+/**
+ * GET  /api/roster/shifts
+ * POST /api/roster/shifts
+ *
+ * Shift templates for the roster.
+ * GET responds { records } sorted by name.
+ * POST body { id?, name, hours, days?, graceMinutes?, lunch?, active? }
+ * adds a template (201) or changes the one with that id (200) and
+ * responds with { template }. hours and lunch look like
+ * "6:00 AM - 2:00 PM"; days lists the weekdays worked (Mon-Sat when
+ * empty). Templates cannot be renamed or deleted, only made inactive.
+ * POST needs an admin token (see requireAdmin in _lib/http.js).
+ */
+
+const { handle, allowMethods, sendJson, requireAdmin, readJsonBody, httpError } = require('../_lib/http');
+const attendance = require('../_lib/attendance');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+  if (req.method === 'GET') {
+    const records = await attendance.listShiftTemplates();
+    sendJson(res, 200, { records });
+    return;
+  }
+
+  requireAdmin(req);
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    throw httpError(400, 'Invalid JSON body');
+  }
+
+  const { id, name, hours, days, graceMinutes, lunch, active } = body;
+  const template = await attendance.saveShiftTemplate({ id, name, hours, days, graceMinutes, lunch, active });
+  sendJson(res, id ? 200 : 201, { template });
+});
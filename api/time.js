@@ -0,0 +1,24 @@
+/**
+ * GET /api/time
+ *
+ * The server clock, used by the kiosk to measure its own clock offset.
+ * Responds { now (epoch ms), timeZone, date (YYYY-MM-DD), time (hh:mm AM) }.
+ */
+
+const { handle, allowMethods, sendJson } = require('./_lib/http');
+const { getConfig } = require('./_lib/config');
+const { toDateKey, toTimeValue } = require('../date-utils');
+
+module.exports = handle(async (req, res) => {
+  if (!allowMethods(req, res, ['GET'])) return;
+
+  const now = new Date();
+  const timeZone = getConfig().BUSINESS_TIMEZONE;
+
+  sendJson(res, 200, {
+    now: now.getTime(),
+    timeZone,
+    date: toDateKey(now, timeZone),
+    time: toTimeValue(now, timeZone)
+  });
+});
@@ -0,0 +1,1291 @@
+/**
+ * attendance-rules.js
+ *
+ * The one place that decides how a day of punches turns into hours, a
+ * status and pay. Used by the kiosk (window.AttendanceRules), the admin
+ * attendance page and the /api functions (through clock-in-core.js), so
+ * all three agree on Half Day, Short Hours, overtime and lunch.
+ * Everything here is a pure function with no DOM or storage access, so
+ * it can be checked from Node: require('./attendance-rules').
+ *
+ * Records may be Airtable-shaped ({ fields: { TimeInAM, ... } }), raw
+ * Airtable fields, or the admin page's camelCase records ({ timeInAM, ... }).
+ * Employees use the camelCase directory fields: baseSalary,
+ * standardWorkweekHours, rateType, employmentType, coreWorkingHours,
+ * schedule, department.
+ *
+ * Schedules: an employee's Schedule field (JSON) gives the shift per
+ * weekday, the grace minutes before an In counts as late and the lunch
+ * window:
+ *   { "days": { "Mon": "8:00 AM - 5:00 PM", ..., "Sat": "8:00 AM - 12:00 PM" },
+ *     "graceMinutes": 10, "lunch": "12:00 PM - 1:00 PM" }
+ * A weekday left out is a day off. Without a Schedule, CoreWorkingHours
+ * is the shift from Monday to Saturday with no grace and no lunch window.
+ * Lateness, early outs and undertime are measured against the day's shift
+ * (see getScheduleVariance).
+ *
+ * Rosters: teams that rotate shifts get shift templates ({ name, hours,
+ * days, graceMinutes, lunch }) assigned by date range. An assignment lists
+ * one or more template names and moves to the next every rotationDays
+ * (7 = weekly), counting from its start date; 'Off' is a rostered day off.
+ * An employee object with a roster (see buildRoster) uses the rostered
+ * shift on any date an assignment covers, and its own schedule otherwise.
+ *
+ * Punches: a day holds any number of in/out punches in its PunchLog
+ * ("07:55 AM In, 12:00 PM Out, ..."); each punch is also kept as a row
+ * of the Punches table. The four slots TimeInAM ... TimeOutPM are a
+ * summary of the log for the screens that show four columns (see
+ * punchesToSlots). If the slots no longer match the log (edited by hand
+ * on the admin page), the slots win.
+ *
+ * Night shifts: a shift that runs past midnight belongs to the date it
+ * started on. Punches after midnight are marked "+1" in the PunchLog
+ * ("10:00 PM In, 06:00 AM +1 Out") and count 24 hours later. For a record
+ * with only the four slots, a slot earlier on the clock than the one
+ * before it is taken as past midnight, as long as the shift stays within
+ * MAX_SHIFT_HOURS.
+ *
+ * Missed clock-outs: a day whose last punch is an In more than
+ * MAX_SHIFT_HOURS ago is left open. The end-of-day job either closes it at
+ * the employee's scheduled end (ReviewFlag "Auto-closed") or flags it
+ * ReviewFlag "Incomplete"; either way a supervisor reviews it. An
+ * Incomplete day has that status whatever its punches say.
+ *
+ * Rounding: payroll may count punches rounded (nearest 15 minutes, the
+ * 7-minute rule, in-punches up to the scheduled start, ...). Policies are
+ * set per department (AIRTABLE_CONFIG.ROUNDING_POLICIES in the browser,
+ * setRoundingPolicies() on the server) and only change the hours; the
+ * punches themselves stay as clocked. calculateDayHours gives both the
+ * raw and the rounded (payable) hours.
+ *
+ * Holidays: a day record on a date of the holiday calendar carries its
+ * HolidayType (and Holiday name). Work on it is paid at the type's
+ * premium (HOLIDAY_PREMIUMS, overridable through
+ * AIRTABLE_CONFIG.HOLIDAY_PREMIUMS or setHolidayPremiums()); a record
+ * ticked IsDoublePay by hand (e.g. a Sunday) is paid double. Neither
+ * applies to fixed-rate employees.
+ *
+ * Rules:
+ * - Worked hours = sum of every in/out pair of the day, after rounding
+ * - Daily standard = StandardWorkweekHours / 7 (40 when not set)
+ * - Hourly rate = (BaseSalary / 30) / daily standard
+ * - Lunch: when the shift spans exactly the daily standard and more
+ *   than 8 hours (e.g. 8:00 AM - 6:00 PM on a 70 h week), the lunch hour is
+ *   paid, so a day with both halves worked gets 1 hour added
+ * - Overtime = total hours beyond the daily standard at 125%, time-based only
+ * - Regular pay: fixed rate gets the daily rate (half for a half day);
+ *   time-based gets hours up to the daily standard at the hourly rate
+ * - A day worked in one unbroken segment that covers the shift (e.g. a
+ *   10 PM - 6 AM guard who takes no break) is a full day, not a half day
+ * - Holiday / double pay: regular and overtime pay times the premium
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const rules = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = rules;
+  } else {
+    root.AttendanceRules = rules;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const DEFAULT_WORKWEEK_HOURS = 40;
+  const DAYS_PER_WEEK = 7;
+  const PAY_DAYS_PER_MONTH = 30;
+  const OVERTIME_MULTIPLIER = 1.25;
+  const LUNCH_HOURS = 1;
+
+  // Totals within this many hours of the daily standard count as exact
+  const TOLERANCE_HOURS = 0.01;
+  // A single half shorter than this is not counted as work at all
+  const MIN_VALID_HOURS = 0.5;
+  // A single half needs this share of half the daily standard to be a Half Day
+  const HALF_DAY_MIN_SHARE = 0.75;
+  // Longest span from first to last punch that still counts as one shift
+  const MAX_SHIFT_HOURS = 16;
+
+  const STATUS = {
+    PRESENT: 'Present',
+    OVERTIME: 'Overtime',
+    SHORT_HOURS: 'Short Hours',
+    HALF_DAY: 'Half Day',
+    INVALID: 'Invalid',
+    INCOMPLETE: 'Incomplete',
+    ABSENT: 'Absent',
+    ON_LEAVE: 'On Leave',
+    // Only for a day that is still in progress
+    WORKING: 'Working',
+    AT_LUNCH: 'At Lunch',
+    IN_PROGRESS: 'In Progress',
+    NO_RECORD: 'No Record'
+  };
+
+  // ReviewFlag values set by the end-of-day job and by offline replays
+  // whose time does not check out; a supervisor sets Reviewed
+  const REVIEW_FLAG = {
+    AUTO_CLOSED: 'Auto-closed',
+    INCOMPLETE: 'Incomplete',
+    UNVERIFIED_TIME: 'Unverified time',
+    REVIEWED: 'Reviewed'
+  };
+
+  function round2(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // ============================================
+  // TIME MATH
+  // ============================================
+
+  const TIME_12H = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP])\.?M\.?$/i;
+  const TIME_24H = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+  /**
+   * Parse time string to minutes since midnight
+   * Accepts "07:36 AM" / "7:36pm" (kiosk and Airtable) and "07:36" / "19:36:00"
+   * (24-hour, as sent by <input type="time">). Seconds are ignored.
+   * Out-of-range values such as "13:00 PM", "00:30 AM" or "24:00" are rejected.
+   * @param {string} timeStr - Time string
+   * @returns {number|null} - Minutes since midnight or null if invalid
+   */
+  function parseTimeToMinutes(timeStr) {
+    if (typeof timeStr !== 'string') return null;
+    const text = timeStr.trim();
+
+    const match12 = TIME_12H.exec(text);
+    if (match12) {
+      let hours = parseInt(match12[1], 10);
+      const minutes = parseInt(match12[2], 10);
+      if (hours < 1 || hours > 12 || minutes > 59) return null;
+
+      // 12 AM is midnight, 12 PM is noon
+      if (hours === 12) hours = 0;
+      if (match12[4].toUpperCase() === 'P') hours += 12;
+
+      return hours * 60 + minutes;
+    }
+
+    const match24 = TIME_24H.exec(text);
+    if (match24) {
+      const hours = parseInt(match24[1], 10);
+      const minutes = parseInt(match24[2], 10);
+      if (hours > 23 || minutes > 59) return null;
+      return hours * 60 + minutes;
+    }
+
+    return null;
+  }
+
+  /**
+   * Format minutes since midnight the way punches are stored
+   * Minutes past midnight (night shifts) wrap to the next day's clock.
+   * @returns {string} - e.g. "05:00 PM"
+   */
+  function formatMinutes(minutes) {
+    const total = ((Math.round(minutes) % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+    const hours = Math.floor(total / 60);
+    const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+    return `${String(hour12).padStart(2, '0')}:${String(total % 60).padStart(2, '0')} ${hours >= 12 ? 'PM' : 'AM'}`;
+  }
+
+  /**
+   * Read the four punches and stored values from any record shape
+   */
+  function readDay(record) {
+    const f = (record && record.fields) || record || {};
+    return {
+      timeInAM: f.TimeInAM || f.timeInAM || null,
+      timeOutAM: f.TimeOutAM || f.timeOutAM || null,
+      timeInPM: f.TimeInPM || f.timeInPM || null,
+      timeOutPM: f.TimeOutPM || f.timeOutPM || null,
+      punchLog: f.PunchLog || f.punchLog || '',
+      leaveType: f.LeaveType || f.leaveType || '',
+      reviewFlag: f.ReviewFlag || f.reviewFlag || '',
+      date: f.Date || f.date || null,
+      holidayType: f.HolidayType || f.holidayType || '',
+      isDoublePay: !!(f.IsDoublePay || f.isDoublePay),
+      storedHours: Number(f.TotalHoursWorked || f.totalHoursWorked) || 0
+    };
+  }
+
+  // ============================================
+  // PUNCH LOG
+  // ============================================
+
+  const PUNCH = {
+    IN: 'In',
+    OUT: 'Out'
+  };
+
+  const SLOTS = ['TimeInAM', 'TimeOutAM', 'TimeInPM', 'TimeOutPM'];
+  const NOON_MINUTES = 12 * 60;
+  const DAY_MINUTES = 24 * 60;
+  const MAX_SHIFT_MINUTES = MAX_SHIFT_HOURS * 60;
+  const LOG_ENTRY = /^(.*\S)\s+(in|out)$/i;
+  const NEXT_DAY_MARK = /\s*\+1$/;
+
+  /**
+   * Direction of a kiosk slot: TimeInAM/TimeInPM are In, TimeOutAM/TimeOutPM are Out
+   * @returns {string|null} - PUNCH.IN, PUNCH.OUT, or null for an unknown slot
+   */
+  function slotDirection(slot) {
+    if (/^TimeIn/.test(slot)) return PUNCH.IN;
+    if (/^TimeOut/.test(slot)) return PUNCH.OUT;
+    return null;
+  }
+
+  /**
+   * @param {boolean} nextDay - Punched after midnight, on the day after the shift's date
+   * @returns {object} - { time, direction, nextDay, minutes } with minutes counted from
+   *   midnight of the shift's date
+   */
+  function makePunch(time, direction, nextDay = false) {
+    const minutes = parseTimeToMinutes(time);
+    return {
+      time,
+      direction,
+      nextDay: !!nextDay,
+      minutes: minutes !== null && nextDay ? minutes + DAY_MINUTES : minutes
+    };
+  }
+
+  /**
+   * Parse a PunchLog field
+   * @param {string} text - e.g. "07:55 AM In, 12:00 PM Out" or "10:00 PM In, 06:00 AM +1 Out"
+   * @returns {Array} - [{ time, direction, nextDay, minutes }] in log order; unreadable entries are dropped
+   */
+  function parsePunchLog(text) {
+    if (typeof text !== 'string') return [];
+    return text.split(/[,;\n]/).map(entry => {
+      const match = LOG_ENTRY.exec(entry.trim());
+      if (!match) return null;
+      const direction = match[2].toLowerCase() === 'in' ? PUNCH.IN : PUNCH.OUT;
+      const nextDay = NEXT_DAY_MARK.test(match[1]);
+      const punch = makePunch(match[1].replace(NEXT_DAY_MARK, ''), direction, nextDay);
+      return punch.minutes === null ? null : punch;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Write punches back in PunchLog form
+   */
+  function formatPunchLog(punches) {
+    return punches.map(p => `${p.time}${p.nextDay ? ' +1' : ''} ${p.direction}`).join(', ');
+  }
+
+  /**
+   * Pair punches into worked segments, in order
+   * An Out without an In before it, or an In that is never closed, gives a
+   * segment with a null start or end.
+   * @returns {Array} - [{ start, end, in, out }] (start/end in minutes since midnight)
+   */
+  function pairSegments(punches) {
+    const segments = [];
+    let open = null;
+
+    punches.forEach(p => {
+      if (p.direction === PUNCH.IN) {
+        if (open) segments.push(open);
+        open = { start: p.minutes, end: null, in: p, out: null };
+      } else if (open) {
+        open.end = p.minutes;
+        open.out = p;
+        segments.push(open);
+        open = null;
+      } else {
+        segments.push({ start: null, end: p.minutes, in: null, out: p });
+      }
+    });
+    if (open) segments.push(open);
+
+    return segments;
+  }
+
+  /**
+   * Summarise punches as the four legacy slots
+   * First segment -> TimeInAM/TimeOutAM, the In of the second segment ->
+   * TimeInPM and the Out that closes the last one -> TimeOutPM, so the
+   * middle of a split shift only shows in the hours. A day with a single
+   * segment that starts at or after noon fills the PM slots instead.
+   * @returns {object} - { TimeInAM, TimeOutAM, TimeInPM, TimeOutPM } (null when empty)
+   */
+  function punchesToSlots(punches) {
+    const slots = {};
+    Object.entries(assignSlots(punches)).forEach(([slot, punch]) => {
+      slots[slot] = punch ? punch.time : null;
+    });
+    return slots;
+  }
+
+  /**
+   * The punch shown in each of the four slots (see punchesToSlots)
+   */
+  function assignSlots(punches) {
+    const slots = { TimeInAM: null, TimeOutAM: null, TimeInPM: null, TimeOutPM: null };
+    const segments = pairSegments(punches);
+    if (segments.length === 0) return slots;
+
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+
+    if (segments.length === 1 && (first.in || first.out).minutes >= NOON_MINUTES) {
+      slots.TimeInPM = first.in;
+      slots.TimeOutPM = first.out;
+      return slots;
+    }
+
+    slots.TimeInAM = first.in;
+    slots.TimeOutAM = first.out;
+    if (segments.length > 1) {
+      slots.TimeInPM = segments[1].in;
+      slots.TimeOutPM = last.out;
+    }
+    return slots;
+  }
+
+  /**
+   * Punches of a record that only has the four slots, in slot order
+   * Each punch keeps the slot it came from.
+   */
+  function slotsToPunches(day) {
+    const punches = [];
+    [
+      ['TimeInAM', day.timeInAM, PUNCH.IN],
+      ['TimeOutAM', day.timeOutAM, PUNCH.OUT],
+      ['TimeInPM', day.timeInPM, PUNCH.IN],
+      ['TimeOutPM', day.timeOutPM, PUNCH.OUT]
+    ].filter(([, time]) => time).forEach(([slot, time, direction]) => {
+      let punch = makePunch(time, direction);
+      const previous = punches[punches.length - 1];
+      if (previous && punch.minutes !== null && previous.minutes !== null && punch.minutes < previous.minutes &&
+          punch.minutes + DAY_MINUTES - punches[0].minutes <= MAX_SHIFT_MINUTES) {
+        punch = makePunch(time, direction, true);
+      }
+      punches.push({ ...punch, slot });
+    });
+    return punches;
+  }
+
+  /**
+   * The punches of a day
+   * Uses the PunchLog when the four slots still summarise it, otherwise
+   * the slots themselves.
+   * @param {object} record - Attendance record (any shape)
+   * @returns {Array} - [{ time, direction, minutes }]
+   */
+  function readPunches(record) {
+    const day = readDay(record);
+    const log = parsePunchLog(day.punchLog);
+
+    if (log.length > 0) {
+      const expected = punchesToSlots(log);
+      const matches = SLOTS.every(slot => {
+        const stored = day[slot.charAt(0).toLowerCase() + slot.slice(1)];
+        return parseTimeToMinutes(stored) === parseTimeToMinutes(expected[slot]);
+      });
+      if (matches) return log;
+    }
+
+    return slotsToPunches(day);
+  }
+
+  /**
+   * Add a punch to a day in time order
+   * A punch next to one in the same direction (in, in) is a double punch:
+   * the neighbour is returned as the conflict and nothing is added.
+   * @param {Array} punches - From readPunches
+   * @param {object} punch - { time, direction, nextDay? }
+   * @returns {object} - { punches, conflict }
+   */
+  function addPunch(punches, punch) {
+    const added = makePunch(punch.time, punch.direction, punch.nextDay);
+    let index = punches.length;
+    while (index > 0 && punches[index - 1].minutes > added.minutes) index--;
+
+    const before = punches[index - 1];
+    const after = punches[index];
+    const conflict = (before && before.direction === added.direction && before) ||
+                     (after && after.direction === added.direction && after) || null;
+    if (conflict) return { punches, conflict };
+
+    return { punches: [...punches.slice(0, index), added, ...punches.slice(index)], conflict: null };
+  }
+
+  /**
+   * Change the punch shown in one of the four slots (see assignSlots)
+   * The punch keeps its day; a slot with no punch yet gets one, after
+   * midnight when it falls before the day's first punch but within
+   * MAX_SHIFT_HOURS of it. The rest of the log (the middle of a split
+   * shift) is left as it is.
+   * @param {Array} punches - From readPunches
+   * @param {string} slot - TimeInAM, TimeOutAM, TimeInPM or TimeOutPM
+   * @param {string} time - e.g. "08:05 AM"
+   * @returns {object} - { punches, conflict } as addPunch
+   */
+  function correctPunch(punches, slot, time) {
+    const direction = slotDirection(slot);
+    const old = assignSlots(punches)[slot];
+    const rest = old ? punches.filter(p => p !== old) : punches;
+    const minutes = parseTimeToMinutes(time);
+    const nextDay = old
+      ? old.nextDay
+      : rest.length > 0 && minutes < rest[0].minutes && minutes + DAY_MINUTES - rest[0].minutes <= MAX_SHIFT_MINUTES;
+    return addPunch(rest, { time, direction, nextDay });
+  }
+
+  /**
+   * Whether a punch made after midnight continues the previous day's shift
+   * True for an Out while that shift is still clocked in, or any punch once
+   * the shift has already gone past midnight, within MAX_SHIFT_HOURS of
+   * the shift's first punch.
+   * @param {Array} punches - The previous day's punches (from readPunches)
+   * @param {object} punch - { time, direction } on its own calendar day
+   */
+  function continuesShift(punches, punch) {
+    const first = punches[0];
+    const last = punches[punches.length - 1];
+    const minutes = parseTimeToMinutes(punch.time);
+    if (!first || minutes === null || first.minutes === null) return false;
+    if (minutes + DAY_MINUTES - first.minutes > MAX_SHIFT_MINUTES) return false;
+
+    return last.nextDay || (punch.direction === PUNCH.OUT && last.direction === PUNCH.IN);
+  }
+
+  /**
+   * Parse CoreWorkingHours into start/end minutes
+   * @returns {object|null} - { start, end }; end is past midnight (+24 h) for a night schedule
+   */
+  function parseSchedule(coreWorkingHours) {
+    if (!coreWorkingHours || coreWorkingHours === 'N/A') return null;
+
+    const parts = String(coreWorkingHours).split('-').map(s => s.trim());
+    if (parts.length !== 2) return null;
+
+    const start = parseTimeToMinutes(parts[0]);
+    const end = parseTimeToMinutes(parts[1]);
+    if (start === null || end === null) return null;
+
+    return { start, end: end > start ? end : end + DAY_MINUTES };
+  }
+
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  // Days CoreWorkingHours applies to when there is no Schedule (Mon-Sat)
+  const DEFAULT_WORKDAYS = [1, 2, 3, 4, 5, 6];
+  // Order in which the usual shift is looked for
+  const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+  /**
+   * An employee's weekly schedule, from Schedule or else CoreWorkingHours
+   * An unreadable Schedule is ignored in favour of CoreWorkingHours.
+   * @returns {object|null} - { days, graceMinutes, lunch }: days has one
+   *   { start, end } (or null for a day off) per day of the week, Sunday
+   *   first; null when neither field gives a shift
+   */
+  function getWeeklySchedule(emp) {
+    let source = emp && emp.schedule;
+    if (typeof source === 'string') {
+      try {
+        source = source.trim() ? JSON.parse(source) : null;
+      } catch (err) {
+        source = null;
+      }
+    }
+
+    if (source && typeof source === 'object' && source.days && typeof source.days === 'object') {
+      const days = WEEKDAYS.map(name => parseSchedule(source.days[name] || source.days[name.toLowerCase()]));
+      if (days.some(Boolean)) {
+        return {
+          days,
+          graceMinutes: Math.max(0, Number(source.graceMinutes) || 0),
+          lunch: parseSchedule(source.lunch)
+        };
+      }
+    }
+
+    const core = parseSchedule(emp && emp.coreWorkingHours);
+    if (!core) return null;
+    return { days: WEEKDAYS.map((name, i) => (DEFAULT_WORKDAYS.includes(i) ? core : null)), graceMinutes: 0, lunch: null };
+  }
+
+  // ============================================
+  // ROSTERS
+  // ============================================
+
+  const OFF_SHIFT = 'Off';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function dayNumber(date) {
+    const time = Date.parse(`${String(date).slice(0, 10)}T00:00:00Z`);
+    return Number.isNaN(time) ? null : Math.round(time / DAY_MS);
+  }
+
+  /**
+   * Weekly schedule of a shift template
+   * @param {object} template - { hours, days, graceMinutes, lunch }; days is a list
+   *   (or comma-separated text) of Sun ... Sat, Monday to Saturday when empty
+   * @returns {object|null} - Same shape as getWeeklySchedule, or null if hours are unreadable
+   */
+  function templateToSchedule(template) {
+    const shift = parseSchedule(template && template.hours);
+    if (!shift) return null;
+
+    const listed = Array.isArray(template.days) ? template.days : String(template.days || '').split(',');
+    const names = listed.map(d => String(d).trim().slice(0, 3).toLowerCase()).filter(Boolean);
+    const workdays = names.length > 0
+      ? WEEKDAYS.map((name, i) => (names.includes(name.toLowerCase()) ? i : null)).filter(i => i !== null)
+      : DEFAULT_WORKDAYS;
+
+    return {
+      days: WEEKDAYS.map((name, i) => (workdays.includes(i) ? shift : null)),
+      graceMinutes: Math.max(0, Number(template.graceMinutes) || 0),
+      lunch: parseSchedule(template.lunch)
+    };
+  }
+
+  /**
+   * Roster of one employee, to set as emp.roster
+   * @param {Array} templates - [{ name, hours, days, graceMinutes, lunch }]
+   * @param {Array} assignments - The employee's [{ from, to, shifts, rotationDays }];
+   *   to may be empty (open-ended), shifts is a list of template names
+   * @returns {object} - { templates, assignments }; on overlapping assignments
+   *   the one that starts latest wins (a one-day swap over a rotation)
+   */
+  function buildRoster(templates, assignments) {
+    const byName = {};
+    (templates || []).forEach(t => {
+      if (t && t.name) byName[t.name] = templateToSchedule(t);
+    });
+    const sorted = (assignments || [])
+      .filter(a => a && dayNumber(a.from) !== null && Array.isArray(a.shifts) && a.shifts.length > 0)
+      .slice()
+      .sort((a, b) => dayNumber(b.from) - dayNumber(a.from));
+    return { templates: byName, assignments: sorted };
+  }
+
+  /**
+   * Shift template rostered on a day
+   * @returns {string|null} - Template name ('Off' for a rostered day off), or
+   *   null when no assignment covers the day
+   */
+  function getRosteredShiftName(roster, date) {
+    const day = dayNumber(date);
+    if (!roster || day === null) return null;
+
+    const assignment = roster.assignments.find(a => {
+      return dayNumber(a.from) <= day && (!a.to || dayNumber(a.to) >= day);
+    });
+    if (!assignment) return null;
+
+    const period = Math.max(1, Number(assignment.rotationDays) || 7);
+    const index = Math.floor((day - dayNumber(assignment.from)) / period) % assignment.shifts.length;
+    return assignment.shifts[index];
+  }
+
+  function pickDay(weekly, date) {
+    if (!weekly) return null;
+    if (!date) return WEEK_ORDER.map(i => weekly.days[i]).find(Boolean) || null;
+    const day = dayNumber(date);
+    return day === null ? null : weekly.days[(day % 7 + 11) % 7];
+  }
+
+  /**
+   * The shift of one day
+   * A rostered day uses its shift template (a template that is missing or
+   * unreadable leaves the day without a shift).
+   * @param {string} date - YYYY-MM-DD; omitted gives the usual shift (the
+   *   first one of the week from Monday)
+   * @returns {object|null} - { start, end, lunch, graceMinutes } in minutes from
+   *   the day's midnight (past 24 h for a night shift), or null on a day off
+   */
+  function getDaySchedule(emp, date) {
+    const rostered = date && emp && emp.roster ? getRosteredShiftName(emp.roster, date) : null;
+    if (rostered === OFF_SHIFT) return null;
+    const weekly = rostered ? emp.roster.templates[rostered] || null : getWeeklySchedule(emp);
+    return toDaySchedule(weekly, pickDay(weekly, date));
+  }
+
+  function toDaySchedule(weekly, shift) {
+    if (!shift) return null;
+
+    // A lunch window earlier on the clock than the start is after midnight;
+    // one outside the shift (e.g. a short Saturday) does not apply
+    let lunch = weekly.lunch;
+    if (lunch && lunch.start < shift.start) {
+      lunch = { start: lunch.start + DAY_MINUTES, end: lunch.end + DAY_MINUTES };
+    }
+    if (lunch && (lunch.start < shift.start || lunch.end > shift.end)) lunch = null;
+    return { start: shift.start, end: shift.end, lunch, graceMinutes: weekly.graceMinutes };
+  }
+
+  /**
+   * Shift to work a day's punches against: the day's own, or the usual one
+   * when the day is off (overtime on a rest day still has a shift end).
+   * The usual one of a rostered day is its template's.
+   */
+  function getShiftSchedule(emp, date) {
+    const day = getDaySchedule(emp, date);
+    if (day) return day;
+
+    const rostered = date && emp && emp.roster ? getRosteredShiftName(emp.roster, date) : null;
+    const template = rostered && rostered !== OFF_SHIFT ? emp.roster.templates[rostered] : null;
+    return template ? toDaySchedule(template, pickDay(template)) : getDaySchedule(emp);
+  }
+
+  /**
+   * The In of a shift that was never clocked out
+   * @param {Array} punches - From readPunches
+   * @returns {object|null} - The open In punch, or null when the last punch is an Out
+   */
+  function getOpenPunch(punches) {
+    const last = punches[punches.length - 1];
+    return last && last.direction === PUNCH.IN ? last : null;
+  }
+
+  /**
+   * Whether an open shift can no longer be clocked out normally
+   * True once MAX_SHIFT_HOURS have passed since the day's first punch.
+   * @param {Array} punches - From readPunches
+   * @param {number} elapsedDays - Days from the record's date to today
+   * @param {string} time - Current time on today's clock
+   */
+  function isShiftAbandoned(punches, elapsedDays, time) {
+    const first = punches[0];
+    const minutes = parseTimeToMinutes(time);
+    if (!getOpenPunch(punches) || !first || minutes === null) return false;
+    return elapsedDays * DAY_MINUTES + minutes - first.minutes > MAX_SHIFT_MINUTES;
+  }
+
+  /**
+   * Out punch that closes an open shift at the scheduled end
+   * @param {Array} punches - From readPunches
+   * @param {object} emp - Employee (the schedule gives the end)
+   * @param {string} date - The record's date (YYYY-MM-DD)
+   * @returns {object|null} - { time, direction, nextDay }, or null without a
+   *   schedule or when the open In is at or after the scheduled end
+   */
+  function getScheduledClose(punches, emp, date) {
+    const open = getOpenPunch(punches);
+    const schedule = getShiftSchedule(emp, date);
+    if (!open || !schedule || schedule.end <= open.minutes) return null;
+
+    return { time: formatMinutes(schedule.end), direction: PUNCH.OUT, nextDay: schedule.end >= DAY_MINUTES };
+  }
+
+  /**
+   * Slot the next punch most likely is, for the kiosk's one-button mode
+   * The direction follows the last punch (in after out, out after in). The
+   * slot is picked around the middle of the day's shift (noon without a
+   * schedule): a first in before it is a morning in, an
+   * out of the first stretch up to an hour after it is a morning out, and
+   * everything later is an afternoon punch.
+   * @param {Array} punches - The day's punches so far (readPunches, plus any still queued)
+   * @param {object} emp - Employee
+   * @param {string} time - Time of the punch
+   * @param {string} date - Date of the punch (YYYY-MM-DD)
+   * @returns {string} - TimeInAM, TimeOutAM, TimeInPM or TimeOutPM
+   */
+  function suggestNextSlot(punches, emp, time, date) {
+    const last = punches[punches.length - 1];
+    const schedule = getShiftSchedule(emp, date);
+    const midpoint = schedule ? (schedule.start + schedule.end) / 2 : NOON_MINUTES;
+
+    let minutes = parseTimeToMinutes(time);
+    if (minutes === null) minutes = NOON_MINUTES;
+    // Past midnight on a night shift: count from the shift's date
+    if (last && minutes < last.minutes) minutes += DAY_MINUTES;
+
+    if (!last || last.direction === PUNCH.OUT) {
+      return punches.length === 0 && minutes < midpoint ? 'TimeInAM' : 'TimeInPM';
+    }
+    return punches.length === 1 && minutes < midpoint + 60 ? 'TimeOutAM' : 'TimeOutPM';
+  }
+
+  /**
+   * Slots of a record whose time is after midnight (for a "+1" marker)
+   * @returns {Array} - Slot names, e.g. ['TimeOutPM']
+   */
+  function getNextDaySlots(record) {
+    const punches = readPunches(record);
+    if (punches.every(p => p.slot)) {
+      return punches.filter(p => p.nextDay).map(p => p.slot);
+    }
+    return Object.entries(assignSlots(punches)).filter(([, p]) => p && p.nextDay).map(([slot]) => slot);
+  }
+
+  /**
+   * Calculate total hours worked from the day's punches (no lunch adjustment)
+   * @param {object} record - Attendance record with a PunchLog and/or the four slots
+   * @returns {number} - Total hours worked
+   */
+  function calculateTotalHours(record) {
+    return sumSegmentHours(readPunches(record));
+  }
+
+  function sumSegmentHours(punches) {
+    const minutes = pairSegments(punches).reduce((sum, s) => {
+      return s.start !== null && s.end !== null && s.end > s.start ? sum + s.end - s.start : sum;
+    }, 0);
+    return minutes / 60;
+  }
+
+  /**
+   * Parse CoreWorkingHours and get the schedule span in hours
+   * @param {string} coreWorkingHours - e.g. "8:00 AM - 6:00 PM"
+   * @returns {number|null} - e.g. 10, or null when missing or unreadable
+   */
+  function getScheduleSpanHours(coreWorkingHours) {
+    // A night schedule such as "10:00 PM - 6:00 AM" ends the next day
+    const schedule = parseSchedule(coreWorkingHours);
+    return schedule ? (schedule.end - schedule.start) / 60 : null;
+  }
+
+  // ============================================
+  // EMPLOYEE RATES
+  // ============================================
+
+  /**
+   * Check if employee is fixed rate (no overtime pay)
+   * @param {object} emp - Employee data
+   * @returns {boolean} - True if fixed rate
+   */
+  function isFixedRate(emp) {
+    if (!emp) return false;
+    const rateType = (emp.rateType || '').toLowerCase();
+    const empType = (emp.employmentType || emp.type || '').toLowerCase();
+    return rateType.includes('fixed') ||
+           rateType.includes('monthly') ||
+           rateType.includes('salary') ||
+           empType.includes('fixed');
+  }
+
+  /**
+   * Daily standard hours = Standard Workweek Hours / 7 days
+   */
+  function getDailyStandardHours(emp) {
+    const weekly = Number(emp && emp.standardWorkweekHours) || DEFAULT_WORKWEEK_HOURS;
+    return weekly / DAYS_PER_WEEK;
+  }
+
+  /**
+   * Daily rate for fixed-rate pay (BaseSalary / 30)
+   */
+  function calculateDailyRate(emp) {
+    return (Number(emp && emp.baseSalary) || 0) / PAY_DAYS_PER_MONTH;
+  }
+
+  /**
+   * Calculate hourly rate from employee data
+   * @param {object} emp - Employee data
+   * @returns {number} - Hourly rate
+   */
+  function calculateHourlyRate(emp) {
+    const dailyRate = calculateDailyRate(emp);
+    if (!dailyRate) return 0;
+    return dailyRate / getDailyStandardHours(emp);
+  }
+
+  /**
+   * Whether the employee's schedule includes a paid lunch hour
+   * True when the shift spans exactly the daily standard and more than 8 hours.
+   * @param {string} date - Day to check (YYYY-MM-DD); omitted uses the usual shift
+   */
+  function hasPaidLunch(emp, date) {
+    const schedule = getShiftSchedule(emp, date);
+    const span = schedule ? (schedule.end - schedule.start) / 60 : null;
+    return span !== null && span > 8 && Math.abs(span - getDailyStandardHours(emp)) < TOLERANCE_HOURS;
+  }
+
+  // ============================================
+  // ROUNDING
+  // ============================================
+
+  // How a punch moves to the increment: nearest (7:07 -> 7:00, 7:08 -> 7:15
+  // at 15 minutes, the "7-minute rule"), always up, or always down
+  const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+  let roundingPolicies = (typeof AIRTABLE_CONFIG !== 'undefined' && AIRTABLE_CONFIG.ROUNDING_POLICIES) || {};
+
+  /**
+   * Check a rounding policy and fill in its defaults
+   * @param {object} policy - { increment, in, out, inToScheduleStart }: increment
+   *   in minutes (0 = none), in/out one of ROUNDING_MODES ('nearest' when
+   *   omitted), inToScheduleStart counts an early first In from the
+   *   scheduled start
+   * @returns {object} - The complete policy
+   */
+  function normalizeRoundingPolicy(policy) {
+    const increment = Number(policy && policy.increment) || 0;
+    if (increment < 0 || increment > 60) {
+      throw new Error(`Rounding increment must be 0-60 minutes: ${policy.increment}`);
+    }
+    const normalized = {
+      increment,
+      in: (policy && policy.in) || 'nearest',
+      out: (policy && policy.out) || 'nearest',
+      inToScheduleStart: !!(policy && policy.inToScheduleStart)
+    };
+    [normalized.in, normalized.out].forEach(mode => {
+      if (!ROUNDING_MODES.includes(mode)) throw new Error(`Unknown rounding mode: ${mode}`);
+    });
+    return normalized;
+  }
+
+  /**
+   * Set the rounding policies used for payable hours
+   * @param {object} policies - { [department]: policy, default: policy };
+   *   a department without an entry uses `default`, none means no rounding
+   */
+  function setRoundingPolicies(policies) {
+    const checked = {};
+    Object.entries(policies || {}).forEach(([department, policy]) => {
+      checked[department] = normalizeRoundingPolicy(policy);
+    });
+    roundingPolicies = checked;
+  }
+
+  /**
+   * Rounding policy for an employee's department
+   * @returns {object|null} - Normalized policy, or null when nothing is rounded
+   */
+  function getRoundingPolicy(emp) {
+    const department = emp && emp.department;
+    const policy = (department && roundingPolicies[department]) || roundingPolicies.default;
+    return policy ? normalizeRoundingPolicy(policy) : null;
+  }
+
+  function roundMinutes(minutes, increment, mode) {
+    if (!increment) return minutes;
+    const steps = minutes / increment;
+    if (mode === 'up') return Math.ceil(steps) * increment;
+    if (mode === 'down') return Math.floor(steps) * increment;
+    return Math.round(steps) * increment;
+  }
+
+  /**
+   * Punches as payroll counts them under the employee's rounding policy
+   * Each rounded punch keeps its clocked time as rawTime.
+   * @param {Array} punches - From readPunches
+   * @param {string} date - The day's date (YYYY-MM-DD), for its scheduled start
+   * @returns {Array} - New punches (the same list when no policy applies)
+   */
+  function roundPunches(punches, emp, date) {
+    const policy = getRoundingPolicy(emp);
+    if (!policy) return punches;
+    const schedule = policy.inToScheduleStart ? getShiftSchedule(emp, date) : null;
+
+    return punches.map((p, index) => {
+      if (p.minutes === null) return p;
+      let minutes;
+      if (schedule && index === 0 && p.direction === PUNCH.IN && p.minutes < schedule.start) {
+        minutes = schedule.start;
+      } else {
+        minutes = roundMinutes(p.minutes, policy.increment, p.direction === PUNCH.IN ? policy.in : policy.out);
+      }
+      if (minutes === p.minutes) return p;
+      return { ...p, time: formatMinutes(minutes), nextDay: minutes >= DAY_MINUTES, minutes, rawTime: p.time };
+    });
+  }
+
+  /**
+   * The day's PunchLog as payroll counts it
+   * @returns {string} - Rounded log, or '' when no rounding policy applies
+   */
+  function getRoundedPunchLog(record, emp) {
+    if (!getRoundingPolicy(emp)) return '';
+    return formatPunchLog(roundPunches(readPunches(record), emp, readDay(record).date));
+  }
+
+  // ============================================
+  // HOLIDAYS
+  // ============================================
+
+  const HOLIDAY_TYPES = {
+    REGULAR: 'Regular Holiday',
+    SPECIAL: 'Special Non-Working Day',
+    COMPANY: 'Company Holiday'
+  };
+
+  // Pay for work on the day, as a multiple of the ordinary rate
+  const HOLIDAY_PREMIUMS = {
+    [HOLIDAY_TYPES.REGULAR]: 2,
+    [HOLIDAY_TYPES.SPECIAL]: 1.3,
+    [HOLIDAY_TYPES.COMPANY]: 2
+  };
+  const DOUBLE_PAY_MULTIPLIER = 2;
+
+  let holidayPremiums = {
+    ...HOLIDAY_PREMIUMS,
+    ...((typeof AIRTABLE_CONFIG !== 'undefined' && AIRTABLE_CONFIG.HOLIDAY_PREMIUMS) || {})
+  };
+
+  /**
+   * Override the premium of some holiday types
+   * @param {object} premiums - { [holidayType]: multiplier }; types left
+   *   out keep HOLIDAY_PREMIUMS
+   */
+  function setHolidayPremiums(premiums) {
+    const checked = { ...HOLIDAY_PREMIUMS };
+    Object.entries(premiums || {}).forEach(([type, premium]) => {
+      if (!Object.values(HOLIDAY_TYPES).includes(type)) throw new Error(`Unknown holiday type: ${type}`);
+      if (!(Number(premium) >= 1)) throw new Error(`Holiday premium must be at least 1: ${premium}`);
+      checked[type] = Number(premium);
+    });
+    holidayPremiums = checked;
+  }
+
+  /**
+   * The holiday on a date
+   * @param {Array} holidays - Calendar entries { date, name, type, active? }
+   * @param {string} date - YYYY-MM-DD
+   * @returns {object|null} - The entry, or null for an ordinary day
+   */
+  function findHoliday(holidays, date) {
+    if (!date) return null;
+    const key = String(date).slice(0, 10);
+    return (holidays || []).find(h => h.date === key && h.active !== false) || null;
+  }
+
+  /**
+   * What a day's work is paid at, as a multiple of the ordinary rate
+   * @returns {number} - The holiday premium, DOUBLE_PAY_MULTIPLIER for a
+   *   record ticked double pay, otherwise 1 (always 1 for fixed rate)
+   */
+  function getPayMultiplier(record, emp) {
+    if (isFixedRate(emp)) return 1;
+    const day = readDay(record);
+    if (day.holidayType && holidayPremiums[day.holidayType]) return holidayPremiums[day.holidayType];
+    return day.isDoublePay ? DOUBLE_PAY_MULTIPLIER : 1;
+  }
+
+  // ============================================
+  // DAY EVALUATION
+  // ============================================
+
+  /**
+   * Hours for one day
+   * Worked hours come from the punches, rounded by the employee's rounding
+   * policy; rawTotalHours is the same total from the punches as clocked.
+   * A record without a complete half (e.g. entered with totals only) falls
+   * back to its stored TotalHoursWorked for both. fullDay is true when both
+   * halves were worked, or one half in a single segment that covers the
+   * shift (see coversShift).
+   * @returns {object} - { workedHours, lunchHours, totalHours, rawTotalHours, hasAM, hasPM, fullDay }
+   */
+  function calculateDayHours(record, emp) {
+    const day = readDay(record);
+    const hasAM = !!(day.timeInAM && day.timeOutAM);
+    const hasPM = !!(day.timeInPM && day.timeOutPM);
+
+    let workedHours = day.storedHours;
+    let rawHours = day.storedHours;
+    let fullDay = hasAM && hasPM;
+    if (hasAM || hasPM) {
+      const punches = readPunches(record);
+      rawHours = sumSegmentHours(punches);
+      workedHours = sumSegmentHours(roundPunches(punches, emp, day.date));
+      if (!fullDay) fullDay = coversShift(punches, emp, day.date);
+    }
+    const lunchHours = hasAM && hasPM && hasPaidLunch(emp, day.date) ? LUNCH_HOURS : 0;
+
+    return {
+      workedHours: round2(workedHours),
+      lunchHours,
+      totalHours: round2(workedHours + lunchHours),
+      rawTotalHours: round2(rawHours + lunchHours),
+      hasAM,
+      hasPM,
+      fullDay
+    };
+  }
+
+  /**
+   * Whether a day's punches are one closed segment at least as long as its
+   * shift (span less the lunch window, at most the daily standard)
+   * The four slots only hold one half of such a day, e.g. a 10:00 PM -
+   * 6:00 AM shift in TimeInPM/TimeOutPM.
+   */
+  function coversShift(punches, emp, date) {
+    const segments = pairSegments(punches);
+    if (segments.length !== 1 || segments[0].start === null || segments[0].end === null) return false;
+
+    const schedule = getShiftSchedule(emp, date);
+    if (!schedule) return false;
+    const lunchMinutes = schedule.lunch ? schedule.lunch.end - schedule.lunch.start : 0;
+    const shiftMinutes = Math.min(schedule.end - schedule.start - lunchMinutes, getDailyStandardHours(emp) * 60);
+    return segments[0].end - segments[0].start >= shiftMinutes - TOLERANCE_HOURS * 60;
+  }
+
+  /**
+   * Overtime beyond the daily standard; always 0 for fixed-rate employees
+   * @param {number} totalHours - Paid hours for the day (lunch included)
+   * @param {number} payMultiplier - Holiday/double pay premium (see getPayMultiplier)
+   * @returns {object} - { overtimeHours, overtimePay }
+   */
+  function calculateOvertime(totalHours, emp, payMultiplier = 1) {
+    if (isFixedRate(emp)) return { overtimeHours: 0, overtimePay: 0 };
+
+    const overtimeHours = Math.max(0, (Number(totalHours) || 0) - getDailyStandardHours(emp));
+    return {
+      overtimeHours: round2(overtimeHours),
+      overtimePay: round2(overtimeHours * calculateHourlyRate(emp) * OVERTIME_MULTIPLIER * payMultiplier)
+    };
+  }
+
+  /**
+   * Regular (non-overtime) pay for a day
+   * @param {object} hours - Result of calculateDayHours
+   * @param {number} payMultiplier - Holiday/double pay premium (time-based only)
+   */
+  function calculateRegularPay(hours, emp, payMultiplier = 1) {
+    if (isFixedRate(emp)) {
+      // Full daily rate regardless of late/short hours/overtime; half for one half
+      const halves = hours.fullDay ? 2 : (hours.hasAM ? 1 : 0) + (hours.hasPM ? 1 : 0);
+      return round2(calculateDailyRate(emp) * halves / 2);
+    }
+    return round2(Math.min(hours.totalHours, getDailyStandardHours(emp)) * calculateHourlyRate(emp) * payMultiplier);
+  }
+
+  function isOnLeave(leaveType) {
+    return !!leaveType && leaveType !== 'None';
+  }
+
+  /**
+   * Lateness, early out and undertime of a day against its shift
+   * Late: the first In, or the return from the lunch window, more than the
+   * grace minutes after the scheduled time (then counted in full). Early
+   * out: the last Out before the scheduled end. Undertime: paid hours
+   * short of the shift (its span less the lunch window, at most the daily
+   * standard). Early out and undertime wait until the shift is clocked out.
+   * Days off, leave days and days without punches are all zeros.
+   * @param {object} options - { inProgress } for today's record, which is
+   *   only checked for lateness
+   * @returns {object} - { scheduled, lateMinutes, earlyOutMinutes, undertimeMinutes }
+   */
+  function getScheduleVariance(record, emp, options = {}) {
+    const day = readDay(record);
+    const schedule = getDaySchedule(emp, day.date);
+    const punches = readPunches(record);
+    const variance = { scheduled: !!schedule, lateMinutes: 0, earlyOutMinutes: 0, undertimeMinutes: 0 };
+    if (!schedule || isOnLeave(day.leaveType) || punches.length === 0) return variance;
+
+    const grace = schedule.graceMinutes;
+    const first = punches[0];
+    if (first.direction === PUNCH.IN && first.minutes - schedule.start > grace) {
+      variance.lateMinutes += first.minutes - schedule.start;
+    }
+    const back = schedule.lunch && punches.find((p, i) => i > 0 && p.direction === PUNCH.IN);
+    if (back && back.minutes - schedule.lunch.end > grace) {
+      variance.lateMinutes += back.minutes - schedule.lunch.end;
+    }
+
+    if (options.inProgress || getOpenPunch(punches)) return variance;
+
+    const last = punches[punches.length - 1];
+    variance.earlyOutMinutes = Math.max(0, schedule.end - last.minutes);
+
+    const lunchMinutes = schedule.lunch ? schedule.lunch.end - schedule.lunch.start : 0;
+    const shiftMinutes = Math.min(schedule.end - schedule.start - lunchMinutes, getDailyStandardHours(emp) * 60);
+    const paidMinutes = Math.round(calculateDayHours(record, emp).rawTotalHours * 60);
+    variance.undertimeMinutes = Math.max(0, shiftMinutes - paidMinutes);
+    return variance;
+  }
+
+  /**
+   * Status of a day
+   * @param {object} options - { inProgress } for today's record, which shows
+   *   Working / At Lunch instead of judging a day that is not over yet
+   * @returns {string} - One of STATUS
+   */
+  function getDayStatus(record, emp, options = {}) {
+    const day = readDay(record);
+    if (isOnLeave(day.leaveType)) return STATUS.ON_LEAVE;
+    if (day.reviewFlag === REVIEW_FLAG.INCOMPLETE) return STATUS.INCOMPLETE;
+
+    const hours = calculateDayHours(record, emp);
+    const anyPunch = !!(day.timeInAM || day.timeOutAM || day.timeInPM || day.timeOutPM);
+
+    if (options.inProgress && !hours.fullDay) {
+      if (day.timeInPM && !day.timeOutPM) return STATUS.WORKING;
+      if (hours.hasAM && !day.timeInPM) return STATUS.AT_LUNCH;
+      if (day.timeInAM && !day.timeOutAM) return STATUS.WORKING;
+      if (!anyPunch) return STATUS.NO_RECORD;
+      if (!hours.hasPM) return STATUS.IN_PROGRESS;
+    }
+
+    const dailyStd = getDailyStandardHours(emp);
+
+    if (hours.fullDay) {
+      if (hours.totalHours < dailyStd - TOLERANCE_HOURS) return STATUS.SHORT_HOURS;
+      if (hours.totalHours > dailyStd + TOLERANCE_HOURS) return STATUS.OVERTIME;
+      return STATUS.PRESENT;
+    }
+
+    if (hours.hasAM || hours.hasPM) {
+      if (hours.totalHours < MIN_VALID_HOURS) return STATUS.INVALID;
+      if (hours.totalHours < dailyStd / 2 * HALF_DAY_MIN_SHARE) return STATUS.SHORT_HOURS;
+      return STATUS.HALF_DAY;
+    }
+
+    return anyPunch ? STATUS.INCOMPLETE : STATUS.ABSENT;
+  }
+
+  /**
+   * Everything the screens and payroll need for one day
+   * @param {object} record - Attendance record (any shape, see above)
+   * @param {object} emp - Employee
+   * @param {object} options - { inProgress } (see getDayStatus)
+   * @returns {object} - { status, workedHours, lunchHours, totalHours,
+   *   rawTotalHours, overtimeHours, overtimePay, regularPay, hasAM, hasPM, fullDay,
+   *   scheduled, lateMinutes, earlyOutMinutes, undertimeMinutes,
+   *   holidayType, payMultiplier }
+   */
+  function evaluateDay(record, emp, options = {}) {
+    const hours = calculateDayHours(record, emp);
+    const payMultiplier = getPayMultiplier(record, emp);
+    return {
+      status: getDayStatus(record, emp, options),
+      ...hours,
+      ...getScheduleVariance(record, emp, options),
+      ...calculateOvertime(hours.totalHours, emp, payMultiplier),
+      regularPay: calculateRegularPay(hours, emp, payMultiplier),
+      holidayType: readDay(record).holidayType || null,
+      payMultiplier
+    };
+  }
+
+  /**
+   * Totals for a set of days (e.g. one employee's month)
+   * Leave days count as present. Full days are Present or Overtime.
+   * @returns {object} - Counts and hour/pay totals
+   */
+  function summarizeDays(records, emp) {
+    const safeRecords = Array.isArray(records) ? records : [];
+    const sum = {
+      totalDays: safeRecords.length,
+      presentDays: 0,
+      absentDays: 0,
+      overtimeDays: 0,
+      shortHoursDays: 0,
+      halfDays: 0,
+      fullDays: 0,
+      invalidDays: 0,
+      leaveUsed: 0,
+      lateDays: 0,
+      earlyOutDays: 0,
+      holidayDays: 0,
+      totalLateMinutes: 0,
+      totalUndertimeMinutes: 0,
+      totalHours: 0,
+      totalOvertime: 0,
+      totalOvertimePay: 0,
+      totalRegularPay: 0,
+      dailyStandardHours: getDailyStandardHours(emp)
+    };
+
+    safeRecords.forEach(r => {
+      const day = evaluateDay(r, emp);
+
+      switch (day.status) {
+        case STATUS.ON_LEAVE:
+          sum.leaveUsed++;
+          sum.presentDays++;
+          return;
+        case STATUS.PRESENT:
+          sum.fullDays++;
+          break;
+        case STATUS.OVERTIME:
+          sum.fullDays++;
+          sum.overtimeDays++;
+          break;
+        case STATUS.SHORT_HOURS:
+          sum.shortHoursDays++;
+          break;
+        case STATUS.HALF_DAY:
+          sum.halfDays++;
+          break;
+        case STATUS.INVALID:
+          sum.invalidDays++;
+          break;
+        default:
+          sum.absentDays++;
+      }
+      if (day.status !== STATUS.INVALID && day.status !== STATUS.ABSENT && day.status !== STATUS.INCOMPLETE) {
+        sum.presentDays++;
+      }
+
+      if (day.holidayType && day.totalHours > 0) sum.holidayDays++;
+      if (day.lateMinutes > 0) sum.lateDays++;
+      if (day.earlyOutMinutes > 0) sum.earlyOutDays++;
+      sum.totalLateMinutes += day.lateMinutes;
+      sum.totalUndertimeMinutes += day.undertimeMinutes;
+      sum.totalHours += day.totalHours;
+      sum.totalOvertime += day.overtimeHours;
+      sum.totalOvertimePay += day.overtimePay;
+      sum.totalRegularPay += day.regularPay;
+    });
+
+    sum.totalHours = round2(sum.totalHours);
+    sum.totalOvertime = round2(sum.totalOvertime);
+    sum.totalOvertimePay = round2(sum.totalOvertimePay);
+    sum.totalRegularPay = round2(sum.totalRegularPay);
+    return sum;
+  }
+
+  return {
+    STATUS,
+    REVIEW_FLAG,
+    ROUNDING_MODES,
+    HOLIDAY_TYPES,
+    HOLIDAY_PREMIUMS,
+    DOUBLE_PAY_MULTIPLIER,
+    OFF_SHIFT,
+    PUNCH,
+    MAX_SHIFT_HOURS,
+    OVERTIME_MULTIPLIER,
+    LUNCH_HOURS,
+    parseTimeToMinutes,
+    formatMinutes,
+    slotDirection,
+    parsePunchLog,
+    formatPunchLog,
+    pairSegments,
+    punchesToSlots,
+    readPunches,
+    addPunch,
+    correctPunch,
+    continuesShift,
+    getWeeklySchedule,
+    buildRoster,
+    getRosteredShiftName,
+    getDaySchedule,
+    getOpenPunch,
+    isShiftAbandoned,
+    getScheduledClose,
+    suggestNextSlot,
+    getNextDaySlots,
+    calculateTotalHours,
+    getScheduleSpanHours,
+    isFixedRate,
+    getDailyStandardHours,
+    calculateDailyRate,
+    calculateHourlyRate,
+    hasPaidLunch,
+    setRoundingPolicies,
+    getRoundingPolicy,
+    roundPunches,
+    getRoundedPunchLog,
+    setHolidayPremiums,
+    findHoliday,
+    getPayMultiplier,
+    calculateDayHours,
+    calculateOvertime,
+    calculateRegularPay,
+    getDayStatus,
+    getScheduleVariance,
+    evaluateDay,
+    summarizeDays
+  };
+});
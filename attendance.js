@@ -1,28 +1,6 @@
-// Helper function to parse coreWorkingHours and get schedule span in hours
-// Format: "8:00 AM - 6:00 PM" returns 10 (hours span)
-function getScheduleSpanHours(coreWorkingHours) {
-  if (!coreWorkingHours || coreWorkingHours === 'N/A') return null;
-  
-  const parseTo24hr = (timeStr) => {
-    const match = timeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-    if (!match) return null;
-    let [, hours, minutes, period] = match;
-    let h = parseInt(hours, 10);
-    if (period.toUpperCase() === 'PM' && h !== 12) h += 12;
-    if (period.toUpperCase() === 'AM' && h === 12) h = 0;
-    return h * 60 + parseInt(minutes, 10); // Return total minutes
-  };
-  
-  const parts = coreWorkingHours.split('-').map(s => s.trim());
-  if (parts.length !== 2) return null;
-  
-  const startMinutes = parseTo24hr(parts[0]);
-  const endMinutes = parseTo24hr(parts[1]);
-  
-  if (startMinutes === null || endMinutes === null) return null;
-  
-  return (endMinutes - startMinutes) / 60; // Return hours
-}
+// Hours, status, overtime and pay come from attendance-rules.js (window.AttendanceRules),
+// shared with the Clock In kiosk and the /api functions. Load it (and date-utils.js)
+// before this file.
 
 // Show/Hide Add Attendance Modal (align with overlay markup)
 window.showAddAttendanceModal = async function() {
@@ -37,9 +15,7 @@ window.showAddAttendanceModal = async function() {
   
   // Disable double pay checkbox for fixed rate employees
   const employee = employeesMap.get(currentEmployeeId);
-  const rateType = (employee?.rateType || '').toLowerCase();
-  const empType = (employee?.employmentType || employee?.type || '').toLowerCase();
-  const isFixed = rateType.includes('fixed') || rateType.includes('monthly') || rateType.includes('salary') || empType.includes('fixed');
+  const isFixed = window.AttendanceRules.isFixedRate(employee);
   const addDoublePayChk = document.getElementById('addIsDoublePay');
   const addDoublePayLabel = addDoublePayChk?.parentElement;
   if (addDoublePayChk) {
@@ -48,23 +24,21 @@ window.showAddAttendanceModal = async function() {
     if (isFixed && addDoublePayLabel) {
       addDoublePayLabel.innerHTML = '<input type="checkbox" id="addIsDoublePay" name="isDoublePay" disabled /><label for="addIsDoublePay" style="margin:0; color:#888;">Double Pay (Not applicable for Fixed Rate)</label>';
     } else if (addDoublePayLabel) {
-      addDoublePayLabel.innerHTML = '<input type="checkbox" id="addIsDoublePay" name="isDoublePay" /><label for="addIsDoublePay" style="margin:0;">Double Pay (Sunday/Holiday)</label>';
+      addDoublePayLabel.innerHTML = '<input type="checkbox" id="addIsDoublePay" name="isDoublePay" /><label for="addIsDoublePay" style="margin:0;">Double Pay (Sunday; calendar holidays are automatic)</label>';
     }
   }
   
   // Show/Hide lunch adjustment badge
   const lunchBadge = document.getElementById('addLunchAdjustmentBadge');
   if (lunchBadge) {
-    const empStandardWeeklyHours = Number(employee?.standardWorkweekHours) || 40;
-    const empScheduleSpan = getScheduleSpanHours(employee?.coreWorkingHours);
-    const empDailyFromWeekly = empStandardWeeklyHours / 7;
-    const hasLunchAdjustment = empScheduleSpan !== null && empScheduleSpan === empDailyFromWeekly && empScheduleSpan > 8;
-    if (hasLunchAdjustment) {
+    const usualShift = window.AttendanceRules.getDaySchedule(employee);
+    const empScheduleSpan = usualShift ? (usualShift.end - usualShift.start) / 60 : null;
+    if (window.AttendanceRules.hasPaidLunch(employee)) {
       lunchBadge.style.display = 'block';
       const scheduleDisplay = document.getElementById('addScheduleDisplay');
       const actualWorkDisplay = document.getElementById('addActualWorkDisplay');
       if (scheduleDisplay) scheduleDisplay.textContent = `${empScheduleSpan} hrs`;
-      if (actualWorkDisplay) actualWorkDisplay.textContent = `${empScheduleSpan - 1} hrs`;
+      if (actualWorkDisplay) actualWorkDisplay.textContent = `${empScheduleSpan - window.AttendanceRules.LUNCH_HOURS} hrs`;
     } else {
       lunchBadge.style.display = 'none';
     }
@@ -100,9 +74,7 @@ window.showBatchAddAttendanceModal = function() {
   
   // Disable batch double pay checkbox for fixed rate employees
   const employee = employeesMap.get(currentEmployeeId);
-  const rateType = (employee?.rateType || '').toLowerCase();
-  const empType = (employee?.employmentType || employee?.type || '').toLowerCase();
-  const isFixed = rateType.includes('fixed') || rateType.includes('monthly') || rateType.includes('salary') || empType.includes('fixed');
+  const isFixed = window.AttendanceRules.isFixedRate(employee);
   const batchDoublePayChk = document.getElementById('batchDoublePaySunday');
   const batchDoublePayLabel = batchDoublePayChk?.closest('label');
   if (batchDoublePayChk) {
@@ -117,12 +89,23 @@ window.showBatchAddAttendanceModal = function() {
     }
   }
   
-  // Set default dates (current month)
-  const now = new Date();
-  const firstDay = new Date(currentYear, currentMonth - 1, 1);
-  const lastDay = new Date(currentYear, currentMonth, 0);
-  document.getElementById('batchStartDate').value = firstDay.toISOString().slice(0, 10);
-  document.getElementById('batchEndDate').value = lastDay.toISOString().slice(0, 10);
+  // What to do with holidays in the range (the batch form markup predates the calendar)
+  const skipExistingLabel = document.getElementById('batchSkipExisting')?.closest('label');
+  if (skipExistingLabel && !document.getElementById('batchHolidayMode')) {
+    const holidayLabel = document.createElement('label');
+    holidayLabel.style.cssText = 'display:flex; align-items:center; gap:.5rem;';
+    holidayLabel.innerHTML = `<span>Holidays:</span>
+      <select id="batchHolidayMode">
+        <option value="mark">Add and mark as holiday</option>
+        <option value="skip">Skip</option>
+      </select>`;
+    skipExistingLabel.insertAdjacentElement('afterend', holidayLabel);
+  }
+  
+  // Set default dates (selected month)
+  const monthRange = window.DateUtils.monthRange(currentYear, currentMonth);
+  document.getElementById('batchStartDate').value = monthRange.from;
+  document.getElementById('batchEndDate').value = monthRange.to;
   
   // Reset preview and progress
   document.getElementById('batchPreviewSection').style.display = 'none';
@@ -194,10 +177,11 @@ function updateBatchPreviewCount() {
 }
 
 window.generateBatchPreview = async function() {
-  const startDate = new Date(document.getElementById('batchStartDate').value);
-  const endDate = new Date(document.getElementById('batchEndDate').value);
+  // Work on YYYY-MM-DD keys so the days do not shift with the browser's timezone
+  const startDate = window.DateUtils.normalizeDateKey(document.getElementById('batchStartDate').value);
+  const endDate = window.DateUtils.normalizeDateKey(document.getElementById('batchEndDate').value);
   
-  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+  if (!startDate || !endDate) {
     showAttendanceNotification('Please select valid start and end dates.', 'warning');
     return;
   }
@@ -223,38 +207,38 @@ window.generateBatchPreview = async function() {
   }
   
   const skipExisting = document.getElementById('batchSkipExisting').checked;
+  const skipHolidays = document.getElementById('batchHolidayMode')?.value === 'skip';
   const employeeId = document.getElementById('batchEmployeeId').value;
+  await loadHolidays(startDate, endDate);
   
   // Get existing records if we need to skip duplicates
   let existingDates = new Set();
   if (skipExisting) {
     const allRecords = await getAll({ employeeId });
     (Array.isArray(allRecords) ? allRecords : []).forEach(r => {
-      if (r.date) {
-        const d = new Date(r.date);
-        existingDates.add(d.toISOString().slice(0, 10));
-      }
+      const dateKey = window.DateUtils.normalizeDateKey(r.date);
+      if (dateKey) existingDates.add(dateKey);
     });
   }
   
   // Generate dates
   batchPreviewDates = [];
-  const current = new Date(startDate);
-  while (current <= endDate) {
-    const dayOfWeek = current.getDay();
-    const dateStr = current.toISOString().slice(0, 10);
+  window.DateUtils.eachDay(startDate, endDate).forEach(dateStr => {
+    const dayOfWeek = window.DateUtils.dayOfWeek(dateStr);
     
     if (selectedDays.includes(dayOfWeek)) {
-      const isSkipped = skipExisting && existingDates.has(dateStr);
+      const holiday = getLoadedHoliday(dateStr);
+      const exists = skipExisting && existingDates.has(dateStr);
+      const isSkipped = exists || (skipHolidays && !!holiday);
       batchPreviewDates.push({
         date: dateStr,
         dayOfWeek,
+        holiday,
         skipped: isSkipped,
-        reason: isSkipped ? 'Already exists' : null
+        reason: exists ? 'Already exists' : (isSkipped ? holiday.name : null)
       });
     }
-    current.setDate(current.getDate() + 1);
-  }
+  });
   
   // Render preview
   const previewSection = document.getElementById('batchPreviewSection');
@@ -268,24 +252,24 @@ window.generateBatchPreview = async function() {
   
   const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
   previewList.innerHTML = batchPreviewDates.map((d, index) => {
-    const dateObj = new Date(d.date);
-    const formatted = dateObj.toLocaleDateString('en-US', { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+    const formatted = window.DateUtils.formatDateKey(d.date, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
     if (d.skipped) {
       return `<div style="display:flex; align-items:center; padding:0.5rem 0.75rem; margin-bottom:0.35rem; background:rgba(255,193,7,0.1); border:1px solid rgba(255,193,7,0.25); border-radius:6px; color:#ffc107;">
         <span style="opacity:0.8; font-size:0.9rem;">⚠️ ${formatted}</span>
-        <span style="margin-left:auto; font-size:0.75rem; background:rgba(255,193,7,0.2); padding:0.15rem 0.5rem; border-radius:10px;">Skipped</span>
+        <span style="margin-left:auto; font-size:0.75rem; background:rgba(255,193,7,0.2); padding:0.15rem 0.5rem; border-radius:10px;">Skipped${d.reason ? `: ${escapeHtml(d.reason)}` : ''}</span>
       </div>`;
     }
     return `<label style="display:flex; align-items:center; padding:0.5rem 0.75rem; margin-bottom:0.35rem; background:rgba(102,255,178,0.05); border:1px solid rgba(102,255,178,0.15); border-radius:6px; cursor:pointer; transition:all 0.2s;" onmouseover="this.style.background='rgba(102,255,178,0.1)'" onmouseout="this.style.background='rgba(102,255,178,0.05)'">
       <input type="checkbox" checked data-preview-index="${index}" style="width:18px; height:18px; accent-color:#198754; margin-right:0.75rem; cursor:pointer;" onchange="window.toggleBatchPreviewItem?.(${index}, this.checked)" />
       <span style="color:#66ffb2; font-size:0.9rem;">${formatted}</span>
+      ${d.holiday ? `<span style="margin-left:auto; font-size:0.75rem; color:#d97706;">🎉 ${escapeHtml(d.holiday.name)}</span>` : ''}
     </label>`;
   }).join('');
   
   previewSection.style.display = 'block';
   
   if (toAdd.length === 0) {
-    showAttendanceNotification('No new records to add. All dates already have attendance records.', 'info');
+    showAttendanceNotification('No new records to add. Every selected date was skipped.', 'info');
   }
 };
 
@@ -331,13 +315,7 @@ async function handleBatchAddSubmit(event) {
   const doublePaySunday = document.getElementById('batchDoublePaySunday').checked;
   
   const employee = employeesMap.get(employeeId);
-  const standardWorkweekHours = employee?.standardWorkweekHours || 40;
-  // Determine if Fixed rate type
-  const rateType = (employee?.rateType || '').toLowerCase();
-  const empType = (employee?.employmentType || employee?.type || '').toLowerCase();
-  const isFixed = rateType.includes('fixed') || rateType.includes('monthly') || rateType.includes('salary') || empType.includes('fixed');
-  // Daily standard hours = Standard Workweek Hours / 7 days
-  const dailyStandardHours = standardWorkweekHours / 7;
+  const isFixed = window.AttendanceRules.isFixedRate(employee);
   
   let successCount = 0;
   let errorCount = 0;
@@ -353,6 +331,12 @@ async function handleBatchAddSubmit(event) {
     }
     
     const dateInfo = toAdd[i];
+    const isSunday = dateInfo.dayOfWeek === 0;
+    // Fixed rate employees cannot have double pay
+    const isDoublePay = isFixed ? false : (doublePaySunday && isSunday);
+    const holidayFields = holidayRecordFields(dateInfo.holiday);
+    // Same times every day, but the rostered shift (paid lunch) and the holiday premium can differ by date
+    const day = window.AttendanceRules.evaluateDay({ date: dateInfo.date, timeInAM, timeOutAM, timeInPM, timeOutPM, isDoublePay, ...holidayFields }, employee);
     const percent = Math.round(((i + 1) / toAdd.length) * 100);
     progressText.textContent = `Adding record ${i + 1} of ${toAdd.length}...`;
     progressCount.textContent = `${i + 1} / ${toAdd.length}`;
@@ -363,52 +347,6 @@ async function handleBatchAddSubmit(event) {
     }
     
     try {
-      // Calculate hours
-      let totalMinutes = 0;
-      if (timeInAM && timeOutAM) {
-        const [inH, inM] = timeInAM.split(':').map(Number);
-        const [outH, outM] = timeOutAM.split(':').map(Number);
-        totalMinutes += (outH * 60 + outM) - (inH * 60 + inM);
-      }
-      if (timeInPM && timeOutPM) {
-        const [inH, inM] = timeInPM.split(':').map(Number);
-        const [outH, outM] = timeOutPM.split(':').map(Number);
-        totalMinutes += (outH * 60 + outM) - (inH * 60 + inM);
-      }
-      
-      const hasAM = !!(timeInAM && timeOutAM);
-      const hasPM = !!(timeInPM && timeOutPM);
-      
-      // Calculate actual work hours first
-      let actualWorkHours = totalMinutes / 60;
-      
-      // Get schedule span from coreWorkingHours (e.g., "8:00 AM - 6:00 PM" = 10 hours)
-      const scheduleSpan = getScheduleSpanHours(employee?.coreWorkingHours);
-      
-      // Add 1-hour lunch break only if:
-      // 1. Both AM and PM shifts are worked
-      // 2. Schedule span exists and is >= daily standard (indicates lunch may be included in span)
-      // 3. Actual work hours < daily standard hours (need to add lunch to reach standard)
-      if (hasAM && hasPM && scheduleSpan && scheduleSpan >= dailyStandardHours && actualWorkHours < dailyStandardHours) {
-        totalMinutes += 60;
-      }
-      
-      let totalHoursWorked = totalMinutes / 60;
-      const overtimeHours = isFixed ? 0 : Math.max(0, totalHoursWorked - dailyStandardHours);
-      
-      let overTimePay = 0;
-      if (!isFixed && overtimeHours > 0) {
-        const hourlyRate = calculateHourlyRate(employee);
-        overTimePay = overtimeHours * hourlyRate * 1.25;
-      }
-      
-      const isSunday = dateInfo.dayOfWeek === 0;
-      // Fixed rate employees cannot have double pay
-      const isDoublePay = isFixed ? false : (doublePaySunday && isSunday);
-      
-      const isAbsent = !hasAM && !hasPM;
-      const isHalfDay = (hasAM && !hasPM) || (!hasAM && hasPM);
-      
       const attendanceData = {
         employeeId,
         date: dateInfo.date,
@@ -418,13 +356,16 @@ async function handleBatchAddSubmit(event) {
         timeOutPM: timeOutPM || '',
         remarks: remarks + (isDoublePay ? ' (Double Pay)' : ''),
         isDoublePay,
-        totalHoursWorked,
-        overtimeHours,
-        overTimePay,
-        lunchBreak: (!isHalfDay && !isAbsent) ? 60 : 0
+        ...holidayFields,
+        totalHoursWorked: day.totalHours,
+        rawHoursWorked: day.rawTotalHours,
+        roundedPunchLog: window.AttendanceRules.getRoundedPunchLog({ date: dateInfo.date, timeInAM, timeOutAM, timeInPM, timeOutPM }, employee),
+        overtimeHours: day.overtimeHours,
+        overTimePay: day.overtimePay,
+        lunchBreak: day.hasAM && day.hasPM ? 60 : 0
       };
       
-      await add(attendanceData);
+      await addAttendanceRecord(attendanceData, 'Batch add');
       successCount++;
     } catch (err) {
       console.error('Error adding batch record:', dateInfo.date, err);
@@ -492,13 +433,30 @@ window.clearAttendanceFilters = function() {
   }
 };
 
-// Use window exports from attendance-api.js (loaded as regular script)
-const getAll = (...args) => window.attendanceApiGetAll ? window.attendanceApiGetAll(...args) : Promise.reject('attendanceApiGetAll not loaded');
-const getById = (...args) => window.attendanceApiGetById ? window.attendanceApiGetById(...args) : Promise.reject('attendanceApiGetById not loaded');
-const add = (...args) => window.attendanceApiAdd ? window.attendanceApiAdd(...args) : Promise.reject('attendanceApiAdd not loaded');
-const update = (...args) => window.attendanceApiUpdate ? window.attendanceApiUpdate(...args) : Promise.reject('attendanceApiUpdate not loaded');
-const remove = (...args) => window.attendanceApiDelete ? window.attendanceApiDelete(...args) : Promise.reject('attendanceApiDelete not loaded');
-const exists = (...args) => window.attendanceApiExists ? window.attendanceApiExists(...args) : Promise.reject('attendanceApiExists not loaded');
+// Attendance is read through /api/attendance, like the adds, edits and
+// deletes that are audited there (see AUDIT TRAIL)
+async function getAll({ employeeId, from, to } = {}) {
+  const query = new URLSearchParams({ view: 'admin' });
+  if (employeeId) query.set('employeeId', employeeId);
+  if (from) query.set('from', from);
+  if (to) query.set('to', to);
+  const { records } = await clockInApiRequest('GET', `/attendance?${query}`);
+  return records.map(fromRecordFields);
+}
+
+async function getById(id) {
+  try {
+    const { record } = await clockInApiRequest('GET', `/attendance?view=admin&id=${encodeURIComponent(id)}`);
+    return fromRecordFields(record);
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+async function exists(employeeId, date) {
+  return (await getAll({ employeeId, from: date, to: date })).length > 0;
+}
 
 // Use window exports from employees-api.js for loading employees
 const hrApiGetAll = () => window.hrApiGetAll ? window.hrApiGetAll() : Promise.reject('hrApiGetAll not loaded');
@@ -508,8 +466,11 @@ let currentEmployeeId = null;
 let currentEmployeeName = null;
 let attendanceToDelete = null;
 let allAttendanceRecords = [];
-let currentMonth = new Date().getMonth() + 1;
-let currentYear = new Date().getFullYear();
+// Dates are worked out in the business timezone (date-utils.js, AIRTABLE_CONFIG.TIMEZONE),
+// so "today" and month filters match the kiosk whatever zone this browser is in
+const todayParts = window.DateUtils.parseDateKey(window.DateUtils.today());
+let currentMonth = todayParts.month;
+let currentYear = todayParts.year;
 let employeesMap = new Map();
 
 // Multi-select state for bulk delete attendance records
@@ -530,9 +491,9 @@ function formatTime(timeString) {
 
 function formatDate(dateString) {
   if (!dateString) return '-';
-  const d = new Date(dateString);
-  if (isNaN(d.getTime())) return dateString;
-  return d.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  const dateKey = window.DateUtils.normalizeDateKey(dateString);
+  if (!dateKey) return dateString;
+  return window.DateUtils.formatDateKey(dateKey, { year: 'numeric', month: 'short', day: 'numeric' });
 }
 
 // Format decimal hours to "Xh Ym" format (e.g., 10.25 -> "10h 15m")
@@ -609,95 +570,18 @@ function getMonthName(m) {
 function filterRecordsByMonth(records, month, year) {
   if (!Array.isArray(records)) return [];
   return records.filter(r => {
-    if (!r || !r.date) return false;
-    const d = new Date(r.date);
-    if (isNaN(d.getTime())) return false;
-    const recordMonth = d.getMonth() + 1;
-    const recordYear = d.getFullYear();
-    return recordMonth === month && recordYear === year;
+    const parts = r ? window.DateUtils.parseDateKey(window.DateUtils.normalizeDateKey(r.date)) : null;
+    if (!parts) return false;
+    return parts.month === month && parts.year === year;
   });
 }
 
 function calculateHourlyRate(emp) {
-  const base = Number(emp?.baseSalary) || 0;
-  if (!base) return 0;
-  const standard = Number(emp?.standardWorkweekHours) || 40;
-  // Daily standard hours = Standard Workweek Hours / 7 days
-  const daily = standard / 7;
-  const dailyRate = base / 30;
-  return dailyRate / daily;
-}
-
-async function calculateOvertimePay(employeeId, overtimeHours) {
-  const emp = employeesMap.get(employeeId);
-  if (!emp) return 0;
-  if (String(emp.rateType).toLowerCase() === 'fixed') return 0;
-  const hr = calculateHourlyRate(emp);
-  return (Number(overtimeHours)||0) * hr * 1.25;
+  return window.AttendanceRules.calculateHourlyRate(emp);
 }
 
 function calculateMonthlySummary(records, emp) {
-  // Ensure records is an array
-  const safeRecords = Array.isArray(records) ? records : [];
-  const standard = Number(emp?.standardWorkweekHours) || 40;
-  // Determine if Fixed rate type
-  const rateType = (emp?.rateType || '').toLowerCase();
-  const empType = (emp?.employmentType || emp?.type || '').toLowerCase();
-  const isFixed = rateType.includes('fixed') || rateType.includes('monthly') || rateType.includes('salary') || empType.includes('fixed');
-  // Daily standard hours = Standard Workweek Hours / 7 days
-  const dailyStd = standard / 7;
-  const tol = 0.01;
-  const sum = { totalDays: safeRecords.length, presentDays:0, absentDays:0, overtimeDays:0, shortHoursDays:0, totalHours:0, totalOvertime:0, totalOvertimePay:0, dailyStandardHours: dailyStd, fullDays:0, leaveUsed:0, invalidDays:0 };
-  safeRecords.forEach(r => {
-    const total = Number(r.totalHoursWorked)||0;
-    const ot = Number(r.overtimeHours)||0;
-    const leaveType = r.leaveType || '';
-    
-    // If on leave (not 'None' or empty), count as leave day
-    if (leaveType && leaveType !== 'None' && leaveType !== '') {
-      sum.leaveUsed++;
-      sum.presentDays++; // Leave counts as present
-      return;
-    }
-    
-    // status
-    let status = 'Present';
-    const hasAM = r.timeInAM && r.timeOutAM;
-    const hasPM = r.timeInPM && r.timeOutPM;
-    
-    // Minimum hours thresholds
-    const minHoursForHalfDay = dailyStd / 2 * 0.75; // At least 75% of half day (e.g., 3 hours for 8-hour day)
-    const minHoursForValid = 0.5; // At least 30 minutes to count as valid work
-    
-    if (!hasAM && !hasPM) status = 'Absent';
-    else if ((hasAM && !hasPM) || (!hasAM && hasPM)) {
-      // Only AM or PM - check if enough hours for Half Day
-      if (total < minHoursForValid) {
-        status = 'Invalid'; // Too short to count (e.g., 5 minutes)
-      } else if (total < minHoursForHalfDay) {
-        status = 'Short Hours'; // Some work but not enough for half day
-      } else {
-        status = 'Half Day';
-      }
-    }
-    else if (total < (dailyStd - tol)) status = 'Short Hours';
-    else if (total > (dailyStd + tol)) status = 'Overtime';
-
-    if (status === 'Present' || status === 'Overtime' || status === 'Short Hours' || status === 'Half Day') sum.presentDays++;
-    if (status === 'Absent') sum.absentDays++;
-    if (status === 'Invalid') sum.invalidDays++;
-    if (status === 'Overtime') sum.overtimeDays++;
-    if (status === 'Short Hours') sum.shortHoursDays++;
-    // Full days: count days where employee worked full day (Present or Overtime - not Half Day, Absent, or Short Hours)
-    if (status === 'Present' || status === 'Overtime') sum.fullDays++;
-    sum.totalHours += total;
-    sum.totalOvertime += ot;
-    if (ot > 0 && !isFixed) {
-      const hr = calculateHourlyRate(emp);
-      sum.totalOvertimePay += ot * hr * 1.25;
-    }
-  });
-  return sum;
+  return window.AttendanceRules.summarizeDays(records, emp);
 }
 
 // Initialize department filter dropdown
@@ -779,23 +663,23 @@ async function updateTodaySummaryBar() {
   if (elWfh) elWfh.textContent = '--';
   if (elLeave) elLeave.textContent = '--';
 
-  const today = new Date();
-  const todayStr = today.toISOString().slice(0, 10);
+  const todayStr = window.DateUtils.today();
   
   // Get all employees directly from the API
   let allEmployees = [];
   try {
     allEmployees = await hrApiGetAll();
     console.log('[Summary] Total employees:', allEmployees.length);
+    await attachRosters(allEmployees, { from: todayStr, to: todayStr });
   } catch (e) {
     console.error('[Summary] Error loading employees:', e);
     allEmployees = [];
   }
   
-  // Always fetch all attendance, then filter client-side for today's date
+  // Fetch today's attendance
   let records = [];
   try {
-    const fetched = await getAll({});
+    const fetched = await getAll({ from: todayStr, to: todayStr });
     records = Array.isArray(fetched) ? fetched : [];
     console.log('[Summary] Fetched attendance records:', records.length);
   } catch (e) {
@@ -806,8 +690,7 @@ async function updateTodaySummaryBar() {
   // Filter for today's records
   const todayRecords = records.filter(r => {
     if (!r || !r.date) return false;
-    const d = new Date(r.date);
-    return d.getFullYear() === today.getFullYear() && d.getMonth() === today.getMonth() && d.getDate() === today.getDate();
+    return window.DateUtils.normalizeDateKey(r.date) === todayStr;
   });
   console.log('[Summary] Records for today:', todayRecords.length);
   
@@ -821,7 +704,7 @@ async function updateTodaySummaryBar() {
   
   // Calculate metrics
   let present = 0, absent = 0, late = 0, wfh = 0, onLeave = 0;
-  const LATE_THRESHOLD_MINUTES = 9 * 60 + 15; // 09:15 AM
+  const employeesById = new Map(allEmployees.map(emp => [emp.employeeId || emp.id, emp]));
   
   // Count based on all employees
   const totalEmployees = allEmployees.length || todayRecords.length;
@@ -832,13 +715,9 @@ async function updateTodaySummaryBar() {
     const hasPM = !!(r.timeInPM || r.timeOutPM);
     const isAbsentRecord = !hasAM && !hasPM;
     
-    // Late detection: AM time-in after 09:15 or remarks include 'late'
-    let isLate = false;
-    if (r.timeInAM) {
-      const [h, m] = String(r.timeInAM).split(':').map(Number);
-      const mins = (h||0) * 60 + (m||0);
-      if (mins > LATE_THRESHOLD_MINUTES) isLate = true;
-    }
+    // Late detection: in after the employee's scheduled start (plus grace) or remarks include 'late'
+    const employee = employeesById.get(r.employeeId) || employeesMap.get(r.employeeId);
+    let isLate = window.AttendanceRules.getScheduleVariance(r, employee, { inProgress: true }).lateMinutes > 0;
     if (remarks.includes('late')) isLate = true;
 
     if (remarks.includes('leave') || remarks.includes('on leave')) {
@@ -981,20 +860,17 @@ let todayAttendanceStatusMap = new Map();
 // Load today's attendance records for status display
 async function loadTodayAttendanceStatus() {
   try {
-    const today = new Date();
-    const todayStr = today.toISOString().slice(0, 10);
+    const todayStr = window.DateUtils.today();
     
-    // Fetch all attendance records
-    const records = await getAll({});
+    // Fetch today's attendance records
+    const records = await getAll({ from: todayStr, to: todayStr });
     const allRecords = Array.isArray(records) ? records : [];
     
     // Filter for today's records and build map
     todayAttendanceStatusMap.clear();
     allRecords.forEach(r => {
       if (!r || !r.date || !r.employeeId) return;
-      const d = new Date(r.date);
-      const recordDate = d.toISOString().slice(0, 10);
-      if (recordDate === todayStr) {
+      if (window.DateUtils.normalizeDateKey(r.date) === todayStr) {
         todayAttendanceStatusMap.set(r.employeeId, r);
       }
     });
@@ -1006,47 +882,42 @@ async function loadTodayAttendanceStatus() {
 }
 
 // Get attendance status label and color for an employee
+// Color and icon for each status from attendance-rules.js
+const ATTENDANCE_STATUS_STYLES = {
+  'Present': { color: '#28a745', icon: '✅' },
+  'Overtime': { color: '#2563eb', icon: '✅' },
+  'Short Hours': { color: '#fd7e14', icon: '⏱️' },
+  'Half Day': { color: '#ffc107', icon: '🕐' },
+  'Invalid': { color: '#9333ea', icon: '⚠️' },
+  'Incomplete': { color: '#fd7e14', icon: '⏱️' },
+  'Absent': { color: '#dc3545', icon: '❌' },
+  'On Leave': { color: '#0dcaf0', icon: '📅' },
+  'Working': { color: '#28a745', icon: '🟢' },
+  'At Lunch': { color: '#ffc107', icon: '🍽️' },
+  'In Progress': { color: '#0dcaf0', icon: '🕐' },
+  'No Record': { color: '#6c757d', icon: '⚪' }
+};
+
 function getTodayAttendanceStatus(emp) {
   const record = todayAttendanceStatusMap.get(emp.employeeId);
+  const { STATUS } = window.AttendanceRules;
   
   if (!record) {
-    return { label: 'No Record', color: '#6c757d', icon: '⚪' };
+    return { label: STATUS.NO_RECORD, ...ATTENDANCE_STATUS_STYLES[STATUS.NO_RECORD] };
   }
   
-  const hasAM = !!(record.timeInAM && record.timeOutAM);
-  const hasPM = !!(record.timeInPM && record.timeOutPM);
   const leaveType = record.leaveType || '';
   const remarks = (record.remarks || '').toLowerCase();
-  const totalHours = Number(record.totalHoursWorked) || 0;
-  
-  // Check for leave
-  if (leaveType && leaveType !== 'None' && leaveType !== '') {
-    return { label: `On Leave (${leaveType})`, color: '#0dcaf0', icon: '📅' };
-  }
   
   // Check for leave in remarks
-  if (remarks.includes('leave') || remarks.includes('on leave')) {
-    return { label: 'On Leave', color: '#0dcaf0', icon: '📅' };
-  }
-  
-  // Check for absent
-  if (!hasAM && !hasPM) {
-    return { label: 'Absent', color: '#dc3545', icon: '❌' };
-  }
-  
-  // Check for half day
-  if ((hasAM && !hasPM) || (!hasAM && hasPM)) {
-    return { label: 'Half Day', color: '#ffc107', icon: '🕐' };
+  if ((!leaveType || leaveType === 'None') && remarks.includes('leave')) {
+    return { label: STATUS.ON_LEAVE, ...ATTENDANCE_STATUS_STYLES[STATUS.ON_LEAVE] };
   }
   
-  // Check for undertime (less than standard hours - assuming 8 hours standard)
-  const standardHours = (emp.standardWorkweekHours || 40) / 7;
-  if (totalHours > 0 && totalHours < (standardHours - 0.5)) {
-    return { label: 'Undertime', color: '#fd7e14', icon: '⏱️' };
-  }
-  
-  // Present
-  return { label: 'Present', color: '#28a745', icon: '✅' };
+  // Today is not over yet, so show Working / At Lunch rather than Half Day
+  const status = window.AttendanceRules.getDayStatus(record, emp, { inProgress: true });
+  const label = status === STATUS.ON_LEAVE ? `On Leave (${leaveType})` : status;
+  return { label, ...ATTENDANCE_STATUS_STYLES[status] };
 }
 
 function renderEmployeesForAttendance(list) {
@@ -1140,10 +1011,7 @@ async function handleAddAttendanceSubmit(event) {
     // Normalize date to YYYY-MM-DD
     let date = formData.get('date');
     if (date) {
-      const d = new Date(date);
-      if (!isNaN(d.getTime())) {
-        date = d.toISOString().slice(0, 10);
-      }
+      date = window.DateUtils.normalizeDateKey(date) || date;
     }
     console.log('[Attendance] Checking for duplicate:', { employeeId, date });
     const alreadyExists = await exists(employeeId, date);
@@ -1162,48 +1030,9 @@ async function handleAddAttendanceSubmit(event) {
     const timeInPM = formData.get('timeInPM');
     const timeOutPM = formData.get('timeOutPM');
     const remarks = formData.get('remarks') || '';
-  let totalMinutes = 0;
-  if (timeInAM && timeOutAM) {
-    const [inHour, inMinute] = timeInAM.split(':').map(Number);
-    const [outHour, outMinute] = timeOutAM.split(':').map(Number);
-    totalMinutes += (outHour * 60 + outMinute) - (inHour * 60 + inMinute);
-  }
-  if (timeInPM && timeOutPM) {
-    const [inHour, inMinute] = timeInPM.split(':').map(Number);
-    const [outHour, outMinute] = timeOutPM.split(':').map(Number);
-    totalMinutes += (outHour * 60 + outMinute) - (inHour * 60 + inMinute);
-  }
-  // Determine status
-  const hasAM = !!(timeInAM && timeOutAM);
-  const hasPM = !!(timeInPM && timeOutPM);
-  
   const employee = employeesMap.get(employeeId);
-  const standardWorkweekHours = employee?.standardWorkweekHours || 40;
-  // If Core Working Hours span equals daily standard and > 8 hrs, lunch break wasn't accounted for
-  const scheduleSpan = getScheduleSpanHours(employee?.coreWorkingHours);
-  const dailyFromWeekly = standardWorkweekHours / 7;
-  let dailyStandardHours = dailyFromWeekly;
-  if (scheduleSpan !== null && scheduleSpan === dailyFromWeekly && scheduleSpan > 8) {
-    dailyStandardHours = dailyFromWeekly - 1; // Subtract 1 hour for lunch
-  }
-  
-  // Total hours = AM session + PM session (no lunch adjustment needed)
-  // Lunch break is naturally excluded since we calculate each session separately
-  
-  const isAbsent = !hasAM && !hasPM || (remarks.toLowerCase().includes('absent'));
-  const isHalfDay = (hasAM && !hasPM) || (!hasAM && hasPM) || (!isAbsent && totalMinutes < 240);
-  let totalHoursWorked = totalMinutes / 60;
-  // Determine if Fixed rate type
-  const rateType = (employee?.rateType || '').toLowerCase();
-  const empType = (employee?.employmentType || employee?.type || '').toLowerCase();
-  const isFixed = rateType.includes('fixed') || rateType.includes('monthly') || rateType.includes('salary') || empType.includes('fixed');
-  const overtimeHours = isFixed ? 0 : Math.max(0, totalHoursWorked - dailyStandardHours);
-  // Calculate overtime pay for time-based employees
-  let overTimePay = 0;
-  if (!isFixed && overtimeHours > 0) {
-    const hourlyRate = calculateHourlyRate(employee);
-    overTimePay = overtimeHours * hourlyRate * 1.25;
-  }
+  const isFixed = window.AttendanceRules.isFixedRate(employee);
+  
   // Get leave type
   const leaveType = document.getElementById('addLeaveType')?.value || 'None';
   
@@ -1212,6 +1041,10 @@ async function handleAddAttendanceSubmit(event) {
   if (isFixed) {
     isDoublePay = false;
   }
+  const holiday = await getHoliday(date);
+  const holidayFields = holidayRecordFields(holiday);
+  // Hours, paid lunch, overtime and the holiday premium from the shared attendance rules
+  const day = window.AttendanceRules.evaluateDay({ date, timeInAM, timeOutAM, timeInPM, timeOutPM, isDoublePay, ...holidayFields }, employee);
   
   const attendanceData = {
     employeeId,
@@ -1222,14 +1055,17 @@ async function handleAddAttendanceSubmit(event) {
     timeOutPM,
     remarks,
     isDoublePay,
-    totalHoursWorked,
-    overtimeHours,
-    overTimePay,
-    lunchBreak: (!isHalfDay && !isAbsent) ? 60 : 0,
+    ...holidayFields,
+    totalHoursWorked: day.totalHours,
+    rawHoursWorked: day.rawTotalHours,
+    roundedPunchLog: window.AttendanceRules.getRoundedPunchLog({ date, timeInAM, timeOutAM, timeInPM, timeOutPM }, employee),
+    overtimeHours: day.overtimeHours,
+    overTimePay: day.overtimePay,
+    lunchBreak: day.hasAM && day.hasPM ? 60 : 0,
     leaveType
   };
     console.log('[Attendance] Adding attendance with data:', attendanceData);
-    const addResult = await add(attendanceData);
+    const addResult = await addAttendanceRecord(attendanceData, remarks || 'Added manually');
     console.log('[Attendance] Add result:', addResult);
     
     // Deduct leave from employee's balance if leave type is not 'None'
@@ -1264,7 +1100,7 @@ async function handleAddAttendanceSubmit(event) {
         console.error('[Attendance] Failed to deduct leave:', err);
       }
     }
-    showAttendanceNotification('Attendance record added successfully.', 'success');
+    showAttendanceNotification(holiday ? `Attendance record added for ${holiday.name} (${holiday.type}).` : 'Attendance record added successfully.', 'success');
     event.target.reset();
     // Close using the markup-consistent closer
     window.hideAddAttendanceModal();
@@ -1296,6 +1132,9 @@ function resetEditAttendanceButton() {
 async function handleEditAttendanceSubmit(event) {
   event.preventDefault();
   
+  const auditReason = askAuditReason('Reason for this change (kept in the record history):');
+  if (auditReason === null) return;
+  
   // Get submit button and change text - use document.querySelector for reliability after form clone
   const submitBtn = document.querySelector('#editAttendanceForm button[type="submit"]');
   if (submitBtn) {
@@ -1310,7 +1149,7 @@ async function handleEditAttendanceSubmit(event) {
     const newDate = formData.get('date');
   
     // Check for duplicate date (excluding current record)
-    const allRecords = await getAll();
+    const allRecords = await getAll({ employeeId, from: newDate, to: newDate });
     const duplicateExists = allRecords.some(rec => 
       rec.id !== attendanceId && 
       rec.employeeId === employeeId && 
@@ -1329,48 +1168,8 @@ async function handleEditAttendanceSubmit(event) {
     const timeInPM = formData.get('timeInPM');
   const timeOutPM = formData.get('timeOutPM');
   const remarks = formData.get('remarks') || '';
-  let totalMinutes = 0;
-  if (timeInAM && timeOutAM) {
-    const [inHour, inMinute] = timeInAM.split(':').map(Number);
-    const [outHour, outMinute] = timeOutAM.split(':').map(Number);
-    totalMinutes += (outHour * 60 + outMinute) - (inHour * 60 + inMinute);
-  }
-  if (timeInPM && timeOutPM) {
-    const [inHour, inMinute] = timeInPM.split(':').map(Number);
-    const [outHour, outMinute] = timeOutPM.split(':').map(Number);
-    totalMinutes += (outHour * 60 + outMinute) - (inHour * 60 + inMinute);
-  }
-  // Determine status
-  const hasAM = !!(timeInAM && timeOutAM);
-  const hasPM = !!(timeInPM && timeOutPM);
-  
   const employee = employeesMap.get(employeeId);
-  const standardWorkweekHours = employee?.standardWorkweekHours || 40;
-  // If Core Working Hours span equals daily standard and > 8 hrs, lunch break wasn't accounted for
-  const scheduleSpan = getScheduleSpanHours(employee?.coreWorkingHours);
-  const dailyFromWeekly = standardWorkweekHours / 7;
-  let dailyStandardHours = dailyFromWeekly;
-  if (scheduleSpan !== null && scheduleSpan === dailyFromWeekly && scheduleSpan > 8) {
-    dailyStandardHours = dailyFromWeekly - 1; // Subtract 1 hour for lunch
-  }
-  
-  // Total hours = AM session + PM session (no lunch adjustment needed)
-  // Lunch break is naturally excluded since we calculate each session separately
-  
-  const isAbsent = !hasAM && !hasPM || (remarks.toLowerCase().includes('absent'));
-  const isHalfDay = (hasAM && !hasPM) || (!hasAM && hasPM) || (!isAbsent && totalMinutes < 240);
-  let totalHoursWorked = totalMinutes / 60;
-  // Determine if Fixed rate type
-  const rateType = (employee?.rateType || '').toLowerCase();
-  const empType = (employee?.employmentType || employee?.type || '').toLowerCase();
-  const isFixed = rateType.includes('fixed') || rateType.includes('monthly') || rateType.includes('salary') || empType.includes('fixed');
-  const overtimeHours = isFixed ? 0 : Math.max(0, totalHoursWorked - dailyStandardHours);
-  // Calculate overtime pay for time-based employees
-  let overTimePay = 0;
-  if (!isFixed && overtimeHours > 0) {
-    const hourlyRate = calculateHourlyRate(employee);
-    overTimePay = overtimeHours * hourlyRate * 1.25;
-  }
+  const isFixed = window.AttendanceRules.isFixedRate(employee);
   
   // Get leave type
   const leaveType = document.getElementById('editLeaveType')?.value || 'None';
@@ -1384,6 +1183,9 @@ async function handleEditAttendanceSubmit(event) {
   if (isFixed) {
     isDoublePay = false;
   }
+  const holidayFields = holidayRecordFields(await getHoliday(newDate));
+  // Hours, paid lunch, overtime and the holiday premium from the shared attendance rules
+  const day = window.AttendanceRules.evaluateDay({ date: newDate, timeInAM, timeOutAM, timeInPM, timeOutPM, isDoublePay, ...holidayFields }, employee);
   
   const attendanceData = {
     employeeId,
@@ -1394,13 +1196,16 @@ async function handleEditAttendanceSubmit(event) {
     timeOutPM,
     remarks,
     isDoublePay,
-    totalHoursWorked,
-    overtimeHours,
-    overTimePay,
-    lunchBreak: (!isHalfDay && !isAbsent) ? 60 : 0,
+    ...holidayFields,
+    totalHoursWorked: day.totalHours,
+    rawHoursWorked: day.rawTotalHours,
+    roundedPunchLog: window.AttendanceRules.getRoundedPunchLog({ date: newDate, timeInAM, timeOutAM, timeInPM, timeOutPM }, employee),
+    overtimeHours: day.overtimeHours,
+    overTimePay: day.overtimePay,
+    lunchBreak: day.hasAM && day.hasPM ? 60 : 0,
     leaveType
   };
-    await update(attendanceId, attendanceData);
+    await updateAttendanceRecord(attendanceId, attendanceData, auditReason);
     
     // Handle leave balance changes if leave type changed
     if (leaveType !== oldLeaveType && employee) {
@@ -1467,8 +1272,10 @@ async function handleEditAttendanceSubmit(event) {
 window.deleteAttendance = async function(attendanceId) {
   const id = attendanceId || attendanceToDelete;
   if (!id) return;
+  const auditReason = askAuditReason('Reason for deleting this record (kept in the record history):');
+  if (auditReason === null) return;
   try {
-    await remove(id);
+    await deleteAttendanceRecord(id, auditReason);
     showAttendanceNotification('Attendance record deleted successfully.', 'success');
     attendanceToDelete = null;
     // Close the delete modal
@@ -1517,11 +1324,19 @@ window.viewEmployeeAttendance = async function(employeeId, employeeName) {
   if (mSel) mSel.value = String(currentMonth);
   if (ySel) ySel.value = String(currentYear);
   if (nameEl) nameEl.textContent = `${employeeName} - Attendance Records (${getMonthName(currentMonth)} ${currentYear})`;
-  if (idEl) idEl.textContent = `Employee ID: ${employeeId || ''}`;
+  if (idEl) {
+    idEl.innerHTML = `Employee ID: ${escapeHtml(employeeId || '')} ` +
+      `<button class="actions-btn" onclick="window.showEmployeePinModal?.('${escapeHtml(employeeId || '')}')">Kiosk PIN</button>`;
+  }
   if (modal) modal.style.display = 'block';
   // Load records
   console.log('[viewEmployeeAttendance] Fetching records for:', employeeId, 'month:', currentMonth, 'year:', currentYear);
-  const fetched = await getAll({ employeeId });
+  const [fetched] = await Promise.all([
+    getAll({ employeeId }),
+    // Days are judged against the rostered shift where there is one
+    attachRosters([employeesMap.get(employeeId)], { employeeId }),
+    loadHolidayYear(currentYear)
+  ]);
   console.log('[viewEmployeeAttendance] Fetched records:', fetched);
   allAttendanceRecords = Array.isArray(fetched) ? fetched : [];
   console.log('[viewEmployeeAttendance] allAttendanceRecords:', allAttendanceRecords);
@@ -1543,22 +1358,22 @@ function renderAttendanceModal(records, employeeName, employee) {
     const dailyRate = baseSalary / 30;
     const monthYearTitle = `${getMonthName(currentMonth)} ${currentYear} Summary`;
     // Determine employee pay type from directory fields
-    const rateType = (emp?.rateType || '').toLowerCase();
-    const empType = (emp?.employmentType || emp?.type || '').toLowerCase();
     // Treat Fixed/Monthly/Salary as fixed; Hourly/Time-based as time-based
-    const isFixed = rateType.includes('fixed') || rateType.includes('monthly') || rateType.includes('salary') || empType.includes('fixed');
+    const isFixed = window.AttendanceRules.isFixedRate(emp);
     
-    // Calculate expected working days for the month (Mon-Sat)
-    const firstDay = new Date(currentYear, currentMonth - 1, 1);
-    const lastDay = new Date(currentYear, currentMonth, 0);
+    // Calculate expected working days for the month: the employee's scheduled days (Mon-Sat without a schedule), less holidays
+    const monthRange = window.DateUtils.monthRange(currentYear, currentMonth);
+    const hasSchedule = !!window.AttendanceRules.getWeeklySchedule(emp);
     let expectedWorkingDays = 0;
-    for (let d = new Date(firstDay); d <= lastDay; d.setDate(d.getDate() + 1)) {
-      const dayOfWeek = d.getDay();
-      // Count Mon-Sat as working days (0=Sun, 6=Sat)
-      if (dayOfWeek >= 1 && dayOfWeek <= 6) {
+    window.DateUtils.eachDay(monthRange.from, monthRange.to).forEach(dateKey => {
+      const dayOfWeek = window.DateUtils.dayOfWeek(dateKey);
+      const isWorkingDay = hasSchedule
+        ? !!window.AttendanceRules.getDaySchedule(emp, dateKey)
+        : dayOfWeek >= 1 && dayOfWeek <= 6; // 0=Sun, 6=Sat
+      if (isWorkingDay && !getLoadedHoliday(dateKey)) {
         expectedWorkingDays++;
       }
-    }
+    });
     
     // Perfect attendance: no absents, no invalid, and present days >= expected working days
     const hasPerfectAttendance = summary.absentDays === 0 && summary.invalidDays === 0 && summary.presentDays >= expectedWorkingDays;
@@ -1600,6 +1415,10 @@ function renderAttendanceModal(records, employeeName, employee) {
           <div class="summary-item"><div class="muted">Sick Days</div><div class="value" style="color:#ea580c;">${employee?.sickDays || 0}</div></div>
           <div class="summary-item"><div class="muted">Personal Days</div><div class="value" style="color:#ca8a04;">${employee?.personalDays || 0}</div></div>
           <div class="summary-item"><div class="muted">Leave Used (Month)</div><div class="value">${summary.leaveUsed || 0}</div></div>
+          <div class="summary-item"><div class="muted">Late Days</div><div class="value" style="color:#ea580c;">${summary.lateDays} (${formatHoursMinutes(summary.totalLateMinutes / 60)})</div></div>
+          <div class="summary-item"><div class="muted">Early Outs</div><div class="value">${summary.earlyOutDays}</div></div>
+          <div class="summary-item"><div class="muted">Undertime</div><div class="value">${formatHoursMinutes(summary.totalUndertimeMinutes / 60)}</div></div>
+          <div class="summary-item"><div class="muted">Holidays Worked</div><div class="value" style="color:#d97706;">${summary.holidayDays}</div></div>
         </div>
       </div>`;
   }
@@ -1611,130 +1430,64 @@ function renderAttendanceModal(records, employeeName, employee) {
   // Deduplicate records by date (keep first occurrence)
   const seenDates = new Set();
   const uniqueRecords = records.filter(r => {
-    const dateKey = r.date ? new Date(r.date).toISOString().slice(0,10) : '';
+    const dateKey = window.DateUtils.normalizeDateKey(r.date);
     if (!dateKey || seenDates.has(dateKey)) return false;
     seenDates.add(dateKey);
     return true;
   });
 
-  // Helper to compute status
-  function getStatus(r) {
-    const hasAM = !!(r.timeInAM && r.timeOutAM);
-    const hasPM = !!(r.timeInPM && r.timeOutPM);
-    const total = Number(r.totalHoursWorked) || 0;
-    const emp = employee || employeesMap.get(currentEmployeeId);
-    const standard = Number(emp?.standardWorkweekHours) || 40;
-    // Daily standard hours = Standard Workweek Hours / 7 days
-    const daily = standard / 7;
-    const tol = 0.01;
-    
-    // Minimum hours thresholds
-    const minHoursForHalfDay = daily / 2 * 0.75; // At least 75% of half day (e.g., 3 hours for 8-hour day)
-    const minHoursForValid = 0.5; // At least 30 minutes to count as valid work
-    
-    if (!hasAM && !hasPM) return 'Absent';
-    if ((hasAM && !hasPM) || (!hasAM && hasPM)) {
-      // Only AM or PM - check if enough hours for Half Day
-      if (total < minHoursForValid) {
-        return 'Invalid'; // Too short to count (e.g., 5 minutes)
-      } else if (total < minHoursForHalfDay) {
-        return 'Undertime'; // Some work but not enough for half day
-      } else {
-        return 'Half Day';
-      }
-    }
-    if (total < 0) return 'Invalid';
-    if (total < (daily - tol)) return 'Undertime';
-    if (total > (daily + tol)) return 'Overtime';
-    return 'Present';
-  }
-
+  // Status colors for the table (statuses from attendance-rules.js)
   function getStatusColor(status) {
     switch (status) {
       case 'Present': return 'color:#16a34a;';
       case 'Overtime': return 'color:#2563eb;';
-      case 'Undertime': return 'color:#ea580c;';
+      case 'Short Hours': return 'color:#ea580c;';
       case 'Half Day': return 'color:#ca8a04;';
       case 'Absent': return 'color:#dc2626;';
+      case 'Incomplete': return 'color:#dc2626;';
       case 'Invalid': return 'color:#9333ea;'; // Purple for invalid/too short
+      case 'On Leave': return 'color:#0dcaf0;';
       default: return '';
     }
   }
 
-  // Define isFixed once for all rows
-  const rateType = (employee?.rateType || '').toLowerCase();
-  const empType = (employee?.employmentType || employee?.type || '').toLowerCase();
-  const isFixed = rateType.includes('fixed') || rateType.includes('monthly') || rateType.includes('salary') || empType.includes('fixed');
-  
-  // Calculate hourly rate for Regular Pay column
-  const hourlyRate = calculateHourlyRate(employee);
-  
-  // Calculate daily rate for fixed employees
-  const baseSalaryForRate = Number(employee?.baseSalary) || 0;
-  const fixedDailyRate = baseSalaryForRate / 30;
+  const rowEmployee = employee || employeesMap.get(currentEmployeeId);
+  const isFixed = window.AttendanceRules.isFixedRate(rowEmployee);
 
   const rows = uniqueRecords
     .slice()
     .sort((a,b) => new Date(b.date) - new Date(a.date))
     .map(r => {
       const id = r.id || r._airtableId || '';
+      // Night shift times after midnight get a +1 marker
+      const nextDaySlots = window.AttendanceRules.getNextDaySlots(r);
+      const slotTime = (value, slot) => formatTime(value) + (nextDaySlots.includes(slot) ? ' <small title="Next day">+1</small>' : '');
+
       // Time In column: show times stacked (one per line)
       const timeInParts = [];
-      if (r.timeInAM) timeInParts.push(formatTime(r.timeInAM));
-      if (r.timeInPM) timeInParts.push(formatTime(r.timeInPM));
+      if (r.timeInAM) timeInParts.push(slotTime(r.timeInAM, 'TimeInAM'));
+      if (r.timeInPM) timeInParts.push(slotTime(r.timeInPM, 'TimeInPM'));
       const timeIn = timeInParts.length ? timeInParts.join('<br>') : '-';
 
       // Time Out column: show times stacked (one per line)
       const timeOutParts = [];
-      if (r.timeOutAM) timeOutParts.push(formatTime(r.timeOutAM));
-      if (r.timeOutPM) timeOutParts.push(formatTime(r.timeOutPM));
+      if (r.timeOutAM) timeOutParts.push(slotTime(r.timeOutAM, 'TimeOutAM'));
+      if (r.timeOutPM) timeOutParts.push(slotTime(r.timeOutPM, 'TimeOutPM'));
       const timeOut = timeOutParts.length ? timeOutParts.join('<br>') : '-';
 
-      const totalVal = Number(r.totalHoursWorked) || 0;
-      const total = formatHoursMinutes(totalVal);
-      
-      // Get daily standard hours for the employee
-      const empStandardWeeklyHours = Number(employee?.standardWorkweekHours) || 40;
-      const empDailyStandardHours = empStandardWeeklyHours / 7;
-      
-      // Calculate Regular Pay for this day
-      // For Fixed employees: full daily rate unless Absent (₱0) or Half Day (half rate)
-      // Late, Undertime, Overtime don't affect the rate for Fixed employees
-      // For Time-based employees: 
-      //   - Regular Pay = min(total hours, daily standard hours) × hourly rate
-      //   - Overtime is calculated separately
-      let regularPay = 0;
-      const hasAM = !!(r.timeInAM && r.timeOutAM);
-      const hasPM = !!(r.timeInPM && r.timeOutPM);
-      const isAbsent = !hasAM && !hasPM;
-      const isHalfDay = (hasAM && !hasPM) || (!hasAM && hasPM);
-      
-      if (isFixed) {
-        // Fixed employee: full daily rate, half for half day, 0 for absent
-        if (isAbsent) {
-          regularPay = 0;
-        } else if (isHalfDay) {
-          regularPay = fixedDailyRate / 2;
-        } else {
-          regularPay = fixedDailyRate; // Full daily rate regardless of late/undertime/overtime
-        }
-      } else {
-        // Time-based employee: pay based on hours worked (capped at daily standard for regular pay)
-        // Regular hours = min(total hours, daily standard hours)
-        const regularHours = Math.min(totalVal, empDailyStandardHours);
-        regularPay = regularHours * hourlyRate;
-      }
-      
-      // Calculate overtime for time-based employees
-      const overtimeHoursNum = Number(r.overtimeHours) || 0;
-      // For time-based, calculate OT pay: OT hours × hourly rate × 1.25
-      const calculatedOTPay = isFixed ? 0 : (overtimeHoursNum * hourlyRate * 1.25);
-      
-      const ot = isFixed ? 'N/A' : (overtimeHoursNum > 0 ? `+${formatHoursMinutes(overtimeHoursNum)}` : '-');
+      // Hours, status and pay from the shared rules. Fixed employees get the
+      // daily rate (half for a half day); time-based employees get hours up to
+      // the daily standard, with overtime at 125% shown separately.
+      const day = window.AttendanceRules.evaluateDay(r, rowEmployee);
+      // Rounded (payable) total; the clocked total shows on hover when it differs
+      const total = day.rawTotalHours !== day.totalHours
+        ? `<span title="Clocked: ${formatHoursMinutes(day.rawTotalHours)}">${formatHoursMinutes(day.totalHours)}</span>`
+        : formatHoursMinutes(day.totalHours);
+      const regularPay = day.regularPay;
+      const ot = isFixed ? 'N/A' : (day.overtimeHours > 0 ? `+${formatHoursMinutes(day.overtimeHours)}` : '-');
       const leaveType = r.leaveType || '';
-      const isOnLeave = leaveType && leaveType !== 'None' && leaveType !== '';
-      const status = isOnLeave ? 'On Leave' : getStatus(r);
-      const statusStyle = isOnLeave ? 'color:#0dcaf0;' : getStatusColor(status);
+      const status = day.status;
+      const statusStyle = getStatusColor(status);
       
       // Leave Type display with color coding
       let leaveDisplay = '-';
@@ -1745,7 +1498,7 @@ function renderAttendanceModal(records, employeeName, employee) {
       const isChecked = selectedAttendanceIds.has(id) ? 'checked' : '';
       
       return `
-        <tr data-record-id="${id}" data-overtime-hours="${Number(r.overtimeHours)||0}">
+        <tr data-record-id="${id}" data-overtime-hours="${day.overtimeHours}">
           <td style="text-align:center;">
             <input type="checkbox" class="attendance-checkbox" data-id="${id}" data-date="${r.date}" ${isChecked} 
                    onchange="window.toggleAttendanceSelection?.('${id}', this.checked)" 
@@ -1757,14 +1510,19 @@ function renderAttendanceModal(records, employeeName, employee) {
           <td class="px-3 py-2">${total}</td>
           <td class="px-3 py-2" style="color:#28a745; font-weight:500;">₱${regularPay.toFixed(2)}</td>
           <td class="px-3 py-2">${ot}</td>
-          <td class="px-3 py-2 overtime-pay-cell">${isFixed ? 'N/A' : (calculatedOTPay > 0 ? `₱${calculatedOTPay.toFixed(2)}` : '-')}</td>
-          <td class="px-3 py-2">${r.isDoublePay ? '<span style="color:#d97706;font-weight:600;">Yes</span>' : '<span style="color:#64748b;">No</span>'}</td>
+          <td class="px-3 py-2 overtime-pay-cell">${isFixed ? 'N/A' : (day.overtimePay > 0 ? `₱${day.overtimePay.toFixed(2)}` : '-')}</td>
+          <td class="px-3 py-2">${r.holidayType
+            ? `<span style="color:#d97706;font-weight:600;" title="${escapeHtml(r.holiday || '')}">${escapeHtml(r.holidayType)}${day.payMultiplier > 1 ? ` (×${day.payMultiplier})` : ''}</span>`
+            : (r.isDoublePay ? '<span style="color:#d97706;font-weight:600;">Yes</span>' : '<span style="color:#64748b;">No</span>')}</td>
           <td class="px-3 py-2">${leaveDisplay}</td>
-          <td class="px-3 py-2" style="${statusStyle}font-weight:600;">${status}</td>
+          <td class="px-3 py-2" style="${statusStyle}font-weight:600;">${status}${r.offSite
+            ? ` <span style="color:#c53045;" title="${escapeHtml(r.punchLocations || '')}">(Off-site)</span>`
+            : ''}</td>
           <td class="px-3 py-2">${r.remarks || '-'}</td>
           <td class="px-3 py-2" style="text-align:center;">
             <div class="actions-inline">
               <button class="actions-btn" onclick="window.openEditAttendance('${id}')">Edit</button>
+              <button class="actions-btn" onclick="window.showAttendanceHistory('${id}', '${formatDate(r.date)}')">History</button>
               <button class="actions-btn delete-btn" onclick="window.promptDeleteAttendance('${id}', '${formatDate(r.date)}')">Delete</button>
             </div>
           </td>
@@ -1783,7 +1541,10 @@ window.applyModalMonthFilter = function() {
   selectedAttendanceIds.clear();
   updateDeleteSelectedAttendanceButton();
   const monthly = filterRecordsByMonth(allAttendanceRecords, currentMonth, currentYear);
-  renderAttendanceModal(monthly, currentEmployeeName, employeesMap.get(currentEmployeeId));
+  // The year's holidays count against the expected working days
+  loadHolidayYear(currentYear).then(() => {
+    renderAttendanceModal(monthly, currentEmployeeName, employeesMap.get(currentEmployeeId));
+  });
 };
 
 window.exportMonthlyReport = function() {
@@ -1794,44 +1555,34 @@ window.exportMonthlyReport = function() {
   const year = ySel ? parseInt(ySel.value,10) : currentYear;
   const monthly = filterRecordsByMonth(allAttendanceRecords, month, year);
   const emp = employeesMap.get(currentEmployeeId);
-  const hr = calculateHourlyRate(emp || {});
-  const otRate = hr * 1.25;
-
-  const rows = monthly.map(r => ({
-    EmployeeId: r.employeeId || currentEmployeeId,
-    Date: (new Date(r.date)).toISOString().slice(0,10),
-    TimeInAM: r.timeInAM || '',
-    TimeOutAM: r.timeOutAM || '',
-    TimeInPM: r.timeInPM || '',
-    TimeOutPM: r.timeOutPM || '',
-    TotalHours: (Number(r.totalHoursWorked)||0).toFixed(2),
-    OvertimeHours: (Number(r.overtimeHours)||0).toFixed(2),
-    OvertimePay: (String(emp?.rateType).toLowerCase() !== 'fixed' && Number(r.overtimeHours)>0)
-      ? (otRate * Number(r.overtimeHours)).toFixed(2) : '',
-    Status: (function(){
-      const total = Number(r.totalHoursWorked)||0;
-      const standard = Number(emp?.standardWorkweekHours)||40;
-      const daily = standard/7; const tol=0.01;
-      const hasAM = r.timeInAM && r.timeOutAM; const hasPM = r.timeInPM && r.timeOutPM;
-      // Minimum hours thresholds (same as getStatus function)
-      const minHoursForHalfDay = daily / 2 * 0.75; // At least 75% of half day
-      const minHoursForValid = 0.5; // At least 30 minutes to count as valid work
-      
-      if (!hasAM && !hasPM) return 'Absent';
-      if ((hasAM && !hasPM) || (!hasAM && hasPM)) {
-        // Only AM or PM - check if enough hours for Half Day
-        if (total < minHoursForValid) return 'Invalid'; // Too short (e.g., 5 minutes)
-        if (total < minHoursForHalfDay) return 'Short Hours';
-        return 'Half Day';
-      }
-      if (total < (daily - tol)) return 'Short Hours';
-      if (total > (daily + tol)) return 'Overtime';
-      return 'Present';
-    })(),
-    Remarks: r.remarks || ''
-  }));
-
-  const headers = Object.keys(rows[0] || {EmployeeId:'',Date:'',TimeInAM:'',TimeOutAM:'',TimeInPM:'',TimeOutPM:'',TotalHours:'',OvertimeHours:'',OvertimePay:'',Status:'',Remarks:''});
+
+  const rows = monthly.map(r => {
+    const day = window.AttendanceRules.evaluateDay(r, emp);
+    // Date is the shift's start date; times after midnight are marked (+1)
+    const nextDaySlots = window.AttendanceRules.getNextDaySlots(r);
+    const slotTime = (value, slot) => (value ? value + (nextDaySlots.includes(slot) ? ' (+1)' : '') : '');
+    return {
+      EmployeeId: r.employeeId || currentEmployeeId,
+      Date: window.DateUtils.normalizeDateKey(r.date) || '',
+      TimeInAM: slotTime(r.timeInAM, 'TimeInAM'),
+      TimeOutAM: slotTime(r.timeOutAM, 'TimeOutAM'),
+      TimeInPM: slotTime(r.timeInPM, 'TimeInPM'),
+      TimeOutPM: slotTime(r.timeOutPM, 'TimeOutPM'),
+      RawHours: day.rawTotalHours.toFixed(2),
+      TotalHours: day.totalHours.toFixed(2),
+      RoundedPunches: window.AttendanceRules.getRoundedPunchLog(r, emp),
+      OvertimeHours: day.overtimeHours.toFixed(2),
+      OvertimePay: day.overtimePay > 0 ? day.overtimePay.toFixed(2) : '',
+      LateMinutes: day.lateMinutes || '',
+      EarlyOutMinutes: day.earlyOutMinutes || '',
+      UndertimeMinutes: day.undertimeMinutes || '',
+      Status: day.status,
+      Holiday: r.holidayType ? `${r.holiday || ''} (${r.holidayType})` : (r.isDoublePay ? 'Double Pay' : ''),
+      Remarks: r.remarks || ''
+    };
+  });
+
+  const headers = Object.keys(rows[0] || {EmployeeId:'',Date:'',TimeInAM:'',TimeOutAM:'',TimeInPM:'',TimeOutPM:'',RawHours:'',TotalHours:'',RoundedPunches:'',OvertimeHours:'',OvertimePay:'',LateMinutes:'',EarlyOutMinutes:'',UndertimeMinutes:'',Status:'',Holiday:'',Remarks:''});
   const csv = [headers.join(','), ...rows.map(row => headers.map(h => String(row[h]).replace(/\r?\n/g,' ').replace(/,/g,';')).join(','))].join('\n');
   const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
   const url = URL.createObjectURL(blob);
@@ -1857,8 +1608,8 @@ window.closeAttendanceModal = function() {
 window.printAttendanceRecords = function() {
   const employeeName = document.getElementById('modalEmployeeName')?.textContent || 'Employee';
   const employeeId = document.getElementById('modalEmployeeId')?.textContent?.replace('Employee ID:', '').trim() || '';
-  const month = document.getElementById('modalMonthFilter')?.value || new Date().getMonth() + 1;
-  const year = document.getElementById('modalYearFilter')?.value || new Date().getFullYear();
+  const month = document.getElementById('modalMonthFilter')?.value || currentMonth;
+  const year = document.getElementById('modalYearFilter')?.value || currentYear;
   
   const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 
                       'July', 'August', 'September', 'October', 'November', 'December'];
@@ -1969,8 +1720,10 @@ window.applyAttendanceFilters = function() {
     // Match attendance status filter
     if (status) {
       // The status filter value matches the label from getTodayAttendanceStatus
-      // e.g., "Present", "Absent", "Half Day", "Undertime", "On Leave", "No Record"
-      if (!attendanceStatus.label.includes(status)) return false;
+      // e.g., "Present", "Absent", "Half Day", "Short Hours", "On Leave", "No Record".
+      // "Undertime" is the old name for Short Hours.
+      const wanted = status === 'Undertime' ? window.AttendanceRules.STATUS.SHORT_HOURS : status;
+      if (!attendanceStatus.label.includes(wanted)) return false;
     }
     
     return true;
@@ -2036,9 +1789,7 @@ window.openEditAttendance = async function(id) {
   
   // Disable double pay checkbox for fixed rate employees
   const employee = employeesMap.get(rec.employeeId || currentEmployeeId);
-  const rateType = (employee?.rateType || '').toLowerCase();
-  const empType = (employee?.employmentType || employee?.type || '').toLowerCase();
-  const isFixed = rateType.includes('fixed') || rateType.includes('monthly') || rateType.includes('salary') || empType.includes('fixed');
+  const isFixed = window.AttendanceRules.isFixedRate(employee);
   const editDoublePayChk = document.getElementById('editIsDoublePay');
   const editDoublePayLabel = editDoublePayChk?.parentElement;
   if (editDoublePayChk) {
@@ -2049,7 +1800,7 @@ window.openEditAttendance = async function(id) {
     if (isFixed && editDoublePayLabel) {
       editDoublePayLabel.innerHTML = '<input type="checkbox" id="editIsDoublePay" name="isDoublePay" disabled /><label for="editIsDoublePay" style="margin:0; color:#888;">Double Pay (Not applicable for Fixed Rate)</label>';
     } else if (editDoublePayLabel) {
-      editDoublePayLabel.innerHTML = `<input type="checkbox" id="editIsDoublePay" name="isDoublePay" ${rec.isDoublePay ? 'checked' : ''} /><label for="editIsDoublePay" style="margin:0;">Double Pay (Sunday/Holiday)</label>`;
+      editDoublePayLabel.innerHTML = `<input type="checkbox" id="editIsDoublePay" name="isDoublePay" ${rec.isDoublePay ? 'checked' : ''} /><label for="editIsDoublePay" style="margin:0;">Double Pay (Sunday; calendar holidays are automatic)</label>`;
     }
   }
   
@@ -2120,6 +1871,9 @@ window.deleteAttendance = async function() {
     return;
   }
   
+  const auditReason = askAuditReason('Reason for deleting this record (kept in the record history):');
+  if (auditReason === null) return;
+  
   // Get delete button and change text
   const deleteModal = document.getElementById('deleteAttendanceModal');
   const deleteBtn = deleteModal?.querySelector('button.delete-btn, button[onclick*="deleteAttendance"]');
@@ -2135,7 +1889,7 @@ window.deleteAttendance = async function() {
     const leaveType = recordToDelete?.leaveType || 'None';
     const employeeId = recordToDelete?.employeeId;
     
-    const result = await remove(attendanceToDelete);
+    const result = await deleteAttendanceRecord(attendanceToDelete, auditReason);
     console.log('Delete result:', result);
     
     // Refund leave if the record had a leave type
@@ -2186,55 +1940,13 @@ function calculateAddAttendanceSummary() {
   const timeOutAM = document.getElementById('addTimeOutAM').value;
   const timeInPM = document.getElementById('addTimeInPM').value;
   const timeOutPM = document.getElementById('addTimeOutPM').value;
-  const remarks = document.getElementById('addRemarks').value || '';
-  const isDoublePay = document.getElementById('addIsDoublePay').checked;
-  let totalMinutes = 0;
-  if (timeInAM && timeOutAM) {
-    const [inHour, inMinute] = timeInAM.split(':').map(Number);
-    const [outHour, outMinute] = timeOutAM.split(':').map(Number);
-    totalMinutes += (outHour * 60 + outMinute) - (inHour * 60 + inMinute);
-  }
-  if (timeInPM && timeOutPM) {
-    const [inHour, inMinute] = timeInPM.split(':').map(Number);
-    const [outHour, outMinute] = timeOutPM.split(':').map(Number);
-    totalMinutes += (outHour * 60 + outMinute) - (inHour * 60 + inMinute);
-  }
-  
-  const hasAM = !!(timeInAM && timeOutAM);
-  const hasPM = !!(timeInPM && timeOutPM);
   
   // Use current employee for rate
   const employee = employeesMap.get(currentEmployeeId);
-  const standardWorkweekHours = employee?.standardWorkweekHours || 40;
-  const dailyStandardHours = standardWorkweekHours / 7;
-  
-  // Calculate actual work hours first
-  let actualWorkHours = totalMinutes / 60;
-  
-  // Get schedule span from coreWorkingHours (e.g., "8:00 AM - 6:00 PM" = 10 hours)
-  const scheduleSpan = getScheduleSpanHours(employee?.coreWorkingHours);
-  
-  // Add 1-hour lunch break only if:
-  // 1. Both AM and PM shifts are worked
-  // 2. Schedule span exists and is >= daily standard (indicates lunch may be included in span)
-  // 3. Actual work hours < daily standard hours (need to add lunch to reach standard)
-  if (hasAM && hasPM && scheduleSpan && scheduleSpan >= dailyStandardHours && actualWorkHours < dailyStandardHours) {
-    totalMinutes += 60;
-  }
-  
-  let totalHoursWorked = totalMinutes / 60;
-  // Determine if Fixed rate type
-  const rateType = (employee?.rateType || '').toLowerCase();
-  const empType = (employee?.employmentType || employee?.type || '').toLowerCase();
-  const isFixed = rateType.includes('fixed') || rateType.includes('monthly') || rateType.includes('salary') || empType.includes('fixed');
-  const overtimeHours = isFixed ? 0 : Math.max(0, totalHoursWorked - dailyStandardHours);
-  const baseSalary = employee?.baseSalary || 0;
-  const hourlyRate = (baseSalary && dailyStandardHours > 0) ? (baseSalary / 30) / dailyStandardHours : 0;
-  const overtimeRate = hourlyRate * 1.25;
-  const overTimePay = (!isFixed && overtimeHours > 0) ? overtimeHours * overtimeRate : 0;
-  document.getElementById('addTotalHours').textContent = formatHoursMinutes(totalHoursWorked);
-  document.getElementById('addOvertimeHours').textContent = formatHoursMinutes(overtimeHours);
-  document.getElementById('addOvertimePay').textContent = overTimePay > 0 ? `₱${overTimePay.toFixed(2)}` : '-';
+  const day = window.AttendanceRules.evaluateDay({ timeInAM, timeOutAM, timeInPM, timeOutPM }, employee);
+  document.getElementById('addTotalHours').textContent = formatHoursMinutes(day.totalHours);
+  document.getElementById('addOvertimeHours').textContent = formatHoursMinutes(day.overtimeHours);
+  document.getElementById('addOvertimePay').textContent = day.overtimePay > 0 ? `₱${day.overtimePay.toFixed(2)}` : '-';
 }
 
 function bindAddAttendanceLiveSummary() {
@@ -2424,6 +2136,9 @@ async function confirmBulkDeleteAttendance() {
     return;
   }
   
+  const auditReason = askAuditReason(`Reason for deleting ${selectedAttendanceIds.size} record(s) (kept in the record history):`);
+  if (auditReason === null) return;
+  
   // Reset cancel flag
   bulkDeleteCancelled = false;
   
@@ -2479,7 +2194,7 @@ async function confirmBulkDeleteAttendance() {
       if (currentItem) currentItem.innerHTML = `<span style="color:#f59e0b;">🗑️ Deleting:</span> ${record.date}`;
       
       try {
-        const result = await remove(record.id);
+        const result = await deleteAttendanceRecord(record.id, auditReason);
         if (result) {
           successCount++;
           if (currentItem) currentItem.innerHTML = `<span style="color:#16a34a;">✓</span> Deleted: ${record.date}`;
@@ -2588,3 +2303,1107 @@ window.toggleSelectAllAttendance = toggleSelectAllAttendance;
 window.showBulkDeleteAttendanceModal = showBulkDeleteAttendanceModal;
 window.hideBulkDeleteAttendanceModal = hideBulkDeleteAttendanceModal;
 window.confirmBulkDeleteAttendance = confirmBulkDeleteAttendance;
+
+// ============================================
+// PUNCH CORRECTION QUEUE
+// Correction requests filed from the Clock In kiosk's duplicate-punch
+// warning (/api/corrections). Approving one is a single request: the
+// server changes the punch in the day's log, recalculates the hours,
+// audits the change and records the decision.
+// ============================================
+
+const CORRECTION_SLOT_LABELS = {
+  TimeInAM: 'Morning Time In',
+  TimeOutAM: 'Morning Time Out',
+  TimeInPM: 'Afternoon Time In',
+  TimeOutPM: 'Afternoon Time Out'
+};
+let pendingCorrections = [];
+
+// Employees type the reason, so it is escaped before going into innerHTML
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Admin token for the Clock In /api; the host app can set
+// window.ADMIN_API_TOKEN, otherwise it is asked for once per session
+const ADMIN_TOKEN_KEY = 'clockInAdminToken';
+
+function getAdminToken() {
+  try {
+    return sessionStorage.getItem(ADMIN_TOKEN_KEY) || window.ADMIN_API_TOKEN || '';
+  } catch (err) {
+    return window.ADMIN_API_TOKEN || '';
+  }
+}
+
+function askAdminToken() {
+  const token = window.prompt('Enter the admin token for the Clock In server:');
+  if (!token || !token.trim()) return '';
+  try {
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, token.trim());
+  } catch (err) {
+    window.ADMIN_API_TOKEN = token.trim();
+  }
+  return token.trim();
+}
+
+// Call the Clock In /api (corrections and the audit trail live there)
+async function clockInApiRequest(method, path, body, retried = false) {
+  const base = ((typeof AIRTABLE_CONFIG !== 'undefined' && AIRTABLE_CONFIG.API_BASE) || '/api').replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  const token = getAdminToken();
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const res = await fetch(`${base}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 401 && data.code === 'ADMIN_REQUIRED' && !retried) {
+    try {
+      sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    } catch (err) {
+      // Nothing stored
+    }
+    if (askAdminToken()) return clockInApiRequest(method, path, body, true);
+  }
+  if (!res.ok) {
+    const err = new Error(data.error || `Request failed (${res.status})`);
+    err.status = res.status;
+    err.code = data.code;
+    throw err;
+  }
+  return data;
+}
+
+window.showCorrectionQueueModal = async function() {
+  let modal = document.getElementById('correctionQueueModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'correctionQueueModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" role="dialog" aria-modal="true" style="max-width:900px; width:95%;">
+        <span class="close" onclick="window.closeCorrectionQueueModal?.()">&times;</span>
+        <div class="modal-header">
+          <h3 style="margin:0;">Punch Correction Requests</h3>
+        </div>
+        <div class="modal-body" style="overflow-x:auto;">
+          <table style="width:100%;">
+            <thead>
+              <tr>
+                <th>Employee</th><th>Date</th><th>Punch</th><th>Recorded</th><th>Requested</th><th>Reason</th><th>Submitted</th><th></th>
+              </tr>
+            </thead>
+            <tbody id="correctionQueueBody"></tbody>
+          </table>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+  modal.style.display = 'block';
+  await loadCorrectionQueue();
+};
+
+window.closeCorrectionQueueModal = function() {
+  const modal = document.getElementById('correctionQueueModal');
+  if (modal) modal.style.display = 'none';
+};
+
+async function loadCorrectionQueue() {
+  const tbody = document.getElementById('correctionQueueBody');
+  if (tbody) tbody.innerHTML = '<tr><td colspan="8" style="text-align:center;">Loading...</td></tr>';
+  try {
+    const data = await clockInApiRequest('GET', '/corrections?status=Pending');
+    pendingCorrections = data.records || [];
+    renderCorrectionQueue();
+  } catch (err) {
+    console.error('[Attendance] Error loading correction requests:', err);
+    if (tbody) tbody.innerHTML = `<tr><td colspan="8" style="text-align:center;color:#c53045;">Error: ${escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+function renderCorrectionQueue() {
+  const tbody = document.getElementById('correctionQueueBody');
+  if (!tbody) return;
+  if (pendingCorrections.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="8" style="text-align:center;">No pending correction requests.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = pendingCorrections.map(c => {
+    const emp = employeesMap.get(c.employeeId);
+    const name = emp ? `${emp.lastName || ''}, ${emp.firstName || ''}` : c.employeeId;
+    const submitted = c.submittedAt ? new Date(c.submittedAt).toLocaleString() : '';
+    return `
+      <tr>
+        <td><div class="employee-name">${escapeHtml(name)}</div><div class="muted">${escapeHtml(c.employeeId)}</div></td>
+        <td>${escapeHtml(c.date)}</td>
+        <td>${escapeHtml(CORRECTION_SLOT_LABELS[c.slot] || c.slot)}</td>
+        <td>${escapeHtml(c.currentTime || '-')}</td>
+        <td><strong>${escapeHtml(c.proposedTime)}</strong></td>
+        <td style="max-width:220px; white-space:normal;">${escapeHtml(c.reason)}</td>
+        <td class="muted">${escapeHtml(submitted)}</td>
+        <td style="white-space:nowrap;">
+          <button class="actions-btn" onclick="window.approveCorrection('${escapeHtml(c.id)}')">Approve</button>
+          <button class="actions-btn" onclick="window.rejectCorrection('${escapeHtml(c.id)}')">Reject</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+window.approveCorrection = async function(id) {
+  const correction = pendingCorrections.find(c => c.id === id);
+  if (!correction) return;
+
+  try {
+    // The server puts the time on the day record (punch log, hours, audit)
+    // and marks the request approved in the same call
+    await clockInApiRequest('PATCH', '/corrections', { id, status: 'Approved' });
+    const note = `Corrected ${CORRECTION_SLOT_LABELS[correction.slot] || correction.slot}: ${correction.currentTime || 'none'} to ${correction.proposedTime}`;
+
+    showAttendanceNotification(`${note}.`, 'success', 'Correction Approved');
+    await loadCorrectionQueue();
+    if (currentEmployeeId === correction.employeeId) {
+      await window.viewEmployeeAttendance(currentEmployeeId, currentEmployeeName);
+    }
+  } catch (err) {
+    console.error('[Attendance] Error approving correction:', err);
+    showAttendanceNotification('Failed to approve correction: ' + err.message, 'error');
+  }
+};
+
+window.rejectCorrection = async function(id) {
+  const note = window.prompt('Reason for rejecting (optional):');
+  if (note === null) return;
+
+  try {
+    await clockInApiRequest('PATCH', '/corrections', { id, status: 'Rejected', note: note.trim() || null });
+    showAttendanceNotification('Correction request rejected.', 'info');
+    await loadCorrectionQueue();
+  } catch (err) {
+    console.error('[Attendance] Error rejecting correction:', err);
+    showAttendanceNotification('Failed to reject correction: ' + err.message, 'error');
+  }
+};
+
+// ============================================
+// SHIFT REVIEW QUEUE
+// Days the end-of-day job closed or flagged Incomplete, and days with an
+// offline punch whose time could not be verified (/api/attendance/review).
+// A supervisor checks the day, fixes it with Edit if needed, then marks
+// it reviewed, which takes it off the list.
+// ============================================
+
+let reviewQueue = [];
+
+window.showReviewQueueModal = async function() {
+  let modal = document.getElementById('reviewQueueModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'reviewQueueModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" role="dialog" aria-modal="true" style="max-width:900px; width:95%;">
+        <span class="close" onclick="window.closeReviewQueueModal?.()">&times;</span>
+        <div class="modal-header">
+          <h3 style="margin:0;">Shifts to Review</h3>
+        </div>
+        <div class="modal-body" style="overflow-x:auto;">
+          <table style="width:100%;">
+            <thead>
+              <tr><th>Employee</th><th>Date</th><th>Flag</th><th>Punches</th><th>Hours</th><th>Note</th><th></th></tr>
+            </thead>
+            <tbody id="reviewQueueBody"></tbody>
+          </table>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+  modal.style.display = 'block';
+  await loadReviewQueue();
+};
+
+window.closeReviewQueueModal = function() {
+  const modal = document.getElementById('reviewQueueModal');
+  if (modal) modal.style.display = 'none';
+};
+
+async function loadReviewQueue() {
+  const tbody = document.getElementById('reviewQueueBody');
+  if (tbody) tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;">Loading...</td></tr>';
+  try {
+    const data = await clockInApiRequest('GET', '/attendance/review');
+    reviewQueue = data.records || [];
+    renderReviewQueue();
+  } catch (err) {
+    console.error('[Attendance] Error loading the review queue:', err);
+    if (tbody) tbody.innerHTML = `<tr><td colspan="7" style="text-align:center;color:#c53045;">Error: ${escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+function renderReviewQueue() {
+  const tbody = document.getElementById('reviewQueueBody');
+  if (!tbody) return;
+  if (reviewQueue.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;">Nothing to review.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = reviewQueue.map(item => {
+    const emp = employeesMap.get(item.employeeId);
+    const name = emp ? `${emp.lastName || ''}, ${emp.firstName || ''}` : item.employeeId;
+    return `
+      <tr>
+        <td><div class="employee-name">${escapeHtml(name)}</div><div class="muted">${escapeHtml(item.employeeId)}</div></td>
+        <td>${escapeHtml(item.date)}</td>
+        <td>${escapeHtml(item.flag)}</td>
+        <td style="max-width:220px; white-space:normal;">${escapeHtml(item.punchLog)}</td>
+        <td>${escapeHtml(item.totalHoursWorked)}</td>
+        <td style="max-width:260px; white-space:pre-line;">${escapeHtml(item.note)}</td>
+        <td style="white-space:nowrap;">
+          <button class="actions-btn" onclick="window.markShiftReviewed('${escapeHtml(item.recordId)}')">Mark reviewed</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+window.markShiftReviewed = async function(recordId) {
+  const note = window.prompt('Note for the record (optional):');
+  if (note === null) return;
+
+  try {
+    await clockInApiRequest('PATCH', '/attendance/review', { recordId, note: note.trim() || null });
+    showAttendanceNotification('Day marked reviewed.', 'success');
+    await loadReviewQueue();
+  } catch (err) {
+    console.error('[Attendance] Error marking a day reviewed:', err);
+    showAttendanceNotification('Failed to mark the day reviewed: ' + err.message, 'error');
+  }
+};
+
+// ============================================
+// AUDIT TRAIL
+// Every add, edit and delete made here goes through /api/attendance,
+// which saves it and writes the audit entry (fields before and after,
+// the signed-in admin, the reason) next to the entries the kiosk writes
+// for punches. The History button on each row shows a record's entries.
+// ============================================
+
+// Ask why a record is changed; null when cancelled or left empty
+function askAuditReason(message) {
+  const reason = window.prompt(message);
+  if (reason === null) return null;
+  if (!reason.trim()) {
+    showAttendanceNotification('A reason is required so the change can be traced later.', 'warning');
+    return null;
+  }
+  return reason.trim();
+}
+
+// Admin records are camelCase; /api/attendance takes and gives the Airtable field names
+function fromRecordFields(record) {
+  const data = { id: record.id, createdTime: record.createdTime };
+  Object.entries(record.fields || {}).forEach(([name, value]) => {
+    data[name.charAt(0).toLowerCase() + name.slice(1)] = value;
+  });
+  return data;
+}
+
+function toRecordFields(record) {
+  const fields = {};
+  Object.entries(record).forEach(([key, value]) => {
+    if (key === 'id' || key === 'createdTime' || key.startsWith('_') || (value && typeof value === 'object')) return;
+    fields[key.charAt(0).toUpperCase() + key.slice(1)] = value;
+  });
+  return fields;
+}
+
+async function addAttendanceRecord(data, reason) {
+  const { record } = await clockInApiRequest('POST', '/attendance', { fields: toRecordFields(data), reason });
+  return record;
+}
+
+async function updateAttendanceRecord(id, data, reason) {
+  const { record } = await clockInApiRequest('PATCH', '/attendance', { id, fields: toRecordFields(data), reason });
+  return record;
+}
+
+async function deleteAttendanceRecord(id, reason) {
+  return clockInApiRequest('DELETE', `/attendance?id=${encodeURIComponent(id)}&reason=${encodeURIComponent(reason || '')}`);
+}
+
+function formatAuditValue(value) {
+  return value === null || value === undefined ? '<span class="muted">empty</span>' : escapeHtml(value);
+}
+
+window.showAttendanceHistory = async function(recordId, dateLabel) {
+  let modal = document.getElementById('attendanceHistoryModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'attendanceHistoryModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" role="dialog" aria-modal="true" style="max-width:800px; width:95%;">
+        <span class="close" onclick="window.closeAttendanceHistoryModal?.()">&times;</span>
+        <div class="modal-header">
+          <h3 id="attendanceHistoryTitle" style="margin:0;">Record History</h3>
+        </div>
+        <div class="modal-body" style="overflow-x:auto;">
+          <table style="width:100%;">
+            <thead>
+              <tr><th>When</th><th>Who</th><th>Action</th><th>Changes</th><th>Reason</th></tr>
+            </thead>
+            <tbody id="attendanceHistoryBody"></tbody>
+          </table>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+
+  const title = document.getElementById('attendanceHistoryTitle');
+  const tbody = document.getElementById('attendanceHistoryBody');
+  if (title) title.textContent = `Record History${dateLabel ? ` - ${dateLabel}` : ''}`;
+  if (tbody) tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;">Loading...</td></tr>';
+  modal.style.display = 'block';
+
+  try {
+    const data = await clockInApiRequest('GET', `/audit?recordId=${encodeURIComponent(recordId)}`);
+    const entries = data.records || [];
+    if (!tbody) return;
+    if (entries.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;">No history recorded for this record.</td></tr>';
+      return;
+    }
+    tbody.innerHTML = entries.slice().reverse().map(e => {
+      const changes = Object.keys({ ...e.before, ...e.after }).map(name => {
+        return `<div><strong>${escapeHtml(name)}</strong>: ${formatAuditValue(e.before[name])} &rarr; ${formatAuditValue(e.after[name])}</div>`;
+      }).join('');
+      return `
+        <tr>
+          <td style="white-space:nowrap;">${escapeHtml(e.timestamp ? new Date(e.timestamp).toLocaleString() : '')}</td>
+          <td>${escapeHtml(e.actor)}<div class="muted">${escapeHtml(e.source)}</div></td>
+          <td>${escapeHtml(e.action)}</td>
+          <td style="white-space:normal;">${changes || '-'}</td>
+          <td style="white-space:normal;">${escapeHtml(e.reason || '-')}</td>
+        </tr>
+      `;
+    }).join('');
+  } catch (err) {
+    console.error('[Attendance] Error loading record history:', err);
+    if (tbody) tbody.innerHTML = `<tr><td colspan="5" style="text-align:center;color:#c53045;">Error: ${escapeHtml(err.message)}</td></tr>`;
+  }
+};
+
+window.closeAttendanceHistoryModal = function() {
+  const modal = document.getElementById('attendanceHistoryModal');
+  if (modal) modal.style.display = 'none';
+};
+
+// ============================================
+// SHIFT ROSTER
+// Shift templates and who works which one when (/api/roster). Employees
+// get their roster attached (emp.roster) before their days are evaluated,
+// so lateness, absence and overtime go by the rostered shift.
+// ============================================
+
+let rosterWeekStart = null;
+let rosterData = { templates: [], assignments: [] };
+
+// Attach rosters to employee objects; on failure they keep their own schedules
+async function attachRosters(employees, query = {}) {
+  try {
+    const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value));
+    const data = await clockInApiRequest('GET', `/roster?${params}`);
+    employees.filter(Boolean).forEach(emp => {
+      const id = emp.employeeId || emp.id;
+      const mine = (data.assignments || []).filter(a => a.employeeId === id);
+      emp.roster = mine.length > 0 ? window.AttendanceRules.buildRoster(data.templates, mine) : null;
+    });
+    return data;
+  } catch (err) {
+    console.warn('[Attendance] Roster unavailable, using employee schedules:', err);
+    return null;
+  }
+}
+
+function formatShiftHours(schedule) {
+  if (!schedule) return 'Off';
+  const { formatMinutes } = window.AttendanceRules;
+  return `${formatMinutes(schedule.start)} - ${formatMinutes(schedule.end)}`;
+}
+
+function getRosterDepartment() {
+  return document.getElementById('rosterDepartment')?.value || '';
+}
+
+function getRosterEmployees() {
+  const department = getRosterDepartment();
+  return Array.from(employeesMap.values())
+    .filter(emp => !department || emp.department === department)
+    .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`));
+}
+
+window.showRosterModal = async function() {
+  let modal = document.getElementById('rosterModal');
+  if (!modal) {
+    const departments = Array.from(new Set(Array.from(employeesMap.values()).map(emp => emp.department).filter(Boolean))).sort();
+    modal = document.createElement('div');
+    modal.id = 'rosterModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" role="dialog" aria-modal="true" style="max-width:1100px; width:95%;">
+        <span class="close" onclick="window.closeRosterModal?.()">&times;</span>
+        <div class="modal-header">
+          <h3 style="margin:0;">Shift Roster</h3>
+        </div>
+        <div class="modal-body" style="overflow-x:auto;">
+          <div style="display:flex; gap:.5rem; align-items:center; flex-wrap:wrap; margin-bottom:.5rem;">
+            <select id="rosterDepartment" onchange="window.renderRosterWeek?.()">
+              <option value="">All Departments</option>
+              ${departments.map(d => `<option value="${escapeHtml(d)}">${escapeHtml(d)}</option>`).join('')}
+            </select>
+            <button class="actions-btn" onclick="window.moveRosterWeek?.(-7)">&larr; Previous</button>
+            <strong id="rosterWeekLabel"></strong>
+            <button class="actions-btn" onclick="window.moveRosterWeek?.(7)">Next &rarr;</button>
+          </div>
+          <p class="muted" style="margin:0 0 .5rem;">Click a day to roster a one-day shift or day off. Days in grey follow the employee's own schedule.</p>
+          <table style="width:100%;">
+            <thead id="rosterGridHead"></thead>
+            <tbody id="rosterGridBody"></tbody>
+          </table>
+
+          <h4 style="margin:1rem 0 .3rem;">Assign shifts</h4>
+          <div style="display:flex; gap:.5rem; align-items:flex-end; flex-wrap:wrap;">
+            <label>Employee<br><select id="rosterEmployee"></select></label>
+            <label>From<br><input type="date" id="rosterFrom" /></label>
+            <label>To (optional)<br><input type="date" id="rosterTo" /></label>
+            <label>Shifts, in rotation order<br><input type="text" id="rosterShifts" placeholder="Morning, Mid, Night" /></label>
+            <label>Rotate every (days)<br><input type="number" id="rosterRotation" min="1" value="7" style="width:6rem;" /></label>
+            <button class="actions-btn" onclick="window.submitRosterAssignment?.()">Assign</button>
+          </div>
+          <table style="width:100%; margin-top:.5rem;">
+            <thead><tr><th>Employee</th><th>From</th><th>To</th><th>Shifts</th><th>Rotation</th><th></th></tr></thead>
+            <tbody id="rosterAssignmentsBody"></tbody>
+          </table>
+
+          <h4 style="margin:1rem 0 .3rem;">Shift templates</h4>
+          <table style="width:100%;">
+            <thead><tr><th>Name</th><th>Hours</th><th>Days</th><th>Grace</th><th>Lunch</th></tr></thead>
+            <tbody id="rosterTemplatesBody"></tbody>
+          </table>
+          <div style="display:flex; gap:.5rem; align-items:flex-end; flex-wrap:wrap; margin-top:.5rem;">
+            <label>Name<br><input type="text" id="shiftTemplateName" placeholder="Morning" /></label>
+            <label>Hours<br><input type="text" id="shiftTemplateHours" placeholder="6:00 AM - 2:00 PM" /></label>
+            <label>Days (blank = Mon-Sat)<br><input type="text" id="shiftTemplateDays" placeholder="Mon, Tue, Wed, Thu, Fri" /></label>
+            <label>Grace (min)<br><input type="number" id="shiftTemplateGrace" min="0" value="0" style="width:5rem;" /></label>
+            <label>Lunch (optional)<br><input type="text" id="shiftTemplateLunch" placeholder="10:00 AM - 11:00 AM" /></label>
+            <button class="actions-btn" onclick="window.submitShiftTemplate?.()">Add Template</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+
+  if (!rosterWeekStart) {
+    // Weeks start on Monday
+    const today = window.DateUtils.today();
+    rosterWeekStart = window.DateUtils.addDays(today, -((window.DateUtils.dayOfWeek(today) + 6) % 7));
+  }
+  modal.style.display = 'block';
+  await loadRosterWeek();
+};
+
+window.closeRosterModal = function() {
+  const modal = document.getElementById('rosterModal');
+  if (modal) modal.style.display = 'none';
+};
+
+window.moveRosterWeek = async function(days) {
+  rosterWeekStart = window.DateUtils.addDays(rosterWeekStart, days);
+  await loadRosterWeek();
+};
+
+async function loadRosterWeek() {
+  const tbody = document.getElementById('rosterGridBody');
+  if (tbody) tbody.innerHTML = '<tr><td colspan="8" style="text-align:center;">Loading...</td></tr>';
+  const to = window.DateUtils.addDays(rosterWeekStart, 6);
+  const data = await attachRosters(Array.from(employeesMap.values()), { from: rosterWeekStart, to });
+  if (!data) {
+    if (tbody) tbody.innerHTML = '<tr><td colspan="8" style="text-align:center;color:#c53045;">Could not load the roster.</td></tr>';
+    return;
+  }
+  rosterData = data;
+  window.renderRosterWeek();
+}
+
+window.renderRosterWeek = function() {
+  const head = document.getElementById('rosterGridHead');
+  const tbody = document.getElementById('rosterGridBody');
+  const label = document.getElementById('rosterWeekLabel');
+  if (!head || !tbody) return;
+
+  const days = window.DateUtils.eachDay(rosterWeekStart, window.DateUtils.addDays(rosterWeekStart, 6));
+  const employees = getRosterEmployees();
+  if (label) {
+    label.textContent = `${window.DateUtils.formatDateKey(days[0], { month: 'short', day: 'numeric' })} - ${window.DateUtils.formatDateKey(days[6], { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+
+  head.innerHTML = `<tr><th>Employee</th>${days.map(d => `<th>${escapeHtml(window.DateUtils.formatDateKey(d, { weekday: 'short', day: 'numeric' }))}</th>`).join('')}</tr>`;
+  tbody.innerHTML = employees.length === 0
+    ? '<tr><td colspan="8" style="text-align:center;">No employees in this department.</td></tr>'
+    : employees.map(emp => {
+      const cells = days.map(date => {
+        const shiftName = window.AttendanceRules.getRosteredShiftName(emp.roster, date);
+        const hours = formatShiftHours(window.AttendanceRules.getDaySchedule(emp, date));
+        const text = shiftName
+          ? `<strong>${escapeHtml(shiftName)}</strong>${shiftName !== window.AttendanceRules.OFF_SHIFT ? `<div class="muted">${escapeHtml(hours)}</div>` : ''}`
+          : `<span style="color:#888;">${escapeHtml(hours)}</span>`;
+        return `<td style="cursor:pointer;" onclick="window.editRosterDay?.('${escapeHtml(emp.employeeId)}', '${date}')">${text}</td>`;
+      }).join('');
+      return `<tr><td><div class="employee-name">${escapeHtml(`${emp.lastName || ''}, ${emp.firstName || ''}`)}</div><div class="muted">${escapeHtml(emp.employeeId)}</div></td>${cells}</tr>`;
+    }).join('');
+
+  const employeeSelect = document.getElementById('rosterEmployee');
+  if (employeeSelect) {
+    const selected = employeeSelect.value;
+    employeeSelect.innerHTML = employees.map(emp => `<option value="${escapeHtml(emp.employeeId)}">${escapeHtml(`${emp.lastName || ''}, ${emp.firstName || ''}`)}</option>`).join('');
+    if (employees.some(emp => emp.employeeId === selected)) employeeSelect.value = selected;
+  }
+
+  const inDepartment = new Set(employees.map(emp => emp.employeeId));
+  const assignmentsBody = document.getElementById('rosterAssignmentsBody');
+  if (assignmentsBody) {
+    const assignments = rosterData.assignments.filter(a => inDepartment.has(a.employeeId));
+    assignmentsBody.innerHTML = assignments.length === 0
+      ? '<tr><td colspan="6" style="text-align:center;">No roster assignments this week.</td></tr>'
+      : assignments.map(a => `
+        <tr>
+          <td>${escapeHtml(a.employeeId)}</td>
+          <td>${escapeHtml(a.from)}</td>
+          <td>${escapeHtml(a.to || 'Open')}</td>
+          <td>${escapeHtml(a.shifts.join(' → '))}</td>
+          <td>${a.shifts.length > 1 ? `every ${a.rotationDays} days` : '-'}</td>
+          <td><button class="actions-btn" onclick="window.cancelRosterAssignment?.('${escapeHtml(a.id)}')">Remove</button></td>
+        </tr>
+      `).join('');
+  }
+
+  const templatesBody = document.getElementById('rosterTemplatesBody');
+  if (templatesBody) {
+    templatesBody.innerHTML = rosterData.templates.length === 0
+      ? '<tr><td colspan="5" style="text-align:center;">No shift templates yet.</td></tr>'
+      : rosterData.templates.map(t => `
+        <tr${t.active ? '' : ' style="color:#888;"'}>
+          <td>${escapeHtml(t.name)}${t.active ? '' : ' (inactive)'}</td>
+          <td>${escapeHtml(t.hours)}</td>
+          <td>${escapeHtml(t.days.length ? t.days.join(', ') : 'Mon-Sat')}</td>
+          <td>${t.graceMinutes ? `${t.graceMinutes} min` : '-'}</td>
+          <td>${escapeHtml(t.lunch || '-')}</td>
+        </tr>
+      `).join('');
+  }
+};
+
+// One-day shift or day off over whatever the day had; blank removes a one-day entry
+window.editRosterDay = async function(employeeId, date) {
+  const names = rosterData.templates.filter(t => t.active).map(t => t.name);
+  const single = rosterData.assignments.find(a => a.employeeId === employeeId && a.from === date && a.to === date);
+  const answer = window.prompt(
+    `Shift for ${employeeId} on ${date}:\n${[...names, window.AttendanceRules.OFF_SHIFT].join(', ')}${single ? '\n(leave blank to remove this day\'s entry)' : ''}`,
+    single ? single.shifts[0] : ''
+  );
+  if (answer === null) return;
+
+  try {
+    const shift = answer.trim();
+    if (!shift) {
+      if (single) await clockInApiRequest('DELETE', `/roster?id=${encodeURIComponent(single.id)}`);
+    } else {
+      await clockInApiRequest('POST', '/roster', {
+        id: single ? single.id : undefined,
+        employeeId,
+        from: date,
+        to: date,
+        shifts: [shift]
+      });
+    }
+    await loadRosterWeek();
+  } catch (err) {
+    console.error('[Attendance] Error saving roster day:', err);
+    showAttendanceNotification('Failed to save the roster: ' + err.message, 'error');
+  }
+};
+
+window.submitRosterAssignment = async function() {
+  const value = id => (document.getElementById(id)?.value || '').trim();
+  try {
+    await clockInApiRequest('POST', '/roster', {
+      employeeId: value('rosterEmployee'),
+      from: value('rosterFrom'),
+      to: value('rosterTo') || null,
+      shifts: value('rosterShifts'),
+      rotationDays: Number(value('rosterRotation')) || 7
+    });
+    showAttendanceNotification('Shifts assigned.', 'success');
+    await loadRosterWeek();
+  } catch (err) {
+    console.error('[Attendance] Error assigning shifts:', err);
+    showAttendanceNotification('Failed to assign shifts: ' + err.message, 'error');
+  }
+};
+
+window.cancelRosterAssignment = async function(id) {
+  if (!window.confirm('Remove this roster assignment? The employee goes back to their own schedule for those days.')) return;
+  try {
+    await clockInApiRequest('DELETE', `/roster?id=${encodeURIComponent(id)}`);
+    await loadRosterWeek();
+  } catch (err) {
+    console.error('[Attendance] Error removing roster assignment:', err);
+    showAttendanceNotification('Failed to remove the assignment: ' + err.message, 'error');
+  }
+};
+
+window.submitShiftTemplate = async function() {
+  const value = id => (document.getElementById(id)?.value || '').trim();
+  try {
+    await clockInApiRequest('POST', '/roster/shifts', {
+      name: value('shiftTemplateName'),
+      hours: value('shiftTemplateHours'),
+      days: value('shiftTemplateDays'),
+      graceMinutes: Number(value('shiftTemplateGrace')) || 0,
+      lunch: value('shiftTemplateLunch') || null
+    });
+    ['shiftTemplateName', 'shiftTemplateHours', 'shiftTemplateDays', 'shiftTemplateLunch'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.value = '';
+    });
+    showAttendanceNotification('Shift template saved.', 'success');
+    await loadRosterWeek();
+  } catch (err) {
+    console.error('[Attendance] Error saving shift template:', err);
+    showAttendanceNotification('Failed to save the shift template: ' + err.message, 'error');
+  }
+};
+
+// ============================================
+// HOLIDAY CALENDAR
+// Regular holidays, special non-working days and company days
+// (/api/holidays). Records on a holiday carry holiday/holidayType and are
+// paid at the type's premium (AttendanceRules.getPayMultiplier); the
+// server re-flags existing records whenever the calendar changes.
+// ============================================
+
+const holidayRequests = new Map();
+const holidaysByYear = new Map();
+let holidayCalendarYear = null;
+
+// Load a year of the calendar once; on failure it counts as having no holidays
+function loadHolidayYear(year) {
+  if (!holidayRequests.has(year)) {
+    const request = clockInApiRequest('GET', `/holidays?from=${year}-01-01&to=${year}-12-31`)
+      .then(data => {
+        holidaysByYear.set(year, data.records || []);
+        return holidaysByYear.get(year);
+      })
+      .catch(err => {
+        console.warn('[Attendance] Holiday calendar unavailable:', err);
+        holidayRequests.delete(year);
+        return [];
+      });
+    holidayRequests.set(year, request);
+  }
+  return holidayRequests.get(year);
+}
+
+async function loadHolidays(from, to) {
+  const years = [];
+  for (let year = Number(from.slice(0, 4)); year <= Number(to.slice(0, 4)); year++) years.push(year);
+  return (await Promise.all(years.map(loadHolidayYear))).flat();
+}
+
+// Holiday on a date of a year already loaded, or null
+function getLoadedHoliday(date) {
+  const key = window.DateUtils.normalizeDateKey(date);
+  return key ? window.AttendanceRules.findHoliday(holidaysByYear.get(Number(key.slice(0, 4))), key) : null;
+}
+
+async function getHoliday(date) {
+  const key = window.DateUtils.normalizeDateKey(date);
+  if (!key) return null;
+  await loadHolidayYear(Number(key.slice(0, 4)));
+  return getLoadedHoliday(key);
+}
+
+// Record fields for a day; null clears a date that is no longer a holiday
+function holidayRecordFields(holiday) {
+  return { holiday: holiday ? holiday.name : null, holidayType: holiday ? holiday.type : null };
+}
+
+function forgetHolidays() {
+  holidayRequests.clear();
+  holidaysByYear.clear();
+}
+
+window.showHolidayCalendarModal = async function() {
+  let modal = document.getElementById('holidayCalendarModal');
+  if (!modal) {
+    const typeOptions = Object.values(window.AttendanceRules.HOLIDAY_TYPES)
+      .map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`).join('');
+    modal = document.createElement('div');
+    modal.id = 'holidayCalendarModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" role="dialog" aria-modal="true" style="max-width:800px; width:95%;">
+        <span class="close" onclick="window.closeHolidayCalendarModal?.()">&times;</span>
+        <div class="modal-header">
+          <h3 style="margin:0;">Holiday Calendar</h3>
+        </div>
+        <div class="modal-body" style="overflow-x:auto;">
+          <div style="display:flex; gap:.5rem; align-items:center; margin-bottom:.5rem;">
+            <button class="actions-btn" onclick="window.moveHolidayYear?.(-1)">&larr; Previous</button>
+            <strong id="holidayCalendarYear"></strong>
+            <button class="actions-btn" onclick="window.moveHolidayYear?.(1)">Next &rarr;</button>
+          </div>
+          <p class="muted" style="margin:0 0 .5rem;">Attendance on these dates is flagged automatically and paid at the holiday premium (not for fixed-rate employees).</p>
+          <table style="width:100%;">
+            <thead><tr><th>Date</th><th>Holiday</th><th>Type</th><th>Premium</th><th></th></tr></thead>
+            <tbody id="holidayCalendarBody"></tbody>
+          </table>
+
+          <h4 style="margin:1rem 0 .3rem;">Add a holiday</h4>
+          <div style="display:flex; gap:.5rem; align-items:flex-end; flex-wrap:wrap;">
+            <label>Date<br><input type="date" id="holidayDate" /></label>
+            <label>Name<br><input type="text" id="holidayName" placeholder="Independence Day" /></label>
+            <label>Type<br><select id="holidayType">${typeOptions}</select></label>
+            <button class="actions-btn" onclick="window.submitHoliday?.()">Add Holiday</button>
+          </div>
+
+          <h4 style="margin:1rem 0 .3rem;">Import from a calendar file (.ics)</h4>
+          <div style="display:flex; gap:.5rem; align-items:flex-end; flex-wrap:wrap;">
+            <label>File<br><input type="file" id="holidayIcsFile" accept=".ics,text/calendar" /></label>
+            <label>Import as<br><select id="holidayIcsType">${typeOptions}</select></label>
+            <button class="actions-btn" onclick="window.importHolidayCalendar?.()">Import</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+
+  if (!holidayCalendarYear) holidayCalendarYear = Number(window.DateUtils.today().slice(0, 4));
+  modal.style.display = 'block';
+  await renderHolidayCalendar();
+};
+
+window.closeHolidayCalendarModal = function() {
+  const modal = document.getElementById('holidayCalendarModal');
+  if (modal) modal.style.display = 'none';
+};
+
+window.moveHolidayYear = async function(years) {
+  holidayCalendarYear += years;
+  await renderHolidayCalendar();
+};
+
+async function renderHolidayCalendar() {
+  const tbody = document.getElementById('holidayCalendarBody');
+  const label = document.getElementById('holidayCalendarYear');
+  if (label) label.textContent = String(holidayCalendarYear);
+  if (!tbody) return;
+  tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;">Loading...</td></tr>';
+
+  const holidays = await loadHolidayYear(holidayCalendarYear);
+  tbody.innerHTML = holidays.length === 0
+    ? `<tr><td colspan="5" style="text-align:center;">No holidays in ${holidayCalendarYear}.</td></tr>`
+    : holidays.map(h => `
+      <tr>
+        <td>${escapeHtml(window.DateUtils.formatDateKey(h.date, { weekday: 'short', month: 'short', day: 'numeric' }))}</td>
+        <td>${escapeHtml(h.name)}</td>
+        <td>${escapeHtml(h.type)}</td>
+        <td>${Math.round(window.AttendanceRules.getPayMultiplier({ holidayType: h.type }) * 100)}%</td>
+        <td><button class="actions-btn" onclick="window.removeHoliday?.('${escapeHtml(h.id)}', '${escapeHtml(h.date)}')">Remove</button></td>
+      </tr>
+    `).join('');
+}
+
+// Calendar changes re-flag records on the server; reload whatever is on screen
+async function refreshAfterHolidayChange() {
+  forgetHolidays();
+  await renderHolidayCalendar();
+  if (currentEmployeeId && document.getElementById('attendanceModal')?.style.display === 'block') {
+    await window.viewEmployeeAttendance(currentEmployeeId, currentEmployeeName);
+  }
+}
+
+function describeUpdatedRecords(count) {
+  return count > 0 ? ` ${count} attendance record${count === 1 ? '' : 's'} updated.` : '';
+}
+
+window.submitHoliday = async function() {
+  const value = id => (document.getElementById(id)?.value || '').trim();
+  try {
+    const { holiday } = await clockInApiRequest('POST', '/holidays', {
+      date: value('holidayDate'),
+      name: value('holidayName'),
+      type: value('holidayType')
+    });
+    ['holidayDate', 'holidayName'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.value = '';
+    });
+    holidayCalendarYear = Number(holiday.date.slice(0, 4));
+    showAttendanceNotification(`${holiday.name} added.${describeUpdatedRecords(holiday.recordsUpdated)}`, 'success');
+    await refreshAfterHolidayChange();
+  } catch (err) {
+    console.error('[Attendance] Error saving holiday:', err);
+    showAttendanceNotification('Failed to save the holiday: ' + err.message, 'error');
+  }
+};
+
+window.removeHoliday = async function(id, date) {
+  if (!window.confirm(`Remove the holiday on ${date}? Attendance on that day goes back to ordinary pay.`)) return;
+  try {
+    const { holiday } = await clockInApiRequest('DELETE', `/holidays?id=${encodeURIComponent(id)}`);
+    showAttendanceNotification(`${holiday.name} removed.${describeUpdatedRecords(holiday.recordsUpdated)}`, 'success');
+    await refreshAfterHolidayChange();
+  } catch (err) {
+    console.error('[Attendance] Error removing holiday:', err);
+    showAttendanceNotification('Failed to remove the holiday: ' + err.message, 'error');
+  }
+};
+
+window.importHolidayCalendar = async function() {
+  const file = document.getElementById('holidayIcsFile')?.files?.[0];
+  if (!file) {
+    showAttendanceNotification('Choose an .ics file first.', 'warning');
+    return;
+  }
+  try {
+    const result = await clockInApiRequest('POST', '/holidays/import', {
+      ics: await file.text(),
+      type: document.getElementById('holidayIcsType')?.value
+    });
+    showAttendanceNotification(
+      `Imported ${result.imported.length} holiday${result.imported.length === 1 ? '' : 's'}` +
+      `${result.skipped.length ? `, skipped ${result.skipped.length} already on (or taken off) the calendar` : ''}.${describeUpdatedRecords(result.recordsUpdated || 0)}`,
+      'success'
+    );
+    if (result.imported.length > 0) holidayCalendarYear = Number(result.imported[0].date.slice(0, 4));
+    document.getElementById('holidayIcsFile').value = '';
+    await refreshAfterHolidayChange();
+  } catch (err) {
+    console.error('[Attendance] Error importing holidays:', err);
+    showAttendanceNotification('Failed to import the calendar: ' + err.message, 'error');
+  }
+};
+
+// ============================================
+// KIOSK PINS
+// Employees with a PIN confirm it at the kiosk after scanning their card
+// (/api/pin). Admins set, change or remove it and lift lockouts here; the
+// PIN itself is only ever stored hashed.
+// ============================================
+
+let pinEmployeeId = null;
+
+window.showEmployeePinModal = async function(employeeId) {
+  let modal = document.getElementById('employeePinModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'employeePinModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" role="dialog" aria-modal="true" style="max-width:480px; width:95%;">
+        <span class="close" onclick="window.closeEmployeePinModal?.()">&times;</span>
+        <div class="modal-header">
+          <h3 id="employeePinTitle" style="margin:0;">Kiosk PIN</h3>
+        </div>
+        <div class="modal-body">
+          <p id="employeePinStatus">Loading...</p>
+          <div style="display:flex; gap:.5rem; align-items:flex-end; flex-wrap:wrap;">
+            <label>New PIN (4-8 digits)<br><input type="password" id="employeePinValue" inputmode="numeric" maxlength="8" autocomplete="new-password" /></label>
+            <button class="actions-btn" onclick="window.saveEmployeePin?.()">Set PIN</button>
+          </div>
+          <div style="display:flex; gap:.5rem; margin-top:1rem;">
+            <button class="actions-btn" id="employeePinUnlock" onclick="window.unlockEmployeePin?.()">Unlock</button>
+            <button class="actions-btn" id="employeePinRemove" onclick="window.removeEmployeePin?.()">Remove PIN</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+
+  pinEmployeeId = employeeId;
+  const emp = employeesMap.get(employeeId);
+  const title = document.getElementById('employeePinTitle');
+  if (title) title.textContent = `Kiosk PIN - ${emp ? `${emp.firstName || ''} ${emp.lastName || ''}`.trim() : employeeId}`;
+  document.getElementById('employeePinValue').value = '';
+  modal.style.display = 'block';
+
+  try {
+    const { pin } = await clockInApiRequest('GET', `/pin?employeeId=${encodeURIComponent(employeeId)}`);
+    renderPinStatus(pin);
+  } catch (err) {
+    console.error('[Attendance] Error loading PIN status:', err);
+    const statusEl = document.getElementById('employeePinStatus');
+    if (statusEl) statusEl.textContent = 'Error: ' + err.message;
+  }
+};
+
+window.closeEmployeePinModal = function() {
+  const modal = document.getElementById('employeePinModal');
+  if (modal) modal.style.display = 'none';
+  pinEmployeeId = null;
+};
+
+function renderPinStatus(status) {
+  const statusEl = document.getElementById('employeePinStatus');
+  if (statusEl) {
+    if (!status.pinRequired) {
+      statusEl.textContent = 'No PIN: a card scan or name is enough to punch.';
+    } else if (status.adminUnlockRequired) {
+      statusEl.textContent = 'Locked after repeated wrong PINs, until you unlock it.';
+    } else if (status.lockedUntil) {
+      statusEl.textContent = `Locked after too many wrong PINs, until ${new Date(status.lockedUntil).toLocaleTimeString()}.`;
+    } else {
+      statusEl.textContent = `PIN required at the kiosk.${status.failedAttempts ? ` ${status.failedAttempts} wrong attempt(s) since the last correct one.` : ''}`;
+    }
+  }
+  const unlockBtn = document.getElementById('employeePinUnlock');
+  const removeBtn = document.getElementById('employeePinRemove');
+  if (unlockBtn) unlockBtn.disabled = !status.lockedUntil && !status.failedAttempts && !status.lockouts;
+  if (removeBtn) removeBtn.disabled = !status.pinRequired;
+}
+
+async function updateEmployeePin(method, path, body, message) {
+  try {
+    const { pin } = await clockInApiRequest(method, path, body);
+    renderPinStatus(pin);
+    showAttendanceNotification(message, 'success');
+  } catch (err) {
+    console.error('[Attendance] Error updating PIN:', err);
+    showAttendanceNotification('Failed to update the PIN: ' + err.message, 'error');
+  }
+}
+
+window.saveEmployeePin = async function() {
+  const input = document.getElementById('employeePinValue');
+  const pin = (input?.value || '').trim();
+  if (!/^\d{4,8}$/.test(pin)) {
+    showAttendanceNotification('A PIN is 4 to 8 digits.', 'warning');
+    return;
+  }
+  await updateEmployeePin('PUT', '/pin', { employeeId: pinEmployeeId, pin }, 'PIN set. Give it to the employee in person.');
+  if (input) input.value = '';
+};
+
+window.unlockEmployeePin = async function() {
+  await updateEmployeePin('POST', '/pin/unlock', { employeeId: pinEmployeeId }, 'Kiosk punching unlocked.');
+};
+
+window.removeEmployeePin = async function() {
+  if (!window.confirm('Remove this PIN? The employee will punch with their card alone.')) return;
+  await updateEmployeePin('PUT', '/pin', { employeeId: pinEmployeeId, pin: null }, 'PIN removed.');
+};
+
+// ============================================
+// KIOSK DEVICES
+// Browsers ask to become kiosks from the Clock In page (/api/devices).
+// With KIOSK_ENROLLMENT=required only approved devices can punch; every
+// punch carries the device it was made on, and revoking a device shuts
+// it out at its next punch.
+// ============================================
+
+window.showKioskDevicesModal = async function() {
+  let modal = document.getElementById('kioskDevicesModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'kioskDevicesModal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content" role="dialog" aria-modal="true" style="max-width:800px; width:95%;">
+        <span class="close" onclick="window.closeKioskDevicesModal?.()">&times;</span>
+        <div class="modal-header">
+          <h3 style="margin:0;">Kiosk Devices</h3>
+        </div>
+        <div class="modal-body" style="overflow-x:auto;">
+          <p class="muted" style="margin:0 0 .5rem;">Match the code shown on the kiosk before approving it.</p>
+          <table style="width:100%;">
+            <thead><tr><th>Code</th><th>Name</th><th>Status</th><th>Requested</th><th>Last punch</th><th></th></tr></thead>
+            <tbody id="kioskDevicesBody"></tbody>
+          </table>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+
+  modal.style.display = 'block';
+  await loadKioskDevices();
+};
+
+window.closeKioskDevicesModal = function() {
+  const modal = document.getElementById('kioskDevicesModal');
+  if (modal) modal.style.display = 'none';
+};
+
+async function loadKioskDevices() {
+  const tbody = document.getElementById('kioskDevicesBody');
+  if (!tbody) return;
+  tbody.innerHTML = '<tr><td colspan="6">Loading...</td></tr>';
+
+  try {
+    const { records: devices } = await clockInApiRequest('GET', '/devices');
+    if (!devices.length) {
+      tbody.innerHTML = '<tr><td colspan="6">No kiosk has asked to be enrolled yet.</td></tr>';
+      return;
+    }
+    const formatTime = value => value ? escapeHtml(new Date(value).toLocaleString()) : '';
+    tbody.innerHTML = devices.map(device => {
+      const id = escapeHtml(device.deviceId);
+      const actions = [
+        device.status !== 'Approved' ? `<button class="actions-btn" onclick="window.reviewKioskDevice?.('${id}', 'Approved')">Approve</button>` : '',
+        device.status !== 'Revoked' ? `<button class="actions-btn" onclick="window.reviewKioskDevice?.('${id}', 'Revoked')">Revoke</button>` : ''
+      ].join(' ');
+      return `
+        <tr>
+          <td>${id}</td>
+          <td>${escapeHtml(device.name)}</td>
+          <td title="${device.reviewedBy ? `By ${escapeHtml(device.reviewedBy)}` : ''}">${escapeHtml(device.status)}</td>
+          <td>${formatTime(device.requestedAt)}</td>
+          <td>${formatTime(device.lastSeenAt)}</td>
+          <td>${actions}</td>
+        </tr>
+      `;
+    }).join('');
+  } catch (err) {
+    console.error('[Attendance] Error loading kiosk devices:', err);
+    tbody.innerHTML = `<tr><td colspan="6">Error: ${escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+window.reviewKioskDevice = async function(deviceId, status) {
+  if (status === 'Revoked' && !window.confirm(`Revoke kiosk ${deviceId}? It will no longer be able to punch.`)) return;
+
+  try {
+    await clockInApiRequest('PATCH', '/devices', { deviceId, status });
+    showAttendanceNotification(`Kiosk ${deviceId} ${status.toLowerCase()}.`, 'success');
+    await loadKioskDevices();
+  } catch (err) {
+    console.error('[Attendance] Error updating kiosk device:', err);
+    showAttendanceNotification('Failed to update the kiosk: ' + err.message, 'error');
+  }
+};
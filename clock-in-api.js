@@ -2,58 +2,289 @@
  * clock-in-api.js
  * 
  * Attendance API module for the Clock In module
- * Handles all Airtable API calls for attendance records
+ * Handles all attendance calls through the configured storage backend:
+ * - 'api':   the server-side /api proxy (Airtable or JSON file on the server)
+ * - 'local': IndexedDB in this browser, via clock-in-local-store.js
  */
 
 (function() {
   'use strict';
 
   // Use centralized config from airtable-config.js
+  // The Airtable token stays on the server; the kiosk only talks to the /api proxy
   const getConfig = () => ({
-    API_KEY: AIRTABLE_CONFIG.API_KEY,
-    BASE_ID: AIRTABLE_CONFIG.BASES.HUMAN_RESOURCES,
-    ATTENDANCE_TABLE: AIRTABLE_CONFIG.TABLES.ATTENDANCES,
-    EMPLOYEE_TABLE: AIRTABLE_CONFIG.TABLES.EMPLOYEE_DIRECTORY
+    API_BASE: (AIRTABLE_CONFIG.API_BASE || '/api').replace(/\/+$/, ''),
+    STORAGE_BACKEND: AIRTABLE_CONFIG.STORAGE_BACKEND || 'api',
+    LOCAL_SEED_URL: AIRTABLE_CONFIG.LOCAL_SEED_URL || null
   });
 
-  function getAttendanceTableUrl() {
-    const config = getConfig();
-    return `https://api.airtable.com/v0/${config.BASE_ID}/${encodeURIComponent(config.ATTENDANCE_TABLE)}`;
+  // Throttled, retrying client shared with the server (request-client.js).
+  // Failures are thrown as typed errors (NetworkError, TimeoutError,
+  // HttpError, RateLimitError) so callers never get partial data.
+  const client = window.RequestClient.createRequestClient({
+    requestsPerSecond: 5,
+    maxRetries: 1,
+    timeoutMs: 15000,
+    label: '[Clock-In API]'
+  });
+
+  // Token this browser was given when it asked to be enrolled as a kiosk
+  const DEVICE_TOKEN_KEY = 'msvi-kiosk-device-token';
+
+  function getDeviceToken() {
+    try {
+      return window.localStorage.getItem(DEVICE_TOKEN_KEY) || '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  // Admin token a supervisor entered on this kiosk to see punch photos;
+  // kept for this tab only (same key as the admin screens)
+  const ADMIN_TOKEN_KEY = 'clockInAdminToken';
+
+  function getAdminToken() {
+    try {
+      return window.sessionStorage.getItem(ADMIN_TOKEN_KEY) || '';
+    } catch (error) {
+      return '';
+    }
   }
 
-  function getEmployeeTableUrl() {
-    const config = getConfig();
-    return `https://api.airtable.com/v0/${config.BASE_ID}/${encodeURIComponent(config.EMPLOYEE_TABLE)}`;
+  /**
+   * Remember (or with '' forget) the supervisor's admin token
+   */
+  function setAdminToken(token) {
+    try {
+      if (token) window.sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+      else window.sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    } catch (error) {
+      console.warn('[Clock-In API] Could not keep the admin token:', error);
+    }
   }
 
-  function headers() {
+  /**
+   * Call the attendance proxy and parse the JSON response
+   * @param {string} path - Route under the API base (e.g. '/employees')
+   * @param {object} options - fetch options; `query` is appended as search params,
+   *   `admin: true` sends the supervisor's admin token
+   */
+  async function apiRequest(path, options = {}) {
+    const { query, body, admin, ...fetchOptions } = options;
+    const url = new URL(`${getConfig().API_BASE}${path}`, window.location.origin);
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== '') url.searchParams.set(key, value);
+    });
+
+    const token = getDeviceToken();
+    const adminToken = admin ? getAdminToken() : '';
+    return client.request(url, {
+      ...fetchOptions,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'X-Device-Token': token } : {}),
+        ...(adminToken ? { Authorization: `Bearer ${adminToken}` } : {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  }
+
+  // ============================================
+  // STORAGE BACKENDS
+  // Both expose the attendance operations of clock-in-core.js and
+  // return Airtable-shaped records.
+  // ============================================
+
+  /**
+   * Backend that goes through the /api functions
+   */
+  function createApiBackend() {
     return {
-      'Authorization': `Bearer ${getConfig().API_KEY}`,
-      'Content-Type': 'application/json'
+      async listEmployees() {
+        const data = await apiRequest('/employees');
+        return data.records || [];
+      },
+
+      async listAttendanceByEmployee(employeeId, fromDate, toDate) {
+        const data = await apiRequest('/attendance', {
+          query: { employeeId, from: fromDate, to: toDate }
+        });
+        return data.records || [];
+      },
+
+      async listAttendanceByDate(date) {
+        const data = await apiRequest('/attendance/today', { query: { date } });
+        return data.records || [];
+      },
+
+      async findDayRecord(employeeId, date) {
+        const data = await apiRequest('/attendance', { query: { employeeId, date } });
+        return data.records && data.records.length > 0 ? data.records[0] : null;
+      },
+
+      async getServerTime() {
+        return apiRequest('/time', { timeoutMs: 5000 });
+      },
+
+      async recordPunch(punch) {
+        try {
+          const data = await apiRequest('/punch', { method: 'POST', body: punch });
+          return { record: data.record, punch: data.punch };
+        } catch (error) {
+          if (error.status === 409) return { duplicate: error.data.record, punch: error.data.punch };
+          throw error;
+        }
+      },
+
+      async requestCorrection(correction) {
+        const data = await apiRequest('/corrections', { method: 'POST', body: correction });
+        return data.correction;
+      },
+
+      async listRoster(filter) {
+        return apiRequest('/roster', { query: filter });
+      },
+
+      async listPunchPhotos(filter) {
+        const data = await apiRequest('/photos', { query: filter, admin: true });
+        return data.records || [];
+      },
+
+      // The token travels in the X-Device-Token header
+      async getDeviceStatus() {
+        return apiRequest('/devices/me');
+      },
+
+      async requestDeviceEnrollment(request) {
+        return apiRequest('/devices', { method: 'POST', body: request });
+      },
+
+      async getKioskCode() {
+        return apiRequest('/devices/code');
+      }
+    };
+  }
+
+  /**
+   * Backend that keeps everything in this browser's IndexedDB
+   */
+  function createLocalBackend() {
+    const { createAttendanceService, toPublicAttendance } = window.ClockInCore;
+    const timeZone = window.DateUtils.getTimeZone();
+    const service = createAttendanceService(window.ClockInLocalStore.create({
+      seedUrl: getConfig().LOCAL_SEED_URL
+    }), { timeZone, geofences: AIRTABLE_CONFIG.GEOFENCES, geofencePolicy: AIRTABLE_CONFIG.GEOFENCE_POLICY });
+
+    return {
+      ...service,
+      // No server to compare against: this device is the clock
+      async getServerTime() {
+        return { now: Date.now(), timeZone };
+      },
+      async findDayRecord(employeeId, date) {
+        return toPublicAttendance(await service.findDayRecord(employeeId, date));
+      }
     };
   }
 
+  const BACKENDS = {
+    api: createApiBackend,
+    local: createLocalBackend
+  };
+
+  let backend = null;
+
+  function getBackend() {
+    if (!backend) {
+      const name = getConfig().STORAGE_BACKEND;
+      if (!BACKENDS[name]) {
+        throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected ${Object.keys(BACKENDS).join(' or ')})`);
+      }
+      backend = BACKENDS[name]();
+      console.log('[Clock-In API] Using storage backend:', name);
+    }
+    return backend;
+  }
+
+  // ============================================
+  // SERVER CLOCK
+  // The kiosk shows and queues times from the server clock, corrected by
+  // the offset measured here, so a tablet with a wrong clock or timezone
+  // cannot shift punches.
+  // ============================================
+
+  const CLOCK_SAMPLES = 3;
+
+  let clockState = {
+    offsetMs: 0,        // server time minus device time
+    roundTripMs: null,
+    timeZone: null,     // business timezone reported by the server
+    syncedAt: null
+  };
+
+  /**
+   * Measure the device clock offset against the server
+   * Takes a few samples and keeps the one with the shortest round trip.
+   * @returns {object} - The new clock state
+   */
+  async function syncServerClock() {
+    let best = null;
+
+    for (let i = 0; i < CLOCK_SAMPLES; i++) {
+      const sentAt = Date.now();
+      const data = await getBackend().getServerTime();
+      const receivedAt = Date.now();
+      const roundTripMs = receivedAt - sentAt;
+      const offsetMs = Math.round(data.now + roundTripMs / 2 - receivedAt);
+
+      if (!best || roundTripMs < best.roundTripMs) {
+        best = { offsetMs, roundTripMs, timeZone: data.timeZone || null };
+      }
+    }
+
+    clockState = { ...best, syncedAt: Date.now() };
+    if (clockState.timeZone && clockState.timeZone !== window.DateUtils.getTimeZone()) {
+      console.warn('[Clock-In API] Server timezone', clockState.timeZone, 'differs from TIMEZONE', window.DateUtils.getTimeZone(), '- using the server\'s');
+      window.DateUtils.setTimeZone(clockState.timeZone);
+    }
+    console.log('[Clock-In API] Server clock offset:', clockState.offsetMs, 'ms', `(${clockState.timeZone})`);
+    return getClockState();
+  }
+
+  /**
+   * Current time according to the server
+   */
+  function now() {
+    return new Date(Date.now() + clockState.offsetMs);
+  }
+
+  function getClockState() {
+    return { ...clockState };
+  }
+
+  /**
+   * Today's date (YYYY-MM-DD) in the business timezone
+   */
+  function today() {
+    return window.DateUtils.today(now());
+  }
+
+  /**
+   * Unwrap a punch result, raising duplicates the same way the API does
+   * @returns {object} - { record, punch }
+   */
+  function unwrapPunch(result) {
+    if (result.duplicate) {
+      throw new window.RequestClient.HttpError(409, { record: result.duplicate, punch: result.punch }, 'Punch already recorded');
+    }
+    return { record: result.record, punch: result.punch };
+  }
+
   /**
    * Fetch all employees for autocomplete/search
    */
   async function getAllEmployees() {
-    let records = [];
-    let offset = undefined;
-    
-    do {
-      const url = new URL(getEmployeeTableUrl());
-      url.searchParams.set('pageSize', '100');
-      url.searchParams.set('view', 'Grid view');
-      if (offset) url.searchParams.set('offset', offset);
-      
-      const res = await fetch(url, { headers: headers() });
-      const data = await res.json();
-      
-      if (data.records) {
-        records = records.concat(data.records);
-      }
-      offset = data.offset;
-    } while (offset);
+    const records = await getBackend().listEmployees();
     
     return records.map(r => ({
       id: r.id,
@@ -66,7 +297,9 @@
       status: r.fields.Status || 'Active',
       standardWorkweekHours: Number(r.fields.StandardWorkweekHours) || 40,
       rateType: r.fields.RateType || '',
-      coreWorkingHours: r.fields.CoreWorkingHours || ''
+      coreWorkingHours: r.fields.CoreWorkingHours || '',
+      schedule: r.fields.Schedule || '',
+      pinRequired: !!r.fields.PinRequired
     })).filter(e => e.status === 'Active');
   }
 
@@ -77,351 +310,139 @@
    * @param {string} toDate - Optional end date (YYYY-MM-DD)
    */
   async function getAttendanceByEmployee(employeeId, fromDate = null, toDate = null) {
-    let records = [];
-    let offset = undefined;
-    
-    // Build filter formula
-    let filterParts = [`{EmployeeId}='${employeeId}'`];
-    
-    if (fromDate) {
-      filterParts.push(`IS_AFTER({Date}, DATEADD('${fromDate}', -1, 'days'))`);
-    }
-    if (toDate) {
-      filterParts.push(`IS_BEFORE({Date}, DATEADD('${toDate}', 1, 'days'))`);
-    }
-    
-    const filterFormula = filterParts.length > 1 
-      ? `AND(${filterParts.join(', ')})` 
-      : filterParts[0];
-    
-    do {
-      const url = new URL(getAttendanceTableUrl());
-      url.searchParams.set('pageSize', '100');
-      url.searchParams.set('filterByFormula', filterFormula);
-      url.searchParams.set('sort[0][field]', 'Date');
-      url.searchParams.set('sort[0][direction]', 'desc');
-      if (offset) url.searchParams.set('offset', offset);
-      
-      const res = await fetch(url, { headers: headers() });
-      const data = await res.json();
-      
-      if (data.records) {
-        records = records.concat(data.records);
-      }
-      offset = data.offset;
-    } while (offset);
+    const records = await getBackend().listAttendanceByEmployee(employeeId, fromDate, toDate);
     
     return records.map(mapRecord).filter(r => r !== null);
   }
 
+  /**
+   * Whether a record is yesterday's night shift that is still going on
+   * (or just ended): an Out punched now would still belong to it.
+   */
+  function isOvernightShift(record) {
+    const fields = record.fields || record;
+    const date = window.DateUtils.normalizeDateKey(fields.Date || fields.date);
+    if (date !== window.DateUtils.addDays(today(), -1)) return false;
+
+    const rules = window.AttendanceRules;
+    const punch = { time: window.DateUtils.toTimeValue(now()), direction: rules.PUNCH.OUT };
+    return rules.continuesShift(rules.readPunches(record), punch);
+  }
+
   /**
    * Get today's attendance for all employees
+   * Includes night shifts that started yesterday and run past midnight.
    */
   async function getTodayAttendance() {
-    // Use local date instead of UTC to handle timezone correctly
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const today = `${year}-${month}-${day}`;
-    
-    const filterFormula = `DATETIME_FORMAT({Date}, 'YYYY-MM-DD')='${today}'`;
-    
-    let records = [];
-    let offset = undefined;
-    
-    do {
-      const url = new URL(getAttendanceTableUrl());
-      url.searchParams.set('pageSize', '100');
-      url.searchParams.set('filterByFormula', filterFormula);
-      url.searchParams.set('sort[0][field]', 'Date');
-      url.searchParams.set('sort[0][direction]', 'desc');
-      if (offset) url.searchParams.set('offset', offset);
-      
-      const res = await fetch(url, { headers: headers() });
-      const data = await res.json();
-      
-      if (data.records) {
-        records = records.concat(data.records);
-      }
-      offset = data.offset;
-    } while (offset);
-    
-    return records;
+    // Business-timezone date from the server clock, not the device's
+    const date = today();
+    const [records, previous] = await Promise.all([
+      getBackend().listAttendanceByDate(date),
+      getBackend().listAttendanceByDate(window.DateUtils.addDays(date, -1))
+    ]);
+
+    const overnight = previous.filter(r => isOvernightShift(r) &&
+      !records.some(t => t.fields.EmployeeId === r.fields.EmployeeId));
+    return [...records, ...overnight];
   }
 
   /**
    * Find today's attendance record for a specific employee
    */
   async function findTodayRecord(employeeId, date) {
-    const filterFormula = `AND({EmployeeId}='${employeeId}', DATETIME_FORMAT({Date}, 'YYYY-MM-DD')='${date}')`;
-    
-    const url = new URL(getAttendanceTableUrl());
-    url.searchParams.set('filterByFormula', filterFormula);
-    url.searchParams.set('maxRecords', '1');
-    
-    const res = await fetch(url, { headers: headers() });
-    const data = await res.json();
-    
-    return data.records && data.records.length > 0 ? data.records[0] : null;
+    return getBackend().findDayRecord(employeeId, date);
   }
 
   /**
-   * Parse time string (HH:MM or HH:MM AM/PM) to minutes since midnight
-   * @param {string} timeStr - Time string
-   * @returns {number|null} - Minutes since midnight or null if invalid
+   * Create a new attendance record
+   * Hours and overtime are calculated by the backend on clock-out.
+   * Pass null date/timeValue to have the server stamp the punch; explicit
+   * values are for replaying punches captured offline.
+   * @param {string} deviceTimestamp - ISO time the punch was captured, by the device clock (replays only)
+   * @param {number} clockOffsetMs - Server minus device clock when it was captured (replays only)
+   * @param {string} pin - The employee's PIN, when they have one
+   * @param {string} photo - Optional camera still (JPEG data URL)
+   * @param {object} location - Optional device position { latitude, longitude, accuracy }
+   * @returns {object} - { record, punch } with the punch as recorded ({ time, direction })
    */
-  function parseTimeToMinutes(timeStr) {
-    if (!timeStr) return null;
-    
-    // Handle 12-hour format (e.g., "07:36 AM")
-    const match12 = timeStr.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
-    if (match12) {
-      let hours = parseInt(match12[1], 10);
-      const minutes = parseInt(match12[2], 10);
-      const period = match12[3].toUpperCase();
-      
-      if (period === 'AM' && hours === 12) hours = 0;
-      else if (period === 'PM' && hours !== 12) hours += 12;
-      
-      return hours * 60 + minutes;
-    }
-    
-    // Handle 24-hour format (e.g., "07:36")
-    const match24 = timeStr.match(/^(\d{1,2}):(\d{2})$/);
-    if (match24) {
-      const hours = parseInt(match24[1], 10);
-      const minutes = parseInt(match24[2], 10);
-      return hours * 60 + minutes;
-    }
-    
-    return null;
+  async function createAttendanceRecord(employeeId, date, actionType, timeValue, deviceTimestamp, clockOffsetMs, pin, photo, location) {
+    const result = await getBackend().recordPunch({ employeeId, date, actionType, timeValue, deviceTimestamp, clockOffsetMs, pin, photo, location });
+    return unwrapPunch(result);
   }
 
   /**
-   * Calculate total hours worked from time entries
-   * @param {object} record - Object with TimeInAM, TimeOutAM, TimeInPM, TimeOutPM
-   * @returns {number} - Total hours worked
+   * Add a punch to an existing attendance record
+   * @param {string} recordId - Airtable record ID
+   * @param {string} actionType - Slot pressed (TimeInAM, TimeOutAM, TimeInPM, TimeOutPM); gives the direction
+   * @param {string} timeValue - Time value, or null to have the server stamp it
+   * @param {string} deviceTimestamp - ISO time the punch was captured, by the device clock (replays only)
+   * @param {number} clockOffsetMs - Server minus device clock when it was captured (replays only)
+   * @param {string} pin - The employee's PIN, when they have one
+   * @param {string} photo - Optional camera still (JPEG data URL)
+   * @param {object} location - Optional device position { latitude, longitude, accuracy }
+   * @returns {object} - { record, punch }
    */
-  function calculateTotalHours(record) {
-    let totalMinutes = 0;
-    
-    // Calculate AM hours
-    const inAM = parseTimeToMinutes(record.TimeInAM);
-    const outAM = parseTimeToMinutes(record.TimeOutAM);
-    if (inAM !== null && outAM !== null && outAM > inAM) {
-      totalMinutes += (outAM - inAM);
-    }
-    
-    // Calculate PM hours
-    const inPM = parseTimeToMinutes(record.TimeInPM);
-    const outPM = parseTimeToMinutes(record.TimeOutPM);
-    if (inPM !== null && outPM !== null && outPM > inPM) {
-      totalMinutes += (outPM - inPM);
-    }
-    
-    return totalMinutes / 60;
+  async function updateAttendanceRecord(recordId, actionType, timeValue, deviceTimestamp, clockOffsetMs, pin, photo, location) {
+    const result = await getBackend().recordPunch({ recordId, actionType, timeValue, deviceTimestamp, clockOffsetMs, pin, photo, location });
+    return unwrapPunch(result);
   }
 
   /**
-   * Get employee data by ID for overtime calculations
-   * @param {string} employeeId - Employee ID
-   * @returns {object|null} - Employee data
+   * Ask an admin to correct a recorded punch
+   * @param {object} correction - { recordId?, employeeId, date, slot, proposedTime, reason }
+   * @returns {object} - The pending correction
    */
-  async function getEmployeeById(employeeId) {
-    const url = new URL(getEmployeeTableUrl());
-    url.searchParams.set('filterByFormula', `{EmployeeId}='${employeeId}'`);
-    url.searchParams.set('maxRecords', '1');
-    
-    const res = await fetch(url, { headers: headers() });
-    const data = await res.json();
-    
-    if (data.records && data.records.length > 0) {
-      const r = data.records[0];
-      return {
-        baseSalary: Number(r.fields.BaseSalary) || 0,
-        standardWorkweekHours: Number(r.fields.StandardWorkweekHours) || 40,
-        rateType: r.fields.RateType || '',
-        employmentType: r.fields.EmploymentType || r.fields.Type || ''
-      };
-    }
-    return null;
+  async function requestCorrection(correction) {
+    return getBackend().requestCorrection(correction);
   }
 
   /**
-   * Check if employee is fixed rate (no overtime pay)
-   * @param {object} emp - Employee data
-   * @returns {boolean} - True if fixed rate
+   * Shift roster of one employee between two dates
+   * @returns {object|null} - Ready to set as employee.roster (AttendanceRules.buildRoster),
+   *   or null when no assignment covers the dates
    */
-  function isFixedRate(emp) {
-    if (!emp) return false;
-    const rateType = (emp.rateType || '').toLowerCase();
-    const empType = (emp.employmentType || '').toLowerCase();
-    return rateType.includes('fixed') || 
-           rateType.includes('monthly') || 
-           rateType.includes('salary') || 
-           empType.includes('fixed');
+  async function getEmployeeRoster(employeeId, fromDate, toDate) {
+    const { templates, assignments } = await getBackend().listRoster({ employeeId, from: fromDate, to: toDate });
+    return assignments.length > 0 ? window.AttendanceRules.buildRoster(templates, assignments) : null;
   }
 
   /**
-   * Calculate hourly rate from employee data
-   * @param {object} emp - Employee data
-   * @returns {number} - Hourly rate
+   * Camera stills taken with punches, oldest first
+   * @param {object} filter - { employeeId?, from, to } punch dates (YYYY-MM-DD)
+   * @returns {Array} - { recordId, employeeId, date, time, direction, slot, photo }
    */
-  function calculateHourlyRate(emp) {
-    const base = emp?.baseSalary || 0;
-    if (!base) return 0;
-    const standard = emp?.standardWorkweekHours || 40;
-    const daily = standard / 7;
-    const dailyRate = base / 30;
-    return dailyRate / daily;
+  async function getPunchPhotos(filter) {
+    return getBackend().listPunchPhotos(filter);
   }
 
   /**
-   * Calculate overtime fields based on total hours and employee data
-   * Handles FIXED vs Time-based rate types:
-   * - Fixed Rate: OvertimeHours = 0, OverTimePay = 0 (regardless of hours worked)
-   * - Time-based: Calculate overtime for hours exceeding daily standard
-   * 
-   * @param {number} totalHours - Total hours worked
-   * @param {string} employeeId - Employee ID for fetching rate data
-   * @returns {object} - { TotalHoursWorked, OvertimeHours, OverTimePay }
+   * Whether this browser may punch
+   * @returns {object} - { enrollment: 'off'|'required', device } (device null
+   *   when this browser never asked to be enrolled)
    */
-  async function calculateOvertimeFields(totalHours, employeeId) {
-    const result = {
-      TotalHoursWorked: Math.round(totalHours * 100) / 100,
-      OvertimeHours: 0,
-      OverTimePay: 0
-    };
-    
-    try {
-      const employee = await getEmployeeById(employeeId);
-      
-      // Check if employee is Fixed rate type
-      const isFixed = isFixedRate(employee);
-      
-      // Fixed rate employees: no overtime hours or pay
-      // This handles:
-      // - "Fix with 10hrs with actual of 9hrs" - still no OT
-      // - "Fix with 8hrs of work" - no OT
-      // - "Fix with 8hrs work only" - no OT
-      if (isFixed) {
-        // For fixed rate, only store TotalHoursWorked
-        // OvertimeHours and OverTimePay remain 0
-        return result;
-      }
-      
-      // Time-based employees: calculate overtime
-      const standardDailyHours = employee ? (employee.standardWorkweekHours / 7) : 8;
-      
-      // Calculate overtime hours (only hours beyond daily standard)
-      const overtimeHours = Math.max(0, totalHours - standardDailyHours);
-      result.OvertimeHours = Math.round(overtimeHours * 100) / 100;
-      
-      // Calculate overtime pay for time-based employees
-      if (employee && employee.baseSalary > 0 && overtimeHours > 0) {
-        const hourlyRate = calculateHourlyRate(employee);
-        result.OverTimePay = Math.round(overtimeHours * hourlyRate * 1.25 * 100) / 100;
-      }
-    } catch (err) {
-      console.error('[Clock-In API] Error calculating overtime:', err);
-      // On error, default to storing only total hours (safe default)
-      // Don't calculate overtime without employee data
-    }
-    
-    return result;
+  async function getDeviceStatus() {
+    return getBackend().getDeviceStatus(getDeviceToken());
   }
 
   /**
-   * Create a new attendance record
+   * Ask for this browser to be enrolled as a kiosk and keep its token
+   * @param {string} name - How the admin will see the device
+   * @returns {object} - The pending device ({ deviceId, name, status, ... })
    */
-  async function createAttendanceRecord(employeeId, date, actionType, timeValue) {
-    const fields = {
-      EmployeeId: employeeId,
-      Date: date,
-      [actionType]: timeValue
-    };
-    
-    // If clocking out, calculate total hours (for a new record, this is rare but handle it)
-    if (actionType === 'TimeOutAM' || actionType === 'TimeOutPM') {
-      const record = { [actionType]: timeValue };
-      const totalHours = calculateTotalHours(record);
-      if (totalHours > 0) {
-        const overtimeFields = await calculateOvertimeFields(totalHours, employeeId);
-        Object.assign(fields, overtimeFields);
-      }
-    }
-    
-    const response = await fetch(getAttendanceTableUrl(), {
-      method: 'POST',
-      headers: headers(),
-      body: JSON.stringify({ fields })
-    });
-    
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Failed to create record: ${error}`);
-    }
-    
-    return await response.json();
+  async function enrollDevice(name) {
+    const { device, token } = await getBackend().requestDeviceEnrollment({ name });
+    window.localStorage.setItem(DEVICE_TOKEN_KEY, token);
+    return device;
   }
 
   /**
-   * Update an existing attendance record
-   * @param {string} recordId - Airtable record ID
-   * @param {string} actionType - Field to update (TimeInAM, TimeOutAM, TimeInPM, TimeOutPM)
-   * @param {string} timeValue - Time value
-   * @param {object} existingFields - Optional existing record fields for calculation
+   * Code for phones to punch with, shown as a QR code
+   * The local backend has no server for phones to reach, so it always
+   * fails with code PHONE_PUNCH_DISABLED.
+   * @returns {object} - { code, period (seconds), expiresAt }
    */
-  async function updateAttendanceRecord(recordId, actionType, timeValue, existingFields = null) {
-    const fields = {
-      [actionType]: timeValue
-    };
-    
-    // If clocking out, calculate total hours
-    if (actionType === 'TimeOutAM' || actionType === 'TimeOutPM') {
-      // If we don't have existing fields, fetch them
-      let currentRecord = existingFields;
-      if (!currentRecord) {
-        try {
-          const res = await fetch(`${getAttendanceTableUrl()}/${recordId}`, { headers: headers() });
-          const data = await res.json();
-          currentRecord = data.fields || {};
-        } catch (err) {
-          console.error('[Clock-In API] Error fetching record for calculation:', err);
-          currentRecord = {};
-        }
-      }
-      
-      // Build complete record with new time value
-      const fullRecord = {
-        TimeInAM: currentRecord.TimeInAM || null,
-        TimeOutAM: currentRecord.TimeOutAM || null,
-        TimeInPM: currentRecord.TimeInPM || null,
-        TimeOutPM: currentRecord.TimeOutPM || null,
-        [actionType]: timeValue
-      };
-      
-      const totalHours = calculateTotalHours(fullRecord);
-      if (totalHours > 0) {
-        const employeeId = currentRecord.EmployeeId;
-        const overtimeFields = await calculateOvertimeFields(totalHours, employeeId);
-        Object.assign(fields, overtimeFields);
-      }
-    }
-    
-    const response = await fetch(`${getAttendanceTableUrl()}/${recordId}`, {
-      method: 'PATCH',
-      headers: headers(),
-      body: JSON.stringify({ fields })
-    });
-    
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Failed to update record: ${error}`);
-    }
-    
-    return await response.json();
+  async function getKioskCode() {
+    return getBackend().getKioskCode(null);
   }
 
   /**
@@ -438,10 +459,14 @@
       timeOutAM: record.fields.TimeOutAM || null,
       timeInPM: record.fields.TimeInPM || null,
       timeOutPM: record.fields.TimeOutPM || null,
+      punchLog: record.fields.PunchLog || '',
       totalHoursWorked: record.fields.TotalHoursWorked || 0,
       overtimeHours: record.fields.OvertimeHours || 0,
       leaveType: record.fields.LeaveType || '',
-      remarks: record.fields.Remarks || ''
+      remarks: record.fields.Remarks || '',
+      reviewFlag: record.fields.ReviewFlag || '',
+      reviewNote: record.fields.ReviewNote || '',
+      offSite: !!record.fields.OffSite
     };
   }
 
@@ -452,9 +477,21 @@
     getAllEmployees,
     getAttendanceByEmployee,
     getTodayAttendance,
+    isOvernightShift,
     findTodayRecord,
     createAttendanceRecord,
-    updateAttendanceRecord
+    updateAttendanceRecord,
+    requestCorrection,
+    getEmployeeRoster,
+    getPunchPhotos,
+    setAdminToken,
+    getDeviceStatus,
+    enrollDevice,
+    getKioskCode,
+    syncServerClock,
+    getClockState,
+    now,
+    today
   };
 
 })();
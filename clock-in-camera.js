@@ -0,0 +1,113 @@
+/**
+ * clock-in-camera.js
+ *
+ * Device camera for the Clock In kiosk. The camera is started when the
+ * clock-in modal opens (the preview shows the employee they are on
+ * camera) and a still is grabbed at save time, scaled down and
+ * JPEG-compressed so it can travel with the punch, offline queue
+ * included. Turned off with AIRTABLE_CONFIG.PUNCH_PHOTOS = false.
+ *
+ * Capturing never stands in the way of a punch: without a camera, or
+ * when access was refused, capture() gives null and the punch is saved
+ * without a photo.
+ */
+
+(function() {
+  'use strict';
+
+  const PHOTO_WIDTH = 240;
+  const JPEG_QUALITY = 0.6;
+  // Stay under the server's MAX_PHOTO_LENGTH (clock-in-core.js)
+  const MAX_PHOTO_LENGTH = 90000;
+
+  let stream = null;
+  let startPromise = null;
+  let video = null;
+
+  function isEnabled() {
+    return (typeof AIRTABLE_CONFIG === 'undefined' || AIRTABLE_CONFIG.PUNCH_PHOTOS !== false) &&
+      !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+
+  /**
+   * Start the camera and show it in a <video> element
+   * Resolves false when there is no camera to use.
+   */
+  function start(videoElement) {
+    video = videoElement;
+    if (!isEnabled() || !video) return Promise.resolve(false);
+    if (stream) {
+      attach();
+      return Promise.resolve(true);
+    }
+    if (!startPromise) {
+      startPromise = navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'user', width: { ideal: 640 }, height: { ideal: 480 } },
+        audio: false
+      })
+        .then(s => {
+          stream = s;
+          attach();
+          return true;
+        })
+        .catch(error => {
+          console.warn('[Camera] Not available, punches are saved without a photo:', error);
+          return false;
+        })
+        .finally(() => { startPromise = null; });
+    }
+    return startPromise;
+  }
+
+  function attach() {
+    if (!video || video.srcObject === stream) return;
+    video.srcObject = stream;
+    video.style.display = '';
+    video.play().catch(() => {});
+  }
+
+  /**
+   * Stop the camera (modal closed), so the light goes off between punches
+   */
+  function stop() {
+    if (stream) stream.getTracks().forEach(track => track.stop());
+    stream = null;
+    if (video) {
+      video.srcObject = null;
+      video.style.display = 'none';
+    }
+  }
+
+  /**
+   * Grab the current frame
+   * @returns {string|null} - JPEG data URL, or null without a picture
+   */
+  function capture() {
+    if (!stream || !video || !video.videoWidth) return null;
+
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = PHOTO_WIDTH;
+      canvas.height = Math.round(PHOTO_WIDTH * video.videoHeight / video.videoWidth);
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+      const photo = canvas.toDataURL('image/jpeg', JPEG_QUALITY);
+      if (!photo.startsWith('data:image/jpeg') || photo.length > MAX_PHOTO_LENGTH) return null;
+      return photo;
+    } catch (error) {
+      console.warn('[Camera] Could not capture a photo:', error);
+      return null;
+    }
+  }
+
+  // ============================================
+  // WINDOW EXPORTS
+  // ============================================
+  window.ClockInCamera = {
+    isEnabled,
+    start,
+    stop,
+    capture
+  };
+
+})();
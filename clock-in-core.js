@@ -0,0 +1,2261 @@
+/**
+ * clock-in-core.js
+ *
+ * Attendance logic shared by the /api functions (Node) and the kiosk's
+ * local storage mode (browser). Everything here talks to a storage
+ * adapter, never to Airtable directly.
+ *
+ * Storage adapter interface (all methods async, records are
+ * Airtable-shaped { id, createdTime, fields }):
+ *   list(table, query)       - query: { where, range, sort, limit, fields }
+ *   get(table, id)           - record or null
+ *   create(table, fields)    - created record
+ *   createMany(table, list)  - created records, in order (list of fields)
+ *   update(table, id, fields) - patched record (only the given fields change)
+ *   remove(table, id)        - { id, deleted: true } (404 if there is none)
+ *
+ * `table` is a logical name from TABLES; adapters map it to their own
+ * storage. `where` is { Field: value } equality (an array value matches
+ * any of its items), `range` is { field, from, to } on a date field
+ * (inclusive, YYYY-MM-DD).
+ *
+ * Hours, overtime and pay come from attendance-rules.js; its time math is
+ * re-exported here for existing callers. Each feature of the service
+ * (audit trail, rosters, holidays, PINs, kiosk devices, phone punches)
+ * is described at the top of its section below.
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./date-utils'), require('./attendance-rules'), require('crypto').webcrypto);
+  } else {
+    root.ClockInCore = factory(root.DateUtils, root.AttendanceRules, root.crypto);
+  }
+})(typeof self !== 'undefined' ? self : this, function(DateUtils, AttendanceRules, webCrypto) {
+  'use strict';
+
+  const TABLES = {
+    EMPLOYEES: 'employees',
+    ATTENDANCES: 'attendances',
+    PUNCHES: 'punches',
+    CORRECTIONS: 'corrections',
+    AUDIT: 'audit',
+    SHIFTS: 'shifts',
+    ROSTER: 'roster',
+    HOLIDAYS: 'holidays',
+    DEVICES: 'devices'
+  };
+
+  const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+  const CORRECTION_STATUS = {
+    PENDING: 'Pending',
+    APPROVED: 'Approved',
+    REJECTED: 'Rejected'
+  };
+  const MAX_CORRECTION_REASON_LENGTH = 500;
+
+  const ROSTER_STATUS = {
+    ACTIVE: 'Active',
+    CANCELLED: 'Cancelled'
+  };
+  const MAX_ROTATION_DAYS = 366;
+  // How long the hour math reuses the roster it read
+  const ROSTER_CACHE_TTL_MS = 60000;
+
+  const DEVICE_STATUS = {
+    PENDING: 'Pending',
+    APPROVED: 'Approved',
+    REVOKED: 'Revoked'
+  };
+  const DEVICE_ENROLLMENT = ['off', 'required'];
+  const MAX_DEVICE_NAME_LENGTH = 60;
+  const KIOSK_CODE_PERIOD_SECONDS = 30;
+  // How long the code a kiosk just replaced is still accepted
+  const KIOSK_CODE_GRACE_SECONDS = 5;
+  const PHONE_SESSION_DAYS = 30;
+
+  // Longest all-day event an .ics import spreads over its days
+  const MAX_HOLIDAY_SPAN_DAYS = 31;
+  // Dates per query for their day records, so an Airtable formula stays short
+  const DATES_PER_QUERY = 50;
+
+  const PIN_PATTERN = /^\d{4,8}$/;
+  const MAX_PIN_ATTEMPTS = 5;
+  // The first lockout; each one after it lasts twice as long as the last
+  const PIN_LOCKOUT_MINUTES = 15;
+  // Lockouts without a correct PIN in between before only an admin can unlock
+  const MAX_PIN_LOCKOUTS = 3;
+  const PIN_HASH_ITERATIONS = 100000;
+
+  const GEOFENCE_POLICIES = ['off', 'flag', 'block'];
+  // A fix less precise than this cannot place anyone on site
+  const MAX_LOCATION_ACCURACY_METERS = 200;
+  const EARTH_RADIUS_METERS = 6371000;
+
+  // A kiosk still is a data URL; the cap fits an Airtable long text field
+  const PHOTO_PATTERN = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+=*$/;
+  const MAX_PHOTO_LENGTH = 90000;
+
+  const TIME_SLOTS = ['TimeInAM', 'TimeOutAM', 'TimeInPM', 'TimeOutPM'];
+  // As the kiosk buttons name them, for remarks
+  const SLOT_LABELS = {
+    TimeInAM: 'Morning Time In',
+    TimeOutAM: 'Morning Time Out',
+    TimeInPM: 'Afternoon Time In',
+    TimeOutPM: 'Afternoon Time Out'
+  };
+  // How far a replayed punch may be from its device capture time, and how old it may be
+  const REPLAY_TIME_TOLERANCE_MINUTES = 2;
+  const MAX_REPLAY_AGE_DAYS = 7;
+  // A replay that reaches the server later than this after capture is flagged
+  // however well its times agree, since a client can make them agree
+  const REPLAY_TRUSTED_DELAY_MINUTES = 5;
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  // Fields compared by calendar day rather than by raw value
+  const DATE_FIELDS = ['Date'];
+
+  // Fields the kiosk is allowed to read
+  const PUBLIC_EMPLOYEE_FIELDS = [
+    'EmployeeId', 'Id', 'FirstName', 'LastName', 'Suffix', 'Department',
+    'Status', 'StandardWorkweekHours', 'RateType', 'CoreWorkingHours', 'Schedule'
+  ];
+  const PUBLIC_ATTENDANCE_FIELDS = [
+    'EmployeeId', 'Date', 'TimeInAM', 'TimeOutAM', 'TimeInPM', 'TimeOutPM',
+    'TotalHoursWorked', 'OvertimeHours', 'PunchLog', 'LeaveType', 'Remarks',
+    'ReviewFlag', 'ReviewNote', 'Holiday', 'HolidayType', 'OffSite'
+  ];
+
+  const AUTO_CLOSE_POLICIES = ['close', 'flag'];
+  // Flags the end-of-day job sets; a record carrying one has been dealt with
+  const CLOSED_FLAGS = [AttendanceRules.REVIEW_FLAG.AUTO_CLOSED, AttendanceRules.REVIEW_FLAG.INCOMPLETE];
+
+  // Fields the admin screens write when they add or edit a day by hand
+  const ADMIN_ATTENDANCE_FIELDS = [
+    'EmployeeId', 'Date', 'TimeInAM', 'TimeOutAM', 'TimeInPM', 'TimeOutPM',
+    'Remarks', 'LeaveType', 'IsDoublePay', 'Holiday', 'HolidayType', 'LunchBreak',
+    'TotalHoursWorked', 'RawHoursWorked', 'RoundedPunchLog', 'OvertimeHours', 'OverTimePay'
+  ];
+  // Fields the admin screens read: the ones they write and the kiosk's
+  const ADMIN_VIEW_ATTENDANCE_FIELDS = Array.from(new Set(ADMIN_ATTENDANCE_FIELDS.concat(PUBLIC_ATTENDANCE_FIELDS)));
+
+  // ============================================
+  // QUERY HELPERS (for adapters without a query engine)
+  // ============================================
+
+  function toDateKey(value) {
+    return value ? String(value).slice(0, 10) : '';
+  }
+
+  function compareValues(field, a, b) {
+    if (DATE_FIELDS.includes(field)) {
+      a = toDateKey(a);
+      b = toDateKey(b);
+    }
+    if (a === b) return 0;
+    if (a === undefined || a === null || a === '') return -1;
+    if (b === undefined || b === null || b === '') return 1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+  }
+
+  /**
+   * Check whether a record satisfies a query's where/range clauses
+   */
+  function matchesQuery(record, query = {}) {
+    const fields = record.fields || {};
+
+    const whereOk = Object.entries(query.where || {}).every(([field, value]) => {
+      const wanted = Array.isArray(value) ? value : [value];
+      return wanted.some(item => compareValues(field, fields[field], item) === 0);
+    });
+    if (!whereOk) return false;
+
+    if (query.range) {
+      const value = toDateKey(fields[query.range.field]);
+      if (!value) return false;
+      if (query.range.from && value < query.range.from) return false;
+      if (query.range.to && value > query.range.to) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Filter, sort, limit and project an in-memory list of records
+   * @param {Array} records - Airtable-shaped records
+   * @param {object} query - Storage adapter query
+   * @returns {Array} - Matching records (copies)
+   */
+  function applyQuery(records, query = {}) {
+    let result = records.filter(r => matchesQuery(r, query));
+
+    (query.sort || []).slice().reverse().forEach(({ field, direction }) => {
+      const sign = direction === 'desc' ? -1 : 1;
+      result = result
+        .map((r, i) => ({ r, i }))
+        .sort((x, y) => sign * compareValues(field, x.r.fields[field], y.r.fields[field]) || x.i - y.i)
+        .map(x => x.r);
+    });
+
+    if (query.limit) result = result.slice(0, query.limit);
+
+    return result.map(r => (query.fields ? pickFields(r, query.fields) : { ...r, fields: { ...r.fields } }));
+  }
+
+  /**
+   * Strip a record down to the whitelisted fields
+   */
+  function pickFields(record, allowed) {
+    const fields = {};
+    allowed.forEach(name => {
+      if (record.fields && record.fields[name] !== undefined) fields[name] = record.fields[name];
+    });
+    return { id: record.id, createdTime: record.createdTime, fields };
+  }
+
+  /**
+   * Plain object for a Kiosk Devices row (never the token hash)
+   */
+  function toDevice(record) {
+    const f = record.fields;
+    return {
+      id: record.id,
+      deviceId: f.DeviceId,
+      name: f.Name || '',
+      status: f.Status || DEVICE_STATUS.PENDING,
+      requestedAt: f.RequestedAt || null,
+      reviewedAt: f.ReviewedAt || null,
+      reviewedBy: f.ReviewedBy || '',
+      lastSeenAt: f.LastSeenAt || null
+    };
+  }
+
+  async function sha256Hex(text) {
+    return toHex(await webCrypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+  }
+
+  async function hmacHex(secret, message) {
+    const encoder = new TextEncoder();
+    const key = await webCrypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return toHex(await webCrypto.subtle.sign('HMAC', key, encoder.encode(message)));
+  }
+
+  function sameText(a, b) {
+    let diff = a.length ^ b.length;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ (b.charCodeAt(i) || 0);
+    return diff === 0;
+  }
+
+  /**
+   * Directory row as the kiosk may see it: PinHash becomes PinRequired
+   */
+  function toPublicEmployee(record) {
+    const { PinHash, ...fields } = record.fields;
+    return { ...record, fields: { ...fields, PinRequired: !!PinHash } };
+  }
+
+  function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function fromHex(text) {
+    return new Uint8Array((String(text).match(/../g) || []).map(pair => parseInt(pair, 16)));
+  }
+
+  async function derivePinKey(pin, salt, iterations) {
+    const key = await webCrypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await webCrypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return toHex(bits);
+  }
+
+  /**
+   * Hash a PIN for the PinHash field
+   * @returns {string} - "pbkdf2-sha256$iterations$salt$hash" (hex)
+   */
+  async function hashPin(pin) {
+    const salt = webCrypto.getRandomValues(new Uint8Array(16));
+    return `pbkdf2-sha256$${PIN_HASH_ITERATIONS}$${toHex(salt)}$${await derivePinKey(pin, salt, PIN_HASH_ITERATIONS)}`;
+  }
+
+  /**
+   * Check a PIN against a stored hash (compares every character)
+   */
+  async function matchesPinHash(pin, stored) {
+    const [scheme, iterations, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'pbkdf2-sha256' || !hash) return false;
+    return sameText(await derivePinKey(pin, fromHex(salt), Number(iterations)), hash);
+  }
+
+  /**
+   * Plain object for a Punch Corrections row
+   */
+  function toCorrection(record) {
+    const f = record.fields;
+    return {
+      id: record.id,
+      recordId: (f.Attendance && f.Attendance[0]) || null,
+      employeeId: f.EmployeeId,
+      date: DateUtils.normalizeDateKey(f.Date),
+      slot: f.Slot,
+      currentTime: f.CurrentTime || null,
+      proposedTime: f.ProposedTime,
+      reason: f.Reason || '',
+      status: f.Status,
+      submittedAt: f.SubmittedAt || record.createdTime || null,
+      reviewedBy: f.ReviewedBy || null,
+      reviewedAt: f.ReviewedAt || null,
+      decisionNote: f.DecisionNote || ''
+    };
+  }
+
+  function splitList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  /**
+   * Plain object for a Shift Templates row
+   */
+  function toShiftTemplate(record) {
+    const f = record.fields;
+    return {
+      id: record.id,
+      name: f.Name || '',
+      hours: f.Hours || '',
+      days: splitList(f.Days),
+      graceMinutes: Number(f.GraceMinutes) || 0,
+      lunch: f.Lunch || '',
+      active: f.Active !== false
+    };
+  }
+
+  /**
+   * Plain object for a Roster row
+   */
+  function toRosterAssignment(record) {
+    const f = record.fields;
+    return {
+      id: record.id,
+      employeeId: f.EmployeeId,
+      from: DateUtils.normalizeDateKey(f.From),
+      to: DateUtils.normalizeDateKey(f.To),
+      shifts: splitList(f.Shifts),
+      rotationDays: Number(f.RotationDays) || 7,
+      status: f.Status || ROSTER_STATUS.ACTIVE,
+      assignedBy: f.AssignedBy || null
+    };
+  }
+
+  /**
+   * Plain object for a Holidays row
+   */
+  function toHoliday(record) {
+    const f = record.fields;
+    return {
+      id: record.id,
+      date: DateUtils.normalizeDateKey(f.Date),
+      name: f.Name || '',
+      type: f.Type || AttendanceRules.HOLIDAY_TYPES.REGULAR,
+      active: f.Active !== false
+    };
+  }
+
+  function icsDateKey(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? DateUtils.normalizeDateKey(`${match[1]}-${match[2]}-${match[3]}`) : null;
+  }
+
+  /**
+   * Read the events of an iCalendar (.ics) file as holidays
+   * Every day of an all-day event is a holiday (DTEND is exclusive).
+   * Cancelled events are left out; recurring rules are not expanded, so
+   * a calendar of yearly holidays needs each year's dates listed.
+   * @param {string} text - File contents
+   * @returns {Array} - { date, name } by date
+   */
+  function parseIcsHolidays(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const holidays = [];
+    let event = null;
+
+    lines.forEach(line => {
+      if (/^BEGIN:VEVENT$/i.test(line.trim())) {
+        event = {};
+        return;
+      }
+      if (event && /^END:VEVENT$/i.test(line.trim())) {
+        const from = icsDateKey(event.DTSTART);
+        const end = icsDateKey(event.DTEND);
+        const name = (event.SUMMARY || '').replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+        if (from && name && String(event.STATUS || '').toUpperCase() !== 'CANCELLED') {
+          const last = DateUtils.addDays(from, MAX_HOLIDAY_SPAN_DAYS - 1);
+          const to = end && end > from ? DateUtils.addDays(end, -1) : from;
+          DateUtils.eachDay(from, to < last ? to : last).forEach(date => holidays.push({ date, name }));
+        }
+        event = null;
+        return;
+      }
+      const match = event && /^([A-Za-z-]+)(?:;[^:]*)?:(.*)$/.exec(line);
+      if (match) event[match[1].toUpperCase()] = match[2];
+    });
+
+    return holidays.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Fields that differ between two versions of a record
+   * @returns {object} - { before, after } holding only the changed fields
+   */
+  function diffFields(before = {}, after = {}) {
+    const changes = { before: {}, after: {} };
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(name => {
+      const oldValue = before[name] === undefined || before[name] === '' ? null : before[name];
+      const newValue = after[name] === undefined || after[name] === '' ? null : after[name];
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+      changes.before[name] = oldValue;
+      changes.after[name] = newValue;
+    });
+    return changes;
+  }
+
+  function parseJsonField(value) {
+    try {
+      return value ? JSON.parse(value) : {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  /**
+   * Plain object for an Attendance Audit row
+   */
+  function toAuditEntry(record) {
+    const f = record.fields;
+    return {
+      id: record.id,
+      recordId: f.RecordId,
+      employeeId: f.EmployeeId || null,
+      date: DateUtils.normalizeDateKey(f.Date),
+      action: f.Action,
+      actor: f.Actor || '',
+      source: f.Source || '',
+      timestamp: f.Timestamp || record.createdTime || null,
+      before: parseJsonField(f.Before),
+      after: parseJsonField(f.After),
+      reason: f.Reason || ''
+    };
+  }
+
+  function validationError(message, status = 400, code = null) {
+    const err = new Error(message);
+    err.status = status;
+    err.expose = true;
+    if (code) err.code = code;
+    return err;
+  }
+
+  // ============================================
+  // GEOFENCES
+  // Sites are a center and radius in meters or a polygon of [lat, lng]
+  // corners. With geofencePolicy 'flag' or 'block' a punch carries the
+  // device's location; one outside every site (or without a usable fix)
+  // is refused with 'block' and recorded with 'flag', the day record then
+  // being marked OffSite (see checkPunchLocation).
+  // ============================================
+
+  function isCoordinate(value, limit) {
+    return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+  }
+
+  /**
+   * Check the configured sites
+   * @param {Array} sites - { name, lat, lng, radius } or { name, polygon: [[lat, lng], ...] }
+   * @returns {Array} - The sites, checked
+   */
+  function normalizeGeofences(sites) {
+    if (!sites || (typeof sites === 'object' && !Array.isArray(sites) && Object.keys(sites).length === 0)) return [];
+    if (!Array.isArray(sites)) throw new Error('Geofences must be a list of sites');
+
+    return sites.map((site, index) => {
+      const name = site && typeof site.name === 'string' && site.name.trim();
+      if (!name) throw new Error(`Geofence ${index + 1} needs a name`);
+
+      if (Array.isArray(site.polygon)) {
+        const valid = site.polygon.length >= 3 && site.polygon.every(p =>
+          Array.isArray(p) && isCoordinate(p[0], 90) && isCoordinate(p[1], 180));
+        if (!valid) throw new Error(`Geofence ${name}: polygon needs at least 3 [lat, lng] corners`);
+        return { name, polygon: site.polygon.map(p => [p[0], p[1]]) };
+      }
+
+      if (!isCoordinate(site.lat, 90) || !isCoordinate(site.lng, 180) || !(site.radius > 0)) {
+        throw new Error(`Geofence ${name}: needs lat, lng and a radius in meters, or a polygon`);
+      }
+      return { name, lat: site.lat, lng: site.lng, radius: site.radius };
+    });
+  }
+
+  /**
+   * Great-circle distance between two points, in meters
+   */
+  function distanceMeters(a, b) {
+    const rad = deg => deg * Math.PI / 180;
+    const dLat = rad(b.latitude - a.latitude);
+    const dLng = rad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  /**
+   * Whether a point lies within a site (polygons by ray casting, which is
+   * exact enough at the size of a site)
+   */
+  function isInsideGeofence(site, point) {
+    if (site.polygon) {
+      let inside = false;
+      const { latitude: y, longitude: x } = point;
+      for (let i = 0, j = site.polygon.length - 1; i < site.polygon.length; j = i++) {
+        const [yi, xi] = site.polygon[i];
+        const [yj, xj] = site.polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+      }
+      return inside;
+    }
+    return distanceMeters({ latitude: site.lat, longitude: site.lng }, point) <= site.radius;
+  }
+
+  /**
+   * Check a location sent with a punch
+   * @returns {object|null} - { latitude, longitude, accuracy }, or null when none was sent
+   */
+  function readLocation(location) {
+    if (location === undefined || location === null) return null;
+    const { latitude, longitude } = location;
+    const accuracy = location.accuracy === undefined || location.accuracy === null ? null : Number(location.accuracy);
+    if (!isCoordinate(latitude, 90) || !isCoordinate(longitude, 180) || (accuracy !== null && !(accuracy >= 0))) {
+      throw validationError('location must be { latitude, longitude, accuracy? } in degrees and meters');
+    }
+    return { latitude, longitude, accuracy };
+  }
+
+  /**
+   * "14.59950, 120.98420 ±35 m"
+   */
+  function formatLocation(location) {
+    if (!location) return 'no location';
+    const accuracy = location.accuracy === null ? '' : ` ±${Math.round(location.accuracy)} m`;
+    return `${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}${accuracy}`;
+  }
+
+  /**
+   * One line of the supervisors' review list
+   */
+  function toReviewItem(record) {
+    const f = record.fields;
+    return {
+      recordId: record.id,
+      employeeId: f.EmployeeId,
+      date: DateUtils.normalizeDateKey(f.Date),
+      flag: f.ReviewFlag,
+      note: f.ReviewNote || '',
+      punchLog: f.PunchLog || AttendanceRules.formatPunchLog(AttendanceRules.readPunches(f)),
+      totalHoursWorked: Number(f.TotalHoursWorked) || 0
+    };
+  }
+
+  function toPublicAttendance(record) {
+    return record ? pickFields(record, PUBLIC_ATTENDANCE_FIELDS) : null;
+  }
+
+  function toAdminAttendance(record) {
+    return record ? pickFields(record, ADMIN_VIEW_ATTENDANCE_FIELDS) : null;
+  }
+
+  /**
+   * Day record fields for a new set of punches
+   * Slots are rewritten from the log; only the ones that changed are returned.
+   * @returns {object} - { fields, fullRecord } (fullRecord has every slot, for hour math)
+   */
+  function punchFields(currentFields, punches) {
+    const fullRecord = { ...AttendanceRules.punchesToSlots(punches), PunchLog: AttendanceRules.formatPunchLog(punches) };
+    const fields = {};
+    Object.entries(fullRecord).forEach(([name, value]) => {
+      if ((currentFields[name] || null) !== value) fields[name] = value;
+    });
+    return { fields, fullRecord };
+  }
+
+  const {
+    parseTimeToMinutes,
+    calculateTotalHours,
+    isFixedRate,
+    calculateHourlyRate
+  } = AttendanceRules;
+
+  // ============================================
+  // ATTENDANCE SERVICE
+  // ============================================
+
+  /**
+   * Create the attendance operations on top of a storage adapter
+   * @param {object} store - Storage adapter (see interface above)
+   * @param {object} options - { timeZone } used to stamp punches sent without a time,
+   *   { geofences, geofencePolicy } for where punches may come from,
+   *   { deviceEnrollment } and { signingSecret } for kiosk codes and phone sessions
+   * @returns {object} - Attendance operations
+   */
+  function createAttendanceService(store, options = {}) {
+    const deviceEnrollment = options.deviceEnrollment || 'off';
+    if (!DEVICE_ENROLLMENT.includes(deviceEnrollment)) throw new Error(`Unknown device enrollment setting: ${deviceEnrollment}`);
+    const geofences = normalizeGeofences(options.geofences);
+    const geofencePolicy = options.geofencePolicy || 'off';
+    if (!GEOFENCE_POLICIES.includes(geofencePolicy)) throw new Error(`Unknown geofence policy: ${geofencePolicy}`);
+    const signingSecret = options.signingSecret || '';
+    let rosterCache = null;
+
+    /**
+     * Where a punch was made, against the sites
+     * Refuses it (403) when it is off site and the policy is 'block'.
+     * @returns {object|null} - { location, site, offSite }, or null when
+     *   geofencing is off
+     */
+    function checkPunchLocation(location, policy = geofencePolicy) {
+      if (policy === 'off' || geofences.length === 0) return null;
+
+      const usable = location && (location.accuracy === null || location.accuracy <= MAX_LOCATION_ACCURACY_METERS);
+      const site = usable ? geofences.find(g => isInsideGeofence(g, location)) : null;
+      if (!site && policy === 'block') {
+        if (!location) throw validationError('Your location is needed to punch. Allow location access and try again.', 403, 'LOCATION_REQUIRED');
+        if (!usable) throw validationError('Your location is not precise enough to punch. Try again in a moment.', 403, 'LOCATION_REQUIRED');
+        throw validationError('You are not at a work site. Punches are only accepted on site.', 403, 'OFF_SITE');
+      }
+      return { location, site: site ? site.name : null, offSite: !site };
+    }
+
+    /**
+     * Whether a replayed punch's time is the time it was captured at
+     * The capture time is the device clock plus the kiosk's measured
+     * offset; the punch's date/time (in the business timezone) must be
+     * within REPLAY_TIME_TOLERANCE_MINUTES of it. Without a date (a punch
+     * added to a known record) only the time of day is compared. The
+     * device clock is the client's word, so a replay captured more than
+     * REPLAY_TRUSTED_DELAY_MINUTES before it arrived is not trusted either
+     * and goes to a supervisor.
+     * @returns {string|null} - Why the time cannot be trusted, or null
+     */
+    function checkReplayTime({ date, timeValue, deviceTimestamp, clockOffsetMs }, now) {
+      const capturedAt = new Date(Date.parse(deviceTimestamp) + clockOffsetMs);
+      const toleranceMs = REPLAY_TIME_TOLERANCE_MINUTES * 60000;
+      if (capturedAt.getTime() > now.getTime() + toleranceMs) {
+        return `captured in the future (${capturedAt.toISOString()})`;
+      }
+      if (now.getTime() - capturedAt.getTime() > MAX_REPLAY_AGE_DAYS * 86400000) {
+        return `captured more than ${MAX_REPLAY_AGE_DAYS} days ago (${capturedAt.toISOString()})`;
+      }
+
+      const capturedDate = DateUtils.toDateKey(capturedAt, options.timeZone);
+      const capturedTime = DateUtils.toTimeValue(capturedAt, options.timeZone);
+      let difference = parseTimeToMinutes(timeValue) - parseTimeToMinutes(capturedTime);
+      if (!date) {
+        difference = ((difference % 1440) + 2160) % 1440 - 720;
+      } else if (date === DateUtils.addDays(capturedDate, 1)) {
+        difference += 1440;
+      } else if (date === DateUtils.addDays(capturedDate, -1)) {
+        difference -= 1440;
+      } else if (date !== capturedDate) {
+        difference = Infinity;
+      }
+      if (Math.abs(difference) > REPLAY_TIME_TOLERANCE_MINUTES) {
+        return `device clock says ${capturedDate} ${capturedTime}`;
+      }
+      const delayMinutes = Math.floor((now.getTime() - capturedAt.getTime()) / 60000);
+      if (delayMinutes > REPLAY_TRUSTED_DELAY_MINUTES) {
+        return `captured ${delayMinutes} minutes before it reached the server`;
+      }
+      return null;
+    }
+
+    /**
+     * Fetch the employee directory (public fields only)
+     */
+    async function listEmployees() {
+      const records = await store.list(TABLES.EMPLOYEES, { fields: [...PUBLIC_EMPLOYEE_FIELDS, 'PinHash'] });
+      return records.map(toPublicEmployee);
+    }
+
+    /**
+     * An employee's directory row (all fields), or null
+     */
+    async function findEmployeeRecord(employeeId) {
+      const records = await store.list(TABLES.EMPLOYEES, { where: { EmployeeId: employeeId }, limit: 1 });
+      return records.length > 0 ? records[0] : null;
+    }
+
+    /**
+     * Get attendance records for a specific employee
+     * @param {string} employeeId - The employee ID to search for
+     * @param {string} fromDate - Optional start date (YYYY-MM-DD)
+     * @param {string} toDate - Optional end date (YYYY-MM-DD)
+     */
+    async function listAttendanceByEmployee(employeeId, fromDate = null, toDate = null) {
+      const records = await store.list(TABLES.ATTENDANCES, {
+        where: { EmployeeId: employeeId },
+        range: fromDate || toDate ? { field: 'Date', from: fromDate, to: toDate } : null,
+        sort: [{ field: 'Date', direction: 'desc' }]
+      });
+      return records.map(toPublicAttendance);
+    }
+
+    /**
+     * Get all attendance records for one date
+     * @param {string} date - YYYY-MM-DD
+     */
+    async function listAttendanceByDate(date) {
+      const records = await store.list(TABLES.ATTENDANCES, {
+        where: { Date: date },
+        sort: [{ field: 'Date', direction: 'desc' }]
+      });
+      return records.map(toPublicAttendance);
+    }
+
+    /**
+     * Find an employee's attendance record for a date (raw record)
+     */
+    async function findDayRecord(employeeId, date) {
+      const records = await store.list(TABLES.ATTENDANCES, {
+        where: { EmployeeId: employeeId, Date: date },
+        limit: 1
+      });
+      return records.length > 0 ? records[0] : null;
+    }
+
+    /**
+     * Find the day record a new punch belongs to
+     * Normally the record for the punch's own date; when the employee has
+     * none yet and the punch continues a night shift started the day
+     * before, the previous day's record.
+     * @returns {object} - { record, nextDay } (record null when there is none yet)
+     */
+    async function findShiftRecord(employeeId, date, punch) {
+      const record = await findDayRecord(employeeId, date);
+      if (record) return { record, nextDay: false };
+
+      const previous = await findDayRecord(employeeId, DateUtils.addDays(date, -1));
+      if (previous && AttendanceRules.continuesShift(AttendanceRules.readPunches(previous.fields), punch)) {
+        return { record: previous, nextDay: true };
+      }
+      return { record: null, nextDay: false };
+    }
+
+    /**
+     * Get employee data by ID for overtime calculations
+     * @param {string} employeeId - Employee ID
+     * @returns {object|null} - Employee data
+     */
+    async function getEmployeeById(employeeId) {
+      const records = await store.list(TABLES.EMPLOYEES, {
+        where: { EmployeeId: employeeId },
+        limit: 1
+      });
+      const roster = records.length > 0 ? await loadRoster(employeeId) : null;
+
+      if (records.length > 0) {
+        const r = records[0];
+        return {
+          baseSalary: Number(r.fields.BaseSalary) || 0,
+          standardWorkweekHours: Number(r.fields.StandardWorkweekHours) || 40,
+          rateType: r.fields.RateType || '',
+          employmentType: r.fields.EmploymentType || r.fields.Type || '',
+          coreWorkingHours: r.fields.CoreWorkingHours || '',
+          schedule: r.fields.Schedule || '',
+          department: r.fields.Department || '',
+          roster
+        };
+      }
+      return null;
+    }
+
+    /**
+     * Calculate the stored hour fields for a day's punches
+     * Uses the shared attendance rules, so the lunch adjustment and the
+     * fixed-rate (no overtime) rule match the admin screens.
+     * TotalHoursWorked is the payable total after the department's
+     * rounding policy; RawHoursWorked and RoundedPunchLog keep the
+     * unrounded total and the punches as rounded.
+     *
+     * @param {object} record - { Date, TimeInAM, TimeOutAM, TimeInPM, TimeOutPM, PunchLog,
+     *   HolidayType?, IsDoublePay? }
+     * @param {string} employeeId - Employee ID for fetching rate data
+     * @returns {object} - { TotalHoursWorked, RawHoursWorked, RoundedPunchLog,
+     *   OvertimeHours, OverTimePay }
+     */
+    async function calculateOvertimeFields(record, employeeId) {
+      let employee = null;
+      try {
+        employee = await getEmployeeById(employeeId);
+      } catch (err) {
+        console.error('[Attendance] Error loading employee for overtime:', err);
+        // Without the employee only the plain worked hours can be stored (safe default)
+      }
+
+      const day = AttendanceRules.evaluateDay(record, employee);
+      const rounding = {
+        RawHoursWorked: day.rawTotalHours,
+        RoundedPunchLog: AttendanceRules.getRoundedPunchLog(record, employee)
+      };
+      if (!employee) {
+        return { TotalHoursWorked: day.workedHours, ...rounding, OvertimeHours: 0, OverTimePay: 0 };
+      }
+      return {
+        TotalHoursWorked: day.totalHours,
+        ...rounding,
+        OvertimeHours: day.overtimeHours,
+        OverTimePay: day.overtimePay
+      };
+    }
+
+    /**
+     * Append a row to the Punches table
+     * Every punch is stored twice: as a row here (the event log, linked to
+     * the day record, with any photo and location) and in the day record's
+     * PunchLog, from which the four slot columns and the hour fields are
+     * recalculated. The day record already holds the punch, so a failure
+     * here is logged rather than failing the punch.
+     * @param {object} extra - Further row fields (Slot, DeviceTimestamp, ...)
+     */
+    async function logPunch(dayRecord, punch, date, extra = {}) {
+      try {
+        await store.create(TABLES.PUNCHES, {
+          Attendance: [dayRecord.id],
+          EmployeeId: dayRecord.fields.EmployeeId,
+          // Calendar date of the punch; the linked record has the shift's date
+          Date: date || dayRecord.fields.Date,
+          Time: punch.time,
+          Direction: punch.direction,
+          ...extra
+        });
+      } catch (err) {
+        console.error('[Attendance] Error writing punch log row:', err);
+      }
+    }
+
+    // ============================================
+    // AUDIT TRAIL
+    // Every create, edit and delete of a day record gets a row in the
+    // Attendance Audit table, written by the change itself: punches, the
+    // end-of-day job and the admin edits below. Rows are only ever added.
+    // ============================================
+
+    /**
+     * Append an entry to the audit trail
+     * Only the fields that changed are kept; an update that changed
+     * nothing is not recorded. The timestamp is this service's clock.
+     * @param {object} entry - { action: create|update|delete, recordId, employeeId?,
+     *   date?, before?, after? (record fields), actor, source?, reason? }
+     * @returns {object|null} - The stored entry (see toAuditEntry)
+     */
+    async function recordAudit({ action, recordId, employeeId, date, before, after, actor, source, reason }) {
+      if (!AUDIT_ACTIONS.includes(action)) throw validationError(`action must be one of ${AUDIT_ACTIONS.join(', ')}`);
+      if (!recordId || typeof recordId !== 'string') throw validationError('recordId is required');
+      if (!actor) throw validationError('actor is required');
+
+      const changes = diffFields(action === 'create' ? {} : before || {}, action === 'delete' ? {} : after || {});
+      if (action === 'update' && Object.keys(changes.after).length === 0) return null;
+
+      const created = await store.create(TABLES.AUDIT, {
+        RecordId: recordId,
+        EmployeeId: employeeId || (after && after.EmployeeId) || (before && before.EmployeeId) || null,
+        Date: DateUtils.normalizeDateKey(date || (after && after.Date) || (before && before.Date)) || null,
+        Action: action,
+        Actor: String(actor),
+        Source: source || null,
+        Timestamp: new Date().toISOString(),
+        Before: JSON.stringify(changes.before),
+        After: JSON.stringify(changes.after),
+        Reason: reason || null
+      });
+      return toAuditEntry(created);
+    }
+
+    /**
+     * Audit a change made by this service
+     * The change is already saved, so a failure here is logged rather
+     * than failing it (like logPunch).
+     */
+    async function auditChange(entry) {
+      try {
+        await recordAudit(entry);
+      } catch (err) {
+        console.error('[Attendance] Error writing audit entry:', err);
+      }
+    }
+
+    // Keep the fields the admin screens may write, checking the ones that
+    // other calculations read
+    function pickAdminFields(fields) {
+      if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw validationError('fields must be an object of record fields');
+      }
+      const picked = {};
+      ADMIN_ATTENDANCE_FIELDS.forEach(name => {
+        if (fields[name] !== undefined) picked[name] = fields[name];
+      });
+      if (picked.Date !== undefined && !DateUtils.parseDateKey(picked.Date)) {
+        throw validationError('Date must be a YYYY-MM-DD date');
+      }
+      TIME_SLOTS.forEach(slot => {
+        if (picked[slot] && parseTimeToMinutes(picked[slot]) === null) {
+          throw validationError(`${slot} must look like "08:00 AM"`);
+        }
+      });
+      return picked;
+    }
+
+    /**
+     * Day records for the admin screens, newest first
+     * Unlike listAttendanceByEmployee these carry the pay fields.
+     * @param {object} query - { employeeId?, from?, to? } (YYYY-MM-DD);
+     *   without employeeId, every employee's
+     */
+    async function listAdminAttendance({ employeeId = null, from = null, to = null } = {}) {
+      const records = await store.list(TABLES.ATTENDANCES, {
+        where: employeeId ? { EmployeeId: employeeId } : {},
+        range: from || to ? { field: 'Date', from, to } : null,
+        sort: [{ field: 'Date', direction: 'desc' }]
+      });
+      return records.map(toAdminAttendance);
+    }
+
+    /**
+     * One day record for the admin screens (see listAdminAttendance)
+     */
+    async function getAdminAttendance(id) {
+      const record = await store.get(TABLES.ATTENDANCES, id);
+      if (!record) throw validationError('Attendance record not found', 404);
+      return toAdminAttendance(record);
+    }
+
+    /**
+     * Add a day record by hand (admin screens)
+     * Audited with the admin as actor.
+     * @param {object} fields - Record fields, see ADMIN_ATTENDANCE_FIELDS
+     * @param {object} change - { actor, reason? }
+     * @returns {object} - The stored record
+     */
+    async function createAttendance(fields, { actor, reason } = {}) {
+      if (!actor) throw validationError('actor is required');
+      const values = pickAdminFields(fields);
+      if (!values.EmployeeId || !values.Date) throw validationError('EmployeeId and Date are required');
+
+      const saved = await store.create(TABLES.ATTENDANCES, values);
+      await auditChange({ action: 'create', recordId: saved.id, after: saved.fields, actor, source: 'Admin', reason });
+      return saved;
+    }
+
+    /**
+     * Change a day record by hand (admin screens)
+     * Audited with the admin as actor; a change to nothing is not.
+     * @param {string} id - Attendance record ID
+     * @param {object} fields - Fields to change, see ADMIN_ATTENDANCE_FIELDS
+     * @param {object} change - { actor, reason? }
+     * @returns {object} - The stored record
+     */
+    async function updateAttendance(id, fields, { actor, reason } = {}) {
+      if (!actor) throw validationError('actor is required');
+      const values = pickAdminFields(fields);
+      const existing = await store.get(TABLES.ATTENDANCES, id);
+      if (!existing) throw validationError('Attendance record not found', 404);
+
+      const saved = await store.update(TABLES.ATTENDANCES, id, values);
+      await auditChange({ action: 'update', recordId: saved.id, before: existing.fields, after: saved.fields, actor, source: 'Admin', reason });
+      return saved;
+    }
+
+    /**
+     * Delete a day record (admin screens)
+     * The audit entry keeps its fields.
+     * @param {string} id - Attendance record ID
+     * @param {object} change - { actor, reason? }
+     */
+    async function deleteAttendance(id, { actor, reason } = {}) {
+      if (!actor) throw validationError('actor is required');
+      const existing = await store.get(TABLES.ATTENDANCES, id);
+      if (!existing) throw validationError('Attendance record not found', 404);
+
+      await store.remove(TABLES.ATTENDANCES, id);
+      await auditChange({ action: 'delete', recordId: id, before: existing.fields, actor, source: 'Admin', reason });
+      return { id, deleted: true };
+    }
+
+    /**
+     * History of one attendance record, oldest first
+     */
+    async function listAudit(recordId) {
+      const records = await store.list(TABLES.AUDIT, {
+        where: { RecordId: recordId },
+        sort: [{ field: 'Timestamp', direction: 'asc' }]
+      });
+      return records.map(toAuditEntry);
+    }
+
+    /**
+     * Record a punch
+     * The slot only gives the direction (in or out); the punch is added to
+     * the day's log, so an employee can step out and back in any number of
+     * times. Creates the day's record if needed, refuses a double punch
+     * (in after in, out after out) and recalculates hours/overtime on
+     * clock-out. A punch after midnight can land on the previous day's
+     * record (night shift, see findShiftRecord).
+     *
+     * Live punches carry no date/timeValue and are stamped with this
+     * service's clock. Only a punch replayed from the kiosk's offline queue
+     * brings its own time, together with the device clock at capture
+     * (deviceTimestamp) and the offset the kiosk had measured against the
+     * server (clockOffsetMs). A replay whose time does not match the two,
+     * lies in the future or is older than MAX_REPLAY_AGE_DAYS is still
+     * recorded, but the day is flagged Unverified time for review.
+     *
+     * Employees with a PIN must send it (see verifyEmployeePin). A photo is
+     * stored with the punch's log row. The location is checked against the
+     * geofences (see checkPunchLocation). `device` is the enrolled kiosk it
+     * came from (see authenticateDevice). Phone punches (via 'phone', see
+     * recordPhonePunch) skip the PIN, which opened the phone's session,
+     * and are held to the 'block' policy whatever geofencePolicy is.
+     *
+     * @param {object} punch - { employeeId, date?, actionType, timeValue?, recordId?,
+     *   deviceTimestamp?, clockOffsetMs?, pin?, photo?,
+     *   location?: { latitude, longitude, accuracy }, device?, via?: 'kiosk'|'phone' }
+     * @returns {object} - { record, punch } on success, { duplicate, punch } with
+     *   the conflicting punch on a double punch
+     */
+    async function recordPunch({ employeeId, date, actionType, timeValue, recordId, deviceTimestamp, clockOffsetMs, pin, photo, location, device, via = 'kiosk' }) {
+      const stampedAt = new Date();
+      if (clockOffsetMs === undefined || clockOffsetMs === null) clockOffsetMs = 0;
+      const replayed = Boolean(timeValue || date);
+      if (replayed && (!timeValue || !deviceTimestamp || (!date && !recordId))) {
+        throw validationError('date and timeValue are only accepted on a replayed punch, with its deviceTimestamp');
+      }
+      if (deviceTimestamp && (typeof deviceTimestamp !== 'string' || Number.isNaN(Date.parse(deviceTimestamp)))) {
+        throw validationError('deviceTimestamp must be an ISO date-time');
+      }
+      if (typeof clockOffsetMs !== 'number' || !Number.isFinite(clockOffsetMs)) {
+        throw validationError('clockOffsetMs must be a number of milliseconds');
+      }
+      const timeCheck = replayed ? checkReplayTime({ date, timeValue, deviceTimestamp, clockOffsetMs }, stampedAt) : null;
+      if (!timeValue) timeValue = DateUtils.toTimeValue(stampedAt, options.timeZone);
+      if (!date) date = DateUtils.toDateKey(stampedAt, options.timeZone);
+
+      const direction = AttendanceRules.slotDirection(actionType);
+      if (!direction || parseTimeToMinutes(timeValue) === null) {
+        const err = new Error('Invalid punch slot or time');
+        err.status = 400;
+        err.expose = true;
+        throw err;
+      }
+      if (photo && (typeof photo !== 'string' || photo.length > MAX_PHOTO_LENGTH || !PHOTO_PATTERN.test(photo))) {
+        throw validationError(`photo must be an image data URL of at most ${MAX_PHOTO_LENGTH} characters`);
+      }
+      const placement = checkPunchLocation(readLocation(location), via === 'phone' ? 'block' : geofencePolicy);
+
+      const shift = recordId
+        ? { record: await store.get(TABLES.ATTENDANCES, recordId), nextDay: false }
+        : await findShiftRecord(employeeId, date, { time: timeValue, direction });
+      const existing = shift.record;
+
+      if (recordId && !existing) {
+        const err = new Error('Attendance record not found');
+        err.status = 404;
+        err.expose = true;
+        throw err;
+      }
+
+      if (via !== 'phone') await verifyEmployeePin((existing && existing.fields.EmployeeId) || employeeId, pin);
+
+      const currentFields = existing ? existing.fields : {};
+      const { punches, conflict } = AttendanceRules.addPunch(
+        AttendanceRules.readPunches(currentFields),
+        { time: timeValue, direction, nextDay: shift.nextDay }
+      );
+
+      if (conflict) {
+        return {
+          duplicate: toPublicAttendance(existing),
+          punch: { time: conflict.time, direction: conflict.direction, nextDay: conflict.nextDay }
+        };
+      }
+
+      const { fields: changed, fullRecord } = punchFields(currentFields, punches);
+      const fields = existing
+        ? changed
+        : { EmployeeId: employeeId, Date: date, ...holidayFields(await findHoliday(date)), ...changed };
+
+      if (placement) {
+        const where = placement.site || 'off-site';
+        const line = `${direction} ${timeValue}${shift.nextDay ? ' +1' : ''}: ${formatLocation(placement.location)} (${where})`;
+        fields.PunchLocations = [currentFields.PunchLocations, line].filter(Boolean).join('\n');
+        if (placement.offSite) fields.OffSite = true;
+      }
+
+      if (timeCheck) {
+        fields.ReviewFlag = AttendanceRules.REVIEW_FLAG.UNVERIFIED_TIME;
+        fields.ReviewNote = [
+          currentFields.ReviewNote,
+          `Offline ${direction} punch at ${timeValue}${shift.nextDay ? ' +1' : ''}: ${timeCheck}`
+        ].filter(Boolean).join('\n');
+      }
+
+      // If clocking out, calculate total hours
+      if (direction === AttendanceRules.PUNCH.OUT && calculateTotalHours(fullRecord) > 0) {
+        const overtimeFields = await calculateOvertimeFields(
+          { ...currentFields, ...fields, ...fullRecord, Date: currentFields.Date || date },
+          currentFields.EmployeeId || employeeId
+        );
+        Object.assign(fields, overtimeFields);
+      }
+
+      const saved = existing
+        ? await store.update(TABLES.ATTENDANCES, existing.id, fields)
+        : await store.create(TABLES.ATTENDANCES, fields);
+
+      const punch = { time: timeValue, direction, nextDay: shift.nextDay };
+      await logPunch(saved, punch, date, {
+        Slot: actionType,
+        DeviceTimestamp: deviceTimestamp || null,
+        ClockOffsetMs: deviceTimestamp ? clockOffsetMs : null,
+        Photo: photo || null,
+        DeviceId: device ? device.deviceId : null,
+        DeviceName: device ? device.name : null,
+        Via: via === 'phone' ? 'Phone' : 'Kiosk',
+        ...(placement ? {
+          Latitude: placement.location ? placement.location.latitude : null,
+          Longitude: placement.location ? placement.location.longitude : null,
+          LocationAccuracy: placement.location ? placement.location.accuracy : null,
+          Site: placement.site,
+          OffSite: placement.offSite
+        } : {})
+      });
+      await auditChange({
+        action: existing ? 'update' : 'create',
+        recordId: saved.id,
+        before: currentFields,
+        after: saved.fields,
+        actor: saved.fields.EmployeeId,
+        source: `${via === 'phone' ? 'Phone' : 'Kiosk'}${device ? `: ${device.name}` : ''}`,
+        reason: `${direction} punch at ${timeValue}${shift.nextDay ? ' +1' : ''}`
+      });
+
+      return { record: toPublicAttendance(saved), punch };
+    }
+
+    /**
+     * End-of-day job: deal with shifts nobody clocked out of
+     * Looks at the last lookbackDays days (today included) for records
+     * whose last punch is an In more than MAX_SHIFT_HOURS after the first
+     * punch. With policy 'close' the shift is closed at the employee's
+     * scheduled end and flagged Auto-closed; with 'flag', or when there is
+     * no schedule to close at, it is flagged Incomplete. Records it has
+     * already flagged Auto-closed or Incomplete are left alone, so the job
+     * can run again; other flags (an offline replay's Unverified time) do
+     * not stop it, and their notes are kept.
+     *
+     * @param {object} params - { now?, policy?: 'close'|'flag', lookbackDays? }
+     * @returns {object} - { date, time, policy, autoClosed, incomplete, review: [...] }
+     */
+    async function closeOpenShifts({ now = new Date(), policy = 'close', lookbackDays = 7 } = {}) {
+      if (!AUTO_CLOSE_POLICIES.includes(policy)) {
+        const err = new Error(`Unknown auto-close policy: ${policy}`);
+        err.status = 400;
+        err.expose = true;
+        throw err;
+      }
+
+      const today = DateUtils.toDateKey(now, options.timeZone);
+      const time = DateUtils.toTimeValue(now, options.timeZone);
+      const records = await store.list(TABLES.ATTENDANCES, {
+        range: { field: 'Date', from: DateUtils.addDays(today, 1 - lookbackDays), to: today },
+        sort: [{ field: 'Date', direction: 'asc' }]
+      });
+
+      const employees = new Map();
+      const result = { date: today, time, policy, autoClosed: 0, incomplete: 0, review: [] };
+
+      for (const record of records) {
+        const fields = record.fields;
+        const date = DateUtils.normalizeDateKey(fields.Date);
+        if (CLOSED_FLAGS.includes(fields.ReviewFlag) || !date) continue;
+
+        const punches = AttendanceRules.readPunches(fields);
+        const elapsedDays = DateUtils.eachDay(date, today).length - 1;
+        if (!AttendanceRules.isShiftAbandoned(punches, elapsedDays, time)) continue;
+
+        if (!employees.has(fields.EmployeeId)) {
+          employees.set(fields.EmployeeId, await getEmployeeById(fields.EmployeeId));
+        }
+        const open = AttendanceRules.getOpenPunch(punches);
+        const close = policy === 'close' ? AttendanceRules.getScheduledClose(punches, employees.get(fields.EmployeeId), date) : null;
+
+        let update;
+        if (close) {
+          const { punches: closed } = AttendanceRules.addPunch(punches, close);
+          const { fields: changed, fullRecord } = punchFields(fields, closed);
+          const closedAt = `${close.time}${close.nextDay ? ' +1' : ''}`;
+          update = {
+            ...changed,
+            ...(await calculateOvertimeFields({ ...fields, ...fullRecord, Date: date }, fields.EmployeeId)),
+            ReviewFlag: AttendanceRules.REVIEW_FLAG.AUTO_CLOSED,
+            ReviewNote: `No clock-out after ${open.time}; closed at the scheduled end, ${closedAt}`
+          };
+        } else {
+          update = {
+            ReviewFlag: AttendanceRules.REVIEW_FLAG.INCOMPLETE,
+            ReviewNote: `No clock-out after ${open.time}`
+          };
+        }
+        const reason = update.ReviewNote;
+        update.ReviewNote = [fields.ReviewNote, reason].filter(Boolean).join('\n');
+
+        const saved = await store.update(TABLES.ATTENDANCES, record.id, update);
+        await auditChange({
+          action: 'update',
+          recordId: saved.id,
+          before: fields,
+          after: saved.fields,
+          actor: 'System',
+          source: 'End-of-day job',
+          reason
+        });
+        if (close) {
+          await logPunch(saved, close, close.nextDay ? DateUtils.addDays(date, 1) : date, { AutoClosed: true });
+          result.autoClosed++;
+        } else {
+          result.incomplete++;
+        }
+        result.review.push(toReviewItem(saved));
+      }
+
+      return result;
+    }
+
+    // ============================================
+    // PUNCH CORRECTIONS
+    // An employee asks for a slot to be changed; an admin approves or
+    // rejects it, and an approval changes the punch on the day record in
+    // the same call (see applyCorrection).
+    // ============================================
+
+    /**
+     * Ask for a punch to be corrected
+     * @param {object} request - { recordId?, employeeId, date, slot, proposedTime, reason }
+     *   (recordId may be missing when the punch never reached the server)
+     * @returns {object} - The stored correction (see toCorrection)
+     */
+    async function requestCorrection({ recordId, employeeId, date, slot, proposedTime, reason }) {
+      const minutes = parseTimeToMinutes(proposedTime);
+      const text = typeof reason === 'string' ? reason.trim() : '';
+      if (!employeeId || !DATE_PATTERN.test(date || '')) throw validationError('employeeId and a YYYY-MM-DD date are required');
+      if (!TIME_SLOTS.includes(slot) || minutes === null) throw validationError('Invalid punch slot or time');
+      if (!text) throw validationError('A reason is required');
+      if (text.length > MAX_CORRECTION_REASON_LENGTH) {
+        throw validationError(`The reason must be at most ${MAX_CORRECTION_REASON_LENGTH} characters`);
+      }
+
+      const record = recordId ? await store.get(TABLES.ATTENDANCES, recordId) : await findDayRecord(employeeId, date);
+      if (recordId && (!record || record.fields.EmployeeId !== employeeId)) {
+        throw validationError('Attendance record not found', 404);
+      }
+
+      const pending = await store.list(TABLES.CORRECTIONS, {
+        where: { EmployeeId: employeeId, Date: date, Slot: slot, Status: CORRECTION_STATUS.PENDING },
+        limit: 1
+      });
+      if (pending.length > 0) throw validationError('A correction for this punch is already waiting for approval', 409);
+
+      const created = await store.create(TABLES.CORRECTIONS, {
+        Attendance: record ? [record.id] : [],
+        EmployeeId: employeeId,
+        Date: date,
+        Slot: slot,
+        CurrentTime: (record && record.fields[slot]) || null,
+        ProposedTime: AttendanceRules.formatMinutes(minutes),
+        Reason: text,
+        Status: CORRECTION_STATUS.PENDING,
+        SubmittedAt: new Date().toISOString()
+      });
+      return toCorrection(created);
+    }
+
+    /**
+     * List correction requests, oldest first
+     * @param {string} status - One of CORRECTION_STATUS, or null for all
+     */
+    async function listCorrections(status = CORRECTION_STATUS.PENDING) {
+      const records = await store.list(TABLES.CORRECTIONS, {
+        where: status ? { Status: status } : {},
+        sort: [{ field: 'SubmittedAt', direction: 'asc' }]
+      });
+      return records.map(toCorrection);
+    }
+
+    /**
+     * Put an approved correction's time on its day record
+     * The punch is changed in the PunchLog (AttendanceRules.correctPunch),
+     * so the slots, hours and overtime are worked out from the whole log
+     * as for a punch, and the change is audited with the reviewer as actor.
+     * Errors: 404 when the day record is gone, 409 when the new time
+     * would make a double punch.
+     * @returns {object} - The saved day record
+     */
+    async function applyCorrection(correction, reviewedBy) {
+      const record = correction.recordId ? await store.get(TABLES.ATTENDANCES, correction.recordId) : null;
+      if (!record) {
+        throw validationError('The attendance record for this request no longer exists. Add the day by hand, then reject the request.', 404);
+      }
+
+      const { punches, conflict } = AttendanceRules.correctPunch(
+        AttendanceRules.readPunches(record.fields), correction.slot, correction.proposedTime
+      );
+      if (conflict) {
+        throw validationError(`${correction.proposedTime} would make a double punch next to ${conflict.time} ${conflict.direction}`, 409);
+      }
+
+      const { fields, fullRecord } = punchFields(record.fields, punches);
+      const note = `Corrected ${SLOT_LABELS[correction.slot]}: ${correction.currentTime || 'none'} to ${correction.proposedTime}`;
+      fields.Remarks = [record.fields.Remarks, note].filter(Boolean).join('; ');
+      Object.assign(fields, await calculateOvertimeFields(
+        { ...record.fields, ...fullRecord, Date: record.fields.Date },
+        record.fields.EmployeeId
+      ));
+
+      const saved = await store.update(TABLES.ATTENDANCES, record.id, fields);
+      await auditChange({
+        action: 'update',
+        recordId: saved.id,
+        before: record.fields,
+        after: saved.fields,
+        actor: reviewedBy || 'Admin',
+        source: 'Admin',
+        reason: `Approved correction request: ${correction.reason}`
+      });
+      return saved;
+    }
+
+    /**
+     * Approve or reject a pending correction
+     * An approval puts the proposed time on the day record first (see
+     * applyCorrection); nothing is marked decided if that fails.
+     * @param {string} id - Correction id
+     * @param {object} decision - { status: Approved|Rejected, reviewedBy?, note? }
+     * @returns {object} - The correction (see toCorrection)
+     */
+    async function decideCorrection(id, { status, reviewedBy, note } = {}) {
+      if (status !== CORRECTION_STATUS.APPROVED && status !== CORRECTION_STATUS.REJECTED) {
+        throw validationError(`status must be ${CORRECTION_STATUS.APPROVED} or ${CORRECTION_STATUS.REJECTED}`);
+      }
+      const existing = await store.get(TABLES.CORRECTIONS, id);
+      if (!existing) throw validationError('Correction not found', 404);
+      if (existing.fields.Status !== CORRECTION_STATUS.PENDING) {
+        throw validationError(`Correction was already ${String(existing.fields.Status).toLowerCase()}`, 409);
+      }
+
+      if (status === CORRECTION_STATUS.APPROVED) await applyCorrection(toCorrection(existing), reviewedBy);
+      const saved = await store.update(TABLES.CORRECTIONS, id, {
+        Status: status,
+        ReviewedBy: reviewedBy || null,
+        ReviewedAt: new Date().toISOString(),
+        DecisionNote: note || null
+      });
+      return toCorrection(saved);
+    }
+
+    // ============================================
+    // ROSTERS
+    // Shift templates are assigned to employees by date range, optionally
+    // rotating. Employees loaded for hour math carry their roster (see
+    // getEmployeeById). Assignments are cancelled rather than deleted.
+    // ============================================
+
+    /**
+     * List shift templates by name
+     */
+    async function listShiftTemplates() {
+      const records = await store.list(TABLES.SHIFTS, { sort: [{ field: 'Name', direction: 'asc' }] });
+      return records.map(toShiftTemplate);
+    }
+
+    /**
+     * Create or change a shift template
+     * Assignments refer to templates by name, so a template keeps its name.
+     * @param {object} template - { id?, name, hours, days?, graceMinutes?, lunch?, active? }
+     * @returns {object} - The stored template (see toShiftTemplate)
+     */
+    async function saveShiftTemplate({ id, name, hours, days, graceMinutes, lunch, active }) {
+      const label = typeof name === 'string' ? name.trim() : '';
+      if (!label || label.includes(',')) throw validationError('A shift template needs a name without commas');
+      if (label.toLowerCase() === AttendanceRules.OFF_SHIFT.toLowerCase()) {
+        throw validationError(`"${AttendanceRules.OFF_SHIFT}" is reserved for rostered days off`);
+      }
+      if (AttendanceRules.getScheduleSpanHours(hours) === null) {
+        throw validationError('Hours must look like "6:00 AM - 2:00 PM"');
+      }
+      if (lunch && AttendanceRules.getScheduleSpanHours(lunch) === null) {
+        throw validationError('Lunch must look like "10:00 AM - 11:00 AM"');
+      }
+
+      const templates = await listShiftTemplates();
+      const existing = id ? templates.find(t => t.id === id) : null;
+      if (id && !existing) throw validationError('Shift template not found', 404);
+      if (existing && existing.name !== label) throw validationError('A shift template cannot be renamed; add a new one instead');
+      if (!existing && templates.some(t => t.name.toLowerCase() === label.toLowerCase())) {
+        throw validationError(`A shift template named ${label} already exists`, 409);
+      }
+
+      const fields = {
+        Name: label,
+        Hours: String(hours).trim(),
+        Days: splitList(days).join(', '),
+        GraceMinutes: Math.max(0, Number(graceMinutes) || 0),
+        Lunch: lunch ? String(lunch).trim() : null,
+        Active: active !== false
+      };
+      const saved = existing
+        ? await store.update(TABLES.SHIFTS, id, fields)
+        : await store.create(TABLES.SHIFTS, fields);
+      rosterCache = null;
+      return toShiftTemplate(saved);
+    }
+
+    /**
+     * Roster assignments in force at some point between two dates
+     * @param {object} filter - { from?, to?, employeeId? } (YYYY-MM-DD)
+     * @returns {object} - { templates, assignments } (cancelled ones left out)
+     */
+    async function listRoster({ from = null, to = null, employeeId = null } = {}) {
+      const [templates, records] = await Promise.all([
+        listShiftTemplates(),
+        store.list(TABLES.ROSTER, {
+          where: employeeId ? { EmployeeId: employeeId } : {},
+          sort: [{ field: 'From', direction: 'asc' }]
+        })
+      ]);
+      const assignments = records.map(toRosterAssignment).filter(a => {
+        if (a.status === ROSTER_STATUS.CANCELLED || !a.from) return false;
+        return (!to || a.from <= to) && (!from || !a.to || a.to >= from);
+      });
+      return { templates, assignments };
+    }
+
+    /**
+     * The whole roster, read once per ROSTER_CACHE_TTL_MS
+     * Saves here clear it; another instance's saves show up within the TTL.
+     * Concurrent callers share one read.
+     */
+    function getCachedRoster() {
+      if (!rosterCache || Date.now() - rosterCache.loadedAt > ROSTER_CACHE_TTL_MS) {
+        const entry = { loadedAt: Date.now(), roster: listRoster() };
+        entry.roster.catch(() => {
+          if (rosterCache === entry) rosterCache = null;
+        });
+        rosterCache = entry;
+      }
+      return rosterCache.roster;
+    }
+
+    /**
+     * An employee's roster for the hour math, or null without one
+     * A base without the roster tables works as if nobody were rostered.
+     */
+    async function loadRoster(employeeId) {
+      try {
+        const { templates, assignments } = await getCachedRoster();
+        const own = assignments.filter(a => a.employeeId === employeeId);
+        return own.length > 0 ? AttendanceRules.buildRoster(templates, own) : null;
+      } catch (err) {
+        console.error('[Attendance] Error loading roster:', err);
+        return null;
+      }
+    }
+
+    /**
+     * Assign shifts to an employee for a date range
+     * @param {object} assignment - { id?, employeeId, from, to?, shifts (names or
+     *   comma-separated text, rotating in order), rotationDays? (default 7), assignedBy? }
+     * @returns {object} - The stored assignment (see toRosterAssignment)
+     */
+    async function saveRosterAssignment({ id, employeeId, from, to, shifts, rotationDays, assignedBy }) {
+      const names = splitList(shifts);
+      const period = rotationDays === undefined || rotationDays === null || rotationDays === '' ? 7 : Number(rotationDays);
+      if (!employeeId || !DATE_PATTERN.test(from || '')) throw validationError('employeeId and a YYYY-MM-DD from date are required');
+      if (to && (!DATE_PATTERN.test(to) || to < from)) throw validationError('to must be a YYYY-MM-DD date on or after from');
+      if (names.length === 0) throw validationError('At least one shift is required');
+      if (!Number.isInteger(period) || period < 1 || period > MAX_ROTATION_DAYS) {
+        throw validationError(`rotationDays must be a whole number from 1 to ${MAX_ROTATION_DAYS}`);
+      }
+
+      const known = (await listShiftTemplates()).filter(t => t.active).map(t => t.name);
+      const unknown = names.filter(n => n !== AttendanceRules.OFF_SHIFT && !known.includes(n));
+      if (unknown.length > 0) throw validationError(`Unknown shift template: ${unknown.join(', ')}`);
+
+      if (id && !(await store.get(TABLES.ROSTER, id))) throw validationError('Roster assignment not found', 404);
+
+      const fields = {
+        EmployeeId: employeeId,
+        From: from,
+        To: to || null,
+        Shifts: names.join(', '),
+        RotationDays: period,
+        Status: ROSTER_STATUS.ACTIVE,
+        AssignedBy: assignedBy || null
+      };
+      const saved = id
+        ? await store.update(TABLES.ROSTER, id, fields)
+        : await store.create(TABLES.ROSTER, fields);
+      rosterCache = null;
+      return toRosterAssignment(saved);
+    }
+
+    /**
+     * Take an assignment off the roster
+     */
+    async function cancelRosterAssignment(id) {
+      if (!(await store.get(TABLES.ROSTER, id))) throw validationError('Roster assignment not found', 404);
+      const saved = await store.update(TABLES.ROSTER, id, { Status: ROSTER_STATUS.CANCELLED });
+      rosterCache = null;
+      return toRosterAssignment(saved);
+    }
+
+    // ============================================
+    // HOLIDAYS
+    // One calendar entry per date, kept by hand or imported from an .ics
+    // file. Day records on a holiday carry its Holiday and HolidayType,
+    // kept up to date (with their overtime pay) whenever the calendar
+    // changes. Entries are made inactive rather than deleted.
+    // ============================================
+
+    /**
+     * Holiday calendar entries between two dates, by date
+     * @param {object} filter - { from?, to? } (YYYY-MM-DD), { all: true } to
+     *   include inactive entries
+     */
+    async function listHolidays({ from = null, to = null, all = false } = {}) {
+      const records = await store.list(TABLES.HOLIDAYS, {
+        range: from || to ? { field: 'Date', from, to } : null,
+        sort: [{ field: 'Date', direction: 'asc' }]
+      });
+      return records.map(toHoliday).filter(h => h.date && (all || h.active));
+    }
+
+    /**
+     * The active holiday on a date, or null
+     * A base without the Holidays table works as if there were no holidays.
+     */
+    async function findHoliday(date) {
+      try {
+        return AttendanceRules.findHoliday(await listHolidays({ from: date, to: date }), date);
+      } catch (err) {
+        console.error('[Attendance] Error loading holidays:', err);
+        return null;
+      }
+    }
+
+    function holidayFields(holiday) {
+      return holiday ? { Holiday: holiday.name, HolidayType: holiday.type } : {};
+    }
+
+    /**
+     * Bring the day records of a date in line with the calendar
+     * @returns {number} - Records changed
+     */
+    async function applyHolidayToRecords(date) {
+      const holiday = await findHoliday(date);
+      const records = await store.list(TABLES.ATTENDANCES, { where: { Date: date } });
+      return reflagRecords(records, () => holiday);
+    }
+
+    /**
+     * Give day records the holiday of their date
+     * Records gain or lose Holiday/HolidayType, and those with hours get
+     * their hour and overtime fields recalculated for the premium.
+     * @param {Array} records - Attendance records
+     * @param {function} holidayOn - (date) => the active holiday, or null
+     * @returns {number} - Records changed
+     */
+    async function reflagRecords(records, holidayOn) {
+      let changed = 0;
+
+      for (const record of records) {
+        const fields = record.fields;
+        const holiday = holidayOn(DateUtils.normalizeDateKey(fields.Date)) || null;
+        const wanted = { Holiday: null, HolidayType: null, ...holidayFields(holiday) };
+        if ((fields.Holiday || null) === wanted.Holiday && (fields.HolidayType || null) === wanted.HolidayType) continue;
+
+        const update = { ...wanted };
+        if (calculateTotalHours(fields) > 0) {
+          Object.assign(update, await calculateOvertimeFields({ ...fields, ...update }, fields.EmployeeId));
+        }
+        const saved = await store.update(TABLES.ATTENDANCES, record.id, update);
+        await auditChange({
+          action: 'update',
+          recordId: saved.id,
+          before: fields,
+          after: saved.fields,
+          actor: 'System',
+          source: 'Holiday calendar',
+          reason: holiday ? `${holiday.name} (${holiday.type})` : 'No longer a holiday'
+        });
+        changed++;
+      }
+      return changed;
+    }
+
+    /**
+     * Add a holiday to the calendar or change one
+     * @param {object} holiday - { id?, date, name, type? (one of HOLIDAY_TYPES,
+     *   Regular Holiday when omitted), active? }
+     * @returns {object} - The stored holiday (see toHoliday) with
+     *   recordsUpdated, the day records re-flagged
+     */
+    async function saveHoliday({ id, date, name, type, active }) {
+      const label = typeof name === 'string' ? name.trim() : '';
+      const holidayType = type || AttendanceRules.HOLIDAY_TYPES.REGULAR;
+      if (!DATE_PATTERN.test(date || '') || !DateUtils.parseDateKey(date)) throw validationError('A YYYY-MM-DD date is required');
+      if (!label) throw validationError('A holiday name is required');
+      if (!Object.values(AttendanceRules.HOLIDAY_TYPES).includes(holidayType)) {
+        throw validationError(`type must be one of ${Object.values(AttendanceRules.HOLIDAY_TYPES).join(', ')}`);
+      }
+
+      const existing = id ? await store.get(TABLES.HOLIDAYS, id) : null;
+      if (id && !existing) throw validationError('Holiday not found', 404);
+      if (active !== false) {
+        const clash = (await listHolidays({ from: date, to: date })).find(h => h.id !== id);
+        if (clash) throw validationError(`${date} is already on the calendar as ${clash.name}`, 409);
+      }
+
+      const fields = { Date: date, Name: label, Type: holidayType, Active: active !== false };
+      const saved = existing
+        ? await store.update(TABLES.HOLIDAYS, id, fields)
+        : await store.create(TABLES.HOLIDAYS, fields);
+
+      const previousDate = existing && DateUtils.normalizeDateKey(existing.fields.Date);
+      let recordsUpdated = await applyHolidayToRecords(date);
+      if (previousDate && previousDate !== date) recordsUpdated += await applyHolidayToRecords(previousDate);
+      return { ...toHoliday(saved), recordsUpdated };
+    }
+
+    /**
+     * Take a holiday off the calendar
+     */
+    async function removeHoliday(id) {
+      const existing = await store.get(TABLES.HOLIDAYS, id);
+      if (!existing) throw validationError('Holiday not found', 404);
+      const saved = await store.update(TABLES.HOLIDAYS, id, { Active: false });
+      const holiday = toHoliday(saved);
+      return { ...holiday, recordsUpdated: holiday.date ? await applyHolidayToRecords(holiday.date) : 0 };
+    }
+
+    /**
+     * Add the events of an .ics file to the calendar
+     * Dates already on the calendar (or twice in the file) are skipped,
+     * including dates whose entry was taken off: re-importing a calendar
+     * does not bring back a holiday an admin removed. The calendar is read
+     * once, the new entries are created together and the day records of
+     * their dates re-flagged in one pass.
+     * @param {object} params - { ics (file contents), type? for every entry }
+     * @returns {object} - { imported: [holidays], skipped: [{ date, name, reason }],
+     *   recordsUpdated }
+     */
+    async function importHolidays({ ics, type } = {}) {
+      const events = parseIcsHolidays(ics);
+      if (events.length === 0) throw validationError('No events found in the calendar file');
+      const holidayType = type || AttendanceRules.HOLIDAY_TYPES.REGULAR;
+      if (!Object.values(AttendanceRules.HOLIDAY_TYPES).includes(holidayType)) {
+        throw validationError(`type must be one of ${Object.values(AttendanceRules.HOLIDAY_TYPES).join(', ')}`);
+      }
+
+      const taken = new Map((await listHolidays({ all: true })).map(h => [h.date, h]));
+      const skipped = [];
+      const added = [];
+      for (const event of events) {
+        const entry = taken.get(event.date);
+        if (entry) {
+          const reason = entry.active ? `Already on the calendar as ${entry.name}` : `${entry.name} was taken off the calendar`;
+          skipped.push({ ...event, reason });
+          continue;
+        }
+        added.push({ Date: event.date, Name: event.name, Type: holidayType, Active: true });
+        taken.set(event.date, { name: event.name, active: true });
+      }
+      if (added.length === 0) return { imported: [], skipped, recordsUpdated: 0 };
+
+      const imported = (await store.createMany(TABLES.HOLIDAYS, added)).map(toHoliday);
+      const byDate = new Map(imported.map(h => [h.date, h]));
+      const dates = [...byDate.keys()];
+      let records = [];
+      for (let i = 0; i < dates.length; i += DATES_PER_QUERY) {
+        records = records.concat(await store.list(TABLES.ATTENDANCES, { where: { Date: dates.slice(i, i + DATES_PER_QUERY) } }));
+      }
+      const recordsUpdated = await reflagRecords(records, date => byDate.get(date));
+      return { imported, skipped, recordsUpdated };
+    }
+
+    // ============================================
+    // PINS
+    // PinHash is PBKDF2 through Web Crypto and never leaves the server.
+    // MAX_PIN_ATTEMPTS wrong PINs in a row lock punching for
+    // PIN_LOCKOUT_MINUTES, doubling with each lockout (PinLockouts) until
+    // the right PIN is entered; the MAX_PIN_LOCKOUTS-th lasts until an
+    // admin unlocks it or sets a new PIN, so guessing over the phone
+    // sign-in cannot go on for ever.
+    // ============================================
+
+    /**
+     * PIN state of an employee, for the admin screens
+     * @returns {object} - { employeeId, pinRequired, failedAttempts, lockouts,
+     *   lockedUntil, adminUnlockRequired }
+     */
+    async function getPinStatus(employeeId, now = new Date()) {
+      const record = await findEmployeeRecord(employeeId);
+      if (!record) throw validationError('Employee not found', 404);
+      const f = record.fields;
+      const locked = f.PinLockedUntil && new Date(f.PinLockedUntil) > now;
+      return {
+        employeeId,
+        pinRequired: !!f.PinHash,
+        failedAttempts: Number(f.PinFailedAttempts) || 0,
+        lockouts: Number(f.PinLockouts) || 0,
+        lockedUntil: locked ? f.PinLockedUntil : null,
+        adminUnlockRequired: (Number(f.PinLockouts) || 0) >= MAX_PIN_LOCKOUTS
+      };
+    }
+
+    /**
+     * Check the PIN sent with a punch
+     * Employees without a PIN pass. A wrong PIN counts towards the lockout;
+     * the right one clears the count and the lockouts before it.
+     * Errors: 401 PIN_REQUIRED / PIN_INCORRECT, 423 PIN_LOCKED.
+     */
+    async function verifyEmployeePin(employeeId, pin, now = new Date()) {
+      const record = employeeId ? await findEmployeeRecord(employeeId) : null;
+      if (!record || !record.fields.PinHash) return;
+
+      const f = record.fields;
+      const lockouts = Number(f.PinLockouts) || 0;
+      if (lockouts >= MAX_PIN_LOCKOUTS) {
+        throw validationError('Too many wrong PINs. Punching is locked until an admin unlocks it.', 423, 'PIN_LOCKED');
+      }
+      const lockedUntil = f.PinLockedUntil ? new Date(f.PinLockedUntil) : null;
+      if (lockedUntil && lockedUntil > now) {
+        throw validationError('Too many wrong PINs. Punching is locked; ask an admin to unlock it or try again later.', 423, 'PIN_LOCKED');
+      }
+      if (pin === undefined || pin === null || pin === '') throw validationError('Enter your PIN', 401, 'PIN_REQUIRED');
+
+      if (await matchesPinHash(String(pin), f.PinHash)) {
+        if (f.PinFailedAttempts || f.PinLockedUntil || lockouts) {
+          await store.update(TABLES.EMPLOYEES, record.id, { PinFailedAttempts: 0, PinLockedUntil: null, PinLockouts: 0 });
+        }
+        return;
+      }
+
+      // An expired lockout starts a new count, but the lockouts add up
+      const attempts = (lockedUntil ? 0 : Number(f.PinFailedAttempts) || 0) + 1;
+      if (attempts >= MAX_PIN_ATTEMPTS) {
+        if (lockouts + 1 >= MAX_PIN_LOCKOUTS) {
+          await store.update(TABLES.EMPLOYEES, record.id, { PinFailedAttempts: attempts, PinLockedUntil: null, PinLockouts: lockouts + 1 });
+          throw validationError('Wrong PIN. Punching is locked until an admin unlocks it.', 423, 'PIN_LOCKED');
+        }
+        const minutes = PIN_LOCKOUT_MINUTES * 2 ** lockouts;
+        const until = new Date(now.getTime() + minutes * 60000).toISOString();
+        await store.update(TABLES.EMPLOYEES, record.id, { PinFailedAttempts: attempts, PinLockedUntil: until, PinLockouts: lockouts + 1 });
+        throw validationError(`Wrong PIN. Punching is locked for ${minutes} minutes; ask an admin to unlock it.`, 423, 'PIN_LOCKED');
+      }
+      await store.update(TABLES.EMPLOYEES, record.id, { PinFailedAttempts: attempts, PinLockedUntil: null });
+      const left = MAX_PIN_ATTEMPTS - attempts;
+      throw validationError(`Wrong PIN. ${left} attempt${left === 1 ? '' : 's'} left.`, 401, 'PIN_INCORRECT');
+    }
+
+    /**
+     * Set, change or remove an employee's PIN (admin); also lifts a lockout
+     * @param {string|null} pin - 4 to 8 digits, or null/'' to remove the PIN
+     */
+    async function setEmployeePin(employeeId, pin) {
+      const record = await findEmployeeRecord(employeeId);
+      if (!record) throw validationError('Employee not found', 404);
+      const text = pin === undefined || pin === null ? '' : String(pin).trim();
+      if (text && !PIN_PATTERN.test(text)) throw validationError('A PIN is 4 to 8 digits');
+
+      await store.update(TABLES.EMPLOYEES, record.id, {
+        PinHash: text ? await hashPin(text) : null,
+        PinFailedAttempts: 0,
+        PinLockedUntil: null,
+        PinLockouts: 0
+      });
+      return getPinStatus(employeeId);
+    }
+
+    /**
+     * Lift a PIN lockout without changing the PIN (admin)
+     */
+    async function unlockEmployeePin(employeeId) {
+      const record = await findEmployeeRecord(employeeId);
+      if (!record) throw validationError('Employee not found', 404);
+      await store.update(TABLES.EMPLOYEES, record.id, { PinFailedAttempts: 0, PinLockedUntil: null, PinLockouts: 0 });
+      return getPinStatus(employeeId);
+    }
+
+    /**
+     * Flagged records (end-of-day job, unverified replays) that no
+     * supervisor has reviewed yet
+     * @param {string} fromDate - Optional start date (YYYY-MM-DD)
+     * @param {string} toDate - Optional end date (YYYY-MM-DD)
+     * @returns {Array} - Review items, oldest first
+     */
+    async function listReviewQueue(fromDate = null, toDate = null) {
+      const { AUTO_CLOSED, INCOMPLETE, UNVERIFIED_TIME } = AttendanceRules.REVIEW_FLAG;
+      const records = await store.list(TABLES.ATTENDANCES, {
+        range: fromDate || toDate ? { field: 'Date', from: fromDate, to: toDate } : null,
+        sort: [{ field: 'Date', direction: 'asc' }]
+      });
+      return records
+        .filter(r => [AUTO_CLOSED, INCOMPLETE, UNVERIFIED_TIME].includes(r.fields.ReviewFlag))
+        .map(toReviewItem);
+    }
+
+    /**
+     * Clear a day from the review list (supervisor)
+     * Sets ReviewFlag to Reviewed and adds who cleared it to ReviewNote;
+     * audited with the supervisor as actor. A shift still missing its
+     * clock-out has to be fixed first, or the end-of-day job would flag
+     * it again.
+     * Errors: 404, 409 when the day is not waiting for review or still open.
+     * @param {string} recordId - Attendance record ID
+     * @param {object} review - { actor, note? }
+     * @returns {object} - The review item (see toReviewItem)
+     */
+    async function markReviewed(recordId, { actor, note } = {}) {
+      if (!actor) throw validationError('actor is required');
+      const existing = await store.get(TABLES.ATTENDANCES, recordId);
+      if (!existing) throw validationError('Attendance record not found', 404);
+
+      const { AUTO_CLOSED, INCOMPLETE, UNVERIFIED_TIME, REVIEWED } = AttendanceRules.REVIEW_FLAG;
+      const flag = existing.fields.ReviewFlag;
+      if (![AUTO_CLOSED, INCOMPLETE, UNVERIFIED_TIME].includes(flag)) {
+        throw validationError('This day is not waiting for review', 409);
+      }
+      if (flag === INCOMPLETE && AttendanceRules.getOpenPunch(AttendanceRules.readPunches(existing.fields))) {
+        throw validationError('Add the missing clock-out to this day before marking it reviewed', 409);
+      }
+
+      const text = typeof note === 'string' ? note.trim() : '';
+      const line = `Reviewed by ${actor}${text ? `: ${text}` : ''}`;
+      const saved = await store.update(TABLES.ATTENDANCES, recordId, {
+        ReviewFlag: REVIEWED,
+        ReviewNote: [existing.fields.ReviewNote, line].filter(Boolean).join('\n')
+      });
+      await auditChange({
+        action: 'update',
+        recordId,
+        before: existing.fields,
+        after: saved.fields,
+        actor,
+        source: 'Admin',
+        reason: text || `Reviewed ${String(flag).toLowerCase()} day`
+      });
+      return toReviewItem(saved);
+    }
+
+    // ============================================
+    // KIOSK DEVICES
+    // Only the hash of a device's token is stored. An approved device's
+    // punches are tagged with its DeviceId/DeviceName; with
+    // deviceEnrollment 'required' no other browser can punch.
+    // ============================================
+
+    /**
+     * Ask for this browser to be enrolled as a kiosk
+     * @param {object} request - { name } shown to the admin who approves it
+     * @returns {object} - { device, token }; the token is only ever returned here
+     */
+    async function requestDeviceEnrollment({ name }) {
+      const label = typeof name === 'string' ? name.trim() : '';
+      if (!label || label.length > MAX_DEVICE_NAME_LENGTH) {
+        throw validationError(`A device name of at most ${MAX_DEVICE_NAME_LENGTH} characters is required`);
+      }
+
+      const token = toHex(webCrypto.getRandomValues(new Uint8Array(32)));
+      const saved = await store.create(TABLES.DEVICES, {
+        // Short code the kiosk shows so the admin approves the right one
+        DeviceId: `KSK-${toHex(webCrypto.getRandomValues(new Uint8Array(3))).toUpperCase()}`,
+        Name: label,
+        Status: DEVICE_STATUS.PENDING,
+        TokenHash: await sha256Hex(token),
+        RequestedAt: new Date().toISOString()
+      });
+      return { device: toDevice(saved), token };
+    }
+
+    /**
+     * Kiosk devices, newest request first
+     * @param {string|null} status - Only devices in this status
+     */
+    async function listDevices(status = null) {
+      const records = await store.list(TABLES.DEVICES, {
+        where: status ? { Status: status } : {},
+        sort: [{ field: 'RequestedAt', direction: 'desc' }]
+      });
+      return records.map(toDevice);
+    }
+
+    async function findDeviceRecord(deviceId) {
+      const records = await store.list(TABLES.DEVICES, { where: { DeviceId: deviceId }, limit: 1 });
+      return records.length > 0 ? records[0] : null;
+    }
+
+    /**
+     * Approve, revoke or rename a device (admin)
+     * @param {object} change - { status?, name?, reviewedBy? }
+     */
+    async function updateDevice(deviceId, { status, name, reviewedBy } = {}) {
+      const record = await findDeviceRecord(deviceId);
+      if (!record) throw validationError('Device not found', 404);
+
+      const fields = {};
+      if (status !== undefined) {
+        if (status !== DEVICE_STATUS.APPROVED && status !== DEVICE_STATUS.REVOKED) {
+          throw validationError(`status must be ${DEVICE_STATUS.APPROVED} or ${DEVICE_STATUS.REVOKED}`);
+        }
+        Object.assign(fields, { Status: status, ReviewedAt: new Date().toISOString(), ReviewedBy: reviewedBy || null });
+      }
+      if (name !== undefined) {
+        const label = typeof name === 'string' ? name.trim() : '';
+        if (!label || label.length > MAX_DEVICE_NAME_LENGTH) {
+          throw validationError(`A device name of at most ${MAX_DEVICE_NAME_LENGTH} characters is required`);
+        }
+        fields.Name = label;
+      }
+      if (Object.keys(fields).length === 0) throw validationError('Nothing to change');
+
+      return toDevice(await store.update(TABLES.DEVICES, record.id, fields));
+    }
+
+    async function findDeviceByToken(token) {
+      if (typeof token !== 'string' || !token) return null;
+      const records = await store.list(TABLES.DEVICES, { where: { TokenHash: await sha256Hex(token) }, limit: 1 });
+      return records.length > 0 ? records[0] : null;
+    }
+
+    /**
+     * Enrollment state of the browser holding a token, for the kiosk
+     * @returns {object} - { enrollment: 'off'|'required', device|null }
+     */
+    async function getDeviceStatus(token) {
+      const record = await findDeviceByToken(token);
+      return { enrollment: deviceEnrollment, device: record ? toDevice(record) : null };
+    }
+
+    /**
+     * The approved device a write comes from
+     * Without enrollment required, unknown browsers pass as null.
+     * Errors: 401 DEVICE_NOT_ENROLLED, 403 DEVICE_PENDING / DEVICE_REVOKED.
+     * @returns {object|null} - The device (see toDevice)
+     */
+    async function authenticateDevice(token) {
+      const record = await findDeviceByToken(token);
+      const status = record ? record.fields.Status : null;
+      if (status === DEVICE_STATUS.APPROVED) {
+        await store.update(TABLES.DEVICES, record.id, { LastSeenAt: new Date().toISOString() });
+        return toDevice(record);
+      }
+      if (deviceEnrollment !== 'required') return null;
+
+      if (!record) throw validationError('This device is not enrolled as a kiosk', 401, 'DEVICE_NOT_ENROLLED');
+      if (status === DEVICE_STATUS.REVOKED) throw validationError('This kiosk has been revoked', 403, 'DEVICE_REVOKED');
+      throw validationError('This kiosk is waiting for an admin to approve it', 403, 'DEVICE_PENDING');
+    }
+
+    // ============================================
+    // PHONE PUNCHES
+    // An approved kiosk shows a code that changes every
+    // KIOSK_CODE_PERIOD_SECONDS (HMAC over the time step, TOTP style). An
+    // employee signs in on their phone once with their PIN and punches by
+    // scanning the code from a work site. Changing or removing the PIN
+    // ends the employee's sessions.
+    // ============================================
+
+    function requireSigningSecret() {
+      if (!signingSecret) throw validationError('Phone punching is not set up', 503, 'PHONE_PUNCH_DISABLED');
+    }
+
+    /**
+     * Phone punching is on only where a punch can be tied to the site
+     * A kiosk code only shows that someone saw an approved kiosk's screen
+     * in the last few seconds, and anyone can pass it on; the phone's own
+     * location inside a geofence is what puts the employee there. So
+     * codes and phone punches need the signing secret, enrollment
+     * required (every code comes from an approved kiosk) and geofences.
+     * Error: 503 PHONE_PUNCH_DISABLED.
+     */
+    function requirePhonePunching() {
+      requireSigningSecret();
+      if (deviceEnrollment !== 'required' || geofences.length === 0) {
+        throw validationError('Phone punching needs kiosk enrollment and work site geofences', 503, 'PHONE_PUNCH_DISABLED');
+      }
+    }
+
+    function kioskCodeStep(now) {
+      return Math.floor(now.getTime() / (KIOSK_CODE_PERIOD_SECONDS * 1000));
+    }
+
+    async function signKioskCode(kioskId, step) {
+      return (await hmacHex(signingSecret, `kiosk.${kioskId}.${step}`)).slice(0, 32);
+    }
+
+    /**
+     * The code an approved kiosk shows for phones to scan right now
+     * Error: 503 PHONE_PUNCH_DISABLED (see requirePhonePunching), 401
+     * DEVICE_NOT_ENROLLED without a kiosk.
+     * @param {object|null} device - The kiosk (see authenticateDevice)
+     * @returns {object} - { code, period (seconds), expiresAt }
+     */
+    async function getKioskCode(device, now = new Date()) {
+      requirePhonePunching();
+      if (!device) throw validationError('This device is not enrolled as a kiosk', 401, 'DEVICE_NOT_ENROLLED');
+      const kioskId = device.deviceId;
+      const step = kioskCodeStep(now);
+      return {
+        code: `${kioskId}.${step}.${await signKioskCode(kioskId, step)}`,
+        period: KIOSK_CODE_PERIOD_SECONDS,
+        expiresAt: new Date((step + 1) * KIOSK_CODE_PERIOD_SECONDS * 1000).toISOString()
+      };
+    }
+
+    /**
+     * Check a scanned kiosk code
+     * The code on screen is accepted, and the one before it for
+     * KIOSK_CODE_GRACE_SECONDS after it changed, so a scan taken as the
+     * code turned over still works.
+     * Errors: 403 KIOSK_CODE_INVALID / KIOSK_CODE_EXPIRED.
+     * @returns {string} - The kiosk's DeviceId
+     */
+    async function readKioskCode(code, now = new Date()) {
+      const [kioskId, stepText, signature, extra] = typeof code === 'string' ? code.split('.') : [];
+      const step = Number(stepText);
+      if (!kioskId || !signature || extra !== undefined || !Number.isInteger(step) ||
+          !sameText(await signKioskCode(kioskId, step), signature)) {
+        throw validationError('This is not a kiosk punch code', 403, 'KIOSK_CODE_INVALID');
+      }
+      const current = kioskCodeStep(now);
+      const graceStep = kioskCodeStep(new Date(now.getTime() - KIOSK_CODE_GRACE_SECONDS * 1000));
+      if (step !== current && step !== graceStep) {
+        throw validationError('This code has expired. Scan the code on the kiosk screen again.', 403, 'KIOSK_CODE_EXPIRED');
+      }
+      return kioskId;
+    }
+
+    /**
+     * The kiosk a code was shown on, which must still be approved
+     * Errors: 403 DEVICE_NOT_ENROLLED / DEVICE_REVOKED / DEVICE_PENDING.
+     */
+    async function findCodeKiosk(kioskId) {
+      const record = await findDeviceRecord(kioskId);
+      const status = record ? record.fields.Status : null;
+      if (status === DEVICE_STATUS.APPROVED) return toDevice(record);
+
+      if (!record) throw validationError('This kiosk is not enrolled', 403, 'DEVICE_NOT_ENROLLED');
+      if (status === DEVICE_STATUS.REVOKED) throw validationError('This kiosk has been revoked', 403, 'DEVICE_REVOKED');
+      throw validationError('This kiosk is waiting for an admin to approve it', 403, 'DEVICE_PENDING');
+    }
+
+    // Signed over the PIN hash, so a new or removed PIN ends the session
+    async function signPhoneSession(employeeId, expires, pinHash) {
+      return hmacHex(signingSecret, `phone.${employeeId}.${expires}.${pinHash}`);
+    }
+
+    /**
+     * Sign an employee in on their phone
+     * Only employees with a PIN can; the PIN is checked (and counts
+     * towards the lockout) as at the kiosk.
+     * Errors: 503 PHONE_PUNCH_DISABLED, 403 PIN_NOT_SET, and those of
+     * verifyEmployeePin.
+     * @param {object} credentials - { employeeId, pin }
+     * @returns {object} - { token, employee: { employeeId, name }, expiresAt }
+     */
+    async function signInPhone({ employeeId, pin }, now = new Date()) {
+      requirePhonePunching();
+      const record = typeof employeeId === 'string' && employeeId ? await findEmployeeRecord(employeeId) : null;
+      if (!record) throw validationError('Employee not found', 404);
+      if (!record.fields.PinHash) {
+        throw validationError('Ask an admin to set a kiosk PIN before punching from your phone', 403, 'PIN_NOT_SET');
+      }
+      await verifyEmployeePin(employeeId, pin, now);
+
+      const expires = now.getTime() + PHONE_SESSION_DAYS * 24 * 60 * 60 * 1000;
+      const f = record.fields;
+      return {
+        token: `${employeeId}.${expires}.${await signPhoneSession(employeeId, expires, f.PinHash)}`,
+        employee: { employeeId, name: [f.FirstName, f.LastName].filter(Boolean).join(' ') || employeeId },
+        expiresAt: new Date(expires).toISOString()
+      };
+    }
+
+    /**
+     * The employee a phone session belongs to
+     * Error: 401 PHONE_SIGNED_OUT when it is missing, expired or no longer valid.
+     * @returns {string} - EmployeeId
+     */
+    async function readPhoneSession(token, now = new Date()) {
+      requireSigningSecret();
+      const parts = typeof token === 'string' ? token.split('.') : [];
+      const signature = parts.pop();
+      const expires = Number(parts.pop());
+      const employeeId = parts.join('.');
+      const signedOut = validationError('Sign in again to punch from your phone', 401, 'PHONE_SIGNED_OUT');
+      if (!employeeId || !signature || !Number.isInteger(expires) || expires <= now.getTime()) throw signedOut;
+
+      const record = await findEmployeeRecord(employeeId);
+      if (!record || !record.fields.PinHash ||
+          !sameText(await signPhoneSession(employeeId, expires, record.fields.PinHash), signature)) {
+        throw signedOut;
+      }
+      return employeeId;
+    }
+
+    /**
+     * Punch from a signed-in phone that scanned a kiosk's code
+     * The phone must be on a work site whatever the geofence policy
+     * (see requirePhonePunching). The slot is suggested from the
+     * employee's day as on the kiosk (AttendanceRules.suggestNextSlot).
+     * Errors: 503 PHONE_PUNCH_DISABLED, those of readPhoneSession,
+     * readKioskCode and findCodeKiosk, and 403 LOCATION_REQUIRED /
+     * OFF_SITE (see checkPunchLocation).
+     * @param {object} punch - { session, code, location }
+     * @returns {object} - As recordPunch, plus { actionType }
+     */
+    async function recordPhonePunch({ session, code, location }) {
+      requirePhonePunching();
+      const now = new Date();
+      const employeeId = await readPhoneSession(session, now);
+      const device = await findCodeKiosk(await readKioskCode(code, now));
+
+      const date = DateUtils.toDateKey(now, options.timeZone);
+      const timeValue = DateUtils.toTimeValue(now, options.timeZone);
+      const shift = await findShiftRecord(employeeId, date, { time: timeValue, direction: AttendanceRules.PUNCH.OUT });
+      const punches = shift.record ? AttendanceRules.readPunches(shift.record.fields) : [];
+      const shiftDate = shift.nextDay ? DateUtils.addDays(date, -1) : date;
+      const actionType = AttendanceRules.suggestNextSlot(punches, await getEmployeeById(employeeId), timeValue, shiftDate);
+
+      // Stamped by recordPunch like any live punch
+      const result = await recordPunch({ employeeId, actionType, location, device, via: 'phone' });
+      return { ...result, actionType };
+    }
+
+    /**
+     * Photos taken with punches, oldest first
+     * Dates are the punches' calendar dates (a night shift's last punches
+     * fall on the day after its record's date).
+     * @param {object} filter - { employeeId?, from?, to? } (YYYY-MM-DD)
+     * @returns {Array} - { recordId, employeeId, date, time, direction, slot, photo }
+     */
+    async function listPunchPhotos({ employeeId, from, to } = {}) {
+      const records = await store.list(TABLES.PUNCHES, {
+        where: employeeId ? { EmployeeId: employeeId } : {},
+        range: from || to ? { field: 'Date', from, to } : null,
+        sort: [{ field: 'Date', direction: 'asc' }]
+      });
+      return records
+        .filter(r => r.fields.Photo)
+        .map(r => ({
+          recordId: Array.isArray(r.fields.Attendance) ? r.fields.Attendance[0] : r.fields.Attendance || null,
+          employeeId: r.fields.EmployeeId,
+          date: DateUtils.normalizeDateKey(r.fields.Date),
+          time: r.fields.Time,
+          direction: r.fields.Direction,
+          slot: r.fields.Slot || null,
+          photo: r.fields.Photo
+        }));
+    }
+
+    return {
+      listEmployees,
+      listAttendanceByEmployee,
+      listAttendanceByDate,
+      findDayRecord,
+      findShiftRecord,
+      getEmployeeById,
+      calculateOvertimeFields,
+      recordPunch,
+      listPunchPhotos,
+      requestDeviceEnrollment,
+      listDevices,
+      updateDevice,
+      getDeviceStatus,
+      authenticateDevice,
+      getKioskCode,
+      signInPhone,
+      recordPhonePunch,
+      closeOpenShifts,
+      listReviewQueue,
+      markReviewed,
+      requestCorrection,
+      listCorrections,
+      decideCorrection,
+      listShiftTemplates,
+      saveShiftTemplate,
+      listRoster,
+      saveRosterAssignment,
+      cancelRosterAssignment,
+      listHolidays,
+      saveHoliday,
+      removeHoliday,
+      importHolidays,
+      getPinStatus,
+      verifyEmployeePin,
+      setEmployeePin,
+      unlockEmployeePin,
+      listAdminAttendance,
+      getAdminAttendance,
+      createAttendance,
+      updateAttendance,
+      deleteAttendance,
+      recordAudit,
+      listAudit
+    };
+  }
+
+  return {
+    TABLES,
+    TIME_SLOTS,
+    DATE_PATTERN,
+    DATE_FIELDS,
+    PUBLIC_EMPLOYEE_FIELDS,
+    PUBLIC_ATTENDANCE_FIELDS,
+    AUTO_CLOSE_POLICIES,
+    CORRECTION_STATUS,
+    AUDIT_ACTIONS,
+    ROSTER_STATUS,
+    DEVICE_STATUS,
+    DEVICE_ENROLLMENT,
+    KIOSK_CODE_PERIOD_SECONDS,
+    KIOSK_CODE_GRACE_SECONDS,
+    MAX_PIN_ATTEMPTS,
+    PIN_LOCKOUT_MINUTES,
+    MAX_PIN_LOCKOUTS,
+    MAX_PHOTO_LENGTH,
+    GEOFENCE_POLICIES,
+    normalizeGeofences,
+    distanceMeters,
+    isInsideGeofence,
+    parseIcsHolidays,
+    matchesQuery,
+    applyQuery,
+    pickFields,
+    toPublicAttendance,
+    parseTimeToMinutes,
+    calculateTotalHours,
+    isFixedRate,
+    calculateHourlyRate,
+    createAttendanceService
+  };
+});
@@ -0,0 +1,200 @@
+/**
+ * clock-in-local-store.js
+ *
+ * IndexedDB storage adapter for the kiosk's local mode
+ * (AIRTABLE_CONFIG.STORAGE_BACKEND = 'local'). Implements the storage
+ * adapter interface from clock-in-core.js so the same attendance logic
+ * runs in the browser without the /api functions.
+ */
+
+(function() {
+  'use strict';
+
+  const DB_NAME = 'msvi-clock-in';
+  const DB_VERSION = 7;
+
+  // Seed files use the Airtable table names, like dev/fixtures/base.json
+  const SEED_TABLE_NAMES = {
+    employees: 'Employee Directory',
+    attendances: 'Attendances',
+    punches: 'Punches',
+    corrections: 'Punch Corrections',
+    audit: 'Attendance Audit',
+    shifts: 'Shift Templates',
+    roster: 'Roster',
+    holidays: 'Holidays',
+    devices: 'Kiosk Devices'
+  };
+
+  /**
+   * Resolve an IDBRequest as a promise
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolve when a transaction has committed
+   */
+  function whenDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function generateRecordId() {
+    const bytes = new Uint8Array(7);
+    crypto.getRandomValues(bytes);
+    return 'rec' + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Create an IndexedDB-backed storage adapter
+   * @param {object} options - { seedUrl } JSON file loaded into an empty database
+   * @returns {object} - Storage adapter (list, get, create, update)
+   */
+  function createLocalStore(options = {}) {
+    const { TABLES, applyQuery } = window.ClockInCore;
+    const tables = Object.values(TABLES);
+    let dbPromise = null;
+
+    function openDb() {
+      if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          tables.forEach(name => {
+            if (!request.result.objectStoreNames.contains(name)) {
+              request.result.createObjectStore(name, { keyPath: 'id' });
+            }
+          });
+        };
+        dbPromise = promisify(request).then(async db => {
+          await seedIfEmpty(db);
+          return db;
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+      }
+      return dbPromise;
+    }
+
+    /**
+     * Load the seed file into a database that has no employees yet
+     */
+    async function seedIfEmpty(db) {
+      if (!options.seedUrl) return;
+
+      const count = await promisify(db.transaction(TABLES.EMPLOYEES).objectStore(TABLES.EMPLOYEES).count());
+      if (count > 0) return;
+
+      try {
+        const res = await fetch(options.seedUrl);
+        if (!res.ok) throw new Error(`Seed request failed with status ${res.status}`);
+        const seed = await res.json();
+
+        const tx = db.transaction(tables, 'readwrite');
+        tables.forEach(name => {
+          const records = seed[SEED_TABLE_NAMES[name]] || seed[name] || [];
+          records.forEach(r => tx.objectStore(name).put({
+            id: r.id || generateRecordId(),
+            createdTime: r.createdTime || new Date().toISOString(),
+            fields: { ...r.fields }
+          }));
+        });
+        await whenDone(tx);
+        console.log('[Local Store] Seeded from', options.seedUrl);
+      } catch (error) {
+        console.error('[Local Store] Error loading seed data:', error);
+      }
+    }
+
+    async function list(table, query = {}) {
+      const db = await openDb();
+      const records = await promisify(db.transaction(table).objectStore(table).getAll());
+      return applyQuery(records, query);
+    }
+
+    async function get(table, id) {
+      const db = await openDb();
+      const record = await promisify(db.transaction(table).objectStore(table).get(id));
+      return record ? applyQuery([record])[0] : null;
+    }
+
+    async function create(table, fields) {
+      const db = await openDb();
+      const record = {
+        id: generateRecordId(),
+        createdTime: new Date().toISOString(),
+        fields: { ...fields }
+      };
+      const tx = db.transaction(table, 'readwrite');
+      tx.objectStore(table).add(record);
+      await whenDone(tx);
+      return applyQuery([record])[0];
+    }
+
+    async function createMany(table, list) {
+      const db = await openDb();
+      const records = list.map(fields => ({
+        id: generateRecordId(),
+        createdTime: new Date().toISOString(),
+        fields: { ...fields }
+      }));
+      const tx = db.transaction(table, 'readwrite');
+      records.forEach(record => tx.objectStore(table).add(record));
+      await whenDone(tx);
+      return applyQuery(records);
+    }
+
+    async function update(table, id, fields) {
+      const db = await openDb();
+      const tx = db.transaction(table, 'readwrite');
+      const store = tx.objectStore(table);
+      const record = await promisify(store.get(id));
+      if (!record) {
+        tx.abort();
+        throw new Error('Record not found');
+      }
+      Object.assign(record.fields, fields);
+      store.put(record);
+      await whenDone(tx);
+      return applyQuery([record])[0];
+    }
+
+    async function remove(table, id) {
+      const db = await openDb();
+      const tx = db.transaction(table, 'readwrite');
+      const store = tx.objectStore(table);
+      const record = await promisify(store.get(id));
+      if (!record) {
+        tx.abort();
+        throw new Error('Record not found');
+      }
+      store.delete(id);
+      await whenDone(tx);
+      return { id, deleted: true };
+    }
+
+    return {
+      name: 'indexeddb',
+      list,
+      get,
+      create,
+      createMany,
+      update,
+      remove
+    };
+  }
+
+  // ============================================
+  // WINDOW EXPORTS
+  // ============================================
+  window.ClockInLocalStore = {
+    create: createLocalStore
+  };
+
+})();
@@ -0,0 +1,283 @@
+/**
+ * clock-in-queue.js
+ *
+ * Offline punch queue for the Clock In kiosk.
+ * Punches that cannot reach the backend are kept in IndexedDB with the
+ * time they were captured at (server-offset corrected), the device clock
+ * and the offset. They are replayed through window.ClockInAPI once the
+ * connection returns, and the server checks the time against the other
+ * two. A punch the server refuses as a double punch (e.g. an in after an
+ * in recorded on another kiosk meanwhile) is kept as a conflict for
+ * someone to look at.
+ *
+ * Punches of employees with a PIN are never queued: only the server can
+ * check a PIN, so the kiosk refuses them while offline and no PIN is
+ * ever written to this device.
+ */
+
+(function() {
+  'use strict';
+
+  const DB_NAME = 'msvi-clock-in-queue';
+  const DB_VERSION = 1;
+  const STORE = 'punches';
+  const SYNC_INTERVAL_MS = 30000;
+
+  let dbPromise = null;
+  let syncPromise = null;
+  const listeners = [];
+
+  /**
+   * Resolve an IDBRequest as a promise
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function openDb() {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      dbPromise = promisify(request);
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  }
+
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(tx.objectStore(STORE));
+    await done;
+    return result;
+  }
+
+  /**
+   * Whether a failed save should be queued rather than reported
+   * Typed request-client errors say so themselves; otherwise network
+   * failures have no status, and 429 and 5xx are worth retrying.
+   */
+  function isRetryableError(error) {
+    if (!error) return false;
+    if (typeof error.retryable === 'boolean') return error.retryable;
+    if (!error.status) return true;
+    return error.status === 429 || error.status >= 500;
+  }
+
+  /**
+   * Get all queued punches, oldest first
+   */
+  async function getAll() {
+    return withStore('readonly', store => promisify(store.getAll()));
+  }
+
+  /**
+   * Count pending and conflicting punches
+   * @returns {object} - { pending, conflicts }
+   */
+  async function getCounts() {
+    const entries = await getAll();
+    return {
+      pending: entries.filter(e => e.status === 'pending').length,
+      conflicts: entries.filter(e => e.status === 'conflict').length
+    };
+  }
+
+  async function notifyChange() {
+    try {
+      const counts = await getCounts();
+      listeners.forEach(fn => fn(counts));
+    } catch (error) {
+      console.error('[Punch Queue] Error reading queue:', error);
+    }
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} fn - Called with { pending, conflicts }
+   */
+  function onChange(fn) {
+    listeners.push(fn);
+    notifyChange();
+  }
+
+  /**
+   * Add a punch to the queue
+   * @param {object} punch - { employeeId, employeeName, date, actionType, timeValue, deviceTimestamp,
+   *   clockOffsetMs, photo?, location? }
+   */
+  async function enqueue(punch) {
+    if (punch.pin) throw new Error('Punches that need a PIN cannot be saved offline');
+    const entry = {
+      ...punch,
+      deviceTimestamp: punch.deviceTimestamp || new Date().toISOString(),
+      clockOffsetMs: punch.clockOffsetMs || 0,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      conflict: null
+    };
+    entry.id = await withStore('readwrite', store => promisify(store.add(entry)));
+    console.log('[Punch Queue] Queued punch:', { id: entry.id, employeeId: entry.employeeId, date: entry.date, actionType: entry.actionType, timeValue: entry.timeValue });
+    notifyChange();
+    return entry;
+  }
+
+  /**
+   * Find the employee's last queued punch of the day if it is in the same
+   * direction as actionType (a double punch while offline)
+   */
+  async function findQueued(employeeId, date, actionType) {
+    const { slotDirection } = window.AttendanceRules;
+    const entries = (await getAll()).filter(e => e.employeeId === employeeId && e.date === date && e.status === 'pending');
+    const last = entries[entries.length - 1];
+    return last && slotDirection(last.actionType) === slotDirection(actionType) ? last : null;
+  }
+
+  /**
+   * Remove a queued punch (used to dismiss conflicts)
+   */
+  async function remove(id) {
+    await withStore('readwrite', store => promisify(store.delete(id)));
+    notifyChange();
+  }
+
+  async function put(entry) {
+    await withStore('readwrite', store => promisify(store.put(entry)));
+  }
+
+  /**
+   * Replay one queued punch against the backend
+   * @returns {string} - 'synced', 'conflict' or 'retry'
+   */
+  async function replay(entry) {
+    const api = window.ClockInAPI;
+    const rules = window.AttendanceRules;
+
+    try {
+      const existing = await api.findTodayRecord(entry.employeeId, entry.date);
+
+      if (existing) {
+        // The same punch in the log means an earlier attempt reached the server before the connection dropped
+        const direction = rules.slotDirection(entry.actionType);
+        const minutes = rules.parseTimeToMinutes(entry.timeValue);
+        if (rules.readPunches(existing).some(p => p.direction === direction && p.minutes === minutes)) return 'synced';
+
+        await api.updateAttendanceRecord(existing.id, entry.actionType, entry.timeValue, entry.deviceTimestamp, entry.clockOffsetMs || 0, null, entry.photo, entry.location);
+      } else {
+        await api.createAttendanceRecord(entry.employeeId, entry.date, entry.actionType, entry.timeValue, entry.deviceTimestamp, entry.clockOffsetMs || 0, null, entry.photo, entry.location);
+      }
+      return 'synced';
+    } catch (error) {
+      entry.lastError = error.message;
+
+      if (error.status === 409) {
+        const record = error.data && error.data.record;
+        const punch = error.data && error.data.punch;
+        entry.conflict = {
+          recordId: record ? record.id : null,
+          recordedTime: punch ? punch.time : null
+        };
+        return 'conflict';
+      }
+      if (isRetryableError(error)) return 'retry';
+
+      entry.conflict = { recordId: null, recordedTime: null, reason: error.message };
+      return 'conflict';
+    }
+  }
+
+  /**
+   * Replay every pending punch in the order it was captured
+   * Stops at the first network failure so later punches keep their order.
+   * @returns {object} - { synced, conflicts: [entries] }
+   */
+  function sync() {
+    if (syncPromise) return syncPromise;
+
+    syncPromise = (async () => {
+      const result = { synced: 0, conflicts: [] };
+      const pending = (await getAll()).filter(e => e.status === 'pending');
+      if (pending.length === 0) return result;
+
+      console.log(`[Punch Queue] Syncing ${pending.length} queued punch(es)`);
+
+      for (const entry of pending) {
+        entry.attempts += 1;
+        const outcome = await replay(entry);
+
+        if (outcome === 'retry') {
+          await put(entry);
+          break;
+        }
+        if (outcome === 'synced') {
+          await withStore('readwrite', store => promisify(store.delete(entry.id)));
+          result.synced += 1;
+        } else {
+          entry.status = 'conflict';
+          await put(entry);
+          result.conflicts.push(entry);
+          console.warn('[Punch Queue] Conflict, slot already recorded:', entry);
+        }
+      }
+
+      return result;
+    })();
+
+    syncPromise
+      .catch(error => console.error('[Punch Queue] Sync failed:', error))
+      .finally(() => {
+        syncPromise = null;
+        notifyChange();
+      });
+
+    return syncPromise;
+  }
+
+  /**
+   * Replay whenever the browser comes back online, and periodically
+   * in case the online event is missed
+   * @param {Function} onSynced - Called with the sync result when something changed
+   */
+  function startAutoSync(onSynced) {
+    const run = async () => {
+      if (navigator.onLine === false) return;
+      try {
+        const result = await sync();
+        if (onSynced && (result.synced > 0 || result.conflicts.length > 0)) onSynced(result);
+      } catch (error) {
+        // Logged by sync()
+      }
+    };
+
+    window.addEventListener('online', run);
+    setInterval(run, SYNC_INTERVAL_MS);
+    run();
+  }
+
+  // ============================================
+  // WINDOW EXPORTS
+  // ============================================
+  window.ClockInQueue = {
+    enqueue,
+    findQueued,
+    getAll,
+    getCounts,
+    remove,
+    sync,
+    startAutoSync,
+    onChange,
+    isRetryableError
+  };
+
+})();
@@ -5,6 +5,9 @@
  * 
  * Features:
  * - 4 clock buttons: Morning In, Morning Out, Afternoon In, Afternoon Out
+ *   (each is an in or out punch; a day can have any number of them)
+ * - Optional one-button mode (AIRTABLE_CONFIG.PUNCH_MODE = 'single') that
+ *   suggests the next punch and asks for confirmation
  * - Employee search with autocomplete (supports barcode scanner)
  * - Real-time clock display
  * - Employee attendance search by Name or ID
@@ -15,60 +18,10 @@
 (function() {
   'use strict';
 
-  // Helper function to parse coreWorkingHours and get schedule span in hours
-  // Format: "8:00 AM - 6:00 PM" returns 10 (hours span)
-  function getScheduleSpanHours(coreWorkingHours) {
-    if (!coreWorkingHours || coreWorkingHours === 'N/A') return null;
-    
-    const parseTo24hr = (timeStr) => {
-      const match = timeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-      if (!match) return null;
-      let [, hours, minutes, period] = match;
-      let h = parseInt(hours, 10);
-      if (period.toUpperCase() === 'PM' && h !== 12) h += 12;
-      if (period.toUpperCase() === 'AM' && h === 12) h = 0;
-      return h * 60 + parseInt(minutes, 10);
-    };
-    
-    const parts = coreWorkingHours.split('-').map(s => s.trim());
-    if (parts.length !== 2) return null;
-    
-    const startMinutes = parseTo24hr(parts[0]);
-    const endMinutes = parseTo24hr(parts[1]);
-    
-    if (startMinutes === null || endMinutes === null) return null;
-    
-    return (endMinutes - startMinutes) / 60;
-  }
-
-  // Helper function to get display hours with lunch adjustment
-  // For employees with 10hr schedule (8AM-6PM) who work 9 actual hours, show 10 hours
+  // Hours shown for a record: worked hours plus the paid lunch hour where the
+  // employee's schedule includes one (see attendance-rules.js)
   function getDisplayHours(record, employee) {
-    const fields = record.fields || record;
-    const totalHoursWorked = Number(fields.TotalHoursWorked || fields.totalHoursWorked) || 0;
-    
-    // Check if both AM and PM sessions are worked
-    const timeInAM = fields.TimeInAM || fields.timeInAM;
-    const timeOutAM = fields.TimeOutAM || fields.timeOutAM;
-    const timeInPM = fields.TimeInPM || fields.timeInPM;
-    const timeOutPM = fields.TimeOutPM || fields.timeOutPM;
-    
-    const hasAM = !!(timeInAM && timeOutAM);
-    const hasPM = !!(timeInPM && timeOutPM);
-    
-    if (!hasAM || !hasPM) {
-      return totalHoursWorked;
-    }
-    
-    // Get schedule span from coreWorkingHours
-    const scheduleSpan = getScheduleSpanHours(employee?.coreWorkingHours);
-    
-    // If schedule is 10 hours and actual worked is ~9 hours, add 1 hour for lunch
-    if (scheduleSpan === 10 && totalHoursWorked >= 8.9 && totalHoursWorked <= 9.1) {
-      return totalHoursWorked + 1; // Add 1 hour lunch
-    }
-    
-    return totalHoursWorked;
+    return window.AttendanceRules.calculateDayHours(record, employee).totalHours;
   }
 
   // Module state
@@ -79,7 +32,26 @@
   let todayAttendance = [];
   let searchedEmployee = null;
   let searchedAttendance = [];
+  let todayPhotos = new Map(); // Day record id -> punch photos, for the today table
+  let searchedPhotos = new Map(); // Same for the search results modal
+  const PHOTO_RANGE_DAYS = 62; // Most days of photos /api/photos gives at once
+  let photosLocked = false; // Photos need a supervisor's admin token, and none was accepted
   let isSaving = false; // Prevent multiple saves
+  const SMART_PUNCH = 'SmartPunch'; // currentClockAction in one-button mode
+  let suggestedAction = null; // One-button mode: slot waiting for confirmation
+  let correctionContext = null; // Punch the duplicate warning offers to correct
+  let enteredPin = null; // PIN confirmed for the selected employee, until the punch is saved
+  const PIN_PATTERN = /^\d{4,8}$/;
+  let pendingLocation = null; // Position asked for when the clock modal opened
+  const LOCATION_TIMEOUT_MS = 10000;
+  let deviceState = { enrollment: 'off', device: null }; // Kiosk enrollment of this browser
+  let enrollmentPollTimer = null;
+  const ENROLLMENT_POLL_MS = 30000;
+  let kioskCodeTimer = null;
+  const KIOSK_CODE_RETRY_MS = 60000;
+  const PHONE_PUNCH_PAGE = 'phone.html';
+  const CLOCK_SYNC_INTERVAL_MS = 10 * 60 * 1000;
+  let employeesLoadError = null; // Last failure loading the employee list
 
   /**
    * Detect if running in an in-app browser (Facebook, Messenger, Instagram, etc.)
@@ -169,6 +141,9 @@
       
       // Set up event listeners
       setupEventListeners();
+      setupPunchMode();
+      await checkDeviceEnrollment();
+      refreshKioskCode();
       
       // Start the live clock
       startLiveClock();
@@ -179,6 +154,9 @@
       // Set default date filters
       setDefaultDateFilters();
       
+      // Replay punches saved while offline
+      startOfflineSync();
+      
       console.log('[Clock In] Module initialized successfully');
     } catch (error) {
       console.error('[Clock In] Initialization error:', error);
@@ -192,10 +170,13 @@
   async function loadEmployees() {
     try {
       allEmployees = await window.ClockInAPI.getAllEmployees();
+      employeesLoadError = null;
       console.log('[Clock In] Loaded employees:', allEmployees.length);
       populateEmployeeDatalist();
     } catch (error) {
+      employeesLoadError = error;
       console.error('[Clock In] Error loading employees:', error);
+      showNotification(describeError(error, 'Could not load the employee list'), 'error');
     }
   }
 
@@ -327,6 +308,11 @@
     document.getElementById('btnMorningOut')?.addEventListener('click', () => showClockModal('TimeOutAM', 'Morning Time Out'));
     document.getElementById('btnAfternoonIn')?.addEventListener('click', () => showClockModal('TimeInPM', 'Afternoon Time In'));
     document.getElementById('btnAfternoonOut')?.addEventListener('click', () => showClockModal('TimeOutPM', 'Afternoon Time Out'));
+    document.getElementById('btnSmartPunch')?.addEventListener('click', () => showClockModal(SMART_PUNCH, 'Punch'));
+    document.getElementById('btnRequestEnrollment')?.addEventListener('click', requestDeviceEnrollment);
+    document.querySelectorAll('.smart-punch-correction').forEach(btn => {
+      btn.addEventListener('click', () => confirmSmartPunch(btn.dataset.action));
+    });
     
     // Fullscreen attendance modal controls
     document.getElementById('btnFullscreenAttendance')?.addEventListener('click', showFullscreenAttendance);
@@ -350,10 +336,20 @@
     
     // Duplicate warning modal controls
     document.getElementById('btnCloseDuplicateWarning')?.addEventListener('click', closeDuplicateWarningModal);
+    document.getElementById('btnRequestCorrection')?.addEventListener('click', openCorrectionRequest);
+    document.getElementById('btnSubmitCorrection')?.addEventListener('click', submitCorrectionRequest);
     document.getElementById('duplicateWarningModal')?.addEventListener('click', (e) => {
       if (e.target.id === 'duplicateWarningModal') closeDuplicateWarningModal();
     });
     
+    // Offline punch queue controls
+    document.getElementById('syncStatusIndicator')?.addEventListener('click', showSyncQueueModal);
+    document.getElementById('closeSyncQueueModal')?.addEventListener('click', closeSyncQueueModal);
+    document.getElementById('syncQueueModal')?.addEventListener('click', (e) => {
+      if (e.target.id === 'syncQueueModal') closeSyncQueueModal();
+    });
+    document.getElementById('btnSyncNow')?.addEventListener('click', syncOfflinePunchesNow);
+    
     // Success modal controls
     document.getElementById('btnCloseSuccess')?.addEventListener('click', closeSuccessModal);
     document.getElementById('successModal')?.addEventListener('click', (e) => {
@@ -448,6 +444,11 @@
       }
     });
     
+    // Supervisors sign in to see punch photos
+    document.querySelectorAll('.punch-photos-signin').forEach(btn => {
+      btn.addEventListener('click', signInForPhotos);
+    });
+    
     // Date filter
     document.getElementById('btnApplyDateFilter')?.addEventListener('click', applyDateFilter);
     
@@ -463,48 +464,42 @@
   }
 
   /**
-   * Handle date preset button clicks
+   * Date range for a preset, counted from today in the business timezone
+   * @returns {object} - { from, to } as YYYY-MM-DD; both null for 'all-time'
    */
-  function handleDatePreset(preset) {
-    const now = new Date();
-    let fromDate, toDate;
+  function getPresetRange(preset) {
+    const { makeDateKey, monthRange, parseDateKey } = window.DateUtils;
+    const { year, month } = parseDateKey(window.ClockInAPI.today());
     
     switch (preset) {
-      case 'this-month':
-        fromDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        toDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-        break;
       case 'last-month':
-        fromDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-        toDate = new Date(now.getFullYear(), now.getMonth(), 0);
-        break;
+        return monthRange(year, month - 1);
       case 'last-3-months':
-        fromDate = new Date(now.getFullYear(), now.getMonth() - 2, 1);
-        toDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-        break;
+        return { from: makeDateKey(year, month - 2, 1), to: monthRange(year, month).to };
       case 'last-6-months':
-        fromDate = new Date(now.getFullYear(), now.getMonth() - 5, 1);
-        toDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-        break;
+        return { from: makeDateKey(year, month - 5, 1), to: monthRange(year, month).to };
       case 'this-year':
-        fromDate = new Date(now.getFullYear(), 0, 1);
-        toDate = new Date(now.getFullYear(), 11, 31);
-        break;
+        return { from: makeDateKey(year, 1, 1), to: makeDateKey(year, 12, 31) };
       case 'all-time':
-        fromDate = null;
-        toDate = null;
-        break;
+        return { from: null, to: null };
+      case 'this-month':
       default:
-        fromDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        toDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+        return monthRange(year, month);
     }
+  }
+
+  /**
+   * Handle date preset button clicks
+   */
+  function handleDatePreset(preset) {
+    const range = getPresetRange(preset);
     
     // Update date inputs
     const fromInput = document.getElementById('attendanceFromDate');
     const toInput = document.getElementById('attendanceToDate');
     
-    if (fromInput) fromInput.value = fromDate ? fromDate.toISOString().split('T')[0] : '';
-    if (toInput) toInput.value = toDate ? toDate.toISOString().split('T')[0] : '';
+    if (fromInput) fromInput.value = range.from || '';
+    if (toInput) toInput.value = range.to || '';
     
     // Update active button state
     document.querySelectorAll('.preset-btn[data-preset]').forEach(btn => {
@@ -519,45 +514,14 @@
    * Handle date preset for modal
    */
   function handleModalDatePreset(preset) {
-    const now = new Date();
-    let fromDate, toDate;
-    
-    switch (preset) {
-      case 'this-month':
-        fromDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        toDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-        break;
-      case 'last-month':
-        fromDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-        toDate = new Date(now.getFullYear(), now.getMonth(), 0);
-        break;
-      case 'last-3-months':
-        fromDate = new Date(now.getFullYear(), now.getMonth() - 2, 1);
-        toDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-        break;
-      case 'last-6-months':
-        fromDate = new Date(now.getFullYear(), now.getMonth() - 5, 1);
-        toDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-        break;
-      case 'this-year':
-        fromDate = new Date(now.getFullYear(), 0, 1);
-        toDate = new Date(now.getFullYear(), 11, 31);
-        break;
-      case 'all-time':
-        fromDate = null;
-        toDate = null;
-        break;
-      default:
-        fromDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        toDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-    }
+    const range = getPresetRange(preset);
     
     // Update modal date inputs
     const fromInput = document.getElementById('modalFromDate');
     const toInput = document.getElementById('modalToDate');
     
-    if (fromInput) fromInput.value = fromDate ? fromDate.toISOString().split('T')[0] : '';
-    if (toInput) toInput.value = toDate ? toDate.toISOString().split('T')[0] : '';
+    if (fromInput) fromInput.value = range.from || '';
+    if (toInput) toInput.value = range.to || '';
     
     // Update active button state in modal
     document.querySelectorAll('#searchResultsModal .preset-btn[data-preset]').forEach(btn => {
@@ -572,15 +536,13 @@
    * Set default date filters (current month)
    */
   function setDefaultDateFilters() {
-    const now = new Date();
-    const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
-    const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    const range = getPresetRange('this-month');
     
     const fromInput = document.getElementById('attendanceFromDate');
     const toInput = document.getElementById('attendanceToDate');
     
-    if (fromInput) fromInput.value = firstDay.toISOString().split('T')[0];
-    if (toInput) toInput.value = lastDay.toISOString().split('T')[0];
+    if (fromInput) fromInput.value = range.from;
+    if (toInput) toInput.value = range.to;
   }
 
   /**
@@ -589,26 +551,34 @@
   function startLiveClock() {
     updateLiveClock();
     clockInterval = setInterval(updateLiveClock, 1000);
+    
+    // Measure the device clock against the server now and every few minutes
+    syncClock();
+    setInterval(syncClock, CLOCK_SYNC_INTERVAL_MS);
   }
 
   /**
    * Update the live clock display
+   * Shows server time in the business timezone, not the device's own clock.
    */
   function updateLiveClock() {
-    const now = new Date();
+    const now = window.ClockInAPI.now();
+    const timeZone = window.DateUtils.getTimeZone();
     
     const timeStr = now.toLocaleTimeString('en-US', { 
       hour: '2-digit', 
       minute: '2-digit', 
       second: '2-digit',
-      hour12: true 
+      hour12: true,
+      timeZone
     });
     
     const dateStr = now.toLocaleDateString('en-US', { 
       weekday: 'long',
       year: 'numeric', 
       month: 'long', 
-      day: 'numeric' 
+      day: 'numeric',
+      timeZone
     });
     
     const mainClock = document.getElementById('mainClockDisplay');
@@ -620,13 +590,83 @@
     if (modalClock) modalClock.textContent = timeStr;
   }
 
+  /**
+   * Measure the server clock offset and refresh the skew warning
+   */
+  async function syncClock() {
+    try {
+      const state = await window.ClockInAPI.syncServerClock();
+      updateClockSkewBanner(state);
+      updateLiveClock();
+    } catch (error) {
+      console.error('[Clock In] Error syncing server clock:', error);
+    }
+  }
+
+  /**
+   * Warn when this device's clock or timezone disagrees with the server
+   * Punches are still stamped by the server; the banner tells staff to fix the tablet.
+   * @param {object} state - Clock state from ClockInAPI.getClockState()
+   */
+  function updateClockSkewBanner(state) {
+    const banner = document.getElementById('clockSkewBanner');
+    if (!banner) return;
+    
+    const thresholdMs = (Number(AIRTABLE_CONFIG.CLOCK_SKEW_WARNING_SECONDS) || 120) * 1000;
+    const messages = [];
+    
+    if (Math.abs(state.offsetMs) > thresholdMs) {
+      const minutes = Math.round(Math.abs(state.offsetMs) / 60000);
+      const direction = state.offsetMs > 0 ? 'behind' : 'ahead of';
+      messages.push(`This device's clock is ${minutes > 0 ? `${minutes} min` : 'over a minute'} ${direction} the server.`);
+    }
+    
+    if (state.timeZone) {
+      const now = window.ClockInAPI.now();
+      const businessOffset = window.DateUtils.getTimeZoneOffsetMinutes(now, state.timeZone);
+      const deviceOffset = -now.getTimezoneOffset();
+      if (businessOffset !== deviceOffset) {
+        messages.push(`This device is set to a different timezone than the office (${state.timeZone}).`);
+      }
+    }
+    
+    if (messages.length > 0) {
+      banner.textContent = `\u26A0 ${messages.join(' ')} Punch times are taken from the server, but please correct the device settings.`;
+      banner.style.display = 'block';
+      console.warn('[Clock In] Device clock skew:', state);
+    } else {
+      banner.style.display = 'none';
+    }
+  }
+
+  /**
+   * Show the PUNCH button when the kiosk runs in one-button mode
+   * The four explicit buttons stay below it for corrections.
+   */
+  function setupPunchMode() {
+    if (AIRTABLE_CONFIG.PUNCH_MODE !== 'single') return;
+    
+    const punchBtn = document.getElementById('btnSmartPunch');
+    const hint = document.getElementById('clockButtonsHint');
+    if (punchBtn) punchBtn.style.display = 'flex';
+    if (hint) hint.style.display = 'block';
+    document.querySelector('.clock-buttons-grid')?.classList.add('clock-buttons-secondary');
+  }
+
   /**
    * Show the clock-in modal
    */
   function showClockModal(actionType, actionLabel) {
+    if (isDeviceLocked()) {
+      showNotification('This browser is not an approved kiosk, so it cannot punch.', 'error');
+      return;
+    }
+    
     currentClockAction = actionType;
     selectedEmployee = null;
     isSaving = false; // Reset saving flag
+    resetSmartPunch();
+    resetPinEntry();
     
     const modal = document.getElementById('clockInModal');
     const actionTitle = document.getElementById('clockActionTitle');
@@ -641,6 +681,8 @@
     if (selectedDisplay) selectedDisplay.innerHTML = '';
     
     if (modal) modal.style.display = 'flex';
+    window.ClockInCamera?.start(document.getElementById('clockInCamera'));
+    pendingLocation = requestPunchLocation();
   }
 
   /**
@@ -649,6 +691,8 @@
   function closeClockModal() {
     const modal = document.getElementById('clockInModal');
     if (modal) modal.style.display = 'none';
+    window.ClockInCamera?.stop();
+    pendingLocation = null;
     
     // Clear input field
     const searchInput = document.getElementById('clockInEmployeeSearch');
@@ -668,6 +712,297 @@
     // Reset state
     currentClockAction = null;
     selectedEmployee = null;
+    resetSmartPunch();
+    resetPinEntry();
+  }
+
+  // ============================================
+  // ONE-BUTTON MODE
+  // ============================================
+
+  /**
+   * Work out the selected employee's next punch and ask for confirmation
+   * Uses the day's record (or last night's shift still in progress) plus
+   * punches still queued on this device; offline it goes by the queue only.
+   */
+  async function suggestSmartPunch() {
+    const employee = selectedEmployee;
+    const now = window.ClockInAPI.now();
+    const date = window.DateUtils.toDateKey(now);
+    const timeValue = window.DateUtils.toTimeValue(now);
+    const rules = window.AttendanceRules;
+    let punches = [];
+    let shiftDate = date;
+    
+    isSaving = true;
+    try {
+      if (navigator.onLine !== false) {
+        let record = await window.ClockInAPI.findTodayRecord(employee.employeeId, date);
+        if (!record) {
+          const previous = await window.ClockInAPI.findTodayRecord(employee.employeeId, window.DateUtils.addDays(date, -1));
+          if (previous && window.ClockInAPI.isOvernightShift(previous)) {
+            record = previous;
+            shiftDate = window.DateUtils.addDays(date, -1);
+          }
+        }
+        if (record) punches = rules.readPunches(record);
+        employee.roster = await window.ClockInAPI.getEmployeeRoster(employee.employeeId, shiftDate, shiftDate)
+          .catch(() => employee.roster || null);
+      }
+    } catch (error) {
+      console.warn('[Clock In] Could not load the day\'s record, suggesting from this device only:', error);
+    } finally {
+      isSaving = false;
+    }
+    
+    if (window.ClockInQueue) {
+      const queued = await window.ClockInQueue.getAll().catch(() => []);
+      queued
+        .filter(e => e.employeeId === employee.employeeId && e.date === date && e.status === 'pending')
+        .forEach(e => punches.push({
+          time: e.timeValue,
+          direction: rules.slotDirection(e.actionType),
+          minutes: rules.parseTimeToMinutes(e.timeValue)
+        }));
+    }
+    
+    // The employee was changed while the record was loading
+    if (selectedEmployee !== employee) return;
+    
+    suggestedAction = rules.suggestNextSlot(punches, employee, timeValue, shiftDate);
+    console.log('[Clock In] Suggested punch for', employee.fullName, ':', suggestedAction);
+    
+    const panel = document.getElementById('smartPunchConfirm');
+    const actionEl = document.getElementById('smartPunchAction');
+    const saveLabel = document.getElementById('saveClockRecordLabel');
+    if (actionEl) actionEl.textContent = getActionLabel(suggestedAction);
+    if (saveLabel) saveLabel.textContent = 'Confirm Punch';
+    document.querySelectorAll('.smart-punch-correction').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.action === suggestedAction);
+    });
+    if (panel) panel.style.display = 'block';
+  }
+
+  /**
+   * Save the suggested punch, or the one picked as a correction
+   */
+  function confirmSmartPunch(actionType) {
+    if (!selectedEmployee) {
+      showNotification('Please select an employee first.', 'error');
+      return;
+    }
+    suggestedAction = actionType;
+    saveClockRecord();
+  }
+
+  /**
+   * Forget the suggestion (new employee, or the modal was reset)
+   */
+  function resetSmartPunch() {
+    suggestedAction = null;
+    
+    const panel = document.getElementById('smartPunchConfirm');
+    const saveLabel = document.getElementById('saveClockRecordLabel');
+    if (panel) panel.style.display = 'none';
+    if (saveLabel) saveLabel.textContent = currentClockAction === SMART_PUNCH ? 'Next' : 'Save Attendance';
+  }
+
+  // ============================================
+  // PIN CONFIRMATION
+  // ============================================
+
+  /**
+   * Ask the selected employee for their PIN
+   * @param {string} message - Why it is asked again (e.g. a wrong PIN)
+   */
+  function showPinEntry(message = '') {
+    const panel = document.getElementById('pinConfirm');
+    const input = document.getElementById('clockInPin');
+    const errorEl = document.getElementById('pinConfirmError');
+    if (errorEl) errorEl.textContent = message;
+    if (panel) panel.style.display = 'block';
+    if (input) {
+      input.value = '';
+      setTimeout(() => input.focus(), 50);
+    }
+  }
+
+  /**
+   * Take the PIN typed into the panel, or show the panel if it is not up yet
+   * @returns {boolean} - Whether a PIN is ready to send with the punch
+   */
+  function readPinEntry() {
+    const panel = document.getElementById('pinConfirm');
+    const input = document.getElementById('clockInPin');
+    if (!panel || !input || panel.style.display === 'none') {
+      showPinEntry();
+      return false;
+    }
+    
+    const pin = input.value.trim();
+    if (!PIN_PATTERN.test(pin)) {
+      showPinEntry('Your PIN is 4 to 8 digits.');
+      return false;
+    }
+    enteredPin = pin;
+    return true;
+  }
+
+  /**
+   * Forget the PIN (new employee, or the modal was reset)
+   */
+  function resetPinEntry() {
+    enteredPin = null;
+    
+    const panel = document.getElementById('pinConfirm');
+    const input = document.getElementById('clockInPin');
+    const errorEl = document.getElementById('pinConfirmError');
+    if (panel) panel.style.display = 'none';
+    if (input) input.value = '';
+    if (errorEl) errorEl.textContent = '';
+  }
+
+  // ============================================
+  // KIOSK ENROLLMENT
+  // ============================================
+
+  /**
+   * Whether punching is closed on this browser
+   */
+  function isDeviceLocked() {
+    const { enrollment, device } = deviceState;
+    return enrollment === 'required' && (!device || device.status !== 'Approved');
+  }
+
+  /**
+   * Ask the server whether this browser is an approved kiosk and open or
+   * close the clock buttons; a pending device is checked again until an
+   * admin decides. Today's attendance stays readable either way.
+   */
+  async function checkDeviceEnrollment() {
+    clearTimeout(enrollmentPollTimer);
+    try {
+      deviceState = await window.ClockInAPI.getDeviceStatus();
+    } catch (error) {
+      // The server still refuses punches from devices it does not know
+      console.warn('[Clock In] Could not check kiosk enrollment:', error);
+      return;
+    }
+    renderDeviceEnrollment();
+    
+    if (isDeviceLocked() && deviceState.device && deviceState.device.status === 'Pending') {
+      enrollmentPollTimer = setTimeout(checkDeviceEnrollment, ENROLLMENT_POLL_MS);
+    }
+  }
+
+  function renderDeviceEnrollment() {
+    const locked = isDeviceLocked();
+    document.querySelectorAll('.clock-btn').forEach(btn => { btn.disabled = locked; });
+    
+    const banner = document.getElementById('deviceEnrollmentBanner');
+    const message = document.getElementById('deviceEnrollmentMessage');
+    const requestBtn = document.getElementById('btnRequestEnrollment');
+    if (!banner || !message) return;
+    
+    const { device } = deviceState;
+    if (!locked) {
+      banner.style.display = 'none';
+      return;
+    }
+    if (!device) {
+      message.textContent = 'This browser is not an enrolled kiosk. Punching is off; today\'s attendance is read-only.';
+    } else if (device.status === 'Revoked') {
+      message.textContent = `This kiosk (${device.name}) was revoked by an admin. Punching is off.`;
+    } else {
+      message.textContent = `Waiting for an admin to approve this kiosk: ${device.name}, code ${device.deviceId}.`;
+    }
+    if (requestBtn) requestBtn.style.display = !device || device.status === 'Revoked' ? '' : 'none';
+    banner.style.display = 'flex';
+  }
+
+  /**
+   * Ask for this browser to be enrolled as a kiosk
+   */
+  async function requestDeviceEnrollment() {
+    const name = (window.prompt('Name this kiosk for the admin (e.g. "Front desk tablet"):') || '').trim();
+    if (!name) return;
+    
+    try {
+      const device = await window.ClockInAPI.enrollDevice(name);
+      showNotification(`Enrollment requested. Ask an admin to approve code ${device.deviceId}.`, 'info');
+      await checkDeviceEnrollment();
+    } catch (error) {
+      console.error('[Clock In] Error requesting enrollment:', error);
+      showNotification(describeError(error, 'Could not request enrollment'), 'error');
+    }
+  }
+
+  // ============================================
+  // PHONE PUNCH CODE
+  // ============================================
+
+  /**
+   * Show the current phone punch code and fetch the next one as it expires
+   * The panel stays hidden while this browser cannot punch itself, and
+   * for good when the server has phone punching off.
+   */
+  async function refreshKioskCode() {
+    clearTimeout(kioskCodeTimer);
+    const panel = document.getElementById('phonePunchCode');
+    const qrEl = document.getElementById('phonePunchQr');
+    if (!panel || !qrEl || !window.QrCode) return;
+    
+    if (isDeviceLocked()) {
+      panel.style.display = 'none';
+      kioskCodeTimer = setTimeout(refreshKioskCode, KIOSK_CODE_RETRY_MS);
+      return;
+    }
+    
+    try {
+      const { code, expiresAt } = await window.ClockInAPI.getKioskCode();
+      const url = new URL(`${PHONE_PUNCH_PAGE}#code=${encodeURIComponent(code)}`, window.location.href);
+      qrEl.innerHTML = window.QrCode.toSvg(window.QrCode.encode(url.href));
+      panel.style.display = 'flex';
+      
+      // expiresAt is on the server clock
+      const delay = new Date(expiresAt).getTime() - window.ClockInAPI.now().getTime();
+      kioskCodeTimer = setTimeout(refreshKioskCode, Math.max(delay, 1000));
+    } catch (error) {
+      panel.style.display = 'none';
+      if (error.code === 'PHONE_PUNCH_DISABLED') return;
+      console.warn('[Clock In] Could not load the phone punch code:', error);
+      kioskCodeTimer = setTimeout(refreshKioskCode, KIOSK_CODE_RETRY_MS);
+    }
+  }
+
+  // ============================================
+  // GEOFENCING
+  // ============================================
+
+  /**
+   * Ask the device where it is, when punches are geofenced
+   * Resolves null without a fix (no permission, no GPS, timed out); the
+   * server decides whether such a punch is refused or flagged.
+   * @returns {Promise<object|null>} - { latitude, longitude, accuracy }
+   */
+  function requestPunchLocation() {
+    const policy = AIRTABLE_CONFIG.GEOFENCE_POLICY || 'off';
+    if (policy === 'off' || !navigator.geolocation) return Promise.resolve(null);
+    
+    return new Promise(resolve => {
+      navigator.geolocation.getCurrentPosition(
+        position => resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: Math.round(position.coords.accuracy)
+        }),
+        error => {
+          console.warn('[Clock In] Location unavailable:', error.message);
+          resolve(null);
+        },
+        { enableHighAccuracy: true, timeout: LOCATION_TIMEOUT_MS, maximumAge: 60000 }
+      );
+    });
   }
 
   /**
@@ -688,8 +1023,10 @@
 
   /**
    * Show the duplicate entry warning modal
+   * @param {object} correction - { employeeId, actionType } to offer a correction
+   *   request for the recorded punch; omitted when it has not reached the server
    */
-  function showDuplicateWarningModal(employeeName, actionLabel, recordedTime, recordId, recordDate) {
+  function showDuplicateWarningModal(employeeName, actionLabel, recordedTime, recordId, recordDate, correction = null) {
     const modal = document.getElementById('duplicateWarningModal');
     const messageEl = document.getElementById('duplicateWarningMessage');
     const employeeEl = document.getElementById('duplicateEmployeeName');
@@ -698,13 +1035,18 @@
     const dateEl = document.getElementById('duplicateRecordDate');
     const recordIdEl = document.getElementById('duplicateRecordId');
     
-    if (messageEl) messageEl.textContent = 'This employee has already clocked in for this time slot today.';
+    if (messageEl) messageEl.textContent = 'This punch is already recorded. Every time in needs a time out before the next time in.';
     if (employeeEl) employeeEl.textContent = employeeName;
     if (actionEl) actionEl.textContent = actionLabel;
     if (timeEl) timeEl.textContent = recordedTime;
-    if (dateEl) dateEl.textContent = recordDate || new Date().toISOString().split('T')[0];
+    if (dateEl) dateEl.textContent = recordDate || window.ClockInAPI.today();
     if (recordIdEl) recordIdEl.textContent = recordId || 'N/A';
     
+    correctionContext = correction
+      ? { ...correction, recordId, date: recordDate || window.ClockInAPI.today() }
+      : null;
+    resetCorrectionRequest();
+    
     // Log for debugging
     console.log('[Clock In] Duplicate record found:', { recordId, recordDate, employeeName, actionLabel, recordedTime });
     
@@ -717,6 +1059,8 @@
   function closeDuplicateWarningModal() {
     const modal = document.getElementById('duplicateWarningModal');
     if (modal) modal.style.display = 'none';
+    correctionContext = null;
+    resetCorrectionRequest();
     
     // Focus back on the employee search input
     const employeeInput = document.getElementById('clockInEmployeeSearch');
@@ -726,17 +1070,96 @@
     }
   }
 
+  /**
+   * Hide and clear the correction request form
+   * The Request Correction button shows only when there is a punch to correct.
+   */
+  function resetCorrectionRequest() {
+    const panel = document.getElementById('correctionRequestPanel');
+    const button = document.getElementById('btnRequestCorrection');
+    const errorEl = document.getElementById('correctionRequestError');
+    
+    if (panel) panel.style.display = 'none';
+    if (button) button.style.display = correctionContext ? '' : 'none';
+    if (errorEl) errorEl.style.display = 'none';
+    ['correctionTime', 'correctionReason'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.value = '';
+    });
+  }
+
+  /**
+   * Open the correction request form for the punch in the duplicate warning
+   */
+  function openCorrectionRequest() {
+    if (!correctionContext) return;
+    
+    const panel = document.getElementById('correctionRequestPanel');
+    const button = document.getElementById('btnRequestCorrection');
+    const slotSelect = document.getElementById('correctionSlot');
+    
+    if (slotSelect) slotSelect.value = correctionContext.actionType;
+    if (button) button.style.display = 'none';
+    if (panel) panel.style.display = 'flex';
+    document.getElementById('correctionTime')?.focus();
+  }
+
+  /**
+   * Send the correction request for an admin to approve
+   */
+  async function submitCorrectionRequest() {
+    if (!correctionContext) return;
+    
+    const submitBtn = document.getElementById('btnSubmitCorrection');
+    const errorEl = document.getElementById('correctionRequestError');
+    const slot = document.getElementById('correctionSlot')?.value;
+    const proposedTime = document.getElementById('correctionTime')?.value;
+    const reason = (document.getElementById('correctionReason')?.value || '').trim();
+    
+    const showError = (message) => {
+      if (!errorEl) return;
+      errorEl.textContent = message;
+      errorEl.style.display = 'block';
+    };
+    
+    if (!proposedTime || !reason) {
+      showError('Please enter the correct time and a reason.');
+      return;
+    }
+    
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+      await window.ClockInAPI.requestCorrection({
+        recordId: correctionContext.recordId,
+        employeeId: correctionContext.employeeId,
+        date: correctionContext.date,
+        slot,
+        proposedTime,
+        reason
+      });
+      closeDuplicateWarningModal();
+      showNotification('Correction request sent. An admin will review it.', 'success');
+    } catch (error) {
+      console.error('[Clock In] Error requesting correction:', error);
+      // 4xx messages (already pending, record not found) are meant for the user
+      showError(error.status >= 400 && error.status < 500 && error.status !== 429 ? error.message : describeError(error, 'Failed to send the request'));
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
   /**
    * Show the success modal
+   * @param {string} message - Optional message (defaults to the recorded message)
    */
-  function showSuccessModal(employeeName, actionLabel, recordedTime) {
+  function showSuccessModal(employeeName, actionLabel, recordedTime, message) {
     const modal = document.getElementById('successModal');
     const messageEl = document.getElementById('successMessage');
     const employeeEl = document.getElementById('successEmployeeName');
     const actionEl = document.getElementById('successActionType');
     const timeEl = document.getElementById('successRecordedTime');
     
-    if (messageEl) messageEl.textContent = 'Attendance has been recorded successfully.';
+    if (messageEl) messageEl.textContent = message || 'Attendance has been recorded successfully.';
     if (employeeEl) employeeEl.textContent = employeeName;
     if (actionEl) actionEl.textContent = actionLabel;
     if (timeEl) timeEl.textContent = recordedTime;
@@ -764,8 +1187,7 @@
       // Update date display
       const dateDisplay = document.getElementById('fullscreenDateDisplay');
       if (dateDisplay) {
-        const today = new Date();
-        dateDisplay.textContent = today.toLocaleDateString('en-US', {
+        dateDisplay.textContent = window.DateUtils.formatDateKey(window.ClockInAPI.today(), {
           weekday: 'long',
           year: 'numeric',
           month: 'long',
@@ -841,6 +1263,7 @@
       const fields = record.fields;
       const employee = allEmployees.find(e => e.employeeId === fields.EmployeeId);
       const employeeName = employee ? employee.fullName : fields.EmployeeId;
+      const slots = formatSlotTimes(fields);
       
       return `
         <tr class="clickable-row" data-employee-id="${fields.EmployeeId}" data-employee-name="${employeeName}" title="Click to view attendance history">
@@ -850,10 +1273,10 @@
               <span class="employee-id">${fields.EmployeeId || ''}</span>
             </div>
           </td>
-          <td>${formatTime12Hour(fields.TimeInAM)}</td>
-          <td>${formatTime12Hour(fields.TimeOutAM)}</td>
-          <td>${formatTime12Hour(fields.TimeInPM)}</td>
-          <td>${formatTime12Hour(fields.TimeOutPM)}</td>
+          <td>${slots.TimeInAM}</td>
+          <td>${slots.TimeOutAM}</td>
+          <td>${slots.TimeInPM}</td>
+          <td>${slots.TimeOutPM}</td>
           <td>${getAttendanceStatusBadge(fields, employee)}</td>
         </tr>
       `;
@@ -950,12 +1373,18 @@
     if (selectedDisplay) selectedDisplay.innerHTML = '';
     
     selectedEmployee = null;
+    resetSmartPunch();
+    resetPinEntry();
   }
 
   /**
    * Handle employee search input in clock modal
    */
   function handleClockInSearch(e) {
+    // A suggested punch and PIN belong to the previous selection
+    if (suggestedAction) resetSmartPunch();
+    resetPinEntry();
+    
     // Track input timing for barcode scanner detection
     const now = Date.now();
     if (now - lastInputTime < 100) {
@@ -1065,6 +1494,7 @@
   /**
    * Handle Enter key in clock modal
    * Optimized for barcode scanner - auto-saves when employee ID is scanned
+   * (employees with a PIN are asked for it first)
    * Manual typing requires clicking Save button
    */
   function handleClockInKeydown(e) {
@@ -1133,6 +1563,11 @@
           console.log('[Clock In] Manual input detected, employee selected:', match.fullName, '- User must tap Save');
           showNotification(`Selected: ${match.fullName}. Tap Save to confirm.`, 'info');
         }
+      } else if (employeesLoadError) {
+        // The list never loaded, so "not found" would be misleading
+        showNotification('Employee list is not available yet. Retrying, please try again in a moment.', 'error');
+        clearClockModalFields();
+        loadEmployees();
       } else {
         showNotification(`Employee not found: ${searchValue}`, 'error');
         clearClockModalFields();
@@ -1198,17 +1633,15 @@
       return;
     }
     
-    const now = new Date();
-    const timeValue = now.toLocaleTimeString('en-US', { 
-      hour: '2-digit', 
-      minute: '2-digit',
-      hour12: true 
-    });
-    // Use local date instead of UTC to avoid timezone issues
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const dateValue = `${year}-${month}-${day}`;
+    // Server-corrected time in the business timezone. Live punches are
+    // stamped by the server; these values are for the duplicate check and
+    // for punches that have to be queued offline, which also keep the
+    // device clock and the offset so the server can check the time on replay.
+    const { offsetMs } = window.ClockInAPI.getClockState();
+    const now = window.ClockInAPI.now();
+    const timeZone = window.DateUtils.getTimeZone();
+    const timeValue = window.DateUtils.toTimeValue(now, timeZone);
+    const dateValue = window.DateUtils.toDateKey(now, timeZone);
     
     // Prevent multiple saves (double protection with cooldown)
     if (isSaving) {
@@ -1216,40 +1649,91 @@
       return;
     }
     
+    // A scanned or picked card is not enough for employees with a PIN
+    if (selectedEmployee.pinRequired && enteredPin === null && !readPinEntry()) {
+      return;
+    }
+    
+    // One-button mode: suggest the punch first, save once it is confirmed
+    if (currentClockAction === SMART_PUNCH && !suggestedAction) {
+      await suggestSmartPunch();
+      return;
+    }
+    
     // Store employee info before async operations (in case it gets cleared)
     const employeeId = selectedEmployee.employeeId;
     const employeeName = selectedEmployee.fullName;
-    const actionType = currentClockAction;
+    const actionType = currentClockAction === SMART_PUNCH ? suggestedAction : currentClockAction;
+    const pin = enteredPin;
+    // Who is standing at the kiosk as the punch is saved
+    const photo = window.ClockInCamera ? window.ClockInCamera.capture() : null;
     
     isSaving = true;
     
+    // Where the punch is made; asked again if the fix from opening the modal failed
+    let location = pendingLocation ? await pendingLocation : null;
+    if (!location) location = await requestPunchLocation();
+    
+    const punch = {
+      employeeId,
+      employeeName,
+      date: dateValue,
+      actionType,
+      timeValue,
+      deviceTimestamp: new Date(now.getTime() - offsetMs).toISOString(),
+      clockOffsetMs: offsetMs,
+      photo,
+      location
+    };
+    
     try {
+      // A punch for this slot may still be waiting in the offline queue
+      const queuedPunch = window.ClockInQueue
+        ? await window.ClockInQueue.findQueued(employeeId, dateValue, actionType).catch(() => null)
+        : null;
+      if (queuedPunch) {
+        showDuplicateWarningModal(employeeName, getActionLabel(actionType), queuedPunch.timeValue, 'Pending sync (saved on this device)', dateValue);
+        clearClockModalFields();
+        return;
+      }
+      
+      // No connection: go straight to the offline queue
+      if (window.ClockInQueue && navigator.onLine === false) {
+        await queueOfflinePunch(punch, pin);
+        return;
+      }
+      
       // Check if there's an existing record for today
       const existingRecord = await window.ClockInAPI.findTodayRecord(employeeId, dateValue);
+      let saved = null;
       
       if (existingRecord) {
-        // Check if this specific time slot already has a value
-        const existingTime = existingRecord.fields[actionType];
+        // An in right after an in (or out after out) is a double punch
+        const { conflict } = window.AttendanceRules.addPunch(
+          window.AttendanceRules.readPunches(existingRecord),
+          { time: timeValue, direction: window.AttendanceRules.slotDirection(actionType) }
+        );
         
-        if (existingTime) {
-          // Already clocked for this time slot - show warning modal with record details
+        if (conflict) {
+          // Show warning modal with the punch that is already recorded
           const recordId = existingRecord.id;
           const recordDate = existingRecord.fields.Date || dateValue;
-          showDuplicateWarningModal(employeeName, getActionLabel(actionType), existingTime, recordId, recordDate);
+          showDuplicateWarningModal(employeeName, getActionLabel(actionType), conflict.time, recordId, recordDate, { employeeId, actionType });
           clearClockModalFields();
           isSaving = false;
           return;
         }
         
-        // Update existing record with new time slot
-        await window.ClockInAPI.updateAttendanceRecord(existingRecord.id, actionType, timeValue);
+        // Add the punch to the existing record (time stamped by the server)
+        saved = await window.ClockInAPI.updateAttendanceRecord(existingRecord.id, actionType, null, null, null, pin, photo, location);
       } else {
-        // Create new record
-        await window.ClockInAPI.createAttendanceRecord(employeeId, dateValue, actionType, timeValue);
+        // Create new record (date and time stamped by the server)
+        saved = await window.ClockInAPI.createAttendanceRecord(employeeId, null, actionType, null, null, null, pin, photo, location);
       }
       
-      // Show success modal
-      showSuccessModal(employeeName, getActionLabel(actionType), timeValue);
+      // Show success modal with the time that was actually recorded
+      const recordedTime = (saved && saved.punch && saved.punch.time) || timeValue;
+      showSuccessModal(employeeName, getActionLabel(actionType), recordedTime);
       
       // Refresh today's attendance
       await loadTodayAttendance();
@@ -1259,13 +1743,230 @@
       
     } catch (error) {
       console.error('[Clock In] Error saving record:', error);
-      showNotification('Failed to save attendance record. Please try again.', 'error');
+      
+      // The server found a double punch (e.g. punched on another kiosk meanwhile)
+      if (error.status === 409 && error.data && error.data.record) {
+        const record = error.data.record;
+        const recordedTime = error.data.punch ? error.data.punch.time : '';
+        showDuplicateWarningModal(employeeName, getActionLabel(actionType), recordedTime, record.id, record.fields.Date || dateValue, { employeeId, actionType });
+        clearClockModalFields();
+        return;
+      }
+      
+      // Wrong or missing PIN: ask again for the same employee
+      if (error.code === 'PIN_INCORRECT' || error.code === 'PIN_REQUIRED') {
+        enteredPin = null;
+        showPinEntry(error.message);
+        return;
+      }
+      // Locked out, or punching away from every work site
+      if (error.code === 'PIN_LOCKED' || error.code === 'OFF_SITE' || error.code === 'LOCATION_REQUIRED') {
+        showNotification(error.message, 'error');
+        clearClockModalFields();
+        return;
+      }
+      // The server no longer accepts this kiosk (e.g. revoked meanwhile)
+      if (error.code && error.code.startsWith('DEVICE_')) {
+        showNotification(error.message, 'error');
+        closeClockModal();
+        checkDeviceEnrollment();
+        return;
+      }
+      
+      // Keep the punch on this device if the backend could not be reached
+      if (window.ClockInQueue && window.ClockInQueue.isRetryableError(error)) {
+        try {
+          await queueOfflinePunch(punch, pin);
+          return;
+        } catch (queueError) {
+          console.error('[Clock In] Error queueing punch:', queueError);
+        }
+      }
+      
+      showNotification(describeError(error, 'Failed to save attendance record'), 'error');
       clearClockModalFields();
     } finally {
       isSaving = false;
     }
   }
 
+  // ============================================
+  // OFFLINE PUNCH QUEUE
+  // ============================================
+
+  /**
+   * Save a punch to the offline queue and confirm it to the employee
+   * Only the server can check a PIN, so a punch that needs one is refused
+   * instead of being kept on this device.
+   * @param {object} punch - { employeeId, employeeName, date, actionType, timeValue, deviceTimestamp,
+   *   clockOffsetMs, photo?, location? }
+   * @param {string|null} pin - The PIN entered for the punch
+   */
+  async function queueOfflinePunch(punch, pin) {
+    if (pin) {
+      showNotification('No connection. Punches with a PIN can only be saved online; please try again in a moment.', 'error');
+      clearClockModalFields();
+      return;
+    }
+    await window.ClockInQueue.enqueue(punch);
+    showSuccessModal(
+      punch.employeeName,
+      getActionLabel(punch.actionType),
+      punch.timeValue,
+      'No connection. Saved on this device and will sync automatically.'
+    );
+    closeClockModal();
+  }
+
+  /**
+   * Start background replay of queued punches and the pending counter
+   */
+  function startOfflineSync() {
+    if (!window.ClockInQueue) return;
+    
+    window.ClockInQueue.onChange(updateSyncIndicator);
+    window.ClockInQueue.startAutoSync(handleSyncResult);
+  }
+
+  /**
+   * Refresh the table and report the outcome of a replay
+   */
+  function handleSyncResult(result) {
+    if (result.synced > 0) {
+      loadTodayAttendance();
+      showNotification(`${result.synced} offline punch${result.synced === 1 ? '' : 'es'} synced.`, 'success');
+    }
+    if (result.conflicts.length > 0) {
+      showNotification(`${result.conflicts.length} offline punch${result.conflicts.length === 1 ? ' was' : 'es were'} not applied because the time slot was already recorded. Tap the sync counter to review.`, 'error');
+    }
+    
+    const modal = document.getElementById('syncQueueModal');
+    if (modal && modal.style.display === 'flex') renderSyncQueue();
+  }
+
+  /**
+   * Show or hide the pending sync counter under the clock
+   * @param {object} counts - { pending, conflicts }
+   */
+  function updateSyncIndicator(counts) {
+    const indicator = document.getElementById('syncStatusIndicator');
+    if (!indicator) return;
+    
+    const parts = [];
+    if (counts.pending > 0) parts.push(`\u23F3 ${counts.pending} pending sync`);
+    if (counts.conflicts > 0) parts.push(`\u26A0 ${counts.conflicts} conflict${counts.conflicts === 1 ? '' : 's'}`);
+    
+    indicator.textContent = parts.join(' \u00B7 ');
+    indicator.classList.toggle('has-conflicts', counts.conflicts > 0);
+    indicator.style.display = parts.length > 0 ? 'inline-block' : 'none';
+  }
+
+  /**
+   * Show the list of punches saved on this device
+   */
+  function showSyncQueueModal() {
+    const modal = document.getElementById('syncQueueModal');
+    if (modal) modal.style.display = 'flex';
+    renderSyncQueue();
+  }
+
+  /**
+   * Close the offline punch queue modal
+   */
+  function closeSyncQueueModal() {
+    const modal = document.getElementById('syncQueueModal');
+    if (modal) modal.style.display = 'none';
+  }
+
+  /**
+   * Render queued punches with their sync status
+   */
+  async function renderSyncQueue() {
+    const tbody = document.getElementById('syncQueueBody');
+    const summary = document.getElementById('syncQueueSummary');
+    if (!tbody) return;
+    
+    let entries = [];
+    try {
+      entries = await window.ClockInQueue.getAll();
+    } catch (error) {
+      console.error('[Clock In] Error reading offline queue:', error);
+    }
+    
+    if (summary) {
+      summary.textContent = entries.length > 0
+        ? 'These punches were recorded while the kiosk was offline. Times shown are from this device.'
+        : 'All punches have been synced.';
+    }
+    
+    if (entries.length === 0) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="6" class="no-data">Nothing waiting to sync.</td>
+        </tr>
+      `;
+      return;
+    }
+    
+    tbody.innerHTML = entries.map(entry => {
+      const isConflict = entry.status === 'conflict';
+      let conflictNote = '';
+      if (isConflict && entry.conflict) {
+        conflictNote = entry.conflict.recordedTime
+          ? `<span class="sync-conflict-note">Already recorded at ${formatTime12Hour(entry.conflict.recordedTime)}</span>`
+          : `<span class="sync-conflict-note">${entry.conflict.reason || entry.lastError || 'Could not be saved'}</span>`;
+      }
+      
+      return `
+        <tr>
+          <td>
+            <div class="employee-cell">
+              <span class="employee-name">${entry.employeeName || entry.employeeId}</span>
+              <span class="employee-id">${entry.employeeId}</span>
+            </div>
+          </td>
+          <td>${getActionLabel(entry.actionType)}</td>
+          <td>${formatTime12Hour(entry.timeValue)}</td>
+          <td>${entry.date}</td>
+          <td>
+            <span class="status-badge ${isConflict ? 'status-conflict' : 'status-pending-sync'}">${isConflict ? 'Conflict' : 'Pending'}</span>
+            ${conflictNote}
+          </td>
+          <td>${isConflict ? `<button class="btn-dismiss-conflict" data-queue-id="${entry.id}">Dismiss</button>` : ''}</td>
+        </tr>
+      `;
+    }).join('');
+    
+    tbody.querySelectorAll('.btn-dismiss-conflict').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        await window.ClockInQueue.remove(Number(btn.dataset.queueId));
+        renderSyncQueue();
+      });
+    });
+  }
+
+  /**
+   * Replay queued punches on demand
+   */
+  async function syncOfflinePunchesNow() {
+    const btn = document.getElementById('btnSyncNow');
+    if (btn) btn.disabled = true;
+    
+    try {
+      const result = await window.ClockInQueue.sync();
+      if (result.synced === 0 && result.conflicts.length === 0) {
+        const counts = await window.ClockInQueue.getCounts();
+        if (counts.pending > 0) showNotification('Still offline. Punches will sync when the connection returns.', 'error');
+      }
+      handleSyncResult(result);
+    } catch (error) {
+      showNotification('Sync failed. Please try again.', 'error');
+    } finally {
+      if (btn) btn.disabled = false;
+      renderSyncQueue();
+    }
+  }
+
   /**
    * Get friendly label for clock action
    */
@@ -1296,19 +1997,26 @@
       // Update the today's date display
       const todayDateDisplay = document.getElementById('todayDateDisplay');
       if (todayDateDisplay) {
-        const today = new Date();
+        const today = window.ClockInAPI.now();
         todayDateDisplay.textContent = today.toLocaleDateString('en-US', {
           weekday: 'long',
           year: 'numeric',
           month: 'long',
-          day: 'numeric'
+          day: 'numeric',
+          timeZone: window.DateUtils.getTimeZone()
         });
       }
       
-      todayAttendance = await window.ClockInAPI.getTodayAttendance();
+      const date = window.ClockInAPI.today();
+      [todayAttendance, todayPhotos] = await Promise.all([
+        window.ClockInAPI.getTodayAttendance(),
+        // Yesterday too, for night shifts still on the list
+        loadPunchPhotos({ from: window.DateUtils.addDays(date, -1), to: date })
+      ]);
       renderTodayAttendance();
     } catch (error) {
       console.error('[Clock In] Error loading today\'s attendance:', error);
+      showNotification(describeError(error, 'Could not refresh today\'s attendance'), 'error');
     } finally {
       // Restore button state
       if (refreshBtn) {
@@ -1318,26 +2026,107 @@
     }
   }
 
+  // ============================================
+  // PUNCH PHOTOS
+  // ============================================
+
+  /**
+   * Load punch photos grouped by day record
+   * Only the last PHOTO_RANGE_DAYS days of the range (up to today) are
+   * loaded; photos are a nice-to-have, so failures give an empty map.
+   * Without a supervisor's admin token the server refuses them, and the
+   * Photos headers offer a sign-in instead.
+   * @param {object} filter - { employeeId?, from?, to? } record dates (YYYY-MM-DD)
+   * @returns {Map} - Day record id -> [{ time, direction, photo, ... }]
+   */
+  async function loadPunchPhotos({ employeeId, from, to }) {
+    const { addDays } = window.DateUtils;
+    const today = window.ClockInAPI.today();
+    // A night shift's last punches fall on the day after its record
+    const photoTo = addDays(!to || to > today ? today : to, 1);
+    const earliest = addDays(photoTo, -(PHOTO_RANGE_DAYS - 1));
+    const photoFrom = !from || from < earliest ? earliest : from;
+    
+    const byRecord = new Map();
+    if (photoFrom > photoTo) return byRecord;
+    try {
+      const photos = await window.ClockInAPI.getPunchPhotos({ employeeId, from: photoFrom, to: photoTo });
+      photos.forEach(p => {
+        if (!byRecord.has(p.recordId)) byRecord.set(p.recordId, []);
+        byRecord.get(p.recordId).push(p);
+      });
+      setPhotosLocked(false);
+    } catch (error) {
+      if (error.code === 'ADMIN_REQUIRED') setPhotosLocked(true);
+      else console.warn('[Clock In] Punch photos unavailable:', error);
+    }
+    return byRecord;
+  }
+
+  function setPhotosLocked(locked) {
+    photosLocked = locked;
+    document.querySelectorAll('.punch-photos-signin').forEach(btn => {
+      btn.style.display = locked ? 'inline' : 'none';
+    });
+  }
+
+  /**
+   * Ask a supervisor for the admin token and reload the photos with it
+   */
+  async function signInForPhotos(e) {
+    e.stopPropagation();
+    const token = window.prompt('Supervisor admin token, to show punch photos on this kiosk:');
+    if (!token || !token.trim()) return;
+    window.ClockInAPI.setAdminToken(token.trim());
+
+    await loadTodayAttendance();
+    if (searchedEmployee) await loadEmployeeAttendanceModal();
+    if (photosLocked) {
+      window.ClockInAPI.setAdminToken('');
+      showNotification('That admin token was not accepted.', 'error');
+    }
+  }
+
+  /**
+   * Thumbnails of a day record's punch photos
+   */
+  function renderPunchPhotos(photos) {
+    if (!photos || photos.length === 0) return '-';
+    return `<div class="punch-photos">${photos.map(p => {
+      const caption = `${p.direction} ${p.time}`;
+      return `<img class="punch-photo-thumb" src="${p.photo}" alt="${caption}" title="${caption}" data-caption="${caption}">`;
+    }).join('')}</div>`;
+  }
+
+  /**
+   * Show a punch photo full size; a click anywhere closes it
+   */
+  function showPunchPhoto(src, caption) {
+    const viewer = document.createElement('div');
+    viewer.className = 'punch-photo-viewer';
+    viewer.innerHTML = `<img src="${src}" alt=""><span></span>`;
+    viewer.querySelector('span').textContent = caption;
+    viewer.addEventListener('click', () => viewer.remove());
+    document.body.appendChild(viewer);
+  }
+
+  /**
+   * Open thumbnails clicked inside a table body (before any row handler)
+   */
+  function handlePunchPhotoClick(e) {
+    const thumb = e.target.closest('.punch-photo-thumb');
+    if (!thumb) return false;
+    e.stopPropagation();
+    showPunchPhoto(thumb.src, thumb.dataset.caption || '');
+    return true;
+  }
+
   /**
    * Parse time string to comparable value (minutes since midnight)
    */
   function parseTimeToMinutes(timeStr) {
-    if (!timeStr) return Infinity; // No time = sort to end
-    
-    // Handle formats like "08:00 AM", "8:00 AM", "08:00", etc.
-    const cleanTime = timeStr.trim().toUpperCase();
-    const match = cleanTime.match(/(\d{1,2}):(\d{2})\s*(AM|PM)?/i);
-    
-    if (!match) return Infinity;
-    
-    let hours = parseInt(match[1], 10);
-    const minutes = parseInt(match[2], 10);
-    const period = match[3];
-    
-    if (period === 'PM' && hours !== 12) hours += 12;
-    if (period === 'AM' && hours === 12) hours = 0;
-    
-    return hours * 60 + minutes;
+    const minutes = window.AttendanceRules.parseTimeToMinutes(timeStr);
+    return minutes === null ? Infinity : minutes; // No time = sort to end
   }
 
   /**
@@ -1375,7 +2164,7 @@
     if (filteredAttendance.length === 0) {
       tbody.innerHTML = `
         <tr>
-          <td colspan="7" class="no-data">${filterText ? 'No matching employees found.' : 'No attendance records for today yet.'}</td>
+          <td colspan="8" class="no-data">${filterText ? 'No matching employees found.' : 'No attendance records for today yet.'}</td>
         </tr>
       `;
       return;
@@ -1386,6 +2175,7 @@
       const employee = allEmployees.find(e => e.employeeId === fields.EmployeeId);
       const employeeName = employee ? employee.fullName : fields.EmployeeId;
       const department = employee?.department || employee?.Department || '-';
+      const slots = formatSlotTimes(fields);
       
       return `
         <tr class="clickable-row" data-employee-id="${fields.EmployeeId}" data-employee-name="${employeeName}" title="Click to view attendance history">
@@ -1396,18 +2186,20 @@
             </div>
           </td>
           <td>${department}</td>
-          <td>${formatTime12Hour(fields.TimeInAM)}</td>
-          <td>${formatTime12Hour(fields.TimeOutAM)}</td>
-          <td>${formatTime12Hour(fields.TimeInPM)}</td>
-          <td>${formatTime12Hour(fields.TimeOutPM)}</td>
+          <td>${slots.TimeInAM}</td>
+          <td>${slots.TimeOutAM}</td>
+          <td>${slots.TimeInPM}</td>
+          <td>${slots.TimeOutPM}</td>
           <td>${getAttendanceStatusBadge(fields, employee)}</td>
+          <td>${renderPunchPhotos(todayPhotos.get(record.id))}</td>
         </tr>
       `;
     }).join('');
 
     // Add click handlers to rows
     tbody.querySelectorAll('.clickable-row').forEach(row => {
-      row.addEventListener('click', () => {
+      row.addEventListener('click', (e) => {
+        if (handlePunchPhotoClick(e)) return;
         const employeeId = row.dataset.employeeId;
         const employeeName = row.dataset.employeeName;
         viewEmployeeHistory(employeeId, employeeName);
@@ -1788,23 +2580,13 @@
    * Set default date range to current month
    */
   function setDefaultDateRange() {
-    const now = new Date();
-    const firstDay = new Date(now.getFullYear(), now.getMonth(), 1);
-    const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    const range = getPresetRange('this-month');
     
     const fromInput = document.getElementById('modalFromDate');
     const toInput = document.getElementById('modalToDate');
     
-    // Format dates manually to avoid timezone issues with toISOString()
-    const formatDate = (d) => {
-      const year = d.getFullYear();
-      const month = String(d.getMonth() + 1).padStart(2, '0');
-      const day = String(d.getDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
-    };
-    
-    if (fromInput) fromInput.value = formatDate(firstDay);
-    if (toInput) toInput.value = formatDate(lastDay);
+    if (fromInput) fromInput.value = range.from;
+    if (toInput) toInput.value = range.to;
   }
 
   /**
@@ -1817,16 +2599,24 @@
     const toDate = document.getElementById('modalToDate')?.value;
     
     try {
-      searchedAttendance = await window.ClockInAPI.getAttendanceByEmployee(
-        searchedEmployee.employeeId,
-        fromDate,
-        toDate
-      );
+      const employee = searchedEmployee;
+      const [records, roster, photos] = await Promise.all([
+        window.ClockInAPI.getAttendanceByEmployee(employee.employeeId, fromDate, toDate),
+        // Lateness goes by the rostered shift; without the roster it falls back to the schedule
+        window.ClockInAPI.getEmployeeRoster(employee.employeeId, fromDate, toDate).catch(error => {
+          console.warn('[Clock In] Roster unavailable:', error);
+          return null;
+        }),
+        loadPunchPhotos({ employeeId: employee.employeeId, from: fromDate, to: toDate })
+      ]);
+      searchedAttendance = records;
+      searchedPhotos = photos;
+      employee.roster = roster;
       
       renderModalAttendance();
     } catch (error) {
       console.error('[Clock In] Error loading employee attendance:', error);
-      showNotification('Failed to load attendance records.', 'error');
+      showNotification(describeError(error, 'Failed to load attendance records'), 'error');
     }
   }
 
@@ -1855,7 +2645,7 @@
     if (searchedAttendance.length === 0) {
       tbody.innerHTML = `
         <tr>
-          <td colspan="7" class="no-data">No attendance records found for the selected period.</td>
+          <td colspan="8" class="no-data">No attendance records found for the selected period.</td>
         </tr>
       `;
       if (summary) summary.innerHTML = '';
@@ -1869,7 +2659,7 @@
     
     searchedAttendance.forEach(record => {
       if (record.timeInAM || record.timeInPM) presentDays++;
-      if (record.timeInAM && isLate(record.timeInAM)) lateDays++;
+      if (isLate(record, searchedEmployee)) lateDays++;
       totalHours += getDisplayHours(record, searchedEmployee);
     });
     
@@ -1878,31 +2668,36 @@
       summary.innerHTML = `
         <span>📅 ${searchedAttendance.length} records</span>
         <span>✅ ${presentDays} days present</span>
+        <span>⚠️ ${lateDays} late</span>
         <span>⏰ ${formatHoursMinutes(totalHours)} total</span>
       `;
     }
     
     // Render table
     tbody.innerHTML = searchedAttendance.map(record => {
-      const dateStr = record.date ? new Date(record.date).toLocaleDateString('en-US', {
+      const dateKey = window.DateUtils.normalizeDateKey(record.date);
+      const dateStr = dateKey ? window.DateUtils.formatDateKey(dateKey, {
         weekday: 'short',
         month: 'short',
         day: 'numeric',
         year: 'numeric'
       }) : '-';
+      const slots = formatSlotTimes(record);
       
       return `
         <tr>
           <td>${dateStr}</td>
-          <td>${formatTime12Hour(record.timeInAM)}</td>
-          <td>${formatTime12Hour(record.timeOutAM)}</td>
-          <td>${formatTime12Hour(record.timeInPM)}</td>
-          <td>${formatTime12Hour(record.timeOutPM)}</td>
+          <td>${slots.TimeInAM}</td>
+          <td>${slots.TimeOutAM}</td>
+          <td>${slots.TimeInPM}</td>
+          <td>${slots.TimeOutPM}</td>
           <td>${formatHoursMinutes(getDisplayHours(record, searchedEmployee))}</td>
           <td>${getAttendanceStatusBadge(record, searchedEmployee)}</td>
+          <td>${renderPunchPhotos(searchedPhotos.get(record.id))}</td>
         </tr>
       `;
     }).join('');
+    tbody.onclick = handlePunchPhotoClick;
   }
 
   /**
@@ -1958,6 +2753,23 @@
     return `${hours12.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')} ${period}`;
   }
 
+  /**
+   * Format the four slot columns of a record
+   * Times after midnight of a night shift get a "+1" marker.
+   * @returns {object} - { TimeInAM, TimeOutAM, TimeInPM, TimeOutPM } as HTML
+   */
+  function formatSlotTimes(record) {
+    const fields = record.fields || record;
+    const nextDaySlots = window.AttendanceRules.getNextDaySlots(record);
+    const cells = {};
+    ['TimeInAM', 'TimeOutAM', 'TimeInPM', 'TimeOutPM'].forEach(slot => {
+      const time = fields[slot] || fields[slot.charAt(0).toLowerCase() + slot.slice(1)];
+      cells[slot] = formatTime12Hour(time) +
+        (time && nextDaySlots.includes(slot) ? ' <span class="next-day-marker" title="Next day">+1</span>' : '');
+    });
+    return cells;
+  }
+
   /**
    * Format decimal hours to hours and minutes (e.g., 10.25 -> "10h 15m")
    */
@@ -1975,139 +2787,78 @@
   }
 
   /**
-   * Check if time-in is late (after 8:00 AM)
+   * Check if a day started (or came back from lunch) late for the
+   * employee's schedule, grace minutes allowed
    */
-  function isLate(timeIn) {
-    if (!timeIn) return false;
-    
-    // Handle both 24-hour and 12-hour formats
-    let hours, minutes;
-    if (timeIn.includes('AM') || timeIn.includes('PM')) {
-      const isPM = timeIn.includes('PM');
-      const timePart = timeIn.replace(/\s*(AM|PM)/i, '');
-      [hours, minutes] = timePart.split(':').map(Number);
-      if (isPM && hours !== 12) hours += 12;
-      if (!isPM && hours === 12) hours = 0;
-    } else {
-      [hours, minutes] = timeIn.split(':').map(Number);
-    }
-    
-    return hours > 8 || (hours === 8 && minutes > 0);
+  function isLate(record, employee) {
+    return window.AttendanceRules.getScheduleVariance(record, employee).lateMinutes > 0;
   }
 
+  // Badge style for each status from attendance-rules.js
+  const STATUS_BADGE_CLASSES = {
+    'Present': 'status-complete',
+    'Overtime': 'status-overtime',
+    'Short Hours': 'status-short',
+    'Half Day': 'status-half-day',
+    'Invalid': 'status-invalid',
+    'Incomplete': 'status-incomplete',
+    'Absent': 'status-absent',
+    'On Leave': 'status-leave',
+    'Working': 'status-working',
+    'At Lunch': 'status-lunch',
+    'In Progress': 'status-in-progress',
+    'No Record': 'status-absent'
+  };
+
   /**
    * Get attendance status badge HTML
-   * Uses the same logic as attendance.js
-   * For status calculation, use display hours (with lunch adjustment for 10hr schedule employees)
+   * Status comes from the shared attendance rules; today's record (and a
+   * night shift from yesterday that is still going) shows live states
+   * (Working, At Lunch) until the day is complete. A day the end-of-day
+   * job closed for a missed clock-out is marked so it is not taken at face value,
+   * and so is a day with a punch from away from every work site.
    */
   function getAttendanceStatusBadge(record, employee = null) {
     const fields = record.fields || record;
-    
-    // Get time values
-    const timeInAM = fields.TimeInAM || fields.timeInAM;
-    const timeOutAM = fields.TimeOutAM || fields.timeOutAM;
-    const timeInPM = fields.TimeInPM || fields.timeInPM;
-    const timeOutPM = fields.TimeOutPM || fields.timeOutPM;
-    
-    // Use getDisplayHours which includes lunch adjustment for 10hr schedule employees
-    const totalHours = getDisplayHours(record, employee);
-    
-    // Get employee's standard hours for thresholds
-    const standardWorkweekHours = employee?.standardWorkweekHours || 40;
-    const dailyStd = standardWorkweekHours / 7;
-    const tol = 0.01;
-    
-    // Minimum hours thresholds
-    const minHoursForHalfDay = dailyStd / 2 * 0.75; // At least 75% of half day
-    const minHoursForValid = 0.5; // At least 30 minutes to count as valid work
-    
-    // Check if record is from today
     const recordDate = fields.Date || fields.date;
-    const today = new Date().toISOString().split('T')[0];
-    const isToday = recordDate === today;
+    const isToday = window.DateUtils.normalizeDateKey(recordDate) === window.ClockInAPI.today();
+    const inProgress = isToday || window.ClockInAPI.isOvernightShift(record);
     
-    // Check leave type
-    const leaveType = fields.LeaveType || fields.leaveType || '';
-    if (leaveType && leaveType !== 'None' && leaveType !== '') {
-      return '<span class="status-badge status-leave">On Leave</span>';
+    const status = window.AttendanceRules.getDayStatus(record, employee, { inProgress });
+    const badge = `<span class="status-badge ${STATUS_BADGE_CLASSES[status] || 'status-incomplete'}">${status}</span>`;
+    const reviewFlag = fields.ReviewFlag || fields.reviewFlag;
+    let html = badge;
+    const { AUTO_CLOSED, UNVERIFIED_TIME } = window.AttendanceRules.REVIEW_FLAG;
+    if (reviewFlag === AUTO_CLOSED || reviewFlag === UNVERIFIED_TIME) {
+      html += ` <span class="review-flag" title="${fields.ReviewNote || fields.reviewNote || ''}">${reviewFlag}</span>`;
     }
-    
-    const hasAM = !!(timeInAM && timeOutAM);
-    const hasPM = !!(timeInPM && timeOutPM);
-    
-    // For TODAY's records - show real-time status
-    if (isToday) {
-      // All 4 time slots filled = Complete/Present
-      if (timeInAM && timeOutAM && timeInPM && timeOutPM) {
-        return '<span class="status-badge status-complete">Present</span>';
-      }
-      
-      // Currently working afternoon (logged in PM, not yet out)
-      if (timeInPM && !timeOutPM) {
-        return '<span class="status-badge status-working">Working</span>';
-      }
-      
-      // At lunch (morning done, afternoon not started)
-      if (timeInAM && timeOutAM && !timeInPM) {
-        return '<span class="status-badge status-lunch">At Lunch</span>';
-      }
-      
-      // Currently working morning (logged in AM, not yet out)
-      if (timeInAM && !timeOutAM) {
-        return '<span class="status-badge status-working">Working</span>';
-      }
-      
-      // Only afternoon done (half day PM)
-      if (!timeInAM && !timeOutAM && timeInPM && timeOutPM) {
-        if (totalHours < minHoursForValid) {
-          return '<span class="status-badge status-invalid">Invalid</span>';
-        } else if (totalHours < minHoursForHalfDay) {
-          return '<span class="status-badge status-short">Short Hours</span>';
-        }
-        return '<span class="status-badge status-half-day">Half Day</span>';
-      }
-      
-      // Waiting to start (has some entry but unclear state)
-      if (timeInAM || timeInPM) {
-        return '<span class="status-badge status-in-progress">In Progress</span>';
-      }
-      
-      return '<span class="status-badge status-absent">No Record</span>';
+    if (fields.OffSite || fields.offSite) {
+      html += ' <span class="review-flag" title="Punched away from every work site">Off-site</span>';
     }
+    return html;
+  }
+
+  /**
+   * Turn a request error into a message the kiosk can show
+   * @param {Error} error - Typed error from request-client.js (or any Error)
+   * @param {string} action - What failed, e.g. 'Failed to save attendance record'
+   */
+  function describeError(error, action) {
+    const { NetworkError, TimeoutError, RateLimitError } = window.RequestClient;
     
-    // For PAST records - use same logic as attendance.js
-    // No entries at all
-    if (!hasAM && !hasPM && !timeInAM && !timeOutAM && !timeInPM && !timeOutPM) {
-      return '<span class="status-badge status-absent">Absent</span>';
+    if (error instanceof NetworkError) {
+      return `${action}: no connection to the server. Please check the network.`;
     }
-    
-    // Both halves complete - check total hours (uses stored totalHoursWorked which includes lunch)
-    if (hasAM && hasPM) {
-      if (totalHours < (dailyStd - tol)) {
-        return '<span class="status-badge status-short">Short Hours</span>';
-      } else if (totalHours > (dailyStd + tol)) {
-        return '<span class="status-badge status-overtime">Overtime</span>';
-      }
-      return '<span class="status-badge status-complete">Present</span>';
+    if (error instanceof TimeoutError || error.code === 'UPSTREAM_TIMEOUT') {
+      return `${action}: the server took too long to respond. Please try again.`;
     }
-    
-    // Only one half complete - check if enough hours
-    if (hasAM || hasPM) {
-      if (totalHours < minHoursForValid) {
-        return '<span class="status-badge status-invalid">Invalid</span>';
-      } else if (totalHours < minHoursForHalfDay) {
-        return '<span class="status-badge status-short">Short Hours</span>';
-      }
-      return '<span class="status-badge status-half-day">Half Day</span>';
+    if (error instanceof RateLimitError || error.code === 'UPSTREAM_RATE_LIMITED') {
+      return `${action}: the system is busy. Please try again in a moment.`;
     }
-    
-    // Has some entries but incomplete
-    if (timeInAM || timeOutAM || timeInPM || timeOutPM) {
-      return '<span class="status-badge status-incomplete">Incomplete</span>';
+    if (error.status >= 500) {
+      return `${action}: attendance storage is unavailable. Please try again.`;
     }
-    
-    // No entries at all
-    return '<span class="status-badge status-absent">Absent</span>';
+    return `${action}. Please try again.`;
   }
 
   /**
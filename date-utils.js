@@ -0,0 +1,258 @@
+/**
+ * date-utils.js
+ *
+ * Calendar/time helpers that work in an explicit IANA timezone rather
+ * than whatever zone the current device or server happens to be in.
+ * Shared by the kiosk, the admin attendance page (window.DateUtils) and
+ * the /api functions.
+ *
+ * Functions that take an optional timeZone fall back to the business
+ * timezone: AIRTABLE_CONFIG.TIMEZONE in the browser (airtable-config.js
+ * must be loaded first), or whatever setTimeZone() was given.
+ *
+ * Calendar dates are passed around as YYYY-MM-DD keys. The key helpers
+ * (addDays, dayOfWeek, monthRange, ...) do their arithmetic in UTC, so
+ * they give the same answer in every zone.
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const utils = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = utils;
+  } else {
+    root.DateUtils = utils;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+  const formatters = {};
+
+  let businessTimeZone = (typeof AIRTABLE_CONFIG !== 'undefined' && AIRTABLE_CONFIG.TIMEZONE) || null;
+
+  function getFormatter(timeZone) {
+    const zone = timeZone || getTimeZone();
+    if (!formatters[zone]) {
+      formatters[zone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+      });
+    }
+    return formatters[zone];
+  }
+
+  /**
+   * Check that a timezone name is known to this runtime
+   */
+  function isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Business timezone, or the runtime's zone when none is configured
+   */
+  function getTimeZone() {
+    return businessTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
+  /**
+   * Set the business timezone used when callers do not pass one
+   */
+  function setTimeZone(timeZone) {
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      throw new Error(`Unknown timezone: ${timeZone}`);
+    }
+    businessTimeZone = timeZone || null;
+  }
+
+  /**
+   * Split an instant into calendar parts as seen in a timezone
+   * @param {Date} date - Instant
+   * @param {string} timeZone - IANA name; omitted uses the business timezone
+   * @returns {object} - { year, month, day, hour, minute, second } (month 1-12)
+   */
+  function getZonedParts(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(p => {
+      if (p.type !== 'literal') parts[p.type] = Number(p.value);
+    });
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour === 24 ? 0 : parts.hour,
+      minute: parts.minute,
+      second: parts.second
+    };
+  }
+
+  /**
+   * Offset of a timezone from UTC at an instant, in minutes (UTC+8 => 480)
+   */
+  function getTimeZoneOffsetMinutes(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  }
+
+  /**
+   * Calendar date of an instant in a timezone
+   * @returns {string} - YYYY-MM-DD
+   */
+  function toDateKey(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Clock time of an instant in a timezone, in the format punches are stored in
+   * @returns {string} - e.g. "07:36 AM"
+   */
+  function toTimeValue(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const period = p.hour >= 12 ? 'PM' : 'AM';
+    const hour12 = p.hour % 12 === 0 ? 12 : p.hour % 12;
+    return `${String(hour12).padStart(2, '0')}:${String(p.minute).padStart(2, '0')} ${period}`;
+  }
+
+  /**
+   * Today's date in a timezone
+   * @param {Date} now - Current instant (pass a server-corrected clock if there is one)
+   * @returns {string} - YYYY-MM-DD
+   */
+  function today(now = new Date(), timeZone) {
+    return toDateKey(now, timeZone);
+  }
+
+  // ============================================
+  // DATE KEYS (YYYY-MM-DD)
+  // ============================================
+
+  /**
+   * Split a YYYY-MM-DD key
+   * @returns {object|null} - { year, month, day } (month 1-12), or null if invalid
+   */
+  function parseDateKey(key) {
+    const match = typeof key === 'string' ? DATE_KEY_PATTERN.exec(key) : null;
+    if (!match) return null;
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    const day = Number(match[3]);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+    return { year, month, day };
+  }
+
+  /**
+   * Build a key from calendar parts; out-of-range days/months roll over
+   * (month 13 is January of the next year, day 0 the last day of the previous month)
+   */
+  function makeDateKey(year, month, day) {
+    const d = new Date(Date.UTC(year, month - 1, day));
+    return d.toISOString().slice(0, 10);
+  }
+
+  function keyToUtc(key) {
+    const p = parseDateKey(key);
+    if (!p) throw new Error(`Invalid date: ${key}`);
+    return Date.UTC(p.year, p.month - 1, p.day);
+  }
+
+  /**
+   * Turn a record date into a key
+   * Airtable date fields are already YYYY-MM-DD and are kept as-is (never
+   * run through new Date(), which would read them as UTC midnight). Full
+   * timestamps and Date objects are converted in the timezone.
+   * @returns {string|null} - YYYY-MM-DD, or null when the value is not a date
+   */
+  function normalizeDateKey(value, timeZone) {
+    if (!value) return null;
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? null : toDateKey(value, timeZone);
+    }
+    const text = String(value).trim();
+    if (DATE_KEY_PATTERN.test(text)) return parseDateKey(text) ? text : null;
+    const parsed = new Date(text);
+    return Number.isNaN(parsed.getTime()) ? null : toDateKey(parsed, timeZone);
+  }
+
+  /**
+   * Shift a key by a number of days
+   */
+  function addDays(key, days) {
+    return new Date(keyToUtc(key) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Day of the week of a key (0 = Sunday)
+   */
+  function dayOfWeek(key) {
+    return new Date(keyToUtc(key)).getUTCDay();
+  }
+
+  /**
+   * First and last day of a month
+   * @param {number} year
+   * @param {number} month - 1-12
+   * @returns {object} - { from, to } keys
+   */
+  function monthRange(year, month) {
+    return {
+      from: makeDateKey(year, month, 1),
+      to: makeDateKey(year, month + 1, 0)
+    };
+  }
+
+  /**
+   * Every key from `from` to `to`, both inclusive
+   */
+  function eachDay(from, to) {
+    const days = [];
+    for (let t = keyToUtc(from), end = keyToUtc(to); t <= end; t += DAY_MS) {
+      days.push(new Date(t).toISOString().slice(0, 10));
+    }
+    return days;
+  }
+
+  /**
+   * Format a key for display without shifting it into another day
+   * @param {object} options - Intl.DateTimeFormat options
+   */
+  function formatDateKey(key, options = {}, locale = 'en-US') {
+    return new Date(keyToUtc(key)).toLocaleDateString(locale, { ...options, timeZone: 'UTC' });
+  }
+
+  return {
+    isValidTimeZone,
+    getTimeZone,
+    setTimeZone,
+    getZonedParts,
+    getTimeZoneOffsetMinutes,
+    toDateKey,
+    toTimeValue,
+    today,
+    parseDateKey,
+    makeDateKey,
+    normalizeDateKey,
+    addDays,
+    dayOfWeek,
+    monthRange,
+    eachDay,
+    formatDateKey
+  };
+});
@@ -0,0 +1,45 @@
+/**
+ * close-open-shifts.js
+ *
+ * Run the end-of-day job (api/jobs/close-open-shifts.js) from the command
+ * line against the configured storage, and print the review list.
+ *
+ * Usage:
+ *   node dev/close-open-shifts.js [--policy=close|flag] [--now=2025-01-08T02:00:00+08:00]
+ *
+ * Storage is picked the same way as for the API (STORAGE_BACKEND,
+ * AIRTABLE_API_KEY, AIRTABLE_API_URL, ...); the defaults come from
+ * AUTO_CLOSE_POLICY and AUTO_CLOSE_LOOKBACK_DAYS.
+ */
+
+const { getConfig } = require('../api/_lib/config');
+const attendance = require('../api/_lib/attendance');
+
+function readArg(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+}
+
+async function main() {
+  const config = getConfig();
+  const now = readArg('now') ? new Date(readArg('now')) : new Date();
+  if (Number.isNaN(now.getTime())) throw new Error('--now must be a date/time');
+
+  const result = await attendance.closeOpenShifts({
+    now,
+    policy: readArg('policy') || config.AUTO_CLOSE_POLICY,
+    lookbackDays: config.AUTO_CLOSE_LOOKBACK_DAYS
+  });
+
+  console.log(`[Auto-close] ${result.date} ${result.time} (${result.policy}): ` +
+    `${result.autoClosed} auto-closed, ${result.incomplete} incomplete`);
+  if (result.review.length > 0) {
+    console.table(result.review.map(({ employeeId, date, flag, note }) => ({ employeeId, date, flag, note })));
+  }
+}
+
+main().catch(err => {
+  console.error('[Auto-close] Failed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,532 @@
+/**
+ * mock-airtable.js
+ *
+ * Local stand-in for the subset of the Airtable REST API used by /api:
+ * list (filterByFormula, sort, pageSize/offset, maxRecords, fields[]),
+ * get, create, patch and delete. Data is kept in memory and seeded from
+ * dev/fixtures/base.json (or MOCK_AIRTABLE_FIXTURES).
+ *
+ * Usage: node dev/mock-airtable.js   (listens on MOCK_AIRTABLE_PORT, default 3001)
+ * Set MOCK_AIRTABLE_RATE_LIMIT=5 to answer 429 like Airtable above 5 req/s.
+ *
+ * POST /__reset puts the fixtures back, so a test run can start from a
+ * known base without restarting the server.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'base.json');
+
+// ============================================
+// FORMULA EVALUATION
+// ============================================
+
+/**
+ * Split a formula into tokens
+ */
+function tokenize(formula) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < formula.length) {
+    const ch = formula[i];
+
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === '{') {
+      const end = formula.indexOf('}', i);
+      if (end === -1) throw new Error('Unterminated field reference');
+      tokens.push({ type: 'field', value: formula.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === "'" || ch === '"') {
+      let value = '';
+      i++;
+      while (i < formula.length && formula[i] !== ch) {
+        if (formula[i] === '\\' && i + 1 < formula.length) i++;
+        value += formula[i++];
+      }
+      if (i >= formula.length) throw new Error('Unterminated string literal');
+      tokens.push({ type: 'string', value });
+      i++;
+      continue;
+    }
+
+    const number = formula.slice(i).match(/^\d+(\.\d+)?/);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    const ident = formula.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (ident) {
+      tokens.push({ type: 'ident', value: ident[0].toUpperCase() });
+      i += ident[0].length;
+      continue;
+    }
+
+    const op = formula.slice(i).match(/^(!=|<>|<=|>=|[=<>&+\-*/(),])/);
+    if (op) {
+      tokens.push({ type: 'op', value: op[0] });
+      i += op[0].length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${ch}" in formula`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse tokens into an expression tree
+ */
+function parse(formula) {
+  const tokens = tokenize(formula);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+  const expectOp = (value) => {
+    if (!isOp(value)) throw new Error(`Expected "${value}" in formula`);
+    pos++;
+  };
+
+  function parseComparison() {
+    let left = parseConcat();
+    while (peek() && peek().type === 'op' && ['=', '!=', '<>', '<', '>', '<=', '>='].includes(peek().value)) {
+      const op = tokens[pos++].value;
+      left = { type: 'binary', op, left, right: parseConcat() };
+    }
+    return left;
+  }
+
+  function parseConcat() {
+    let left = parseAdditive();
+    while (isOp('&')) {
+      pos++;
+      left = { type: 'binary', op: '&', left, right: parseAdditive() };
+    }
+    return left;
+  }
+
+  function parseAdditive() {
+    let left = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[pos++].value;
+      left = { type: 'binary', op, left, right: parseTerm() };
+    }
+    return left;
+  }
+
+  function parseTerm() {
+    let left = parseUnary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[pos++].value;
+      left = { type: 'binary', op, left, right: parseUnary() };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOp('-')) {
+      pos++;
+      return { type: 'negate', value: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Unexpected end of formula');
+
+    if (token.type === 'number' || token.type === 'string') return { type: 'literal', value: token.value };
+    if (token.type === 'field') return { type: 'field', name: token.value };
+
+    if (token.type === 'op' && token.value === '(') {
+      const inner = parseComparison();
+      expectOp(')');
+      return inner;
+    }
+
+    if (token.type === 'ident') {
+      if (!isOp('(')) {
+        if (token.value === 'TRUE') return { type: 'literal', value: true };
+        if (token.value === 'FALSE') return { type: 'literal', value: false };
+        throw new Error(`Unknown identifier ${token.value}`);
+      }
+      pos++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(parseComparison());
+        while (isOp(',')) {
+          pos++;
+          args.push(parseComparison());
+        }
+      }
+      expectOp(')');
+      return { type: 'call', name: token.value, args };
+    }
+
+    throw new Error(`Unexpected token "${token.value}" in formula`);
+  }
+
+  const tree = parseComparison();
+  if (pos !== tokens.length) throw new Error('Unexpected trailing tokens in formula');
+  return tree;
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function toText(value) {
+  if (isBlank(value)) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (isBlank(value)) return null;
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00.000Z` : value);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+function formatDate(value, format) {
+  const d = toDate(value);
+  if (!d) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return String(format || 'YYYY-MM-DDTHH:mm:ss.SSSZ')
+    .replace('YYYY', d.getUTCFullYear())
+    .replace('MM', pad(d.getUTCMonth() + 1))
+    .replace('DD', pad(d.getUTCDate()))
+    .replace('HH', pad(d.getUTCHours()))
+    .replace('mm', pad(d.getUTCMinutes()))
+    .replace('ss', pad(d.getUTCSeconds()));
+}
+
+function addToDate(value, count, unit) {
+  const d = toDate(value);
+  if (!d) return null;
+  const result = new Date(d.getTime());
+  const n = Number(count) || 0;
+  switch (String(unit).toLowerCase()) {
+    case 'minutes': result.setUTCMinutes(result.getUTCMinutes() + n); break;
+    case 'hours': result.setUTCHours(result.getUTCHours() + n); break;
+    case 'weeks': result.setUTCDate(result.getUTCDate() + n * 7); break;
+    case 'months': result.setUTCMonth(result.getUTCMonth() + n); break;
+    case 'years': result.setUTCFullYear(result.getUTCFullYear() + n); break;
+    default: result.setUTCDate(result.getUTCDate() + n);
+  }
+  return result;
+}
+
+function compare(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') {
+    const na = isBlank(a) ? 0 : Number(a);
+    const nb = isBlank(b) ? 0 : Number(b);
+    return na === nb ? 0 : (na < nb ? -1 : 1);
+  }
+  const ta = toText(a);
+  const tb = toText(b);
+  return ta === tb ? 0 : (ta < tb ? -1 : 1);
+}
+
+const FUNCTIONS = {
+  AND: (...args) => args.every(Boolean),
+  OR: (...args) => args.some(Boolean),
+  NOT: (value) => !value,
+  IF: (cond, a, b) => (cond ? a : (b === undefined ? '' : b)),
+  TRUE: () => true,
+  FALSE: () => false,
+  BLANK: () => '',
+  LOWER: (s) => toText(s).toLowerCase(),
+  UPPER: (s) => toText(s).toUpperCase(),
+  TRIM: (s) => toText(s).trim(),
+  LEN: (s) => toText(s).length,
+  CONCATENATE: (...args) => args.map(toText).join(''),
+  FIND: (needle, haystack) => toText(haystack).indexOf(toText(needle)) + 1,
+  SEARCH: (needle, haystack) => toText(haystack).toLowerCase().indexOf(toText(needle).toLowerCase()) + 1,
+  SUBSTITUTE: (s, from, to) => toText(s).split(toText(from)).join(toText(to)),
+  DATETIME_FORMAT: (date, format) => formatDate(date, format),
+  DATESTR: (date) => formatDate(date, 'YYYY-MM-DD'),
+  DATETIME_PARSE: (value) => toDate(value),
+  DATEADD: (date, count, unit) => addToDate(date, count, unit),
+  IS_AFTER: (a, b) => !!(toDate(a) && toDate(b) && toDate(a) > toDate(b)),
+  IS_BEFORE: (a, b) => !!(toDate(a) && toDate(b) && toDate(a) < toDate(b)),
+  IS_SAME: (a, b) => formatDate(a, 'YYYY-MM-DD') !== '' && formatDate(a, 'YYYY-MM-DD') === formatDate(b, 'YYYY-MM-DD')
+};
+
+function evaluate(node, record) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return record.fields[node.name] === undefined ? '' : record.fields[node.name];
+    case 'negate':
+      return -Number(evaluate(node.value, record));
+    case 'call': {
+      if (node.name === 'RECORD_ID') return record.id;
+      const fn = FUNCTIONS[node.name];
+      if (!fn) throw new Error(`Unsupported formula function ${node.name}`);
+      return fn(...node.args.map(arg => evaluate(arg, record)));
+    }
+    case 'binary': {
+      const left = evaluate(node.left, record);
+      const right = evaluate(node.right, record);
+      switch (node.op) {
+        case '=': return compare(left, right) === 0;
+        case '!=':
+        case '<>': return compare(left, right) !== 0;
+        case '<': return compare(left, right) < 0;
+        case '>': return compare(left, right) > 0;
+        case '<=': return compare(left, right) <= 0;
+        case '>=': return compare(left, right) >= 0;
+        case '&': return toText(left) + toText(right);
+        case '+': return Number(left) + Number(right);
+        case '-': return Number(left) - Number(right);
+        case '*': return Number(left) * Number(right);
+        case '/': return Number(left) / Number(right);
+      }
+    }
+  }
+  throw new Error('Invalid formula');
+}
+
+/**
+ * Compile a filterByFormula string into a record predicate
+ */
+function compileFormula(formula) {
+  const tree = parse(formula);
+  return (record) => {
+    const value = evaluate(tree, record);
+    return !!value && value !== '0';
+  };
+}
+
+// ============================================
+// HTTP SERVER
+// ============================================
+
+function loadFixtures(fixturesPath) {
+  const data = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  const tables = new Map();
+  Object.entries(data).forEach(([table, records]) => {
+    tables.set(table, records.map(r => ({
+      id: r.id || newRecordId(),
+      createdTime: r.createdTime || new Date().toISOString(),
+      fields: { ...r.fields }
+    })));
+  });
+  return tables;
+}
+
+function newRecordId() {
+  return 'rec' + crypto.randomBytes(7).toString('hex').slice(0, 14);
+}
+
+function send(res, status, payload) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, type, message) {
+  send(res, status, { error: { type, message } });
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Read sort[n][field] / sort[n][direction] query parameters
+ */
+function readSort(searchParams) {
+  const sort = [];
+  for (let i = 0; searchParams.has(`sort[${i}][field]`); i++) {
+    sort.push({
+      field: searchParams.get(`sort[${i}][field]`),
+      direction: searchParams.get(`sort[${i}][direction]`) === 'desc' ? 'desc' : 'asc'
+    });
+  }
+  return sort;
+}
+
+function projectFields(record, fieldNames) {
+  if (!fieldNames.length) return record;
+  const fields = {};
+  fieldNames.forEach(name => {
+    if (record.fields[name] !== undefined) fields[name] = record.fields[name];
+  });
+  return { ...record, fields };
+}
+
+/**
+ * Create the mock server
+ * @param {object} options - { fixtures: path to base.json, apiKey: required bearer token,
+ *   rateLimit: requests per second before answering 429 (0 = unlimited) }
+ * @returns {object} - { server, tables }
+ */
+function createMockAirtable(options = {}) {
+  const fixturesPath = options.fixtures || DEFAULT_FIXTURES;
+  const tables = loadFixtures(fixturesPath);
+  const apiKey = options.apiKey || null;
+  const rateLimit = Number(options.rateLimit) || 0;
+  let recentRequests = [];
+
+  /**
+   * Replace all data with a fresh copy of the fixtures
+   */
+  function reset() {
+    tables.clear();
+    loadFixtures(fixturesPath).forEach((records, table) => tables.set(table, records));
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (req.method === 'POST' && url.pathname === '/__reset') {
+      reset();
+      return send(res, 200, { reset: true });
+    }
+
+    // /v0/{baseId}/{table}[/{recordId}]
+    if (parts[0] !== 'v0' || parts.length < 3 || parts.length > 4) {
+      return sendError(res, 404, 'NOT_FOUND', 'Could not find what you are looking for');
+    }
+
+    if (rateLimit) {
+      const now = Date.now();
+      recentRequests = recentRequests.filter(t => now - t < 1000);
+      if (recentRequests.length >= rateLimit) {
+        return sendError(res, 429, 'RATE_LIMIT_REACHED', 'Rate limit exceeded. Please try again later');
+      }
+      recentRequests.push(now);
+    }
+
+    const auth = req.headers.authorization || '';
+    if (!auth.startsWith('Bearer ') || (apiKey && auth !== `Bearer ${apiKey}`)) {
+      return sendError(res, 401, 'AUTHENTICATION_REQUIRED', 'Authentication required');
+    }
+
+    const tableName = parts[2];
+    const recordId = parts[3];
+    if (!tables.has(tableName)) tables.set(tableName, []);
+    const records = tables.get(tableName);
+
+    try {
+      if (req.method === 'GET' && !recordId) {
+        let result = records.slice();
+
+        const formula = url.searchParams.get('filterByFormula');
+        if (formula) {
+          let predicate;
+          try {
+            predicate = compileFormula(formula);
+          } catch (err) {
+            return sendError(res, 422, 'INVALID_FILTER_BY_FORMULA', err.message);
+          }
+          result = result.filter(predicate);
+        }
+
+        const sort = readSort(url.searchParams);
+        if (sort.length) {
+          result.sort((a, b) => {
+            for (const s of sort) {
+              const diff = compare(a.fields[s.field], b.fields[s.field]);
+              if (diff !== 0) return s.direction === 'desc' ? -diff : diff;
+            }
+            return 0;
+          });
+        }
+
+        const maxRecords = Number(url.searchParams.get('maxRecords')) || 0;
+        if (maxRecords > 0) result = result.slice(0, maxRecords);
+
+        const pageSize = Math.min(Number(url.searchParams.get('pageSize')) || 100, 100);
+        const start = Number(url.searchParams.get('offset')) || 0;
+        const page = result.slice(start, start + pageSize);
+        const fieldNames = url.searchParams.getAll('fields[]');
+
+        const payload = { records: page.map(r => projectFields(r, fieldNames)) };
+        if (start + pageSize < result.length) payload.offset = String(start + pageSize);
+        return send(res, 200, payload);
+      }
+
+      if (req.method === 'GET' && recordId) {
+        const record = records.find(r => r.id === recordId);
+        if (!record) return sendError(res, 404, 'NOT_FOUND', 'Record not found');
+        return send(res, 200, record);
+      }
+
+      if (req.method === 'POST' && !recordId) {
+        const body = await readBody(req);
+        const create = (fields) => {
+          const record = { id: newRecordId(), createdTime: new Date().toISOString(), fields: { ...fields } };
+          records.push(record);
+          return record;
+        };
+        if (Array.isArray(body.records)) {
+          return send(res, 200, { records: body.records.map(r => create(r.fields || {})) });
+        }
+        return send(res, 200, create(body.fields || {}));
+      }
+
+      if ((req.method === 'PATCH' || req.method === 'PUT') && recordId) {
+        const record = records.find(r => r.id === recordId);
+        if (!record) return sendError(res, 404, 'NOT_FOUND', 'Record not found');
+        const body = await readBody(req);
+        record.fields = req.method === 'PUT'
+          ? { ...(body.fields || {}) }
+          : { ...record.fields, ...(body.fields || {}) };
+        return send(res, 200, record);
+      }
+
+      if (req.method === 'DELETE') {
+        // Single record, or up to 10 with ?records[]=id&records[]=id
+        const ids = recordId ? [recordId] : url.searchParams.getAll('records[]');
+        if (ids.length === 0 || ids.length > 10) {
+          return sendError(res, 422, 'INVALID_RECORDS', 'Provide between 1 and 10 records to delete');
+        }
+        if (ids.some(id => !records.some(r => r.id === id))) {
+          return sendError(res, 404, 'NOT_FOUND', 'Record not found');
+        }
+        tables.set(tableName, records.filter(r => !ids.includes(r.id)));
+        const deleted = ids.map(id => ({ id, deleted: true }));
+        return send(res, 200, recordId ? deleted[0] : { records: deleted });
+      }
+
+      return sendError(res, 405, 'METHOD_NOT_ALLOWED', `${req.method} not supported`);
+    } catch (err) {
+      return sendError(res, 400, 'INVALID_REQUEST', err.message);
+    }
+  });
+
+  return { server, tables, reset };
+}
+
+module.exports = { createMockAirtable, compileFormula };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_AIRTABLE_PORT) || 3001;
+  const { server } = createMockAirtable({
+    fixtures: process.env.MOCK_AIRTABLE_FIXTURES || null,
+    apiKey: process.env.AIRTABLE_API_KEY || null,
+    rateLimit: process.env.MOCK_AIRTABLE_RATE_LIMIT
+  });
+  server.listen(port, () => {
+    console.log(`[Mock Airtable] Listening on http://localhost:${port}/v0`);
+  });
+}
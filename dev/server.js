@@ -0,0 +1,115 @@
+/**
+ * server.js
+ *
+ * Local development server: serves the kiosk pages and runs the /api
+ * handlers the same way Vercel does.
+ *
+ * Usage:
+ *   node dev/server.js          Use the real base (needs AIRTABLE_API_KEY)
+ *   node dev/server.js --mock   Start dev/mock-airtable.js and point the API at it
+ *   STORAGE_BACKEND=json STORAGE_SEED_FILE=dev/fixtures/base.json node dev/server.js
+ *                               Keep data in a local JSON file (.data/clock-in.json)
+ *
+ * Environment: PORT (default 3000), MOCK_AIRTABLE_PORT (default 3001),
+ *   MOCK_AIRTABLE_RATE_LIMIT (429 above this many req/s in the mock),
+ *   MOCK_AIRTABLE_FIXTURES (fixture file for the mock, default dev/fixtures/base.json)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const API_DIR = path.join(ROOT, 'api');
+const PORT = Number(process.env.PORT) || 3000;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Resolve /api/foo/bar to api/foo/bar.js or api/foo/bar/index.js
+ * Segments starting with "_" are private helpers, as on Vercel.
+ */
+function resolveApiHandler(pathname) {
+  const segments = pathname.replace(/^\/api\/?/, '').split('/').filter(Boolean);
+  if (segments.some(s => s.startsWith('_') || s.startsWith('.'))) return null;
+
+  const base = path.join(API_DIR, ...segments);
+  const candidates = [`${base}.js`, path.join(base, 'index.js')];
+  return candidates.find(file => file.startsWith(API_DIR) && fs.existsSync(file)) || null;
+}
+
+function serveStatic(pathname, res) {
+  const relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+  const file = path.resolve(ROOT, relative);
+  const topLevel = relative.split('/')[0];
+
+  // Never serve server code, dev tooling, tests or dotfiles
+  if (!file.startsWith(ROOT + path.sep) || ['api', 'dev', 'test', 'node_modules'].includes(topLevel) || relative.split('/').some(s => s.startsWith('.'))) {
+    res.statusCode = 404;
+    return res.end('Not found');
+  }
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.statusCode = 404;
+      return res.end('Not found');
+    }
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)] || 'application/octet-stream');
+    res.end(data);
+  });
+}
+
+async function startMockAirtable() {
+  const { createMockAirtable } = require('./mock-airtable');
+  const port = Number(process.env.MOCK_AIRTABLE_PORT) || 3001;
+  const apiKey = 'mock-airtable-token';
+  const { server } = createMockAirtable({
+    fixtures: process.env.MOCK_AIRTABLE_FIXTURES || null,
+    apiKey,
+    rateLimit: process.env.MOCK_AIRTABLE_RATE_LIMIT
+  });
+
+  await new Promise(resolve => server.listen(port, resolve));
+  process.env.AIRTABLE_API_URL = `http://localhost:${port}/v0`;
+  process.env.AIRTABLE_API_KEY = apiKey;
+  console.log(`[Dev] Mock Airtable on http://localhost:${port}/v0`);
+}
+
+async function main() {
+  if (process.argv.includes('--mock')) {
+    await startMockAirtable();
+  } else if ((process.env.STORAGE_BACKEND || 'airtable') === 'airtable' && !process.env.AIRTABLE_API_KEY) {
+    console.warn('[Dev] AIRTABLE_API_KEY is not set; API calls will fail. Use --mock to run against fixtures.');
+  }
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/api' || pathname.startsWith('/api/')) {
+      const handlerFile = resolveApiHandler(pathname);
+      if (!handlerFile) {
+        res.statusCode = 404;
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        return res.end(JSON.stringify({ error: 'Not found' }));
+      }
+      return require(handlerFile)(req, res);
+    }
+
+    serveStatic(pathname, res);
+  });
+
+  server.listen(PORT, () => {
+    console.log(`[Dev] Kiosk on http://localhost:${PORT}`);
+  });
+}
+
+main();
@@ -0,0 +1,194 @@
+/**
+ * phone-punch.js
+ *
+ * Phone punch page (phone.html). An employee signs in once with their
+ * employee ID and kiosk PIN (/api/phone/session); the session is kept
+ * in localStorage. Scanning the QR code on a kiosk screen opens this page
+ * with the kiosk's current code in the URL fragment, and the punch is
+ * sent straight away (/api/phone/punch). The server picks the slot and
+ * refuses codes that are no longer on screen.
+ *
+ * The code is removed from the address bar once read, so reloading the
+ * page never punches twice.
+ */
+
+(function() {
+  'use strict';
+
+  const SESSION_KEY = 'msvi-phone-session';
+  const LOCATION_TIMEOUT_MS = 10000;
+
+  const API_BASE = (AIRTABLE_CONFIG.API_BASE || '/api').replace(/\/+$/, '');
+  const client = window.RequestClient.createRequestClient({
+    requestsPerSecond: 2,
+    maxRetries: 1,
+    timeoutMs: 15000,
+    label: '[Phone Punch]'
+  });
+
+  const ACTION_LABELS = {
+    TimeInAM: 'Morning Time In',
+    TimeOutAM: 'Morning Time Out',
+    TimeInPM: 'Afternoon Time In',
+    TimeOutPM: 'Afternoon Time Out'
+  };
+
+  let pendingCode = null; // Scanned before signing in
+
+  function apiRequest(path, { body, session } = {}) {
+    return client.request(new URL(`${API_BASE}${path}`, window.location.origin), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(session ? { 'X-Phone-Session': session } : {}) },
+      body: JSON.stringify(body)
+    });
+  }
+
+  // ============================================
+  // SESSION
+  // ============================================
+
+  function getSession() {
+    try {
+      const session = JSON.parse(window.localStorage.getItem(SESSION_KEY));
+      return session && session.token && new Date(session.expiresAt) > new Date() ? session : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function signOut() {
+    window.localStorage.removeItem(SESSION_KEY);
+    render();
+  }
+
+  async function signIn(event) {
+    event.preventDefault();
+    const employeeId = document.getElementById('phoneEmployeeId').value.trim();
+    const pinInput = document.getElementById('phonePin');
+    const button = document.getElementById('btnPhoneSignIn');
+
+    showError('');
+    button.disabled = true;
+    try {
+      const session = await apiRequest('/phone/session', { body: { employeeId, pin: pinInput.value } });
+      window.localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+      pinInput.value = '';
+      render();
+      if (pendingCode) await punch(pendingCode);
+    } catch (error) {
+      console.error('[Phone Punch] Sign-in failed:', error);
+      showError(error.message);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // ============================================
+  // PUNCH
+  // ============================================
+
+  /**
+   * The device's location for the geofence check (see requestPunchLocation
+   * in clock-in.js); phone punches always need it, whatever the policy
+   */
+  function requestLocation() {
+    if (!navigator.geolocation) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      navigator.geolocation.getCurrentPosition(
+        position => resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: Math.round(position.coords.accuracy)
+        }),
+        error => {
+          console.warn('[Phone Punch] Location unavailable:', error.message);
+          resolve(null);
+        },
+        { enableHighAccuracy: true, timeout: LOCATION_TIMEOUT_MS, maximumAge: 60000 }
+      );
+    });
+  }
+
+  async function punch(code) {
+    const session = getSession();
+    pendingCode = null;
+    showError('');
+    setStatus('Punching...');
+
+    try {
+      const location = await requestLocation();
+      const result = await apiRequest('/phone/punch', { body: { code, location }, session: session.token });
+      setStatus(`${ACTION_LABELS[result.actionType] || result.actionType} recorded at ${result.punch.time}${result.punch.nextDay ? ' (next day)' : ''}.`);
+    } catch (error) {
+      console.error('[Phone Punch] Punch failed:', error);
+      setStatus('Scan the code on the kiosk screen to punch.');
+      if (error.status === 409 && error.data && error.data.punch) {
+        showError(`You already punched ${error.data.punch.direction.toLowerCase()} at ${error.data.punch.time}.`);
+      } else {
+        showError(error.message);
+      }
+      if (error.code === 'PHONE_SIGNED_OUT') signOut();
+    }
+  }
+
+  /**
+   * Take the kiosk code out of the URL fragment (#code=...)
+   */
+  function readScannedCode() {
+    const code = new URLSearchParams(window.location.hash.slice(1)).get('code');
+    if (code) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    return code;
+  }
+
+  // ============================================
+  // UI
+  // ============================================
+
+  function setStatus(message) {
+    const el = document.getElementById('phonePunchStatus');
+    if (el) el.textContent = message;
+  }
+
+  function showError(message) {
+    const el = document.getElementById('phonePunchError');
+    if (el) el.textContent = message;
+  }
+
+  function render() {
+    const session = getSession();
+    document.getElementById('phoneSignIn').style.display = session ? 'none' : 'flex';
+    document.getElementById('phoneSignedIn').style.display = session ? 'flex' : 'none';
+    if (session) {
+      document.getElementById('phoneEmployeeName').textContent = session.employee.name;
+      setStatus('Scan the code on the kiosk screen to punch.');
+    }
+  }
+
+  function handleScan() {
+    const code = readScannedCode();
+    if (!code) return;
+    if (getSession()) {
+      punch(code);
+    } else {
+      pendingCode = code;
+      showError('Sign in first; your punch is sent right after.');
+    }
+  }
+
+  function init() {
+    document.getElementById('phoneSignIn').addEventListener('submit', signIn);
+    document.getElementById('btnPhoneSignOut').addEventListener('click', signOut);
+    // A scan while the page is already open only changes the fragment
+    window.addEventListener('hashchange', handleScan);
+    render();
+    handleScan();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
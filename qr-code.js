@@ -0,0 +1,389 @@
+/**
+ * qr-code.js
+ *
+ * Minimal QR code encoder for the kiosk's phone punch code. Text is
+ * encoded as UTF-8 bytes at error correction level M in the smallest
+ * version (1-10) it fits, which is plenty for a URL of a hundred or so
+ * characters. The mask with the lowest penalty is chosen, as the
+ * standard (ISO/IEC 18004) describes.
+ *
+ * encode(text) gives the module grid; toSvg(qr) draws it with the
+ * four-module quiet zone scanners need.
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const qr = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = qr;
+  } else {
+    root.QrCode = qr;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Level M, per version: [EC codewords per block, [data codewords of each block]]
+  const VERSIONS = [
+    null,
+    [10, [16]],
+    [16, [28]],
+    [26, [44]],
+    [18, [32, 32]],
+    [24, [43, 43]],
+    [16, [27, 27, 27, 27]],
+    [18, [31, 31, 31, 31]],
+    [22, [38, 38, 39, 39]],
+    [22, [36, 36, 36, 37, 37]],
+    [26, [43, 43, 43, 43, 44]]
+  ];
+  const MAX_VERSION = VERSIONS.length - 1;
+  const FORMAT_LEVEL_M = 0;
+
+  // ============================================
+  // REED-SOLOMON (GF(256), polynomial 0x11D)
+  // ============================================
+
+  const EXP = new Uint8Array(512);
+  const LOG = new Uint8Array(256);
+  for (let i = 0, x = 1; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x = (x << 1) ^ (x & 0x80 ? 0x11D : 0);
+  }
+  for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+  function gfMultiply(a, b) {
+    return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+  }
+
+  function generatorPolynomial(degree) {
+    let poly = [1];
+    for (let i = 0; i < degree; i++) {
+      const next = new Array(poly.length + 1).fill(0);
+      poly.forEach((coef, j) => {
+        next[j] ^= coef;
+        next[j + 1] ^= gfMultiply(coef, EXP[i]);
+      });
+      poly = next;
+    }
+    return poly;
+  }
+
+  /**
+   * Error correction codewords of a block
+   */
+  function reedSolomon(data, degree) {
+    const generator = generatorPolynomial(degree);
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+      const factor = byte ^ remainder.shift();
+      remainder.push(0);
+      for (let i = 0; i < degree; i++) remainder[i] ^= gfMultiply(generator[i + 1], factor);
+    });
+    return remainder;
+  }
+
+  // ============================================
+  // CODEWORDS
+  // ============================================
+
+  function utf8Bytes(text) {
+    if (typeof TextEncoder !== 'undefined') return Array.from(new TextEncoder().encode(text));
+    return Array.from(unescape(encodeURIComponent(text)), c => c.charCodeAt(0));
+  }
+
+  function countBits(version) {
+    return version < 10 ? 8 : 16;
+  }
+
+  /**
+   * Data codewords (byte mode, terminated and padded) of a version
+   */
+  function dataCodewords(bytes, version) {
+    const capacity = VERSIONS[version][1].reduce((a, b) => a + b, 0);
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, countBits(version));
+    bytes.forEach(b => push(b, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    while (bits.length % 8) bits.push(0);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacity; pad ^= 0xEC ^ 0x11) codewords.push(pad);
+    return codewords;
+  }
+
+  /**
+   * Split into blocks, add error correction and interleave
+   */
+  function finalCodewords(data, version) {
+    const [ecLength, blockLengths] = VERSIONS[version];
+    const blocks = [];
+    let offset = 0;
+    blockLengths.forEach(length => {
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      blocks.push({ data: block, ec: reedSolomon(block, ecLength) });
+    });
+
+    const result = [];
+    const longest = Math.max(...blockLengths);
+    for (let i = 0; i < longest; i++) {
+      blocks.forEach(b => { if (i < b.data.length) result.push(b.data[i]); });
+    }
+    for (let i = 0; i < ecLength; i++) blocks.forEach(b => result.push(b.ec[i]));
+    return result;
+  }
+
+  // ============================================
+  // MODULE GRID
+  // ============================================
+
+  function alignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    // Version 32 is the one the standard spaces unevenly
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = version * 4 + 10; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+    return positions;
+  }
+
+  // BCH remainder of value for a generator of the given degree
+  function bchBits(value, generator, degree) {
+    let rem = value << degree;
+    for (let i = 31 - Math.clz32(rem); i >= degree; i--) {
+      if ((rem >>> i) & 1) rem ^= generator << (i - degree);
+    }
+    return (value << degree) | rem;
+  }
+
+  function formatBits(mask) {
+    return bchBits((FORMAT_LEVEL_M << 3) | mask, 0x537, 10) ^ 0x5412;
+  }
+
+  function versionBits(version) {
+    return bchBits(version, 0x1F25, 12);
+  }
+
+  function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+
+    // Finder patterns with their separators
+    [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([fx, fy]) => {
+      for (let dy = -1; dy <= 7; dy++) {
+        for (let dx = -1; dx <= 7; dx++) {
+          const x = fx + dx;
+          const y = fy + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+          set(x, y, ring !== 2 && ring !== 4);
+        }
+      }
+    });
+
+    // Timing patterns
+    for (let i = 8; i < size - 8; i++) {
+      set(i, 6, i % 2 === 0);
+      set(6, i, i % 2 === 0);
+    }
+
+    // Alignment patterns, except where they would cover a finder
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+
+    // Format areas (written once the mask is known) and the dark module
+    for (let i = 0; i < 9; i++) {
+      reserved[8][i] = reserved[i][8] = true;
+      if (i < 8) reserved[8][size - 1 - i] = reserved[size - 1 - i][8] = true;
+    }
+    set(8, size - 8, true);
+
+    if (version >= 7) {
+      const bits = versionBits(version);
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+
+    return { size, modules, reserved };
+  }
+
+  function placeCodewords(grid, codewords) {
+    const { size, modules, reserved } = grid;
+    let bit = 0;
+    const total = codewords.length * 8;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let i = 0; i < size; i++) {
+        const y = upward ? size - 1 - i : i;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (reserved[y][x]) continue;
+          if (bit < total) modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+          bit++;
+        }
+      }
+    }
+  }
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+  ];
+
+  function applyMask(grid, mask) {
+    const { size, reserved } = grid;
+    const modules = grid.modules.map(row => row.slice());
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+
+    const bits = formatBits(mask);
+    for (let i = 0; i < 15; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      // Around the top-left finder
+      if (i < 6) modules[i][8] = dark;
+      else if (i < 8) modules[i + 1][8] = dark;
+      else if (i === 8) modules[8][7] = dark;
+      else modules[8][14 - i] = dark;
+      // Split between the other two finders
+      if (i < 8) modules[8][size - 1 - i] = dark;
+      else modules[size - 15 + i][8] = dark;
+    }
+    return modules;
+  }
+
+  /**
+   * Penalty score of a masked grid (lower is easier to scan)
+   */
+  function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    let dark = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+    lines.forEach(line => {
+      // Runs of five or more of a color
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      // Finder-like 1:1:3:1:1 patterns with four light modules on a side
+      // (outside the symbol counts as light)
+      const text = `0000${line.map(m => (m ? '1' : '0')).join('')}0000`;
+      ['00001011101', '10111010000'].forEach(pattern => {
+        for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) score += 40;
+      });
+    });
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        // 2x2 blocks of a color
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (modules[y][x + 1] === c && modules[y + 1][x] === c && modules[y + 1][x + 1] === c) score += 3;
+        }
+      }
+    }
+
+    // Balance of dark and light
+    score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+    return score;
+  }
+
+  /**
+   * Encode text as a QR code
+   * @param {string} text
+   * @returns {object} - { version, size, modules } (modules[y][x], true is dark)
+   */
+  function encode(text) {
+    const bytes = utf8Bytes(String(text));
+    let version = 1;
+    while (version <= MAX_VERSION) {
+      const capacity = VERSIONS[version][1].reduce((a, b) => a + b, 0) * 8;
+      if (4 + countBits(version) + bytes.length * 8 <= capacity) break;
+      version++;
+    }
+    if (version > MAX_VERSION) throw new Error('Text is too long for a QR code');
+
+    const grid = createGrid(version);
+    placeCodewords(grid, finalCodewords(dataCodewords(bytes, version), version));
+
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      const modules = applyMask(grid, mask);
+      const score = penalty(modules);
+      if (!best || score < best.score) best = { modules, score };
+    }
+    return { version, size: grid.size, modules: best.modules };
+  }
+
+  /**
+   * Draw a QR code as an SVG document
+   * @param {object} qr - From encode()
+   * @returns {string} - SVG markup, one unit per module
+   */
+  function toSvg(qr, { dark = '#000', light = '#fff', quietZone = 4 } = {}) {
+    const full = qr.size + quietZone * 2;
+    let path = '';
+    qr.modules.forEach((row, y) => row.forEach((on, x) => {
+      if (on) path += `M${x + quietZone},${y + quietZone}h1v1h-1z`;
+    }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges">` +
+      `<rect width="${full}" height="${full}" fill="${light}"/><path d="${path}" fill="${dark}"/></svg>`;
+  }
+
+  return {
+    MAX_VERSION,
+    encode,
+    toSvg,
+    // For checking against the standard's worked examples
+    reedSolomon,
+    formatBits,
+    versionBits,
+    alignmentPositions
+  };
+});
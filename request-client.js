@@ -0,0 +1,241 @@
+/**
+ * request-client.js
+ *
+ * Shared HTTP client used by the kiosk (clock-in-api.js) and by the /api
+ * functions when they call Airtable (api/_lib/airtable.js).
+ *
+ * - Throttles to a number of requests per second (Airtable allows 5 per base)
+ * - Times out requests that hang
+ * - Retries 429 and 5xx responses with exponential backoff
+ * - Throws typed errors instead of returning partial data
+ *
+ * Only idempotent methods (GET, HEAD, PUT, DELETE) are retried after a
+ * network failure, timeout or 5xx; a POST/PATCH may already have been
+ * applied, so it is retried only on 429, which Airtable rejects up front.
+ */
+
+(function(root, factory) {
+  'use strict';
+
+  const client = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = client;
+  } else {
+    root.RequestClient = client;
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+  // Slightly longer than a second so network jitter cannot push more than
+  // requestsPerSecond requests into the server's one-second window
+  const THROTTLE_WINDOW_MS = 1100;
+
+  const DEFAULTS = {
+    requestsPerSecond: 5,
+    maxRetries: 3,
+    timeoutMs: 15000,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    label: '[Request]'
+  };
+
+  // ============================================
+  // ERRORS
+  // ============================================
+
+  /**
+   * Base class for every failure raised by the client
+   * `retryable` tells callers whether trying again later may succeed.
+   */
+  class RequestError extends Error {
+    constructor(message, { status = null, data = null, code = null, retryable = false } = {}) {
+      super(message);
+      this.name = 'RequestError';
+      this.status = status;
+      this.data = data;
+      this.code = code;
+      this.retryable = retryable;
+    }
+  }
+
+  /** The server could not be reached (offline, DNS, connection reset) */
+  class NetworkError extends RequestError {
+    constructor(message) {
+      super(message, { code: 'NETWORK_ERROR', retryable: true });
+      this.name = 'NetworkError';
+    }
+  }
+
+  /** No response within the timeout */
+  class TimeoutError extends RequestError {
+    constructor(timeoutMs) {
+      super(`Request timed out after ${timeoutMs}ms`, { code: 'TIMEOUT', retryable: true });
+      this.name = 'TimeoutError';
+    }
+  }
+
+  /** Non-2xx response; `status` and the parsed body (`data`) are attached */
+  class HttpError extends RequestError {
+    constructor(status, data, message) {
+      super(message || `Request failed with status ${status}`, {
+        status,
+        data,
+        code: (data && typeof data.code === 'string' && data.code) || `HTTP_${status}`,
+        retryable: status === 429 || status >= 500
+      });
+      this.name = 'HttpError';
+    }
+  }
+
+  /** 429 Too Many Requests; `retryAfterMs` is set when the server says how long to wait */
+  class RateLimitError extends HttpError {
+    constructor(data, message, retryAfterMs) {
+      super(429, data, message || 'Too many requests');
+      this.name = 'RateLimitError';
+      this.code = (data && typeof data.code === 'string' && data.code) || 'RATE_LIMITED';
+      this.retryAfterMs = retryAfterMs;
+    }
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Pull a readable message out of an error body
+   * Handles both { error: 'text' } (our API) and { error: { message } } (Airtable).
+   */
+  function errorMessage(data) {
+    if (!data || !data.error) return null;
+    if (typeof data.error === 'string') return data.error;
+    return data.error.message || data.error.type || null;
+  }
+
+  function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // ============================================
+  // CLIENT
+  // ============================================
+
+  /**
+   * Create a throttled, retrying request function
+   * @param {object} options - requestsPerSecond, maxRetries, timeoutMs,
+   *   baseDelayMs, maxDelayMs, label (log prefix), fetch (implementation)
+   * @returns {object} - { request }
+   */
+  function createRequestClient(options = {}) {
+    const config = { ...DEFAULTS, ...options };
+    const fetchImpl = config.fetch || ((...args) => fetch(...args));
+
+    let recentStarts = [];
+    let queue = Promise.resolve();
+
+    /**
+     * Wait until a request may start without exceeding requestsPerSecond
+     */
+    function acquireSlot() {
+      const slot = queue.then(async () => {
+        if (!config.requestsPerSecond) return;
+        for (;;) {
+          const windowStart = Date.now() - THROTTLE_WINDOW_MS;
+          recentStarts = recentStarts.filter(t => t > windowStart);
+          if (recentStarts.length < config.requestsPerSecond) break;
+          await sleep(recentStarts[0] - windowStart + 1);
+        }
+        recentStarts.push(Date.now());
+      });
+      queue = slot.catch(() => {});
+      return slot;
+    }
+
+    function backoffDelay(attempt) {
+      const delay = config.baseDelayMs * Math.pow(2, attempt);
+      return Math.min(config.maxDelayMs, delay + Math.floor(Math.random() * config.baseDelayMs));
+    }
+
+    async function attempt(url, fetchOptions, timeoutMs) {
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+      let res;
+      let text;
+      try {
+        res = await fetchImpl(url, controller ? { ...fetchOptions, signal: controller.signal } : fetchOptions);
+        text = await res.text();
+      } catch (err) {
+        if (err && err.name === 'AbortError') throw new TimeoutError(timeoutMs);
+        throw new NetworkError(err && err.message ? err.message : 'Network request failed');
+      } finally {
+        if (timer) clearTimeout(timer);
+      }
+
+      let data = {};
+      if (text) {
+        try {
+          data = JSON.parse(text);
+        } catch (err) {
+          data = { error: text.slice(0, 200) };
+        }
+      }
+
+      if (res.status === 429) {
+        throw new RateLimitError(data, errorMessage(data), parseRetryAfter(res.headers.get('Retry-After')));
+      }
+      if (!res.ok) {
+        throw new HttpError(res.status, data, errorMessage(data));
+      }
+
+      return data;
+    }
+
+    /**
+     * Perform a request and return the parsed JSON body
+     * @param {string|URL} url - Request URL
+     * @param {object} options - fetch options plus `timeoutMs`
+     * @returns {object} - Parsed response body ({} when empty)
+     */
+    async function request(url, options = {}) {
+      const { timeoutMs = config.timeoutMs, ...fetchOptions } = options;
+      const method = (fetchOptions.method || 'GET').toUpperCase();
+
+      for (let attemptNumber = 0; ; attemptNumber++) {
+        await acquireSlot();
+
+        try {
+          return await attempt(url, fetchOptions, timeoutMs);
+        } catch (err) {
+          const mayRetry = err.retryable &&
+            (IDEMPOTENT_METHODS.includes(method) || err instanceof RateLimitError);
+          if (!mayRetry || attemptNumber >= config.maxRetries) throw err;
+
+          const delay = Math.min(config.maxDelayMs, err.retryAfterMs || backoffDelay(attemptNumber));
+          console.warn(`${config.label} ${method} failed (${err.message}), retrying in ${delay}ms`);
+          await sleep(delay);
+        }
+      }
+    }
+
+    return { request };
+  }
+
+  return {
+    createRequestClient,
+    RequestError,
+    NetworkError,
+    TimeoutError,
+    HttpError,
+    RateLimitError
+  };
+});
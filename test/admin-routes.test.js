@@ -0,0 +1,287 @@
+/**
+ * admin-routes.test.js
+ *
+ * The admin /api routes refuse requests without a configured admin token
+ * and take the actor of a change from the token, never from the body.
+ * Routes run in-process on the JSON file backend, seeded from
+ * dev/fixtures/base.json into a temporary directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clock-in-admin-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.STORAGE_FILE = path.join(dir, 'clock-in.json');
+process.env.STORAGE_SEED_FILE = path.resolve(__dirname, '../dev/fixtures/base.json');
+process.env.ADMIN_API_TOKENS = JSON.stringify({ 'Lina (HR)': 'hr-token', 'Ops Lead': 'ops-token' });
+delete process.env.ADMIN_API_TOKEN;
+delete process.env.KIOSK_ENROLLMENT;
+delete process.env.VERCEL;
+
+const attendance = require('../api/_lib/attendance');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Call a route handler the way dev/server.js does
+ * @returns {object} - { status, body }
+ */
+async function call(route, method, url, { token, body, headers = {} } = {}) {
+  const req = Readable.from(body === undefined ? [] : [Buffer.from(JSON.stringify(body))]);
+  req.method = method;
+  req.url = url;
+  req.headers = { ...headers };
+  if (token) req.headers.authorization = `Bearer ${token}`;
+
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    end(text) { this.text = text; }
+  };
+  await require(`../api/${route}`)(req, res);
+  return { status: res.statusCode, body: res.text ? JSON.parse(res.text) : null };
+}
+
+async function pendingCorrection(slot) {
+  return attendance.requestCorrection({
+    employeeId: 'EMP-001',
+    date: '2024-01-15',
+    slot,
+    proposedTime: '08:05 AM',
+    reason: 'Scanned twice'
+  });
+}
+
+test('corrections need an admin token to list or decide', async () => {
+  const correction = await pendingCorrection('TimeInAM');
+
+  for (const token of [undefined, 'wrong-token', 'HR-TOKEN']) {
+    const list = await call('corrections', 'GET', '/api/corrections', { token });
+    assert.equal(list.status, 401, `GET with ${token}`);
+    assert.equal(list.body.code, 'ADMIN_REQUIRED');
+
+    const decide = await call('corrections', 'PATCH', '/api/corrections', { token, body: { id: correction.id, status: 'Approved' } });
+    assert.equal(decide.status, 401, `PATCH with ${token}`);
+  }
+
+  const list = await call('corrections', 'GET', '/api/corrections', { token: 'hr-token' });
+  assert.equal(list.status, 200);
+  assert.ok(list.body.records.some(c => c.id === correction.id));
+});
+
+test('the reviewer of a correction is the signed-in admin', async () => {
+  const correction = await pendingCorrection('TimeOutAM');
+  const { status, body } = await call('corrections', 'PATCH', '/api/corrections', {
+    token: 'ops-token',
+    body: { id: correction.id, status: 'Rejected', reviewedBy: 'Someone Else', note: 'Punch was right' }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.correction.reviewedBy, 'Ops Lead');
+  assert.equal(body.correction.status, 'Rejected');
+});
+
+test('admin edits of day records are audited with the signed-in admin', async () => {
+  const fields = { EmployeeId: 'EMP-003', Date: '2024-02-01', TimeInAM: '08:00 AM', TimeOutAM: '12:00 PM', Remarks: 'Forgot card' };
+
+  const refused = await call('attendance', 'POST', '/api/attendance', { body: { fields } });
+  assert.equal(refused.status, 401);
+
+  const created = await call('attendance', 'POST', '/api/attendance', {
+    token: 'hr-token',
+    body: { fields: { ...fields, PunchLog: '06:00 AM-11:00 PM' }, reason: 'Added manually', actor: 'Someone Else' }
+  });
+  assert.equal(created.status, 201);
+  const { id } = created.body.record;
+  assert.equal(created.body.record.fields.PunchLog, undefined, 'only the admin fields are written');
+
+  const edited = await call('attendance', 'PATCH', '/api/attendance', {
+    token: 'ops-token',
+    body: { id, fields: { TimeOutAM: '12:30 PM' }, reason: 'Left late' }
+  });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.record.fields.TimeOutAM, '12:30 PM');
+
+  const badTime = await call('attendance', 'PATCH', '/api/attendance', { token: 'ops-token', body: { id, fields: { TimeInPM: 'soon' } } });
+  assert.equal(badTime.status, 400);
+
+  const deleted = await call('attendance', 'DELETE', `/api/attendance?id=${id}&reason=Duplicate`, { token: 'hr-token' });
+  assert.deepEqual(deleted.body, { id, deleted: true });
+
+  const history = await call('audit', 'GET', `/api/audit?recordId=${id}`, { token: 'hr-token' });
+  assert.deepEqual(
+    history.body.records.map(e => [e.action, e.actor, e.source, e.reason]),
+    [
+      ['create', 'Lina (HR)', 'Admin', 'Added manually'],
+      ['update', 'Ops Lead', 'Admin', 'Left late'],
+      ['delete', 'Lina (HR)', 'Admin', 'Duplicate']
+    ]
+  );
+  assert.deepEqual(history.body.records[1].after, { TimeOutAM: '12:30 PM' });
+});
+
+test('the admin view of day records has the pay fields and needs an admin token', async () => {
+  const fields = { EmployeeId: 'EMP-003', Date: '2024-02-02', TimeInAM: '08:00 AM', TimeOutPM: '07:00 PM', OvertimeHours: 2, OverTimePay: 250 };
+  const created = await call('attendance', 'POST', '/api/attendance', { token: 'hr-token', body: { fields, reason: 'Added manually' } });
+  const { id } = created.body.record;
+
+  const refused = await call('attendance', 'GET', '/api/attendance?view=admin&from=2024-02-02&to=2024-02-02');
+  assert.equal(refused.status, 401);
+  const kiosk = await call('attendance', 'GET', '/api/attendance?employeeId=EMP-003&date=2024-02-02');
+  assert.equal(kiosk.body.records[0].fields.OverTimePay, undefined);
+
+  const day = await call('attendance', 'GET', '/api/attendance?view=admin&from=2024-02-02&to=2024-02-02', { token: 'ops-token' });
+  assert.equal(day.status, 200);
+  assert.deepEqual(day.body.records.map(r => [r.id, r.fields.OverTimePay]), [[id, 250]]);
+
+  const one = await call('attendance', 'GET', `/api/attendance?view=admin&id=${id}`, { token: 'ops-token' });
+  assert.equal(one.body.record.fields.OvertimeHours, 2);
+
+  await call('attendance', 'DELETE', `/api/attendance?id=${id}&reason=Test`, { token: 'hr-token' });
+  const gone = await call('attendance', 'GET', `/api/attendance?view=admin&id=${id}`, { token: 'ops-token' });
+  assert.equal(gone.status, 404);
+});
+
+test('the audit trail is read-only and admin-only', async () => {
+  assert.equal((await call('audit', 'GET', '/api/audit?recordId=rec1')).status, 401);
+  const post = await call('audit', 'POST', '/api/audit', {
+    token: 'hr-token',
+    body: { action: 'delete', recordId: 'rec1', actor: 'Someone Else' }
+  });
+  assert.equal(post.status, 405);
+});
+
+test('roster and shift template changes need an admin token', async () => {
+  const template = { name: 'Early', hours: '6:00 AM - 2:00 PM' };
+  assert.equal((await call('roster/shifts', 'POST', '/api/roster/shifts', { body: template })).status, 401);
+  assert.equal((await call('roster/shifts', 'POST', '/api/roster/shifts', { token: 'ops-token', body: template })).status, 201);
+  assert.equal((await call('roster/shifts', 'GET', '/api/roster/shifts')).status, 200);
+
+  const assignment = { employeeId: 'EMP-002', from: '2024-03-04', shifts: ['Early'], assignedBy: 'Someone Else' };
+  assert.equal((await call('roster', 'POST', '/api/roster', { body: assignment })).status, 401);
+  const saved = await call('roster', 'POST', '/api/roster', { token: 'ops-token', body: assignment });
+  assert.equal(saved.status, 201);
+  assert.equal(saved.body.assignment.assignedBy, 'Ops Lead');
+
+  const url = `/api/roster?id=${saved.body.assignment.id}`;
+  assert.equal((await call('roster', 'DELETE', url)).status, 401);
+  assert.equal((await call('roster', 'DELETE', url, { token: 'hr-token' })).status, 200);
+  assert.equal((await call('roster', 'GET', '/api/roster?employeeId=EMP-002')).status, 200);
+});
+
+test('holiday calendar changes need an admin token', async () => {
+  const holiday = { date: '2024-06-12', name: 'Independence Day' };
+  assert.equal((await call('holidays', 'POST', '/api/holidays', { body: holiday })).status, 401);
+  const saved = await call('holidays', 'POST', '/api/holidays', { token: 'hr-token', body: holiday });
+  assert.equal(saved.status, 201);
+
+  const url = `/api/holidays?id=${saved.body.holiday.id}`;
+  assert.equal((await call('holidays', 'DELETE', url)).status, 401);
+  assert.equal((await call('holidays', 'DELETE', url, { token: 'hr-token' })).status, 200);
+
+  const ics = 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nDTSTART;VALUE=DATE:20241225\r\nSUMMARY:Christmas Day\r\nEND:VEVENT\r\nEND:VCALENDAR';
+  assert.equal((await call('holidays/import', 'POST', '/api/holidays/import', { body: { ics } })).status, 401);
+  const imported = await call('holidays/import', 'POST', '/api/holidays/import', { token: 'hr-token', body: { ics } });
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.imported.length, 1);
+
+  assert.equal((await call('holidays', 'GET', '/api/holidays?from=2024-01-01&to=2024-12-31')).status, 200);
+});
+
+test('PINs are only read, set and unlocked with an admin token', async () => {
+  assert.equal((await call('pin', 'GET', '/api/pin?employeeId=EMP-002')).status, 401);
+  assert.equal((await call('pin', 'PUT', '/api/pin', { body: { employeeId: 'EMP-002', pin: '1357' } })).status, 401);
+  assert.equal((await call('pin/unlock', 'POST', '/api/pin/unlock', { body: { employeeId: 'EMP-002' } })).status, 401);
+
+  const set = await call('pin', 'PUT', '/api/pin', { token: 'hr-token', body: { employeeId: 'EMP-002', pin: '1357' } });
+  assert.equal(set.status, 200);
+  assert.equal(set.body.pin.pinRequired, true);
+  assert.equal((await call('pin', 'GET', '/api/pin?employeeId=EMP-002', { token: 'hr-token' })).body.pin.pinRequired, true);
+  assert.equal((await call('pin/unlock', 'POST', '/api/pin/unlock', { token: 'hr-token', body: { employeeId: 'EMP-002' } })).status, 200);
+});
+
+test('punch photos need an admin token', async () => {
+  const url = '/api/photos?from=2024-01-01&to=2024-01-31';
+  const refused = await call('photos', 'GET', url);
+  assert.equal(refused.status, 401);
+  assert.equal(refused.body.code, 'ADMIN_REQUIRED');
+  assert.equal(refused.body.records, undefined);
+
+  const allowed = await call('photos', 'GET', url, { token: 'ops-token' });
+  assert.equal(allowed.status, 200);
+  assert.ok(Array.isArray(allowed.body.records));
+});
+
+test('kiosk devices are listed and reviewed with an admin token', async () => {
+  const enrolled = await call('devices', 'POST', '/api/devices', { body: { name: 'Front desk' } });
+  assert.equal(enrolled.status, 201);
+  const { deviceId } = enrolled.body.device;
+
+  assert.equal((await call('devices', 'GET', '/api/devices')).status, 401);
+  const refused = await call('devices', 'PATCH', '/api/devices', { body: { deviceId, status: 'Approved' } });
+  assert.equal(refused.status, 401);
+  assert.equal(refused.body.code, 'ADMIN_REQUIRED');
+
+  const approved = await call('devices', 'PATCH', '/api/devices', {
+    token: 'ops-token',
+    body: { deviceId, status: 'Approved', reviewedBy: 'Someone Else' }
+  });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.device.status, 'Approved');
+  assert.equal(approved.body.device.reviewedBy, 'Ops Lead');
+
+  const list = await call('devices', 'GET', '/api/devices?status=Approved', { token: 'hr-token' });
+  assert.ok(list.body.records.some(d => d.deviceId === deviceId));
+});
+
+test('the review list needs an admin token and is cleared by marking days reviewed', async () => {
+  const { getStore } = require('../api/_lib/storage');
+  const { TABLES } = require('../clock-in-core');
+  const date = new Date().toISOString().slice(0, 10);
+  const open = await getStore().create(TABLES.ATTENDANCES, {
+    EmployeeId: 'EMP-002', Date: date, TimeInAM: '08:00 AM', PunchLog: '08:00 AM In', ReviewFlag: 'Incomplete', ReviewNote: 'No clock-out after 08:00 AM'
+  });
+  const closed = await getStore().create(TABLES.ATTENDANCES, {
+    EmployeeId: 'EMP-002', Date: date, TimeInAM: '08:00 AM', TimeOutAM: '05:00 PM', PunchLog: '08:00 AM In, 05:00 PM Out', ReviewFlag: 'Auto-closed'
+  });
+
+  assert.equal((await call('attendance/review', 'GET', '/api/attendance/review')).status, 401);
+  assert.equal((await call('attendance/review', 'PATCH', '/api/attendance/review', { body: { recordId: closed.id } })).status, 401);
+
+  const list = await call('attendance/review', 'GET', '/api/attendance/review', { token: 'hr-token' });
+  assert.deepEqual(list.body.records.filter(r => r.employeeId === 'EMP-002').map(r => r.recordId), [open.id, closed.id]);
+
+  const stillOpen = await call('attendance/review', 'PATCH', '/api/attendance/review', { token: 'hr-token', body: { recordId: open.id } });
+  assert.equal(stillOpen.status, 409);
+
+  const reviewed = await call('attendance/review', 'PATCH', '/api/attendance/review', {
+    token: 'ops-token',
+    body: { recordId: closed.id, note: 'Confirmed with the guard log', actor: 'Someone Else' }
+  });
+  assert.equal(reviewed.status, 200);
+  assert.equal(reviewed.body.item.flag, 'Reviewed');
+  assert.equal(reviewed.body.item.note, 'Reviewed by Ops Lead: Confirmed with the guard log');
+
+  const after = await call('attendance/review', 'GET', '/api/attendance/review', { token: 'hr-token' });
+  assert.ok(!after.body.records.some(r => r.recordId === closed.id));
+  const history = await call('audit', 'GET', `/api/audit?recordId=${closed.id}`, { token: 'hr-token' });
+  assert.deepEqual(history.body.records.map(e => [e.actor, e.reason]), [['Ops Lead', 'Confirmed with the guard log']]);
+});
+
+test('the end-of-day job needs the cron secret', async () => {
+  process.env.CRON_SECRET = 'cron-secret';
+  try {
+    assert.equal((await call('jobs/close-open-shifts', 'POST', '/api/jobs/close-open-shifts')).status, 401);
+    assert.equal((await call('jobs/close-open-shifts', 'POST', '/api/jobs/close-open-shifts', { token: 'cron-secre' })).status, 401);
+    const run = await call('jobs/close-open-shifts', 'POST', '/api/jobs/close-open-shifts', { token: 'cron-secret' });
+    assert.equal(run.status, 200);
+    assert.equal(typeof run.body.autoClosed, 'number');
+  } finally {
+    delete process.env.CRON_SECRET;
+  }
+});
@@ -0,0 +1,51 @@
+/**
+ * attendance-rules.golden.test.js
+ *
+ * Golden days (test/fixtures/days.json): status, hours, lunch, overtime
+ * and pay for each, as the kiosk, the admin page and the API all compute
+ * them. A change to any of these numbers is a payroll change; update the
+ * fixture only on purpose.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AttendanceRules = require('../attendance-rules');
+const { employees, days } = require('./fixtures/days.json');
+
+function evaluate(record, employee) {
+  const day = AttendanceRules.evaluateDay(record, employee);
+  return {
+    status: day.status,
+    totalHours: day.totalHours,
+    lunchHours: day.lunchHours,
+    overtimeHours: day.overtimeHours,
+    overtimePay: day.overtimePay,
+    regularPay: day.regularPay
+  };
+}
+
+// The admin page's camelCase shape of an Airtable record
+function toCamelCase(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([name, value]) => [name.charAt(0).toLowerCase() + name.slice(1), value]));
+}
+
+for (const day of days) {
+  test(day.name, () => {
+    const employee = employees[day.employee];
+    assert.deepEqual(evaluate({ fields: day.record }, employee), day.expected, 'Airtable record');
+    assert.deepEqual(evaluate(day.record, employee), day.expected, 'raw fields');
+    assert.deepEqual(evaluate(toCamelCase(day.record), employee), day.expected, 'admin record');
+  });
+}
+
+test('a month of golden days adds up', () => {
+  const own = days.filter(day => day.employee === 'time-based-8h');
+  const summary = AttendanceRules.summarizeDays(own.map(day => ({ fields: day.record })), employees['time-based-8h']);
+  const sum = field => Math.round(own.reduce((total, day) => total + day.expected[field], 0) * 100) / 100;
+
+  assert.equal(summary.totalHours, sum('totalHours'));
+  assert.equal(summary.totalOvertime, sum('overtimeHours'));
+  assert.equal(summary.totalOvertimePay, sum('overtimePay'));
+  assert.equal(summary.totalRegularPay, sum('regularPay'));
+});
@@ -0,0 +1,65 @@
+/**
+ * close-open-shifts.test.js
+ *
+ * The end-of-day job looks at exactly lookbackDays days, closes shifts an
+ * offline replay flagged as well, and leaves the ones it already handled.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAttendanceService, TABLES } = require('../clock-in-core');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+// 2 AM on 2025-03-05 in Manila, when the cron runs
+const NOW = new Date('2025-03-04T18:00:00Z');
+
+function openDay(date, extra = {}) {
+  return { EmployeeId: 'EMP-001', Date: date, TimeInAM: '08:00 AM', PunchLog: '08:00 AM In', ...extra };
+}
+
+function setup(days) {
+  const store = createMemoryStore({
+    [TABLES.EMPLOYEES]: [{ EmployeeId: 'EMP-001', FirstName: 'Maria', CoreWorkingHours: '8:00 AM - 5:00 PM' }],
+    [TABLES.ATTENDANCES]: days
+  });
+  const byDate = date => store.tables[TABLES.ATTENDANCES].find(r => r.fields.Date === date).fields;
+  return { byDate, service: createAttendanceService(store, { timeZone: 'Asia/Manila' }) };
+}
+
+test('lookbackDays counts today', async () => {
+  const { byDate, service } = setup([openDay('2025-03-02'), openDay('2025-03-03'), openDay('2025-03-04')]);
+  const result = await service.closeOpenShifts({ now: NOW, lookbackDays: 2 });
+
+  assert.equal(result.autoClosed, 1);
+  assert.equal(byDate('2025-03-04').ReviewFlag, 'Auto-closed');
+  assert.equal(byDate('2025-03-03').ReviewFlag, undefined, 'three days back is outside a two-day lookback');
+  assert.equal(byDate('2025-03-02').ReviewFlag, undefined);
+});
+
+test('a shift flagged Unverified time is still closed, keeping its note', async () => {
+  const { byDate, service } = setup([
+    openDay('2025-03-04', { ReviewFlag: 'Unverified time', ReviewNote: 'Offline In punch at 08:00 AM: captured 3 hours before it reached the server' })
+  ]);
+  const result = await service.closeOpenShifts({ now: NOW, policy: 'flag' });
+
+  assert.equal(result.incomplete, 1);
+  const fields = byDate('2025-03-04');
+  assert.equal(fields.ReviewFlag, 'Incomplete');
+  assert.deepEqual(fields.ReviewNote.split('\n'), [
+    'Offline In punch at 08:00 AM: captured 3 hours before it reached the server',
+    'No clock-out after 08:00 AM'
+  ]);
+});
+
+test('shifts the job already flagged are left alone', async () => {
+  const { byDate, service } = setup([
+    openDay('2025-03-03', { ReviewFlag: 'Incomplete', ReviewNote: 'No clock-out after 08:00 AM' }),
+    openDay('2025-03-04', { ReviewFlag: 'Auto-closed', ReviewNote: 'Closed' })
+  ]);
+  const result = await service.closeOpenShifts({ now: NOW });
+
+  assert.deepEqual([result.autoClosed, result.incomplete], [0, 0]);
+  assert.equal(byDate('2025-03-03').ReviewNote, 'No clock-out after 08:00 AM');
+  assert.equal(byDate('2025-03-04').PunchLog, '08:00 AM In');
+});
@@ -0,0 +1,86 @@
+/**
+ * corrections.test.js
+ *
+ * Approving a correction changes the punch in the day's log, recalculates
+ * the hours from the whole log, audits the change and marks the request
+ * decided, all in one call; a failed approval leaves both untouched.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAttendanceService, TABLES } = require('../clock-in-core');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+const SPLIT_DAY = '08:00 AM In, 12:00 PM Out, 01:00 PM In, 03:00 PM Out, 03:30 PM In, 05:00 PM Out';
+
+function setup() {
+  const store = createMemoryStore({
+    [TABLES.EMPLOYEES]: [{ EmployeeId: 'EMP-001', FirstName: 'Maria', CoreWorkingHours: '8:00 AM - 5:00 PM', RateType: 'Hourly', BaseSalary: 100 }],
+    [TABLES.ATTENDANCES]: [{
+      EmployeeId: 'EMP-001',
+      Date: '2025-03-03',
+      TimeInAM: '08:00 AM',
+      TimeOutAM: '12:00 PM',
+      TimeInPM: '01:00 PM',
+      TimeOutPM: '05:00 PM',
+      PunchLog: SPLIT_DAY,
+      Remarks: 'Dentist'
+    }]
+  });
+  const service = createAttendanceService(store, { timeZone: 'Asia/Manila' });
+  const [record] = store.tables[TABLES.ATTENDANCES];
+  const request = (slot, proposedTime) => service.requestCorrection({
+    recordId: record.id, employeeId: 'EMP-001', date: '2025-03-03', slot, proposedTime, reason: 'Stayed late'
+  });
+  return { store, service, record, request };
+}
+
+test('an approval changes the punch log and the hours from it', async () => {
+  const { store, service, record, request } = setup();
+  const correction = await request('TimeOutPM', '05:30 PM');
+
+  const decided = await service.decideCorrection(correction.id, { status: 'Approved', reviewedBy: 'Lina (HR)' });
+  assert.equal(decided.status, 'Approved');
+  assert.equal(decided.reviewedBy, 'Lina (HR)');
+
+  const { fields } = await store.get(TABLES.ATTENDANCES, record.id);
+  assert.equal(fields.PunchLog, SPLIT_DAY.replace('05:00 PM Out', '05:30 PM Out'));
+  assert.equal(fields.TimeOutPM, '05:30 PM');
+  // 4 + 2 + 2 hours: the 3:00 - 3:30 PM break is not paid
+  assert.equal(fields.RawHoursWorked, 8);
+  assert.equal(fields.Remarks, 'Dentist; Corrected Afternoon Time Out: 05:00 PM to 05:30 PM');
+
+  const [entry] = await service.listAudit(record.id);
+  assert.equal(entry.actor, 'Lina (HR)');
+  assert.equal(entry.reason, 'Approved correction request: Stayed late');
+  assert.equal(entry.after.PunchLog, fields.PunchLog);
+});
+
+test('a second approval is refused without touching the record again', async () => {
+  const { store, service, record, request } = setup();
+  const correction = await request('TimeInAM', '07:55 AM');
+  await service.decideCorrection(correction.id, { status: 'Approved', reviewedBy: 'Lina (HR)' });
+  const once = { ...(await store.get(TABLES.ATTENDANCES, record.id)).fields };
+
+  await assert.rejects(service.decideCorrection(correction.id, { status: 'Approved', reviewedBy: 'Ops Lead' }), { status: 409 });
+  assert.deepEqual((await store.get(TABLES.ATTENDANCES, record.id)).fields, once);
+  assert.equal((await service.listAudit(record.id)).length, 1);
+});
+
+test('a time that would make a double punch leaves the request pending', async () => {
+  const { store, service, record, request } = setup();
+  const correction = await request('TimeInPM', '03:15 PM');
+
+  await assert.rejects(service.decideCorrection(correction.id, { status: 'Approved', reviewedBy: 'Lina (HR)' }), { status: 409 });
+  assert.equal((await store.get(TABLES.ATTENDANCES, record.id)).fields.PunchLog, SPLIT_DAY);
+  assert.equal((await service.listCorrections()).find(c => c.id === correction.id).status, 'Pending');
+});
+
+test('a rejection leaves the record alone', async () => {
+  const { store, service, record, request } = setup();
+  const correction = await request('TimeOutPM', '05:30 PM');
+  const decided = await service.decideCorrection(correction.id, { status: 'Rejected', reviewedBy: 'Lina (HR)', note: 'Left at 5' });
+  assert.equal(decided.status, 'Rejected');
+  assert.equal((await store.get(TABLES.ATTENDANCES, record.id)).fields.PunchLog, SPLIT_DAY);
+});
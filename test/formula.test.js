@@ -0,0 +1,120 @@
+/**
+ * formula.test.js
+ *
+ * Hostile input for the filterByFormula builders: anything scanned or typed
+ * must come out as an inert string literal, or be rejected with a 400.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const formula = require('../api/_lib/formula');
+const { toFormula } = require('../api/_lib/storage/airtable');
+
+test('literal escapes everything that could end the string', () => {
+  const cases = [
+    ['EMP-001', "'EMP-001'"],
+    ["O'Brien", "'O\\'Brien'"],
+    ['C:\\temp', "'C:\\\\temp'"],
+    ["\\'", "'\\\\\\''"],
+    ["') , TRUE(), ('", "'\\') , TRUE(), (\\''"],
+    ['{EmployeeId}', "'{EmployeeId}'"],
+    ['line1\nline2', "'line1\\nline2'"],
+    ['a\r\nb\tc', "'a\\r\\nb\\tc'"],
+    ['', "''"]
+  ];
+  for (const [input, expected] of cases) {
+    assert.equal(formula.literal(input), expected, JSON.stringify(input));
+  }
+});
+
+test('literal output never contains an unescaped quote or a raw line break', () => {
+  const inputs = ["'", "''", "\\'", "x' OR TRUE() OR '", "a'\n)", "\\\\'", "'\r\n'"];
+  for (const input of inputs) {
+    const body = formula.literal(input).slice(1, -1);
+    // Strip escape pairs; whatever is left must be plain text.
+    const rest = body.replace(/\\[\\'nrt]/g, '');
+    assert.doesNotMatch(rest, /['\\\n\r]/, JSON.stringify(input));
+  }
+});
+
+test('literal passes numbers, booleans and blanks through as formula values', () => {
+  assert.equal(formula.literal(8), '8');
+  assert.equal(formula.literal(-1.5), '-1.5');
+  assert.equal(formula.literal(true), 'TRUE()');
+  assert.equal(formula.literal(false), 'FALSE()');
+  assert.equal(formula.literal(null), 'BLANK()');
+  assert.equal(formula.literal(undefined), 'BLANK()');
+  assert.throws(() => formula.literal(NaN), { status: 400 });
+  assert.throws(() => formula.literal(Infinity), { status: 400 });
+});
+
+test('field rejects names that would break out of {...}', () => {
+  assert.equal(formula.field('Employee Id'), '{Employee Id}');
+  for (const name of ['Date}', '{Date', 'a}=1, TRUE(), {b', '', null, 42]) {
+    assert.throws(() => formula.field(name), { status: 400, expose: true }, String(name));
+  }
+});
+
+test('dates must be real YYYY-MM-DD days', () => {
+  assert.equal(
+    formula.dateEq('Date', '2024-02-29'),
+    "DATETIME_FORMAT({Date}, 'YYYY-MM-DD')='2024-02-29'"
+  );
+  const bad = [
+    '2025-13-45',
+    '2025-02-29',
+    '2025-1-6',
+    '06/01/2025',
+    "2025-01-06') , TRUE(), ('",
+    '2025-01-06\n',
+    '2025-01-06; DELETE',
+    '',
+    null,
+    20250106
+  ];
+  for (const date of bad) {
+    assert.throws(() => formula.dateEq('Date', date), { status: 400 }, JSON.stringify(date));
+    if (date) {
+      assert.throws(() => formula.dateBetween('Date', date, '2025-01-31'), { status: 400 }, JSON.stringify(date));
+    }
+  }
+});
+
+test('dateBetween drops missing bounds', () => {
+  assert.equal(formula.dateBetween('Date'), '');
+  assert.equal(
+    formula.dateBetween('Date', '2025-01-01', '2025-01-31'),
+    "AND(IS_AFTER({Date}, DATEADD('2025-01-01', -1, 'days')), " +
+      "IS_BEFORE({Date}, DATEADD('2025-01-31', 1, 'days')))"
+  );
+});
+
+test('and/or drop empty conditions', () => {
+  assert.equal(formula.and(), '');
+  assert.equal(formula.and('', formula.eq('A', 1)), '{A}=1');
+  assert.equal(formula.or(formula.eq('A', 1), formula.eq('B', 'x')), "OR({A}=1, {B}='x')");
+  assert.equal(formula.not(formula.eq('A', 1)), 'NOT({A}=1)');
+});
+
+test('the Airtable adapter escapes where/range values', () => {
+  assert.equal(toFormula({}), '');
+  assert.equal(
+    toFormula({ where: { EmployeeId: "') , TRUE(), ('", Date: '2025-01-06' } }),
+    "AND({EmployeeId}='\\') , TRUE(), (\\'', DATETIME_FORMAT({Date}, 'YYYY-MM-DD')='2025-01-06')"
+  );
+  assert.equal(toFormula({ where: { Name: 'a\\b\nc' } }), "{Name}='a\\\\b\\nc'");
+  assert.equal(
+    toFormula({ where: { Date: ['2025-01-01', '2025-04-09'], EmployeeId: ["x'", 'EMP-002'] } }),
+    "AND(OR(DATETIME_FORMAT({Date}, 'YYYY-MM-DD')='2025-01-01', DATETIME_FORMAT({Date}, 'YYYY-MM-DD')='2025-04-09'), " +
+      "OR({EmployeeId}='x\\'', {EmployeeId}='EMP-002'))"
+  );
+  assert.equal(toFormula({ where: { Date: [] } }), 'FALSE()');
+  assert.throws(() => toFormula({ where: { Date: ['2025-01-01', '2025-02-30'] } }), { status: 400 });
+  assert.throws(() => toFormula({ where: { Date: '2025-13-45' } }), { status: 400 });
+  assert.throws(() => toFormula({ where: { 'x}=1, TRUE(), {y': 'v' } }), { status: 400 });
+  assert.throws(
+    () => toFormula({ range: { field: 'Date', from: '2025-01-01', to: "2025-01-31')" } }),
+    { status: 400 }
+  );
+});
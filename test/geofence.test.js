@@ -0,0 +1,103 @@
+/**
+ * geofence.test.js
+ *
+ * Geofence math: great-circle distances against values that follow from
+ * the Earth's radius, the edge of a circular site, polygons (concave ones
+ * included), the checks on configured sites, and how a punch is placed
+ * with the 'flag' policy.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAttendanceService, normalizeGeofences, distanceMeters, isInsideGeofence, TABLES } = require('../clock-in-core');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE = EARTH_RADIUS_METERS * Math.PI / 180;
+const SITE = { name: 'Main office', lat: 14.5995, lng: 120.9842, radius: 200 };
+
+function point(latitude, longitude) {
+  return { latitude, longitude };
+}
+
+// The point `meters` due north of the site's center
+function northOfSite(meters) {
+  return point(SITE.lat + meters / METERS_PER_DEGREE, SITE.lng);
+}
+
+test('great-circle distances', () => {
+  const close = (actual, expected, name) => assert.ok(Math.abs(actual - expected) < 0.01, `${name}: ${actual}`);
+
+  close(distanceMeters(point(14.5995, 120.9842), point(14.5995, 120.9842)), 0, 'same point');
+  close(distanceMeters(point(0, 0), point(1, 0)), METERS_PER_DEGREE, 'a degree of latitude');
+  close(distanceMeters(point(0, 0), point(0, 1)), METERS_PER_DEGREE, 'a degree of longitude on the equator');
+  close(distanceMeters(point(0, 0), point(90, 0)), EARTH_RADIUS_METERS * Math.PI / 2, 'equator to pole');
+  close(distanceMeters(point(0, 0), point(0, 180)), EARTH_RADIUS_METERS * Math.PI, 'antipodes');
+  close(distanceMeters(point(-33.9, 151.2), point(40.7, -74)), distanceMeters(point(40.7, -74), point(-33.9, 151.2)), 'either way round');
+
+  // Meridians converge: a degree of longitude at 60° is about half as long
+  assert.ok(Math.abs(distanceMeters(point(60, 0), point(60, 1)) - METERS_PER_DEGREE / 2) < 1);
+});
+
+test('a circular site includes its edge', () => {
+  assert.equal(isInsideGeofence(SITE, northOfSite(0)), true);
+  assert.equal(isInsideGeofence(SITE, northOfSite(199.5)), true);
+  assert.equal(isInsideGeofence(SITE, northOfSite(200.5)), false);
+});
+
+test('polygon sites, concave ones included', () => {
+  // An L: a 2 x 2 block (in thousandths of a degree) without its top right quarter
+  const lot = {
+    name: 'Yard',
+    polygon: [[14.600, 121.000], [14.600, 121.002], [14.601, 121.002], [14.601, 121.001], [14.602, 121.001], [14.602, 121.000]]
+  };
+  assert.equal(isInsideGeofence(lot, point(14.6005, 121.0005)), true);
+  assert.equal(isInsideGeofence(lot, point(14.6005, 121.0015)), true);
+  assert.equal(isInsideGeofence(lot, point(14.6015, 121.0005)), true);
+  assert.equal(isInsideGeofence(lot, point(14.6015, 121.0015)), false, 'the missing quarter');
+  assert.equal(isInsideGeofence(lot, point(14.5995, 121.0005)), false);
+  assert.equal(isInsideGeofence(lot, point(14.6005, 121.0025)), false);
+});
+
+test('configured sites are checked', () => {
+  assert.deepEqual(normalizeGeofences(null), []);
+  assert.deepEqual(normalizeGeofences({}), []);
+  assert.deepEqual(normalizeGeofences([{ ...SITE, name: ' Main office ', note: 'x' }]), [SITE]);
+
+  const invalid = [
+    [{ lat: 14.6, lng: 121, radius: 100 }, /needs a name/],
+    [{ name: 'A', lat: 14.6, lng: 121, radius: 0 }, /radius/],
+    [{ name: 'A', lat: 91, lng: 121, radius: 100 }, /lat, lng/],
+    [{ name: 'A', polygon: [[14.6, 121], [14.7, 121]] }, /at least 3/],
+    [{ name: 'A', polygon: [[14.6, 121], [14.7, 121], [14.7, 181]] }, /at least 3/]
+  ];
+  for (const [site, message] of invalid) {
+    assert.throws(() => normalizeGeofences([site]), message, JSON.stringify(site));
+  }
+  assert.throws(() => normalizeGeofences(SITE), /list of sites/);
+});
+
+test('with the flag policy an off-site or imprecise punch is recorded as off site', async () => {
+  const store = createMemoryStore({
+    [TABLES.EMPLOYEES]: [
+      { EmployeeId: 'EMP-001', FirstName: 'Maria', CoreWorkingHours: '8:00 AM - 5:00 PM' },
+      { EmployeeId: 'EMP-002', FirstName: 'Jose', CoreWorkingHours: '8:00 AM - 5:00 PM' },
+      { EmployeeId: 'EMP-003', FirstName: 'Ana', CoreWorkingHours: '8:00 AM - 5:00 PM' }
+    ]
+  });
+  const service = createAttendanceService(store, { timeZone: 'Asia/Manila', geofences: [SITE], geofencePolicy: 'flag' });
+
+  const cases = [
+    ['EMP-001', { ...northOfSite(150), accuracy: 20 }, 'Main office', false],
+    ['EMP-002', { ...northOfSite(250), accuracy: 20 }, null, true],
+    ['EMP-003', { ...northOfSite(0), accuracy: 500 }, null, true]
+  ];
+  for (const [employeeId, location, site, offSite] of cases) {
+    await service.recordPunch({ employeeId, actionType: 'TimeInAM', location });
+    const row = store.tables[TABLES.PUNCHES].find(r => r.fields.EmployeeId === employeeId);
+    assert.deepEqual([row.fields.Site, row.fields.OffSite], [site, offSite], employeeId);
+    const day = store.tables[TABLES.ATTENDANCES].find(r => r.fields.EmployeeId === employeeId);
+    assert.equal(day.fields.OffSite, offSite || undefined, employeeId);
+  }
+});
@@ -0,0 +1,71 @@
+/**
+ * In-memory storage adapter for tests
+ *
+ * Same interface as api/_lib/storage/json-file.js, with the tables held
+ * in an object keyed by logical table name (TABLES values).
+ */
+
+const { applyQuery } = require('../../clock-in-core');
+
+function createMemoryStore(seed = {}) {
+  const tables = {};
+  let nextId = 1;
+  Object.entries(seed).forEach(([table, rows]) => {
+    tables[table] = rows.map(fields => ({ id: `rec${String(nextId++).padStart(14, '0')}`, createdTime: new Date().toISOString(), fields: { ...fields } }));
+  });
+
+  function rows(table) {
+    if (!tables[table]) tables[table] = [];
+    return tables[table];
+  }
+
+  return {
+    name: 'memory',
+    tables,
+
+    async list(table, query = {}) {
+      return applyQuery(rows(table), query);
+    },
+
+    async get(table, id) {
+      const record = rows(table).find(r => r.id === id);
+      return record ? applyQuery([record])[0] : null;
+    },
+
+    async create(table, fields) {
+      const record = { id: `rec${String(nextId++).padStart(14, '0')}`, createdTime: new Date().toISOString(), fields: { ...fields } };
+      rows(table).push(record);
+      return applyQuery([record])[0];
+    },
+
+    async createMany(table, list) {
+      const records = list.map(fields => ({ id: `rec${String(nextId++).padStart(14, '0')}`, createdTime: new Date().toISOString(), fields: { ...fields } }));
+      rows(table).push(...records);
+      return applyQuery(records);
+    },
+
+    async update(table, id, fields) {
+      const record = rows(table).find(r => r.id === id);
+      if (!record) {
+        const err = new Error('Record not found');
+        err.status = 404;
+        throw err;
+      }
+      Object.assign(record.fields, fields);
+      return applyQuery([record])[0];
+    },
+
+    async remove(table, id) {
+      const index = rows(table).findIndex(r => r.id === id);
+      if (index === -1) {
+        const err = new Error('Record not found');
+        err.status = 404;
+        throw err;
+      }
+      rows(table).splice(index, 1);
+      return { id, deleted: true };
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,134 @@
+/**
+ * qr-reader.js
+ *
+ * Reads back the module grid of a clean (unscanned, undamaged) QR code at
+ * level M, for checking qr-code.js. It works from the standard's tables
+ * rather than the encoder's own helpers, and checks each block's error
+ * correction by its syndromes instead of re-encoding, so a mistake in the
+ * encoder is not simply mirrored here. It does not correct errors.
+ */
+
+// ISO/IEC 18004 Annex E
+const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+// Level M: [EC codewords per block, [blocks, data codewords], ...] (Table 9)
+const BLOCKS = [
+  null,
+  [10, [1, 16]], [16, [1, 28]], [26, [1, 44]], [18, [2, 32]], [24, [2, 43]],
+  [16, [4, 27]], [18, [4, 31]], [22, [2, 38], [2, 39]], [22, [3, 36], [2, 37]], [26, [4, 43], [1, 44]]
+];
+// Data mask conditions, i the row and j the column (Table 10)
+const MASKS = [
+  (i, j) => (i + j) % 2 === 0,
+  (i) => i % 2 === 0,
+  (i, j) => j % 3 === 0,
+  (i, j) => (i + j) % 3 === 0,
+  (i, j) => (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
+  (i, j) => ((i * j) % 2) + ((i * j) % 3) === 0,
+  (i, j) => (((i * j) % 2) + ((i * j) % 3)) % 2 === 0,
+  (i, j) => (((i + j) % 2) + ((i * j) % 3)) % 2 === 0
+];
+
+const EXP = [];
+for (let i = 0, x = 1; i < 255; i++, x = (x << 1) ^ (x & 0x80 ? 0x11D : 0)) EXP.push(x);
+const LOG = [];
+EXP.forEach((x, i) => { LOG[x] = i; });
+
+// The codeword polynomial of a block, evaluated at alpha^power
+function evaluate(codewords, power) {
+  return codewords.reduce((acc, c) => (acc ? EXP[(LOG[acc] + power) % 255] : 0) ^ c, 0);
+}
+
+function isFunctionModule(version, size, row, col) {
+  // Finders, separators and format areas
+  if (row < 9 && (col < 9 || col >= size - 8)) return true;
+  if (row >= size - 8 && col < 9) return true;
+  if (row === 6 || col === 6) return true;
+  if (version >= 7 && ((row < 6 && col >= size - 11) || (col < 6 && row >= size - 11))) return true;
+  const centres = ALIGNMENT[version];
+  return centres.some(r => centres.some(c => {
+    if ((r === 6 && c === 6) || (r === 6 && c === size - 7) || (r === size - 7 && c === 6)) return false;
+    return Math.abs(row - r) <= 2 && Math.abs(col - c) <= 2;
+  }));
+}
+
+/**
+ * Both copies of the format information, as the 15 bits were written
+ */
+function readFormat(modules) {
+  const size = modules.length;
+  const bit = (row, col) => (modules[row][col] ? 1 : 0);
+  let first = 0;
+  let second = 0;
+  // Bit 14 first: along the row under the top-left finder, then up the column beside it
+  [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]]
+    .forEach(([row, col]) => { first = (first << 1) | bit(row, col); });
+  // Up from the bottom-left finder, then along the row under the top-right one
+  for (let i = 0; i < 7; i++) second = (second << 1) | bit(size - 1 - i, 8);
+  for (let i = 0; i < 8; i++) second = (second << 1) | bit(8, size - 8 + i);
+  return [first, second];
+}
+
+/**
+ * Decode a level M byte mode QR code
+ * @param {boolean[][]} modules - modules[row][col], true is dark
+ * @returns {object} - { version, mask, text }
+ */
+function readQrCode(modules) {
+  const size = modules.length;
+  const version = (size - 17) / 4;
+  if (!BLOCKS[version]) throw new Error(`Unsupported size ${size}`);
+
+  const [format, copy] = readFormat(modules);
+  if (format !== copy) throw new Error('The two copies of the format information differ');
+  const info = (format ^ 0x5412) >>> 10;
+  if (info >>> 3 !== 0) throw new Error('Not error correction level M');
+  const mask = info & 7;
+
+  // Two columns at a time from the right, zigzagging up and down
+  const bits = [];
+  for (let right = size - 1, upward = true; right > 0; right -= 2, upward = !upward) {
+    if (right === 6) right--;
+    for (let n = 0; n < size; n++) {
+      const row = upward ? size - 1 - n : n;
+      for (const col of [right, right - 1]) {
+        if (isFunctionModule(version, size, row, col)) continue;
+        bits.push(modules[row][col] !== MASKS[mask](row, col) ? 1 : 0);
+      }
+    }
+  }
+  const codewords = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0));
+
+  // Undo the interleaving
+  const [ecLength, ...groups] = BLOCKS[version];
+  const blocks = [];
+  groups.forEach(([count, length]) => { for (let i = 0; i < count; i++) blocks.push({ data: [], ec: [], length }); });
+  let next = 0;
+  for (let i = 0; i < Math.max(...blocks.map(b => b.length)); i++) {
+    blocks.forEach(b => { if (i < b.length) b.data.push(codewords[next++]); });
+  }
+  for (let i = 0; i < ecLength; i++) blocks.forEach(b => b.ec.push(codewords[next++]));
+
+  blocks.forEach((b, index) => {
+    const all = b.data.concat(b.ec);
+    for (let power = 0; power < ecLength; power++) {
+      if (evaluate(all, power) !== 0) throw new Error(`Block ${index} fails its error correction check`);
+    }
+  });
+
+  // Byte mode segment
+  const data = [].concat(...blocks.map(b => b.data));
+  let offset = 0;
+  const read = length => {
+    let value = 0;
+    for (let i = 0; i < length; i++, offset++) value = (value << 1) | ((data[offset >>> 3] >>> (7 - (offset & 7))) & 1);
+    return value;
+  };
+  if (read(4) !== 0b0100) throw new Error('Not byte mode');
+  const count = read(version < 10 ? 8 : 16);
+  const bytes = [];
+  for (let i = 0; i < count; i++) bytes.push(read(8));
+  return { version, mask, text: Buffer.from(bytes).toString('utf8') };
+}
+
+module.exports = { readQrCode };
@@ -0,0 +1,97 @@
+/**
+ * holiday-import.test.js
+ *
+ * Importing an .ics file reads the calendar once, creates the new entries
+ * together, skips every date already on the calendar (active or taken
+ * off) and re-flags the day records of the new dates in one pass.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAttendanceService, TABLES } = require('../clock-in-core');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+function ics(events) {
+  return [
+    'BEGIN:VCALENDAR',
+    ...events.flatMap(([date, name]) => ['BEGIN:VEVENT', `DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`, `SUMMARY:${name}`, 'END:VEVENT']),
+    'END:VCALENDAR'
+  ].join('\r\n');
+}
+
+function setup() {
+  const store = createMemoryStore({
+    [TABLES.EMPLOYEES]: [{ EmployeeId: 'EMP-001', CoreWorkingHours: '8:00 AM - 5:00 PM', BaseSalary: 20000, RateType: 'Hourly' }],
+    [TABLES.HOLIDAYS]: [
+      { Date: '2025-01-01', Name: 'New Year\'s Day', Type: 'Regular Holiday', Active: true },
+      { Date: '2025-02-25', Name: 'EDSA Anniversary', Type: 'Special Non-Working Day', Active: false }
+    ],
+    [TABLES.ATTENDANCES]: [
+      { EmployeeId: 'EMP-001', Date: '2025-04-09', TimeInAM: '08:00 AM', TimeOutAM: '12:00 PM', TimeInPM: '01:00 PM', TimeOutPM: '05:00 PM' },
+      { EmployeeId: 'EMP-001', Date: '2025-04-10', TimeInAM: '08:00 AM', TimeOutAM: '12:00 PM' },
+      { EmployeeId: 'EMP-001', Date: '2025-02-25', TimeInAM: '08:00 AM', TimeOutAM: '12:00 PM' }
+    ]
+  });
+  const calls = [];
+  ['list', 'create', 'createMany'].forEach(method => {
+    const original = store[method];
+    store[method] = (table, ...args) => {
+      calls.push(`${method} ${table}`);
+      return original.call(store, table, ...args);
+    };
+  });
+  return { store, calls, service: createAttendanceService(store, { timeZone: 'Asia/Manila' }) };
+}
+
+test('an import skips active and removed dates and re-flags the new dates once', async () => {
+  const { store, calls, service } = setup();
+  const result = await service.importHolidays({
+    ics: ics([
+      ['2025-01-01', 'New Year'],
+      ['2025-02-25', 'EDSA People Power Revolution Anniversary'],
+      ['2025-04-09', 'Araw ng Kagitingan'],
+      ['2025-04-09', 'Day of Valor'],
+      ['2025-12-25', 'Christmas Day']
+    ])
+  });
+
+  assert.deepEqual(result.imported.map(h => [h.date, h.name, h.type]), [
+    ['2025-04-09', 'Araw ng Kagitingan', 'Regular Holiday'],
+    ['2025-12-25', 'Christmas Day', 'Regular Holiday']
+  ]);
+  assert.deepEqual(result.skipped.map(s => [s.date, s.reason]), [
+    ['2025-01-01', 'Already on the calendar as New Year\'s Day'],
+    ['2025-02-25', 'EDSA Anniversary was taken off the calendar'],
+    ['2025-04-09', 'Already on the calendar as Araw ng Kagitingan']
+  ]);
+  assert.equal(result.recordsUpdated, 1);
+
+  const holidayWrites = calls.filter(c => c.endsWith(TABLES.HOLIDAYS));
+  assert.deepEqual(holidayWrites, [`list ${TABLES.HOLIDAYS}`, `createMany ${TABLES.HOLIDAYS}`]);
+  assert.equal(calls.filter(c => c === `list ${TABLES.ATTENDANCES}`).length, 1);
+  assert.equal(store.tables[TABLES.HOLIDAYS].length, 4);
+
+  const byDate = Object.fromEntries(store.tables[TABLES.ATTENDANCES].map(r => [r.fields.Date, r.fields]));
+  assert.equal(byDate['2025-04-09'].Holiday, 'Araw ng Kagitingan');
+  assert.equal(byDate['2025-04-09'].HolidayType, 'Regular Holiday');
+  assert.equal(byDate['2025-04-10'].Holiday, undefined);
+  assert.equal(byDate['2025-02-25'].Holiday, undefined, 'a removed holiday stays off');
+});
+
+test('an import with nothing new writes nothing', async () => {
+  const { calls, service } = setup();
+  const result = await service.importHolidays({ ics: ics([['2025-01-01', 'New Year']]) });
+  assert.deepEqual(result, {
+    imported: [],
+    skipped: [{ date: '2025-01-01', name: 'New Year', reason: 'Already on the calendar as New Year\'s Day' }],
+    recordsUpdated: 0
+  });
+  assert.deepEqual(calls, [`list ${TABLES.HOLIDAYS}`]);
+});
+
+test('an import with an unknown type is refused before anything is written', async () => {
+  const { calls, service } = setup();
+  await assert.rejects(service.importHolidays({ ics: ics([['2025-12-25', 'Christmas Day']]), type: 'Bank Holiday' }), { status: 400 });
+  assert.deepEqual(calls, []);
+});
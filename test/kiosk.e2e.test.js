@@ -0,0 +1,257 @@
+/**
+ * kiosk.e2e.test.js
+ *
+ * End-to-end scenarios for index.html + clock-in.js: the page runs in
+ * jsdom against dev/server.js --mock (the /api functions on top of
+ * dev/mock-airtable.js with dev/fixtures/base.json), so nothing leaves
+ * this machine.
+ *
+ * Covered: the four clock buttons, the duplicate punch warning, the
+ * attendance search modal and PIN punches while offline.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { indexedDB, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start dev/server.js --mock on free ports
+ * @returns {object} - { baseUrl, stop }
+ */
+async function startDevServer() {
+  const [port, mockPort] = [await freePort(), await freePort()];
+  const env = { ...process.env, PORT: String(port), MOCK_AIRTABLE_PORT: String(mockPort) };
+  ['STORAGE_BACKEND', 'KIOSK_ENROLLMENT', 'GEOFENCE_POLICY', 'AIRTABLE_API_KEY', 'AIRTABLE_API_URL', 'ADMIN_API_TOKEN', 'ADMIN_API_TOKENS'].forEach(name => delete env[name]);
+
+  const child = spawn(process.execPath, [path.join(ROOT, 'dev/server.js'), '--mock'], { cwd: ROOT, env, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Dev server did not start:\n${output}`)), 10000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('[Dev] Kiosk on')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Dev server exited (${code}):\n${output}`));
+    });
+  });
+
+  return {
+    baseUrl: `http://localhost:${port}`,
+    stop: () => new Promise(resolve => {
+      child.removeAllListeners('exit');
+      child.once('exit', resolve);
+      child.kill();
+    })
+  };
+}
+
+async function waitFor(check, what, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+/**
+ * Open the kiosk page and wait until it has loaded today's attendance
+ * Browser APIs jsdom lacks come from Node: fetch (relative URLs resolved
+ * against the page), AbortController and IndexedDB for the offline queue.
+ */
+async function openKiosk(baseUrl, errors) {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => errors.push(error));
+
+  const dom = await JSDOM.fromURL(`${baseUrl}/`, {
+    runScripts: 'dangerously',
+    resources: 'usable',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      window.fetch = (input, init) => fetch(new URL(String(input), window.location.href), init);
+      window.AbortController = AbortController;
+      window.indexedDB = indexedDB;
+      window.IDBKeyRange = IDBKeyRange;
+    }
+  });
+
+  const { document } = dom.window;
+  await waitFor(() => {
+    const body = document.getElementById('todayAttendanceBody');
+    return body && !body.textContent.includes('Loading attendance records');
+  }, 'today\'s attendance to load', 10000);
+  return dom;
+}
+
+function isShown(element) {
+  return element.style.display === 'flex' || element.classList.contains('active');
+}
+
+// Type an ID into the clock modal and press Enter, as the barcode scanner does
+function scanCard(window, employeeId) {
+  const input = window.document.getElementById('clockInEmployeeSearch');
+  input.value = employeeId;
+  input.dispatchEvent(new window.InputEvent('input', { bubbles: true, data: employeeId }));
+  input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+}
+
+async function punch(window, buttonId, employeeId) {
+  const { document } = window;
+  document.getElementById(buttonId).click();
+  await waitFor(() => isShown(document.getElementById('clockInModal')), 'the clock modal');
+  scanCard(window, employeeId);
+}
+
+async function getTodayRecord(baseUrl, date, employeeId) {
+  const { records } = await (await fetch(`${baseUrl}/api/attendance/today?date=${date}`)).json();
+  return records.find(r => r.fields.EmployeeId === employeeId) || null;
+}
+
+test('kiosk end to end', async t => {
+  const server = await startDevServer();
+  const errors = [];
+  // dev/server.js has no admin token configured, so the admin routes are open
+  const pinSet = await fetch(`${server.baseUrl}/api/pin`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ employeeId: 'EMP-003', pin: '2468' })
+  });
+  assert.equal(pinSet.status, 200);
+  let dom = null;
+  t.after(async () => {
+    if (dom) dom.window.close();
+    await server.stop();
+  });
+
+  dom = await openKiosk(server.baseUrl, errors);
+  const { window } = dom;
+  const { document } = window;
+  const today = window.ClockInAPI.today();
+
+  await t.test('the four clock buttons record a full day', async () => {
+    const buttons = [
+      ['btnMorningIn', 'Morning Time In', 'TimeInAM'],
+      ['btnMorningOut', 'Morning Time Out', 'TimeOutAM'],
+      ['btnAfternoonIn', 'Afternoon Time In', 'TimeInPM'],
+      ['btnAfternoonOut', 'Afternoon Time Out', 'TimeOutPM']
+    ];
+
+    for (const [buttonId, label] of buttons) {
+      await punch(window, buttonId, 'EMP-001');
+      const success = await waitFor(() => isShown(document.getElementById('successModal')) && document.getElementById('successModal'), `${label} to be saved`);
+      assert.equal(document.getElementById('successEmployeeName').textContent, 'Maria Santos');
+      assert.equal(document.getElementById('successActionType').textContent, label);
+      assert.match(document.getElementById('successRecordedTime').textContent, /^\d{2}:\d{2} [AP]M$/);
+      await waitFor(() => document.getElementById('clockInModal').style.display === 'none', 'the clock modal to close');
+      document.getElementById('btnCloseSuccess').click();
+      assert.equal(success.style.display, 'none');
+    }
+
+    const record = await getTodayRecord(server.baseUrl, today, 'EMP-001');
+    assert.ok(record, 'a day record for EMP-001');
+    for (const [, , slot] of buttons) {
+      assert.match(record.fields[slot] || '', /^\d{2}:\d{2} [AP]M$/, slot);
+    }
+    assert.equal(record.fields.PunchLog.split(', ').length, 4);
+
+    const row = await waitFor(() => [...document.querySelectorAll('#todayAttendanceBody tr')].find(tr => tr.textContent.includes('Maria Santos')), 'the today table row');
+    for (const [, , slot] of buttons) {
+      assert.ok(row.textContent.includes(record.fields[slot]), `${slot} shown in the today table`);
+    }
+  });
+
+  await t.test('a second time in shows the duplicate punch warning', async () => {
+    await punch(window, 'btnMorningIn', 'EMP-002');
+    await waitFor(() => isShown(document.getElementById('successModal')), 'the first punch to be saved');
+    await waitFor(() => document.getElementById('clockInModal').style.display === 'none', 'the clock modal to close');
+    document.getElementById('btnCloseSuccess').click();
+    const first = await getTodayRecord(server.baseUrl, today, 'EMP-002');
+
+    await punch(window, 'btnMorningIn', 'EMP-002');
+    const warning = await waitFor(() => isShown(document.getElementById('duplicateWarningModal')) && document.getElementById('duplicateWarningModal'), 'the duplicate warning');
+    assert.equal(document.getElementById('duplicateEmployeeName').textContent, 'Jose Reyes Jr.');
+    assert.equal(document.getElementById('duplicateActionType').textContent, 'Morning Time In');
+    assert.equal(document.getElementById('duplicateRecordedTime').textContent, first.fields.TimeInAM);
+    assert.equal(document.getElementById('duplicateRecordId').textContent, first.id);
+    assert.notEqual(document.getElementById('successModal').style.display, 'flex');
+
+    const after = await getTodayRecord(server.baseUrl, today, 'EMP-002');
+    assert.equal(after.fields.PunchLog, first.fields.PunchLog, 'nothing was added');
+
+    document.getElementById('btnCloseDuplicateWarning').click();
+    assert.equal(warning.style.display, 'none');
+  });
+
+  await t.test('the search modal lists the employee\'s records', async () => {
+    const input = document.getElementById('mobileSearchInput');
+    input.value = 'Maria';
+    input.dispatchEvent(new window.InputEvent('input', { bubbles: true, data: 'Maria' }));
+    document.getElementById('btnMobileSearch').click();
+
+    const modal = await waitFor(() => isShown(document.getElementById('searchResultsModal')) && document.getElementById('searchResultsModal'), 'the search modal');
+    assert.match(document.getElementById('modalEmployeeInfo').textContent, /Maria Santos/);
+    assert.match(document.getElementById('modalEmployeeInfo').textContent, /EMP-001/);
+
+    const record = await getTodayRecord(server.baseUrl, today, 'EMP-001');
+    const row = await waitFor(() => [...document.querySelectorAll('#modalAttendanceBody tr')].find(tr => tr.textContent.includes(record.fields.TimeInAM)), 'today\'s record in the search results');
+    assert.ok(row.textContent.includes(record.fields.TimeOutPM));
+
+    document.getElementById('closeSearchResultsModal').click();
+    assert.equal(isShown(modal), false);
+  });
+
+  await t.test('an unknown card is reported, not punched', async () => {
+    await punch(window, 'btnMorningIn', 'EMP-999');
+    await waitFor(() => /Employee not found: EMP-999/.test(document.getElementById('clockNotification').textContent), 'the not found notification');
+    assert.equal(await getTodayRecord(server.baseUrl, today, 'EMP-999'), null);
+    document.getElementById('closeClockModal').click();
+  });
+
+  await t.test('a PIN punch is refused offline and never queued', async () => {
+    Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => false });
+    try {
+      await punch(window, 'btnMorningIn', 'EMP-003');
+      await waitFor(() => document.getElementById('pinConfirm').style.display === 'block', 'the PIN prompt');
+      document.getElementById('clockInPin').value = '2468';
+      document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+
+      await waitFor(() => /can only be saved online/.test(document.getElementById('clockNotification').textContent), 'the offline PIN notification');
+      assert.notEqual(document.getElementById('successModal').style.display, 'flex');
+      const queued = await window.ClockInQueue.getAll();
+      assert.deepEqual(queued.filter(e => e.employeeId === 'EMP-003'), []);
+      assert.ok(queued.every(e => !('pin' in e)), 'no PIN stored on the device');
+    } finally {
+      delete window.navigator.onLine;
+      document.getElementById('closeClockModal').click();
+    }
+    assert.equal(await getTodayRecord(server.baseUrl, today, 'EMP-003'), null);
+  });
+
+  assert.deepEqual(errors.map(e => e.message), [], 'no page errors');
+});
@@ -0,0 +1,65 @@
+/**
+ * night-shift.test.js
+ *
+ * A shift worked in one unbroken segment fills only one half of the four
+ * slots; when it covers the scheduled shift it is still a full day.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AttendanceRules = require('../attendance-rules');
+
+const NIGHT_FIXED = { rateType: 'Fixed', standardWorkweekHours: 56, baseSalary: 30000, coreWorkingHours: '10:00 PM - 6:00 AM' };
+const NIGHT_TIME_BASED = { ...NIGHT_FIXED, rateType: 'Time-based' };
+
+function night(timeIn, timeOut, extra = {}) {
+  return { Date: '2025-01-06', TimeInPM: timeIn, TimeOutPM: timeOut, ...extra };
+}
+
+test('10 PM - 6 AM +1 in the PM slots is a full day', () => {
+  const cases = [
+    ['fixed rate', NIGHT_FIXED, night('10:00 PM', '06:00 AM'), { status: 'Present', totalHours: 8, regularPay: 1000, overtimeHours: 0 }],
+    ['time-based', NIGHT_TIME_BASED, night('10:00 PM', '06:00 AM'), { status: 'Present', totalHours: 8, regularPay: 1000, overtimeHours: 0 }],
+    ['with its PunchLog', NIGHT_FIXED, night('10:00 PM', '06:00 AM', { PunchLog: '10:00 PM In, 06:00 AM +1 Out' }), { status: 'Present', totalHours: 8, regularPay: 1000, overtimeHours: 0 }],
+    ['stayed two hours longer', NIGHT_TIME_BASED, night('10:00 PM', '08:00 AM'), { status: 'Overtime', totalHours: 10, regularPay: 1000, overtimeHours: 2 }],
+    ['came in early', NIGHT_FIXED, night('09:30 PM', '06:00 AM'), { status: 'Overtime', totalHours: 8.5, regularPay: 1000, overtimeHours: 0 }],
+    ['left at 2 AM', NIGHT_FIXED, night('10:00 PM', '02:00 AM'), { status: 'Half Day', totalHours: 4, regularPay: 500, overtimeHours: 0 }],
+    ['left at 5:30 AM', NIGHT_FIXED, night('10:00 PM', '05:30 AM'), { status: 'Half Day', totalHours: 7.5, regularPay: 500, overtimeHours: 0 }]
+  ];
+  for (const [name, employee, record, expected] of cases) {
+    const day = AttendanceRules.evaluateDay(record, employee);
+    assert.deepEqual(
+      { status: day.status, totalHours: day.totalHours, regularPay: day.regularPay, overtimeHours: day.overtimeHours },
+      expected,
+      name
+    );
+  }
+});
+
+test('a day shift worked straight through is a full day too', () => {
+  const employee = { rateType: 'Fixed', standardWorkweekHours: 56, baseSalary: 18000, coreWorkingHours: '8:00 AM - 5:00 PM' };
+  const straight = AttendanceRules.evaluateDay({ Date: '2025-01-06', TimeInAM: '08:00 AM', TimeOutAM: '05:00 PM' }, employee);
+  assert.equal(straight.fullDay, true);
+  assert.equal(straight.regularPay, 600);
+
+  const morning = AttendanceRules.evaluateDay({ Date: '2025-01-06', TimeInAM: '08:00 AM', TimeOutAM: '12:00 PM' }, employee);
+  assert.equal(morning.fullDay, false);
+  assert.equal(morning.status, 'Half Day');
+  assert.equal(morning.regularPay, 300);
+});
+
+test('without a schedule one segment stays a half day', () => {
+  const employee = { ...NIGHT_FIXED, coreWorkingHours: '' };
+  const day = AttendanceRules.evaluateDay(night('10:00 PM', '06:00 AM'), employee);
+  assert.equal(day.status, 'Half Day');
+  assert.equal(day.regularPay, 500);
+});
+
+test('a night shift in progress', () => {
+  const working = AttendanceRules.getDayStatus(night('10:00 PM', null), NIGHT_FIXED, { inProgress: true });
+  assert.equal(working, 'Working');
+
+  const done = AttendanceRules.getDayStatus(night('10:00 PM', '06:00 AM'), NIGHT_FIXED, { inProgress: true });
+  assert.equal(done, 'Present');
+});
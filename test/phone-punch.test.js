@@ -0,0 +1,97 @@
+/**
+ * phone-punch.test.js
+ *
+ * Kiosk codes are only given to approved kiosks, phone punching is off
+ * unless enrollment is required and geofences are set, a code is only
+ * good while it is on screen (plus a few seconds), and the phone itself
+ * has to be on a work site.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAttendanceService, TABLES, KIOSK_CODE_GRACE_SECONDS } = require('../clock-in-core');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+const SITE = { name: 'Main office', lat: 14.5995, lng: 120.9842, radius: 200 };
+const ON_SITE = { latitude: 14.5996, longitude: 120.9843, accuracy: 20 };
+const AWAY = { latitude: 14.6760, longitude: 121.0437, accuracy: 20 };
+// 08:00:00 in Manila, where a code's 30 s step starts
+const STEP_START = Date.parse('2024-01-15T00:00:00Z');
+
+function setup(options = {}) {
+  const store = createMemoryStore({
+    [TABLES.EMPLOYEES]: [{ EmployeeId: 'EMP-001', FirstName: 'Maria', CoreWorkingHours: '8:00 AM - 5:00 PM' }]
+  });
+  const service = createAttendanceService(store, {
+    timeZone: 'Asia/Manila',
+    signingSecret: 'test-secret',
+    deviceEnrollment: 'required',
+    geofences: [SITE],
+    ...options
+  });
+  return { store, service };
+}
+
+async function approvedKiosk(service) {
+  const { device } = await service.requestDeviceEnrollment({ name: 'Front desk' });
+  return service.updateDevice(device.deviceId, { status: 'Approved', reviewedBy: 'Ops Lead' });
+}
+
+async function signedIn(service) {
+  await service.setEmployeePin('EMP-001', '1357');
+  return (await service.signInPhone({ employeeId: 'EMP-001', pin: '1357' })).token;
+}
+
+test('phone punching is off without enrollment required or geofences', async () => {
+  for (const options of [{ deviceEnrollment: 'off' }, { geofences: [] }, { signingSecret: '' }]) {
+    const { service } = setup(options);
+    const kiosk = { deviceId: 'KSK-000001' };
+    await assert.rejects(service.getKioskCode(kiosk), { status: 503, code: 'PHONE_PUNCH_DISABLED' });
+    await assert.rejects(service.signInPhone({ employeeId: 'EMP-001', pin: '1357' }), { code: 'PHONE_PUNCH_DISABLED' });
+    await assert.rejects(service.recordPhonePunch({ session: 'x', code: 'y', location: ON_SITE }), { code: 'PHONE_PUNCH_DISABLED' });
+  }
+});
+
+test('only an approved kiosk gets a code', async () => {
+  const { service } = setup();
+  await assert.rejects(service.getKioskCode(null), { status: 401, code: 'DEVICE_NOT_ENROLLED' });
+
+  const kiosk = await approvedKiosk(service);
+  const { code } = await service.getKioskCode(kiosk);
+  assert.ok(code.startsWith(`${kiosk.deviceId}.`));
+
+  const session = await signedIn(service);
+  await service.updateDevice(kiosk.deviceId, { status: 'Revoked', reviewedBy: 'Ops Lead' });
+  await assert.rejects(service.recordPhonePunch({ session, code, location: ON_SITE }), { status: 403, code: 'DEVICE_REVOKED' });
+});
+
+test('a phone punch needs the phone on a work site', async () => {
+  const { store, service } = setup({ geofencePolicy: 'off' });
+  const kiosk = await approvedKiosk(service);
+  const session = await signedIn(service);
+  const { code } = await service.getKioskCode(kiosk);
+
+  await assert.rejects(service.recordPhonePunch({ session, code }), { status: 403, code: 'LOCATION_REQUIRED' });
+  await assert.rejects(service.recordPhonePunch({ session, code, location: AWAY }), { status: 403, code: 'OFF_SITE' });
+
+  const result = await service.recordPhonePunch({ session, code, location: ON_SITE });
+  assert.equal(result.actionType, 'TimeInAM');
+  const [row] = store.tables[TABLES.PUNCHES];
+  assert.equal(row.fields.DeviceId, kiosk.deviceId);
+  assert.equal(row.fields.Site, SITE.name);
+});
+
+test('the code a kiosk replaced is only good for a few seconds', async t => {
+  const { service } = setup();
+  const kiosk = await approvedKiosk(service);
+  const session = await signedIn(service);
+  const { code: previous } = await service.getKioskCode(kiosk, new Date(STEP_START - 1000));
+
+  t.mock.timers.enable({ apis: ['Date'], now: STEP_START + (KIOSK_CODE_GRACE_SECONDS + 1) * 1000 });
+  await assert.rejects(service.recordPhonePunch({ session, code: previous, location: ON_SITE }), { status: 403, code: 'KIOSK_CODE_EXPIRED' });
+
+  t.mock.timers.setTime(STEP_START + (KIOSK_CODE_GRACE_SECONDS - 1) * 1000);
+  const result = await service.recordPhonePunch({ session, code: previous, location: ON_SITE });
+  assert.equal(result.actionType, 'TimeInAM');
+});
@@ -0,0 +1,156 @@
+/**
+ * pin-lockout.test.js
+ *
+ * Kiosk PINs are stored hashed, punches of an employee with a PIN need
+ * it, and MAX_PIN_ATTEMPTS wrong ones in a row lock punching until the
+ * lockout runs out or an admin lifts it. Each lockout lasts twice as long
+ * as the one before, and after MAX_PIN_LOCKOUTS only an admin can lift
+ * it, so the phone sign-in cannot be used to work through every 4-digit
+ * PIN.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createAttendanceService,
+  TABLES,
+  MAX_PIN_ATTEMPTS,
+  PIN_LOCKOUT_MINUTES,
+  MAX_PIN_LOCKOUTS
+} = require('../clock-in-core');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+const START = Date.parse('2025-03-03T00:00:00Z');
+
+async function setup(store = createStore()) {
+  const service = createAttendanceService(store, { timeZone: 'Asia/Manila' });
+  await service.setEmployeePin('EMP-001', '1357');
+  return service;
+}
+
+function createStore() {
+  return createMemoryStore({
+    [TABLES.EMPLOYEES]: [{ EmployeeId: 'EMP-001', FirstName: 'Maria', CoreWorkingHours: '8:00 AM - 5:00 PM' }]
+  });
+}
+
+// Wrong PINs until the lockout; resolves with the error that locked it
+async function lockOut(service) {
+  for (let i = 1; i < MAX_PIN_ATTEMPTS; i++) {
+    await assert.rejects(service.verifyEmployeePin('EMP-001', '0000'), { status: 401, code: 'PIN_INCORRECT' });
+  }
+  return service.verifyEmployeePin('EMP-001', '0000').then(
+    () => assert.fail('expected a lockout'),
+    err => err
+  );
+}
+
+test('a PIN is 4 to 8 digits and only its hash is stored', async () => {
+  const store = createStore();
+  const service = await setup(store);
+  const [employee] = store.tables[TABLES.EMPLOYEES];
+  assert.match(employee.fields.PinHash, /^pbkdf2-sha256\$/);
+  assert.ok(!employee.fields.PinHash.includes('1357'));
+
+  for (const pin of ['123', '123456789', '12a4']) {
+    await assert.rejects(service.setEmployeePin('EMP-001', pin), { status: 400 }, pin);
+  }
+  assert.equal((await service.getPinStatus('EMP-001')).pinRequired, true);
+});
+
+test('a punch needs the PIN, and wrong ones count down to a lockout', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const service = await setup();
+
+  await assert.rejects(service.recordPunch({ employeeId: 'EMP-001', actionType: 'TimeInAM' }), { status: 401, code: 'PIN_REQUIRED' });
+  await assert.rejects(service.recordPunch({ employeeId: 'EMP-001', actionType: 'TimeInAM', pin: '0000' }), {
+    code: 'PIN_INCORRECT',
+    message: `Wrong PIN. ${MAX_PIN_ATTEMPTS - 1} attempts left.`
+  });
+  await service.recordPunch({ employeeId: 'EMP-001', actionType: 'TimeInAM', pin: '1357' });
+  assert.equal((await service.getPinStatus('EMP-001')).failedAttempts, 0, 'the right PIN clears the count');
+
+  const err = await lockOut(service);
+  assert.equal(err.status, 423);
+  const status = await service.getPinStatus('EMP-001');
+  assert.equal(status.failedAttempts, MAX_PIN_ATTEMPTS);
+  assert.equal(Date.parse(status.lockedUntil), START + PIN_LOCKOUT_MINUTES * 60000);
+  await assert.rejects(service.recordPunch({ employeeId: 'EMP-001', actionType: 'TimeOutAM', pin: '1357' }), { code: 'PIN_LOCKED' });
+});
+
+test('an admin unlock or a new PIN lifts a lockout', async () => {
+  const service = await setup();
+
+  await lockOut(service);
+  const unlocked = await service.unlockEmployeePin('EMP-001');
+  assert.deepEqual([unlocked.failedAttempts, unlocked.lockedUntil], [0, null]);
+  await service.verifyEmployeePin('EMP-001', '1357');
+
+  await lockOut(service);
+  await service.setEmployeePin('EMP-001', '2468');
+  await service.verifyEmployeePin('EMP-001', '2468');
+  await assert.rejects(service.verifyEmployeePin('EMP-001', '1357'), { code: 'PIN_INCORRECT' });
+});
+
+test('without a PIN no PIN is asked for', async () => {
+  const service = await setup();
+  await service.setEmployeePin('EMP-001', null);
+
+  assert.equal((await service.getPinStatus('EMP-001')).pinRequired, false);
+  await service.verifyEmployeePin('EMP-001', undefined);
+});
+
+test('each lockout lasts twice as long as the one before', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const service = await setup();
+
+  let now = START;
+  for (let lockout = 1; lockout < MAX_PIN_LOCKOUTS; lockout++) {
+    const minutes = PIN_LOCKOUT_MINUTES * 2 ** (lockout - 1);
+    const err = await lockOut(service);
+    assert.equal(err.code, 'PIN_LOCKED');
+    assert.match(err.message, new RegExp(`locked for ${minutes} minutes`));
+
+    const status = await service.getPinStatus('EMP-001', new Date(now));
+    assert.equal(status.lockouts, lockout);
+    assert.equal(Date.parse(status.lockedUntil), now + minutes * 60000);
+
+    // Even the right PIN waits for the lockout to run out
+    t.mock.timers.setTime(now + minutes * 60000 - 1000);
+    await assert.rejects(service.verifyEmployeePin('EMP-001', '1357'), { status: 423 });
+    now += minutes * 60000;
+    t.mock.timers.setTime(now);
+  }
+});
+
+test('the last lockout waits for an admin', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const service = await setup();
+
+  for (let lockout = 1; lockout <= MAX_PIN_LOCKOUTS; lockout++) {
+    await lockOut(service);
+    t.mock.timers.tick(24 * 60 * 60000);
+  }
+
+  await assert.rejects(service.verifyEmployeePin('EMP-001', '1357'), { status: 423, code: 'PIN_LOCKED' });
+  const status = await service.getPinStatus('EMP-001');
+  assert.equal(status.adminUnlockRequired, true);
+  assert.equal(status.lockedUntil, null);
+
+  await service.unlockEmployeePin('EMP-001');
+  await service.verifyEmployeePin('EMP-001', '1357');
+});
+
+test('the right PIN clears the lockouts before it', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const service = await setup();
+
+  await lockOut(service);
+  t.mock.timers.tick(PIN_LOCKOUT_MINUTES * 60000);
+  await service.verifyEmployeePin('EMP-001', '1357');
+  assert.equal((await service.getPinStatus('EMP-001')).lockouts, 0);
+
+  const err = await lockOut(service);
+  assert.match(err.message, new RegExp(`locked for ${PIN_LOCKOUT_MINUTES} minutes`));
+});
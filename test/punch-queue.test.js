@@ -0,0 +1,153 @@
+/**
+ * punch-queue.test.js
+ *
+ * The kiosk's offline queue (clock-in-queue.js) replays punches in the
+ * order they were captured, does not send one twice when an earlier
+ * attempt got through, stops at a network failure and keeps a refused
+ * double punch as a conflict. The queue runs in a vm context on
+ * fake-indexeddb, against a fake ClockInAPI.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { IDBFactory } = require('fake-indexeddb');
+
+const AttendanceRules = require('../attendance-rules');
+
+const QUEUE_SOURCE = fs.readFileSync(path.resolve(__dirname, '../clock-in-queue.js'), 'utf8');
+const DATE = '2025-03-03';
+
+/**
+ * A backend holding day records as { id, fields } with the four slots
+ * Calls are logged as [method, actionType, timeValue]; fail(method) makes
+ * the next call of it throw instead.
+ */
+function createFakeApi(records = []) {
+  const calls = [];
+  const failures = {};
+  const next = (method, actionType, timeValue) => {
+    calls.push([method, actionType, timeValue]);
+    if (failures[method]) {
+      const error = failures[method];
+      delete failures[method];
+      throw error;
+    }
+  };
+  return {
+    calls,
+    records,
+    fail(method, error) { failures[method] = error; },
+    async findTodayRecord(employeeId, date) {
+      return records.find(r => r.fields.EmployeeId === employeeId && r.fields.Date === date) || null;
+    },
+    async createAttendanceRecord(employeeId, date, actionType, timeValue) {
+      next('create', actionType, timeValue);
+      records.push({ id: `rec${records.length + 1}`, fields: { EmployeeId: employeeId, Date: date, [actionType]: timeValue } });
+    },
+    async updateAttendanceRecord(id, actionType, timeValue) {
+      next('update', actionType, timeValue);
+      records.find(r => r.id === id).fields[actionType] = timeValue;
+    }
+  };
+}
+
+// Objects made inside the vm context have its prototypes; compare copies
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// A fresh queue (and database) per test
+function loadQueue(api) {
+  const silent = { log() {}, warn() {}, error() {} };
+  const window = { AttendanceRules, ClockInAPI: api, addEventListener() {} };
+  vm.runInNewContext(QUEUE_SOURCE, { window, indexedDB: new IDBFactory(), console: silent, setInterval, navigator: {} });
+  return window.ClockInQueue;
+}
+
+function punch(actionType, timeValue, employeeId = 'EMP-001') {
+  return { employeeId, date: DATE, actionType, timeValue, deviceTimestamp: '2025-03-03T00:00:00.000Z', clockOffsetMs: 0 };
+}
+
+test('queued punches are replayed in capture order and leave the queue', async () => {
+  const api = createFakeApi();
+  const queue = loadQueue(api);
+  await queue.enqueue(punch('TimeInAM', '08:00 AM'));
+  await queue.enqueue(punch('TimeOutAM', '12:00 PM'));
+
+  const result = await queue.sync();
+  assert.equal(result.synced, 2);
+  assert.deepEqual(api.calls, [['create', 'TimeInAM', '08:00 AM'], ['update', 'TimeOutAM', '12:00 PM']]);
+  assert.deepEqual(await queue.getAll(), []);
+});
+
+test('a punch that already reached the server is not sent again', async () => {
+  const api = createFakeApi([{ id: 'rec1', fields: { EmployeeId: 'EMP-001', Date: DATE, TimeInAM: '08:00 AM', PunchLog: '08:00 AM In' } }]);
+  const queue = loadQueue(api);
+  await queue.enqueue(punch('TimeInAM', '08:00 AM'));
+
+  const result = await queue.sync();
+  assert.equal(result.synced, 1);
+  assert.deepEqual(api.calls, []);
+  assert.deepEqual(plain(await queue.getCounts()), { pending: 0, conflicts: 0 });
+});
+
+test('a network failure stops the replay and keeps the order', async () => {
+  const api = createFakeApi();
+  const queue = loadQueue(api);
+  await queue.enqueue(punch('TimeInAM', '08:00 AM'));
+  await queue.enqueue(punch('TimeOutAM', '12:00 PM'));
+
+  api.fail('create', new TypeError('Failed to fetch'));
+  const failed = await queue.sync();
+  assert.equal(failed.synced, 0);
+  const entries = await queue.getAll();
+  assert.deepEqual(entries.map(e => [e.actionType, e.status, e.attempts]), [['TimeInAM', 'pending', 1], ['TimeOutAM', 'pending', 0]]);
+  assert.equal(entries[0].lastError, 'Failed to fetch');
+
+  const retried = await queue.sync();
+  assert.equal(retried.synced, 2);
+  assert.deepEqual(api.calls.slice(1), [['create', 'TimeInAM', '08:00 AM'], ['update', 'TimeOutAM', '12:00 PM']]);
+});
+
+test('a double punch the server refuses is kept as a conflict', async () => {
+  const api = createFakeApi([{ id: 'rec1', fields: { EmployeeId: 'EMP-001', Date: DATE, TimeInAM: '07:58 AM' } }]);
+  const queue = loadQueue(api);
+  await queue.enqueue(punch('TimeInAM', '08:00 AM'));
+  await queue.enqueue(punch('TimeInAM', '08:01 AM', 'EMP-002'));
+
+  const conflict = Object.assign(new Error('Already clocked in at 07:58 AM'), {
+    status: 409,
+    data: { record: { id: 'rec1' }, punch: { time: '07:58 AM' } }
+  });
+  api.fail('update', conflict);
+  const result = await queue.sync();
+
+  assert.equal(result.synced, 1, 'the next punch is still replayed');
+  assert.equal(result.conflicts.length, 1);
+  const [entry] = await queue.getAll();
+  assert.equal(entry.status, 'conflict');
+  assert.deepEqual(plain(entry.conflict), { recordId: 'rec1', recordedTime: '07:58 AM' });
+  assert.deepEqual(plain(await queue.getCounts()), { pending: 0, conflicts: 1 });
+
+  assert.equal((await queue.sync()).synced, 0, 'a conflict is not replayed again');
+  await queue.remove(entry.id);
+  assert.deepEqual(await queue.getAll(), []);
+});
+
+test('a second punch in the same direction is found in the queue', async () => {
+  const queue = loadQueue(createFakeApi());
+  const first = await queue.enqueue(punch('TimeInAM', '08:00 AM'));
+
+  assert.equal((await queue.findQueued('EMP-001', DATE, 'TimeInPM')).id, first.id);
+  assert.equal(await queue.findQueued('EMP-001', DATE, 'TimeOutAM'), null);
+  assert.equal(await queue.findQueued('EMP-002', DATE, 'TimeInAM'), null);
+});
+
+test('punches that need a PIN are never queued', async () => {
+  const queue = loadQueue(createFakeApi());
+  await assert.rejects(queue.enqueue({ ...punch('TimeInAM', '08:00 AM'), pin: '1357' }), /PIN/);
+  assert.deepEqual(await queue.getAll(), []);
+});
@@ -0,0 +1,125 @@
+/**
+ * punch-time.test.js
+ *
+ * Live punches are stamped by the server; replayed punches must match the
+ * device clock plus the kiosk's measured offset and arrive within minutes
+ * of capture, or the day is flagged.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAttendanceService, TABLES } = require('../clock-in-core');
+const { toDateKey, toTimeValue } = require('../date-utils');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+const timeZone = 'Asia/Manila';
+const MINUTE = 60000;
+
+function setup() {
+  const store = createMemoryStore({
+    [TABLES.EMPLOYEES]: [{ EmployeeId: 'EMP-001', FirstName: 'Maria', LastName: 'Santos', CoreWorkingHours: '8:00 AM - 5:00 PM' }]
+  });
+  return { store, service: createAttendanceService(store, { timeZone }) };
+}
+
+// A punch captured `agoMs` before now on a device whose clock runs `offsetMs` behind the server
+function replay(agoMs, offsetMs = 0) {
+  const capturedAt = new Date(Date.now() - agoMs);
+  return {
+    employeeId: 'EMP-001',
+    actionType: 'TimeInAM',
+    date: toDateKey(capturedAt, timeZone),
+    timeValue: toTimeValue(capturedAt, timeZone),
+    deviceTimestamp: new Date(capturedAt.getTime() - offsetMs).toISOString(),
+    clockOffsetMs: offsetMs
+  };
+}
+
+test('a live punch is stamped with the server clock', async () => {
+  const { service } = setup();
+  const before = toTimeValue(new Date(), timeZone);
+  // As the kiosk sends it: no time, no device clock
+  const { record, punch } = await service.recordPunch({
+    employeeId: 'EMP-001', actionType: 'TimeInAM', date: null, timeValue: null, deviceTimestamp: null, clockOffsetMs: null
+  });
+  const after = toTimeValue(new Date(), timeZone);
+  assert.ok([before, after].includes(punch.time));
+  assert.equal(record.fields.Date, toDateKey(new Date(), timeZone));
+  assert.equal(record.fields.ReviewFlag, undefined);
+});
+
+test('a time or date without a device timestamp is refused', async () => {
+  const { service } = setup();
+  const { deviceTimestamp, ...forged } = replay(3 * 60 * MINUTE);
+  await assert.rejects(service.recordPunch(forged), { status: 400 });
+  await assert.rejects(service.recordPunch({ employeeId: 'EMP-001', actionType: 'TimeInAM', date: forged.date }), { status: 400 });
+  await assert.rejects(service.recordPunch({ ...forged, deviceTimestamp: 'yesterday' }), { status: 400 });
+  await assert.rejects(service.recordPunch({ ...forged, deviceTimestamp, clockOffsetMs: '5' }), { status: 400 });
+});
+
+test('replays that match the device clock and arrive within minutes are accepted as they are', async () => {
+  const cases = [
+    ['a minute ago, clocks in sync', MINUTE, 0],
+    ['four minutes ago, device 7 minutes slow', 4 * MINUTE, 7 * MINUTE],
+    ['three minutes ago, device an hour fast', 3 * MINUTE, -60 * MINUTE]
+  ];
+  for (const [name, agoMs, offsetMs] of cases) {
+    const { service } = setup();
+    const punch = replay(agoMs, offsetMs);
+    const { record } = await service.recordPunch(punch);
+    assert.equal(record.fields.ReviewFlag, undefined, name);
+    assert.equal(record.fields.Date, punch.date, name);
+  }
+});
+
+test('a backdated replay is flagged even when its times agree', async () => {
+  const cases = [
+    ['an hour ago, clock offset 0', 60 * MINUTE, 0, 60],
+    ['two days ago, device 7 minutes slow', 2 * 24 * 60 * MINUTE, 7 * MINUTE, 2 * 24 * 60],
+    ['ten minutes ago', 10 * MINUTE, 0, 10]
+  ];
+  for (const [name, agoMs, offsetMs, minutes] of cases) {
+    const { service } = setup();
+    const punch = replay(agoMs, offsetMs);
+    const { record } = await service.recordPunch(punch);
+    assert.equal(record.fields.Date, punch.date, name);
+    assert.equal(record.fields.ReviewFlag, 'Unverified time', name);
+    assert.equal(record.fields.ReviewNote, `Offline In punch at ${punch.timeValue}: captured ${minutes} minutes before it reached the server`, name);
+  }
+});
+
+test('replays that do not check out are recorded and flagged for review', async () => {
+  const cases = [
+    ['time moved back an hour', p => ({ ...p, timeValue: toTimeValue(new Date(Date.parse(p.deviceTimestamp) - 60 * MINUTE), timeZone) })],
+    ['date moved a week back', p => ({ ...p, date: toDateKey(new Date(Date.now() - 7 * 24 * 60 * MINUTE), timeZone) })],
+    ['offset stretched by ten minutes', p => ({ ...p, clockOffsetMs: p.clockOffsetMs + 10 * MINUTE })],
+    ['captured in the future', () => replay(-30 * MINUTE)],
+    ['older than a week', () => replay(8 * 24 * 60 * MINUTE)]
+  ];
+  for (const [name, tamper] of cases) {
+    const { service } = setup();
+    const { record } = await service.recordPunch(tamper(replay(90 * MINUTE)));
+    assert.equal(record.fields.ReviewFlag, 'Unverified time', name);
+    assert.match(record.fields.ReviewNote, /^Offline In punch at /, name);
+    const queue = await service.listReviewQueue();
+    assert.deepEqual(queue.map(item => item.recordId), [record.id], name);
+  }
+});
+
+test('a replay onto a known record compares the time of day', async () => {
+  const { service, store } = setup();
+  const { record } = await service.recordPunch(replay(4 * MINUTE));
+
+  const out = replay(3 * MINUTE);
+  const ok = await service.recordPunch({ recordId: record.id, actionType: 'TimeOutAM', timeValue: out.timeValue, deviceTimestamp: out.deviceTimestamp });
+  assert.equal(ok.record.fields.ReviewFlag, undefined);
+
+  const back = replay(2 * MINUTE);
+  const shifted = toTimeValue(new Date(Date.now() + 30 * MINUTE), timeZone);
+  const flagged = await service.recordPunch({ recordId: record.id, actionType: 'TimeInPM', timeValue: shifted, deviceTimestamp: back.deviceTimestamp });
+  assert.equal(flagged.record.fields.ReviewFlag, 'Unverified time');
+
+  const rows = await store.list(TABLES.PUNCHES);
+  assert.deepEqual(rows.map(r => r.fields.ClockOffsetMs), [0, 0, 0]);
+});
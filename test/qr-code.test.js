@@ -0,0 +1,58 @@
+/**
+ * qr-code.test.js
+ *
+ * The encoder's building blocks against the worked examples in ISO/IEC
+ * 18004, and whole codes read back by an independent reader
+ * (helpers/qr-reader.js) across the versions the kiosk can use.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const QrCode = require('../qr-code');
+const { readQrCode } = require('./helpers/qr-reader');
+
+test('error correction of the 1-M "01234567" example (Annex I)', () => {
+  const data = [0x10, 0x20, 0x0C, 0x56, 0x61, 0x80, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11];
+  assert.deepEqual(QrCode.reedSolomon(data, 10), [0xA5, 0x24, 0xD4, 0xC1, 0xED, 0x36, 0xC7, 0x87, 0x2C, 0x55]);
+});
+
+test('format information of level M, mask 101 (Annex C)', () => {
+  assert.equal(QrCode.formatBits(0b101), 0b100000011001110);
+});
+
+test('version information of version 7 (Annex D)', () => {
+  assert.equal(QrCode.versionBits(7), 0b000111110010010100);
+});
+
+test('alignment pattern centres (Annex E)', () => {
+  const table = {
+    1: [], 2: [6, 18], 6: [6, 34], 7: [6, 22, 38], 10: [6, 28, 50],
+    15: [6, 26, 48, 70], 16: [6, 26, 50, 74], 32: [6, 34, 60, 86, 112, 138]
+  };
+  Object.entries(table).forEach(([version, centres]) => {
+    assert.deepEqual(QrCode.alignmentPositions(Number(version)), centres, `version ${version}`);
+  });
+});
+
+test('encoded text reads back in every version', () => {
+  // The longest text of each version at level M, byte mode
+  const capacities = [14, 26, 42, 62, 84, 106, 122, 152, 180, 213];
+  capacities.forEach((length, i) => {
+    const text = 'https://clock.example/p?c=KSK-000001.'.padEnd(length, '0123456789').slice(0, length);
+    const qr = QrCode.encode(text);
+    assert.equal(qr.version, i + 1, `${length} bytes`);
+
+    const read = readQrCode(qr.modules);
+    assert.equal(read.text, text);
+  });
+});
+
+test('UTF-8 text reads back', () => {
+  const text = 'Año, Niño — 打卡';
+  assert.equal(readQrCode(QrCode.encode(text).modules).text, text);
+});
+
+test('text too long for version 10 is refused', () => {
+  assert.throws(() => QrCode.encode('x'.repeat(214)), /too long/);
+});
@@ -0,0 +1,132 @@
+/**
+ * request-client.test.js
+ *
+ * The shared request client retries 429 and 5xx with backoff (a POST only
+ * on 429), gives up with a typed error instead of partial data, times out
+ * hanging requests and keeps to requestsPerSecond. fetch is faked.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRequestClient, HttpError, RateLimitError, NetworkError, TimeoutError } = require('../request-client');
+
+function response(status, body = {}, headers = {}) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: name => headers[name] || null },
+    text: async () => JSON.stringify(body)
+  };
+}
+
+/**
+ * A fetch answering from a list: a response, or an Error to throw
+ * The last entry repeats; calls records each request's method.
+ */
+function fakeFetch(answers) {
+  const calls = [];
+  const fetch = async (url, options = {}) => {
+    calls.push(options.method || 'GET');
+    const answer = answers[Math.min(calls.length, answers.length) - 1];
+    if (answer instanceof Error) throw answer;
+    return answer;
+  };
+  return { fetch, calls };
+}
+
+function client(fetch, options = {}) {
+  return createRequestClient({ fetch, requestsPerSecond: 0, baseDelayMs: 1, maxDelayMs: 5, ...options });
+}
+
+test('a GET is retried through 429 and 5xx until it succeeds', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const { fetch, calls } = fakeFetch([
+    response(503, { error: 'Unavailable' }),
+    response(429, { error: { type: 'RATE_LIMIT_REACHED' } }, { 'Retry-After': '0' }),
+    response(200, { records: [1, 2] })
+  ]);
+
+  assert.deepEqual(await client(fetch).request('https://api.example/records'), { records: [1, 2] });
+  assert.equal(calls.length, 3);
+});
+
+test('after maxRetries the last failure is thrown, typed', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const { fetch, calls } = fakeFetch([response(500, { error: 'Boom' })]);
+
+  await assert.rejects(client(fetch, { maxRetries: 2 }).request('https://api.example/records'), err => {
+    assert.ok(err instanceof HttpError);
+    assert.equal(err.status, 500);
+    assert.equal(err.message, 'Boom');
+    assert.equal(err.retryable, true);
+    return true;
+  });
+  assert.equal(calls.length, 3);
+});
+
+test('a POST is retried on 429 only', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const post = { method: 'POST', body: '{}' };
+
+  const failing = fakeFetch([response(502)]);
+  await assert.rejects(client(failing.fetch).request('https://api.example/records', post), { status: 502 });
+  assert.equal(failing.calls.length, 1);
+
+  const offline = fakeFetch([new TypeError('fetch failed')]);
+  await assert.rejects(client(offline.fetch).request('https://api.example/records', post), NetworkError);
+  assert.equal(offline.calls.length, 1);
+
+  const limited = fakeFetch([response(429), response(201, { id: 'rec1' })]);
+  assert.deepEqual(await client(limited.fetch).request('https://api.example/records', post), { id: 'rec1' });
+  assert.equal(limited.calls.length, 2);
+});
+
+test('a 4xx is not retried and carries the body', async () => {
+  const { fetch, calls } = fakeFetch([response(409, { error: 'Already clocked in', code: 'DUPLICATE_PUNCH', record: { id: 'rec1' } })]);
+
+  await assert.rejects(client(fetch).request('https://api.example/punch'), err => {
+    assert.equal(err.code, 'DUPLICATE_PUNCH');
+    assert.equal(err.retryable, false);
+    assert.equal(err.data.record.id, 'rec1');
+    return true;
+  });
+  assert.equal(calls.length, 1);
+});
+
+test('rate limit errors say how long the server asked to wait', async () => {
+  const { fetch } = fakeFetch([response(429, {}, { 'Retry-After': '2' })]);
+
+  await assert.rejects(client(fetch, { maxRetries: 0 }).request('https://api.example/records'), err => {
+    assert.ok(err instanceof RateLimitError);
+    assert.equal(err.code, 'RATE_LIMITED');
+    assert.equal(err.retryAfterMs, 2000);
+    return true;
+  });
+});
+
+test('a request that hangs times out', async () => {
+  const fetch = (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  });
+
+  await assert.rejects(client(fetch, { maxRetries: 0 }).request('https://api.example/records', { timeoutMs: 20 }), err => {
+    assert.ok(err instanceof TimeoutError);
+    assert.equal(err.code, 'TIMEOUT');
+    return true;
+  });
+});
+
+test('no more than requestsPerSecond requests start in a second', async () => {
+  const starts = [];
+  const fetch = async () => {
+    starts.push(Date.now());
+    return response(200);
+  };
+
+  const { request } = client(fetch, { requestsPerSecond: 2 });
+  await Promise.all([1, 2, 3].map(n => request(`https://api.example/records/${n}`)));
+  assert.equal(starts.length, 3);
+  assert.ok(starts[1] - starts[0] < 1000);
+  assert.ok(starts[2] - starts[0] >= 1000, `third request started ${starts[2] - starts[0]}ms after the first`);
+});
@@ -0,0 +1,68 @@
+/**
+ * roster-cache.test.js
+ *
+ * The hour math reads the roster once per ROSTER_CACHE_TTL_MS instead of
+ * for every employee it looks up, and sees roster saves straight away.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAttendanceService, TABLES } = require('../clock-in-core');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+function setup() {
+  const store = createMemoryStore({
+    [TABLES.EMPLOYEES]: [
+      { EmployeeId: 'EMP-001', FirstName: 'Maria', CoreWorkingHours: '8:00 AM - 5:00 PM' },
+      { EmployeeId: 'EMP-002', FirstName: 'Jose', CoreWorkingHours: '8:00 AM - 5:00 PM' }
+    ],
+    [TABLES.SHIFTS]: [{ Name: 'Night', Hours: '10:00 PM - 6:00 AM', Active: true }],
+    [TABLES.ROSTER]: [{ EmployeeId: 'EMP-001', From: '2024-01-01', Shifts: 'Night', RotationDays: 7, Status: 'Active' }]
+  });
+  const reads = { [TABLES.SHIFTS]: 0, [TABLES.ROSTER]: 0 };
+  const list = store.list;
+  store.list = (table, query) => {
+    if (table in reads) reads[table]++;
+    return list.call(store, table, query);
+  };
+  return { store, reads, service: createAttendanceService(store, { timeZone: 'Asia/Manila' }) };
+}
+
+test('employee lookups share one read of the roster', async () => {
+  const { service, reads } = setup();
+  const lookups = await Promise.all(['EMP-001', 'EMP-002', 'EMP-001', 'EMP-002'].map(id => service.getEmployeeById(id)));
+  lookups.push(await service.getEmployeeById('EMP-001'));
+
+  assert.deepEqual(reads, { [TABLES.SHIFTS]: 1, [TABLES.ROSTER]: 1 });
+  assert.ok(lookups[0].roster, 'EMP-001 is rostered');
+  assert.equal(lookups[1].roster, null, 'EMP-002 is not');
+});
+
+test('roster saves are seen by the next lookup', async () => {
+  const { service, reads } = setup();
+  assert.equal((await service.getEmployeeById('EMP-002')).roster, null);
+
+  await service.saveRosterAssignment({ employeeId: 'EMP-002', from: '2024-01-01', shifts: 'Night' });
+  assert.ok((await service.getEmployeeById('EMP-002')).roster);
+
+  const [assignment] = (await service.listRoster({ employeeId: 'EMP-002' })).assignments;
+  await service.cancelRosterAssignment(assignment.id);
+  assert.equal((await service.getEmployeeById('EMP-002')).roster, null);
+
+  // The first lookup, one after each save and the listRoster above; the last lookup is cached
+  await service.getEmployeeById('EMP-001');
+  assert.equal(reads[TABLES.ROSTER], 4);
+});
+
+test('the roster is read again once the cache expires', async t => {
+  const { service, reads } = setup();
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-15T00:00:00Z') });
+  await service.getEmployeeById('EMP-001');
+  t.mock.timers.tick(30000);
+  await service.getEmployeeById('EMP-001');
+  assert.equal(reads[TABLES.ROSTER], 1);
+  t.mock.timers.tick(31000);
+  await service.getEmployeeById('EMP-001');
+  assert.equal(reads[TABLES.ROSTER], 2);
+});
@@ -0,0 +1,79 @@
+/**
+ * rounding.test.js
+ *
+ * Rounding policies: each mode at its edges, in-punches moved up to the
+ * scheduled start, policies per department with a default, and payable
+ * hours rounded while the raw hours and the punches stay as clocked.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AttendanceRules = require('../attendance-rules');
+
+const WAREHOUSE = { department: 'Warehouse', rateType: 'Time-based', standardWorkweekHours: 56, baseSalary: 18000, coreWorkingHours: '8:00 AM - 5:00 PM' };
+const OFFICE = { ...WAREHOUSE, department: 'Office' };
+
+function day(timeInAM, timeOutAM, timeInPM, timeOutPM) {
+  return { fields: { Date: '2025-03-03', TimeInAM: timeInAM, TimeOutAM: timeOutAM, TimeInPM: timeInPM, TimeOutPM: timeOutPM } };
+}
+
+// Times of the rounded punches of a day
+function rounded(record, employee = WAREHOUSE) {
+  return AttendanceRules.roundPunches(AttendanceRules.readPunches(record), employee, '2025-03-03').map(p => p.time);
+}
+
+test.afterEach(() => AttendanceRules.setRoundingPolicies({}));
+
+test('nearest rounds at the half increment (the 7-minute rule)', () => {
+  AttendanceRules.setRoundingPolicies({ default: { increment: 15 } });
+  assert.deepEqual(rounded(day('08:07 AM', '12:08 PM', '12:52 PM', '04:53 PM')), ['08:00 AM', '12:15 PM', '12:45 PM', '05:00 PM']);
+});
+
+test('up and down round every in and every out one way', () => {
+  AttendanceRules.setRoundingPolicies({ default: { increment: 15, in: 'up', out: 'down' } });
+  assert.deepEqual(rounded(day('08:01 AM', '12:14 PM', '01:00 PM', '04:59 PM')), ['08:15 AM', '12:00 PM', '01:00 PM', '04:45 PM']);
+});
+
+test('an early first in counts from the scheduled start', () => {
+  AttendanceRules.setRoundingPolicies({ default: { inToScheduleStart: true } });
+  assert.deepEqual(rounded(day('07:40 AM', '12:00 PM', '12:40 PM', '05:20 PM')), ['08:00 AM', '12:00 PM', '12:40 PM', '05:20 PM']);
+
+  AttendanceRules.setRoundingPolicies({ default: { increment: 15, inToScheduleStart: true } });
+  assert.deepEqual(rounded(day('08:10 AM', '12:00 PM', '01:00 PM', '05:00 PM')), ['08:15 AM', '12:00 PM', '01:00 PM', '05:00 PM'], 'a late in is only rounded');
+});
+
+test('a department policy wins over the default', () => {
+  AttendanceRules.setRoundingPolicies({ Warehouse: { increment: 30, in: 'up' }, default: { increment: 15 } });
+  const record = day('08:05 AM', '12:00 PM', '01:00 PM', '05:00 PM');
+
+  assert.deepEqual(rounded(record, WAREHOUSE), ['08:30 AM', '12:00 PM', '01:00 PM', '05:00 PM']);
+  assert.deepEqual(rounded(record, OFFICE), ['08:00 AM', '12:00 PM', '01:00 PM', '05:00 PM']);
+  assert.deepEqual(AttendanceRules.getRoundingPolicy(OFFICE), { increment: 15, in: 'nearest', out: 'nearest', inToScheduleStart: false });
+});
+
+test('without a policy nothing is rounded', () => {
+  const punches = AttendanceRules.readPunches(day('08:07 AM', '12:00 PM', '01:00 PM', '05:00 PM'));
+  assert.equal(AttendanceRules.getRoundingPolicy(WAREHOUSE), null);
+  assert.equal(AttendanceRules.roundPunches(punches, WAREHOUSE, '2025-03-03'), punches);
+  assert.equal(AttendanceRules.getRoundedPunchLog(day('08:07 AM', '12:00 PM', '01:00 PM', '05:00 PM'), WAREHOUSE), '');
+});
+
+test('payable hours are rounded, the raw hours and punches are not', () => {
+  AttendanceRules.setRoundingPolicies({ default: { increment: 15 } });
+  const record = day('07:53 AM', '12:00 PM', '01:00 PM', '05:07 PM');
+
+  const hours = AttendanceRules.calculateDayHours(record, WAREHOUSE);
+  assert.equal(hours.totalHours, 8);
+  assert.equal(hours.rawTotalHours, 8.23);
+  assert.equal(AttendanceRules.getRoundedPunchLog(record, WAREHOUSE), '08:00 AM In, 12:00 PM Out, 01:00 PM In, 05:00 PM Out');
+
+  const [first] = AttendanceRules.roundPunches(AttendanceRules.readPunches(record), WAREHOUSE, '2025-03-03');
+  assert.equal(first.rawTime, '07:53 AM');
+  assert.equal(record.fields.TimeInAM, '07:53 AM');
+});
+
+test('policies are checked when set', () => {
+  assert.throws(() => AttendanceRules.setRoundingPolicies({ default: { increment: 90 } }), /0-60 minutes/);
+  assert.throws(() => AttendanceRules.setRoundingPolicies({ Office: { increment: 15, out: 'sideways' } }), /Unknown rounding mode/);
+});
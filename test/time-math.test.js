@@ -0,0 +1,204 @@
+/**
+ * time-math.test.js
+ *
+ * Table-driven cases for the time math payroll depends on: parsing punch
+ * times, hours across midnight, the paid lunch hour, overtime, and fixed
+ * vs time-based pay.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AttendanceRules = require('../attendance-rules');
+const { createAttendanceService, TABLES } = require('../clock-in-core');
+const { createMemoryStore } = require('./helpers/memory-store');
+
+const TIME_BASED = { rateType: 'Time-based', standardWorkweekHours: 56, baseSalary: 18000, coreWorkingHours: '8:00 AM - 5:00 PM' };
+const PAID_LUNCH = { rateType: 'Time-based', standardWorkweekHours: 70, baseSalary: 22000, coreWorkingHours: '8:00 AM - 6:00 PM' };
+const FIXED = { rateType: 'Fixed', standardWorkweekHours: 70, baseSalary: 22000, coreWorkingHours: '8:00 AM - 6:00 PM' };
+
+function slots(timeInAM, timeOutAM, timeInPM, timeOutPM, extra = {}) {
+  return { Date: '2025-01-06', TimeInAM: timeInAM, TimeOutAM: timeOutAM, TimeInPM: timeInPM, TimeOutPM: timeOutPM, ...extra };
+}
+
+test('parseTimeToMinutes', () => {
+  const cases = [
+    // 12-hour, as the kiosk and Airtable store them
+    ['07:36 AM', 456],
+    ['7:36 am', 456],
+    ['7:36pm', 1176],
+    ['07:36 P.M.', 1176],
+    ['12:00 AM', 0],
+    ['12:30 AM', 30],
+    ['12:00 PM', 720],
+    ['12:59 PM', 779],
+    ['11:59 PM', 1439],
+    ['  08:00 AM  ', 480],
+    // 24-hour, as <input type="time"> sends them
+    ['00:00', 0],
+    ['07:36', 456],
+    ['12:00', 720],
+    ['19:36:00', 1176],
+    ['23:59', 1439],
+    // Rejected
+    ['13:00 PM', null],
+    ['00:30 AM', null],
+    ['12:60 PM', null],
+    ['24:00', null],
+    ['7', null],
+    ['7:5 AM', null],
+    ['noon', null],
+    ['', null],
+    [null, null],
+    [480, null]
+  ];
+  for (const [input, expected] of cases) {
+    assert.equal(AttendanceRules.parseTimeToMinutes(input), expected, JSON.stringify(input));
+  }
+});
+
+test('formatMinutes', () => {
+  const cases = [
+    [0, '12:00 AM'],
+    [456, '07:36 AM'],
+    [720, '12:00 PM'],
+    [1176, '07:36 PM'],
+    [1440, '12:00 AM'],
+    [1800, '06:00 AM'],
+    [-60, '11:00 PM']
+  ];
+  for (const [minutes, expected] of cases) {
+    assert.equal(AttendanceRules.formatMinutes(minutes), expected, String(minutes));
+  }
+});
+
+test('calculateTotalHours, across midnight included', () => {
+  const cases = [
+    ['day shift', slots('08:00 AM', '12:00 PM', '01:00 PM', '05:00 PM'), 8],
+    ['24-hour strings', slots('08:00', '12:00', '13:00', '17:30'), 8.5],
+    ['morning only', slots('08:00 AM', '12:00 PM'), 4],
+    ['noon to midnight is not overnight', slots(null, null, '12:00 PM', '11:59 PM'), 11 + 59 / 60],
+    ['night shift from the slots', slots('10:00 PM', '02:00 AM', '03:00 AM', '07:00 AM'), 8],
+    ['clocked out just after midnight', slots('06:00 PM', '12:30 AM'), 6.5],
+    ['night shift from the PunchLog', slots(null, null, '10:00 PM', '06:00 AM', { PunchLog: '10:00 PM In, 06:00 AM +1 Out' }), 8],
+    ['split shift in the PunchLog', slots('08:00 AM', '10:00 AM', '10:15 AM', '05:15 PM', {
+      PunchLog: '08:00 AM In, 10:00 AM Out, 10:15 AM In, 12:00 PM Out, 01:00 PM In, 05:15 PM Out'
+    }), 8],
+    ['open shift counts nothing yet', slots('08:00 AM'), 0],
+    ['no punches', {}, 0]
+  ];
+  for (const [name, record, expected] of cases) {
+    assert.equal(AttendanceRules.calculateTotalHours(record), expected, name);
+  }
+});
+
+test('getScheduleSpanHours', () => {
+  const cases = [
+    ['8:00 AM - 5:00 PM', 9],
+    ['8:00 AM - 6:00 PM', 10],
+    ['08:00 - 17:00', 9],
+    ['10:00 PM - 6:00 AM', 8],
+    ['12:00 PM - 12:00 AM', 12],
+    ['N/A', null],
+    ['', null],
+    ['8:00 AM to 5:00 PM', null],
+    [undefined, null]
+  ];
+  for (const [hours, expected] of cases) {
+    assert.equal(AttendanceRules.getScheduleSpanHours(hours), expected, String(hours));
+  }
+});
+
+test('isFixedRate and the rates', () => {
+  const cases = [
+    [{ rateType: 'Fixed' }, true],
+    [{ rateType: 'Monthly' }, true],
+    [{ rateType: 'Salary' }, true],
+    [{ rateType: 'Time-based', employmentType: 'Fixed Term' }, true],
+    [{ rateType: 'Time-based' }, false],
+    [{ rateType: 'Hourly' }, false],
+    [{}, false],
+    [null, false]
+  ];
+  for (const [employee, expected] of cases) {
+    assert.equal(AttendanceRules.isFixedRate(employee), expected, JSON.stringify(employee));
+  }
+
+  assert.equal(AttendanceRules.getDailyStandardHours(TIME_BASED), 8);
+  assert.equal(AttendanceRules.getDailyStandardHours({}), 40 / 7);
+  assert.equal(AttendanceRules.calculateDailyRate(TIME_BASED), 600);
+  assert.equal(AttendanceRules.calculateHourlyRate(TIME_BASED), 75);
+  assert.equal(AttendanceRules.calculateHourlyRate({ standardWorkweekHours: 56 }), 0);
+});
+
+test('the paid lunch hour', () => {
+  const cases = [
+    ['10-hour shift on a 10-hour standard, both halves', PAID_LUNCH, slots('08:00 AM', '12:00 PM', '01:00 PM', '06:00 PM'), { lunchHours: 1, totalHours: 10 }],
+    ['same shift, afternoon only', PAID_LUNCH, slots(null, null, '01:00 PM', '06:00 PM'), { lunchHours: 0, totalHours: 5 }],
+    ['9-hour shift on an 8-hour standard', TIME_BASED, slots('08:00 AM', '12:00 PM', '01:00 PM', '05:00 PM'), { lunchHours: 0, totalHours: 8 }],
+    ['8-hour shift on an 8-hour standard', { ...TIME_BASED, coreWorkingHours: '8:00 AM - 4:00 PM' }, slots('08:00 AM', '12:00 PM', '12:30 PM', '04:00 PM'), { lunchHours: 0, totalHours: 7.5 }],
+    ['fixed rate gets it too', FIXED, slots('08:00 AM', '12:00 PM', '01:00 PM', '06:00 PM'), { lunchHours: 1, totalHours: 10 }],
+    ['no employee', null, slots('08:00 AM', '12:00 PM', '01:00 PM', '06:00 PM'), { lunchHours: 0, totalHours: 9 }]
+  ];
+  for (const [name, employee, record, expected] of cases) {
+    const hours = AttendanceRules.calculateDayHours(record, employee);
+    assert.deepEqual({ lunchHours: hours.lunchHours, totalHours: hours.totalHours }, expected, name);
+  }
+});
+
+test('calculateOvertime', () => {
+  const cases = [
+    ['at the standard', 8, TIME_BASED, 1, { overtimeHours: 0, overtimePay: 0 }],
+    ['under the standard', 6, TIME_BASED, 1, { overtimeHours: 0, overtimePay: 0 }],
+    ['two hours over', 10, TIME_BASED, 1, { overtimeHours: 2, overtimePay: 187.5 }],
+    ['a quarter hour over', 8.25, TIME_BASED, 1, { overtimeHours: 0.25, overtimePay: 23.44 }],
+    ['two hours over on a holiday', 10, TIME_BASED, 2, { overtimeHours: 2, overtimePay: 375 }],
+    ['fixed rate', 12, FIXED, 1, { overtimeHours: 0, overtimePay: 0 }],
+    ['unreadable total', 'n/a', TIME_BASED, 1, { overtimeHours: 0, overtimePay: 0 }]
+  ];
+  for (const [name, totalHours, employee, multiplier, expected] of cases) {
+    assert.deepEqual(AttendanceRules.calculateOvertime(totalHours, employee, multiplier), expected, name);
+  }
+});
+
+test('calculateRegularPay: fixed vs time-based', () => {
+  const cases = [
+    ['time-based full day', { totalHours: 8, hasAM: true, hasPM: true }, TIME_BASED, 1, 600],
+    ['time-based overtime day is capped at the standard', { totalHours: 10, hasAM: true, hasPM: true }, TIME_BASED, 1, 600],
+    ['time-based short day', { totalHours: 6, hasAM: true, hasPM: true }, TIME_BASED, 1, 450],
+    ['time-based holiday', { totalHours: 8, hasAM: true, hasPM: true }, TIME_BASED, 2, 1200],
+    ['fixed full day', { totalHours: 10, hasAM: true, hasPM: true }, FIXED, 1, 733.33],
+    ['fixed short day', { totalHours: 6, hasAM: true, hasPM: true }, FIXED, 1, 733.33],
+    ['fixed half day', { totalHours: 4, hasAM: true, hasPM: false }, FIXED, 1, 366.67],
+    ['fixed absent', { totalHours: 0, hasAM: false, hasPM: false }, FIXED, 1, 0]
+  ];
+  for (const [name, hours, employee, multiplier, expected] of cases) {
+    assert.equal(AttendanceRules.calculateRegularPay(hours, employee, multiplier), expected, name);
+  }
+});
+
+test('calculateOvertimeFields stores what the rules compute', async () => {
+  const store = createMemoryStore({
+    [TABLES.EMPLOYEES]: [
+      { EmployeeId: 'EMP-001', RateType: 'Time-based', StandardWorkweekHours: 56, BaseSalary: 18000, CoreWorkingHours: '8:00 AM - 5:00 PM' },
+      { EmployeeId: 'EMP-002', RateType: 'Fixed', StandardWorkweekHours: 70, BaseSalary: 22000, CoreWorkingHours: '8:00 AM - 6:00 PM' },
+      { EmployeeId: 'EMP-003', RateType: 'Time-based', StandardWorkweekHours: 70, BaseSalary: 22000, CoreWorkingHours: '8:00 AM - 6:00 PM' }
+    ]
+  });
+  const service = createAttendanceService(store, { timeZone: 'Asia/Manila' });
+
+  const cases = [
+    ['time-based overtime', 'EMP-001', slots('08:00 AM', '12:00 PM', '01:00 PM', '07:00 PM'), { TotalHoursWorked: 10, OvertimeHours: 2, OverTimePay: 187.5 }],
+    ['fixed rate', 'EMP-002', slots('08:00 AM', '12:00 PM', '01:00 PM', '08:00 PM'), { TotalHoursWorked: 12, OvertimeHours: 0, OverTimePay: 0 }],
+    ['paid lunch', 'EMP-003', slots('08:00 AM', '12:00 PM', '01:00 PM', '06:00 PM'), { TotalHoursWorked: 10, OvertimeHours: 0, OverTimePay: 0 }],
+    ['unknown employee keeps the worked hours', 'EMP-404', slots('08:00 AM', '12:00 PM', '01:00 PM', '07:00 PM'), { TotalHoursWorked: 10, OvertimeHours: 0, OverTimePay: 0 }]
+  ];
+  for (const [name, employeeId, record, expected] of cases) {
+    const fields = await service.calculateOvertimeFields(record, employeeId);
+    assert.deepEqual(
+      { TotalHoursWorked: fields.TotalHoursWorked, OvertimeHours: fields.OvertimeHours, OverTimePay: fields.OverTimePay },
+      expected,
+      name
+    );
+  }
+});